@@ -17,6 +17,18 @@ import XmlStream from 'xml-stream';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { classifyInteraction } from '../src/interaction-classifier.js';
+import { extractDrugRecord, extractSalts, extractStructure } from '../src/drug-record.js';
+import { PROPERTY_COLUMNS, extractProperties } from '../src/drug-properties.js';
+import { PRODUCT_FIELDS, PRODUCT_FLAGS, toProductRow } from '../src/drug-products.js';
+import { ENZYME_ROLES, toEnzymeRow } from '../src/drug-enzymes.js';
+import { TARGET_ENTITY_FIELDS, toTargetRow } from '../src/drug-targets.js';
+import { toAtcRows } from '../src/atc-codes.js';
+import { toCategoryRows } from '../src/drug-categories.js';
+import { toChemicalClassRows } from '../src/chemical-taxonomy.js';
+import { toFoodInteractionRows } from '../src/food-interactions.js';
+import { extractSearchNames } from '../src/name-search.js';
+import { FTS_COLUMNS } from '../src/text-query.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -61,6 +73,7 @@ db.exec(`
     cas_number TEXT,
     unii TEXT,
     state TEXT,
+    type TEXT,
     indication TEXT,
     pharmacodynamics TEXT,
     mechanism_of_action TEXT,
@@ -70,6 +83,11 @@ db.exec(`
     half_life TEXT,
     half_life_hours REAL,
     protein_binding TEXT,
+    protein_binding_percent REAL,
+    volume_of_distribution TEXT,
+    volume_of_distribution_l_kg REAL,
+    clearance TEXT,
+    clearance_ml_min_kg REAL,
     route_of_elimination TEXT,
     average_mass REAL,
     monoisotopic_mass REAL,
@@ -78,6 +96,7 @@ db.exec(`
     all_ids TEXT,
     groups TEXT,
     categories TEXT,
+    category_mesh_ids TEXT,
     synonyms TEXT,
     calculated_properties TEXT,
     external_identifiers TEXT,
@@ -89,58 +108,135 @@ db.exec(`
     transporters TEXT,
     pathways TEXT,
     products TEXT,
-    atc_codes TEXT
+    international_brands TEXT,
+    atc_codes TEXT,
+    atc_hierarchy TEXT,
+    classification TEXT,
+    pharmacokinetics TEXT
   );
 
   CREATE INDEX idx_name ON drugs(name COLLATE NOCASE);
   CREATE INDEX idx_indication ON drugs(indication);
   CREATE INDEX idx_cas ON drugs(cas_number);
   CREATE INDEX idx_unii ON drugs(unii);
+  CREATE INDEX idx_state ON drugs(state);
+  CREATE INDEX idx_type ON drugs(type);
   CREATE INDEX idx_half_life_hours ON drugs(half_life_hours);
+  CREATE INDEX idx_protein_binding_percent ON drugs(protein_binding_percent);
+  CREATE INDEX idx_volume_of_distribution_l_kg ON drugs(volume_of_distribution_l_kg);
+  CREATE INDEX idx_clearance_ml_min_kg ON drugs(clearance_ml_min_kg);
 
-  -- Full-text search
+  -- Full-text search (columns in FTS_COLUMNS order)
   CREATE VIRTUAL TABLE drugs_fts USING fts5(
-    drugbank_id,
-    name,
-    description,
-    indication,
+    ${FTS_COLUMNS.join(',\n    ')},
     content=drugs,
     content_rowid=rowid
   );
 
   -- Triggers to keep FTS in sync
   CREATE TRIGGER drugs_ai AFTER INSERT ON drugs BEGIN
-    INSERT INTO drugs_fts(rowid, drugbank_id, name, description, indication)
-    VALUES (new.rowid, new.drugbank_id, new.name, new.description, new.indication);
+    INSERT INTO drugs_fts(rowid, ${FTS_COLUMNS.join(', ')})
+    VALUES (new.rowid, ${FTS_COLUMNS.map(column => `new.${column}`).join(', ')});
   END;
 
   CREATE TRIGGER drugs_ad AFTER DELETE ON drugs BEGIN
-    INSERT INTO drugs_fts(drugs_fts, rowid, drugbank_id, name, description, indication)
-    VALUES ('delete', old.rowid, old.drugbank_id, old.name, old.description, old.indication);
+    INSERT INTO drugs_fts(drugs_fts, rowid, ${FTS_COLUMNS.join(', ')})
+    VALUES ('delete', old.rowid, ${FTS_COLUMNS.map(column => `old.${column}`).join(', ')});
   END;
 
   CREATE TRIGGER drugs_au AFTER UPDATE ON drugs BEGIN
-    INSERT INTO drugs_fts(drugs_fts, rowid, drugbank_id, name, description, indication)
-    VALUES ('delete', old.rowid, old.drugbank_id, old.name, old.description, old.indication);
-    INSERT INTO drugs_fts(rowid, drugbank_id, name, description, indication)
-    VALUES (new.rowid, new.drugbank_id, new.name, new.description, new.indication);
+    INSERT INTO drugs_fts(drugs_fts, rowid, ${FTS_COLUMNS.join(', ')})
+    VALUES ('delete', old.rowid, ${FTS_COLUMNS.map(column => `old.${column}`).join(', ')});
+    INSERT INTO drugs_fts(rowid, ${FTS_COLUMNS.join(', ')})
+    VALUES (new.rowid, ${FTS_COLUMNS.map(column => `new.${column}`).join(', ')});
   END;
 
   -- Separate tables for searchable entities
+  -- Targets: one row per DrugBank target (BE) ID, with its polypeptide identifiers
+  CREATE TABLE targets (
+    target_id TEXT PRIMARY KEY,
+    ${TARGET_ENTITY_FIELDS.map(field => `${field} TEXT`).join(',\n    ')}
+  );
+  CREATE INDEX idx_targets_gene ON targets(gene_name COLLATE NOCASE);
+  CREATE INDEX idx_targets_uniprot ON targets(uniprot_id);
+  CREATE INDEX idx_targets_hgnc ON targets(hgnc_id COLLATE NOCASE);
+
+  -- Drug-target links; actions is the JSON list of DrugBank actions (inhibitor, agonist, ...)
   CREATE TABLE drug_targets (
     drug_id TEXT,
+    position INTEGER,
+    target_id TEXT,
     target_name TEXT,
     organism TEXT,
-    FOREIGN KEY (drug_id) REFERENCES drugs(drugbank_id)
+    known_action TEXT,
+    actions TEXT,
+    FOREIGN KEY (drug_id) REFERENCES drugs(drugbank_id),
+    FOREIGN KEY (target_id) REFERENCES targets(target_id)
   );
+  CREATE INDEX idx_target_drug ON drug_targets(drug_id);
+  CREATE INDEX idx_target_id ON drug_targets(target_id);
   CREATE INDEX idx_target_name ON drug_targets(target_name COLLATE NOCASE);
 
+  -- Drug groups (approved, withdrawn, ...), the queryable form of drugs.groups
+  CREATE TABLE drug_groups (
+    drug_id TEXT,
+    group_name TEXT,
+    FOREIGN KEY (drug_id) REFERENCES drugs(drugbank_id)
+  );
+  CREATE INDEX idx_group_drug ON drug_groups(drug_id);
+  CREATE INDEX idx_group_name ON drug_groups(group_name);
+
+  -- ATC classification: one row per code at every level (1-5), and each drug's
+  -- level-5 codes; prefix searches use GLOB so the code index applies
+  CREATE TABLE atc_codes (
+    code TEXT PRIMARY KEY,
+    name TEXT,
+    level INTEGER,
+    parent_code TEXT
+  );
+  CREATE INDEX idx_atc_parent ON atc_codes(parent_code);
+
+  CREATE TABLE drug_atc_codes (
+    drug_id TEXT,
+    code TEXT,
+    FOREIGN KEY (drug_id) REFERENCES drugs(drugbank_id),
+    FOREIGN KEY (code) REFERENCES atc_codes(code)
+  );
+  CREATE INDEX idx_drug_atc_drug ON drug_atc_codes(drug_id);
+  CREATE INDEX idx_drug_atc_code ON drug_atc_codes(code);
+
+  -- ClassyFire chemical taxonomy, one row per level name (see CHEMICAL_CLASS_LEVELS)
+  CREATE TABLE drug_chemical_classes (
+    drug_id TEXT,
+    position INTEGER,
+    level TEXT,
+    name TEXT,
+    FOREIGN KEY (drug_id) REFERENCES drugs(drugbank_id)
+  );
+  CREATE INDEX idx_chemical_class_drug ON drug_chemical_classes(drug_id);
+  CREATE INDEX idx_chemical_class_name ON drug_chemical_classes(name COLLATE NOCASE);
+
+  -- Food interaction notes, one row per note and category (see FOOD_INTERACTION_CATEGORIES)
+  CREATE TABLE drug_food_interactions (
+    drug_id TEXT,
+    position INTEGER,
+    description TEXT,
+    category TEXT,
+    FOREIGN KEY (drug_id) REFERENCES drugs(drugbank_id)
+  );
+  CREATE INDEX idx_food_interaction_drug ON drug_food_interactions(drug_id);
+  CREATE INDEX idx_food_interaction_category ON drug_food_interactions(category);
+
+  -- Drug categories with their MeSH IDs (null for categories MeSH does not cover)
   CREATE TABLE drug_categories (
     drug_id TEXT,
     category TEXT,
+    mesh_id TEXT,
     FOREIGN KEY (drug_id) REFERENCES drugs(drugbank_id)
   );
+  CREATE INDEX idx_category_drug ON drug_categories(drug_id);
   CREATE INDEX idx_category ON drug_categories(category COLLATE NOCASE);
+  CREATE INDEX idx_category_mesh ON drug_categories(mesh_id);
 
   -- Carriers table (proteins that carry drugs in the body)
   CREATE TABLE drug_carriers (
@@ -164,6 +260,30 @@ db.exec(`
   );
   CREATE INDEX idx_transporter_name ON drug_transporters(transporter_name COLLATE NOCASE);
 
+  -- Enzymes table (enzymes that metabolise or are affected by drugs)
+  -- actions is the JSON list of DrugBank actions; substrate/inhibitor/inducer
+  -- flag the drug's roles (0/1, see ENZYME_ROLES)
+  CREATE TABLE drug_enzymes (
+    drug_id TEXT,
+    position INTEGER,
+    enzyme_id TEXT,
+    enzyme_name TEXT,
+    gene_name TEXT,
+    uniprot_id TEXT,
+    organism TEXT,
+    known_action TEXT,
+    actions TEXT,
+    substrate INTEGER,
+    inhibitor INTEGER,
+    inducer INTEGER,
+    inhibition_strength TEXT,
+    induction_strength TEXT,
+    FOREIGN KEY (drug_id) REFERENCES drugs(drugbank_id)
+  );
+  CREATE INDEX idx_enzyme_drug ON drug_enzymes(drug_id);
+  CREATE INDEX idx_enzyme_name ON drug_enzymes(enzyme_name COLLATE NOCASE);
+  CREATE INDEX idx_enzyme_gene ON drug_enzymes(gene_name COLLATE NOCASE);
+
   -- Salts table (different salt forms of drugs)
   CREATE TABLE drug_salts (
     drug_id TEXT,
@@ -176,49 +296,213 @@ db.exec(`
     FOREIGN KEY (drug_id) REFERENCES drugs(drugbank_id)
   );
   CREATE INDEX idx_salt_name ON drug_salts(salt_name COLLATE NOCASE);
+
+  -- Interactions table (one row per listed interaction, indexed both ways for reverse lookup)
+  -- effect_type/mechanism/effect_direction/severity are classified from the description text
+  CREATE TABLE drug_interactions (
+    drug_id TEXT,
+    interacting_id TEXT,
+    name TEXT,
+    description TEXT,
+    effect_type TEXT,
+    mechanism TEXT,
+    effect_direction TEXT,
+    severity TEXT,
+    FOREIGN KEY (drug_id) REFERENCES drugs(drugbank_id)
+  );
+  CREATE INDEX idx_interaction_drug ON drug_interactions(drug_id, interacting_id);
+  CREATE INDEX idx_interaction_interacting ON drug_interactions(interacting_id, drug_id);
+
+  -- Structures table (SMILES/InChI/InChIKey from calculated properties)
+  -- fingerprint is a Morgan fingerprint (radius 2, 2048 bits) computed from the SMILES;
+  -- bit_count bounds which fingerprints can reach a Tanimoto threshold;
+  -- screen is a path fingerprint that must contain a substructure query's bits
+  CREATE TABLE drug_structures (
+    drug_id TEXT PRIMARY KEY,
+    smiles TEXT,
+    inchi TEXT,
+    inchikey TEXT,
+    fingerprint BLOB,
+    bit_count INTEGER,
+    screen BLOB,
+    FOREIGN KEY (drug_id) REFERENCES drugs(drugbank_id)
+  );
+  CREATE INDEX idx_structure_inchikey ON drug_structures(inchikey);
+  CREATE INDEX idx_structure_bit_count ON drug_structures(bit_count);
+
+  -- Searchable names (drug name, synonyms, IUPAC names) for search_by_name
+  -- drug_names_fts ranks word-prefix matches with bm25(); drug_names_trigram
+  -- finds candidates for typo-tolerant (fuzzy) matching
+  CREATE TABLE drug_names (
+    drug_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    name_type TEXT NOT NULL,
+    FOREIGN KEY (drug_id) REFERENCES drugs(drugbank_id)
+  );
+  CREATE INDEX idx_drug_names_drug ON drug_names(drug_id);
+
+  CREATE VIRTUAL TABLE drug_names_fts USING fts5(
+    name,
+    content=drug_names,
+    content_rowid=rowid,
+    tokenize='unicode61 remove_diacritics 2'
+  );
+
+  CREATE VIRTUAL TABLE drug_names_trigram USING fts5(
+    name,
+    content=drug_names,
+    content_rowid=rowid,
+    tokenize='trigram'
+  );
+
+  CREATE TRIGGER drug_names_ai AFTER INSERT ON drug_names BEGIN
+    INSERT INTO drug_names_fts(rowid, name) VALUES (new.rowid, new.name);
+    INSERT INTO drug_names_trigram(rowid, name) VALUES (new.rowid, new.name);
+  END;
+`);
+
+// Products table: one row per marketed product, in record order (position)
+// generic/otc/approved stored as 0/1
+db.exec(`
+  CREATE TABLE drug_products (
+    drug_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    ${PRODUCT_FIELDS.map(field => `${field} ${PRODUCT_FLAGS.includes(field) ? 'INTEGER' : 'TEXT'},`).join('\n    ')}
+    PRIMARY KEY (drug_id, position),
+    FOREIGN KEY (drug_id) REFERENCES drugs(drugbank_id)
+  );
+  CREATE INDEX idx_product_route ON drug_products(route);
+  CREATE INDEX idx_product_dosage_form ON drug_products(dosage_form);
+  CREATE INDEX idx_product_name ON drug_products(name COLLATE NOCASE);
+  CREATE INDEX idx_product_labeller ON drug_products(labeller COLLATE NOCASE);
+  CREATE INDEX idx_product_ndc_code ON drug_products(ndc_product_code);
+  CREATE INDEX idx_product_ndc_id ON drug_products(ndc_id);
+
+  -- International brand names (brands marketed outside the product databases)
+  CREATE TABLE drug_international_brands (
+    drug_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    company TEXT,
+    FOREIGN KEY (drug_id) REFERENCES drugs(drugbank_id)
+  );
+  CREATE INDEX idx_brand_drug ON drug_international_brands(drug_id);
+  CREATE INDEX idx_brand_name ON drug_international_brands(name COLLATE NOCASE);
+`);
+
+// Physicochemical properties table: one typed, indexed column per PROPERTY_COLUMNS entry
+// (booleans stored as 0/1)
+const PROPERTY_NAMES = Object.keys(PROPERTY_COLUMNS);
+const PROPERTY_SQL_TYPES = { number: 'REAL', integer: 'INTEGER', boolean: 'INTEGER' };
+db.exec(`
+  CREATE TABLE drug_properties (
+    drug_id TEXT PRIMARY KEY,
+    ${PROPERTY_NAMES.map(name => `${name} ${PROPERTY_SQL_TYPES[PROPERTY_COLUMNS[name].type]},`).join('\n    ')}
+    FOREIGN KEY (drug_id) REFERENCES drugs(drugbank_id)
+  );
+  ${PROPERTY_NAMES.map(name => `CREATE INDEX idx_property_${name} ON drug_properties(${name});`).join('\n  ')}
 `);
 
 console.log('[DB Builder] Streaming and parsing XML...');
 
+// Record fields stored as plain columns and as JSON, in insert order
+const SCALAR_COLUMNS = [
+  'drugbank_id', 'name', 'description', 'cas_number', 'unii', 'state', 'type',
+  'indication', 'pharmacodynamics', 'mechanism_of_action', 'toxicity',
+  'absorption', 'metabolism', 'half_life', 'half_life_hours', 'protein_binding', 'protein_binding_percent',
+  'volume_of_distribution', 'volume_of_distribution_l_kg', 'clearance', 'clearance_ml_min_kg', 'route_of_elimination',
+  'average_mass', 'monoisotopic_mass'
+];
+const JSON_COLUMNS = [
+  'all_ids', 'groups', 'categories', 'category_mesh_ids', 'synonyms', 'calculated_properties',
+  'external_identifiers', 'drug_interactions', 'food_interactions',
+  'targets', 'enzymes', 'carriers', 'transporters', 'pathways', 'products', 'international_brands', 'atc_codes',
+  'atc_hierarchy', 'classification', 'pharmacokinetics'
+];
+
 // Prepare insert statement
 const insertDrug = db.prepare(`
   INSERT INTO drugs (
-    drugbank_id, name, description, cas_number, unii, state,
+    drugbank_id, name, description, cas_number, unii, state, type,
     indication, pharmacodynamics, mechanism_of_action, toxicity,
-    absorption, metabolism, half_life, half_life_hours, protein_binding, route_of_elimination,
+    absorption, metabolism, half_life, half_life_hours, protein_binding, protein_binding_percent,
+    volume_of_distribution, volume_of_distribution_l_kg, clearance, clearance_ml_min_kg, route_of_elimination,
     average_mass, monoisotopic_mass,
-    all_ids, groups, categories, synonyms, calculated_properties,
+    all_ids, groups, categories, category_mesh_ids, synonyms, calculated_properties,
     external_identifiers, drug_interactions, food_interactions,
-    targets, enzymes, carriers, transporters, pathways, products, atc_codes
+    targets, enzymes, carriers, transporters, pathways, products, international_brands, atc_codes, atc_hierarchy,
+    classification, pharmacokinetics
   ) VALUES (
-    ?, ?, ?, ?, ?, ?,
+    ?, ?, ?, ?, ?, ?, ?,
     ?, ?, ?, ?,
     ?, ?, ?, ?, ?, ?,
+    ?, ?, ?, ?, ?,
     ?, ?,
     ?, ?, ?, ?, ?,
     ?, ?, ?,
-    ?, ?, ?, ?, ?, ?, ?
+    ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+    ?, ?
   )
 `);
 
-const insertTarget = db.prepare('INSERT INTO drug_targets (drug_id, target_name, organism) VALUES (?, ?, ?)');
-const insertCategory = db.prepare('INSERT INTO drug_categories (drug_id, category) VALUES (?, ?)');
+const insertTargetEntity = db.prepare(`INSERT OR IGNORE INTO targets (target_id, ${TARGET_ENTITY_FIELDS.join(', ')}) VALUES (?${', ?'.repeat(TARGET_ENTITY_FIELDS.length)})`);
+const insertTarget = db.prepare('INSERT INTO drug_targets (drug_id, position, target_id, target_name, organism, known_action, actions) VALUES (?, ?, ?, ?, ?, ?, ?)');
+const insertGroup = db.prepare('INSERT INTO drug_groups (drug_id, group_name) VALUES (?, ?)');
+const insertCategory = db.prepare('INSERT INTO drug_categories (drug_id, category, mesh_id) VALUES (?, ?, ?)');
+const insertFoodInteraction = db.prepare('INSERT INTO drug_food_interactions (drug_id, position, description, category) VALUES (?, ?, ?, ?)');
+const insertChemicalClass = db.prepare('INSERT INTO drug_chemical_classes (drug_id, position, level, name) VALUES (?, ?, ?, ?)');
+const insertAtcCode = db.prepare('INSERT OR IGNORE INTO atc_codes (code, name, level, parent_code) VALUES (?, ?, ?, ?)');
+const insertDrugAtcCode = db.prepare('INSERT INTO drug_atc_codes (drug_id, code) VALUES (?, ?)');
 const insertCarrier = db.prepare('INSERT INTO drug_carriers (drug_id, carrier_id, carrier_name, organism, known_action) VALUES (?, ?, ?, ?, ?)');
 const insertTransporter = db.prepare('INSERT INTO drug_transporters (drug_id, transporter_id, transporter_name, organism, known_action) VALUES (?, ?, ?, ?, ?)');
+const insertEnzyme = db.prepare(`
+  INSERT INTO drug_enzymes (
+    drug_id, position, enzyme_id, enzyme_name, gene_name, uniprot_id, organism, known_action, actions,
+    substrate, inhibitor, inducer, inhibition_strength, induction_strength
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
 const insertSalt = db.prepare('INSERT INTO drug_salts (drug_id, salt_id, salt_name, unii, cas_number, inchikey, average_mass) VALUES (?, ?, ?, ?, ?, ?, ?)');
+const insertInteraction = db.prepare('INSERT INTO drug_interactions (drug_id, interacting_id, name, description, effect_type, mechanism, effect_direction, severity) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+const insertProperties = db.prepare(`INSERT INTO drug_properties (drug_id, ${PROPERTY_NAMES.join(', ')}) VALUES (?${', ?'.repeat(PROPERTY_NAMES.length)})`);
+const insertProduct = db.prepare(`INSERT INTO drug_products (drug_id, position, ${PRODUCT_FIELDS.join(', ')}) VALUES (?, ?${', ?'.repeat(PRODUCT_FIELDS.length)})`);
+const insertName = db.prepare('INSERT INTO drug_names (drug_id, name, name_type) VALUES (?, ?, ?)');
+const insertBrand = db.prepare('INSERT INTO drug_international_brands (drug_id, name, company) VALUES (?, ?, ?)');
+const insertStructure = db.prepare('INSERT INTO drug_structures (drug_id, smiles, inchi, inchikey, fingerprint, bit_count, screen) VALUES (?, ?, ?, ?, ?, ?, ?)');
 
 // Create a simple transaction wrapper that processes ONE drug at a time
-const insertOneDrug = db.transaction((drugbankId, drugParams, targets, categories, carriers, transporters, salts) => {
+const insertOneDrug = db.transaction((drugbankId, drugParams, targets, groups, categories, chemicalClasses, foodInteractions, atcRows, carriers, transporters, enzymes, salts, interactions, structure, properties, products, brands, names) => {
   insertDrug.run(...drugParams);
 
-  for (const target of targets) {
-    if (target.name) {
-      insertTarget.run(drugbankId, target.name, target.organism || null);
+  for (const { name, name_type } of names) {
+    insertName.run(drugbankId, name, name_type);
+  }
+
+  targets.forEach((target, position) => {
+    const row = toTargetRow(target);
+    if (row.target_id) {
+      insertTargetEntity.run(row.target_id, ...TARGET_ENTITY_FIELDS.map(field => row[field]));
     }
+    insertTarget.run(drugbankId, position, row.target_id, row.name, row.organism, row.known_action, JSON.stringify(row.actions));
+  });
+
+  for (const group of groups) {
+    insertGroup.run(drugbankId, group);
+  }
+
+  for (const { category, mesh_id } of categories) {
+    insertCategory.run(drugbankId, category, mesh_id);
+  }
+
+  chemicalClasses.forEach(({ level, name }, position) => {
+    insertChemicalClass.run(drugbankId, position, level, name);
+  });
+
+  for (const { position, description, category } of foodInteractions) {
+    insertFoodInteraction.run(drugbankId, position, description, category);
   }
 
-  for (const category of categories) {
-    insertCategory.run(drugbankId, category);
+  for (const row of atcRows) {
+    insertAtcCode.run(row.code, row.name, row.level, row.parent_code);
+    if (row.level === 5) insertDrugAtcCode.run(drugbankId, row.code);
   }
 
   for (const carrier of carriers) {
@@ -233,261 +517,48 @@ const insertOneDrug = db.transaction((drugbankId, drugParams, targets, categorie
     }
   }
 
+  enzymes.forEach((enzyme, position) => {
+    const row = toEnzymeRow(enzyme);
+    insertEnzyme.run(
+      drugbankId, position, row.enzyme_id, row.name, row.gene_name, row.uniprot_id, row.organism, row.known_action,
+      JSON.stringify(row.actions), ...ENZYME_ROLES.map(role => Number(row.roles.includes(role))),
+      row.inhibition_strength, row.induction_strength
+    );
+  });
+
   for (const salt of salts) {
     if (salt.name) {
       insertSalt.run(drugbankId, salt.id || null, salt.name, salt.unii || null, salt.cas_number || null, salt.inchikey || null, salt.average_mass || null);
     }
   }
-});
-
-// Helper functions
-function getPrimaryDrugBankId(drug) {
-  if (!drug['drugbank-id']) return null;
-  let ids = drug['drugbank-id'];
-  if (!Array.isArray(ids)) ids = [ids];
 
-  // xml-stream uses '$' for attributes and '$text' for text
-  const primaryId = ids.find(id => {
-    if (typeof id === 'string') return false;
-    return id.$?.primary === 'true' || id.$?.primary === true;
-  });
-
-  if (primaryId) {
-    return typeof primaryId === 'string' ? primaryId : (primaryId.$text || primaryId);
+  for (const interaction of interactions) {
+    const { effect_type, mechanism, effect_direction, severity } = classifyInteraction(interaction.description);
+    insertInteraction.run(drugbankId, interaction.drugbank_id, interaction.name, interaction.description, effect_type, mechanism, effect_direction, severity);
   }
 
-  return typeof ids[0] === 'string' ? ids[0] : (ids[0].$text || ids[0]);
-}
-
-function getAllIds(drug) {
-  if (!drug['drugbank-id']) return [];
-  let ids = drug['drugbank-id'];
-  if (!Array.isArray(ids)) ids = [ids];
-  return ids.map(id => typeof id === 'string' ? id : (id.$text || id)).filter(Boolean);
-}
-
-function extractArray(data) {
-  if (!data) return [];
-  return Array.isArray(data) ? data : [data];
-}
-
-function extractGroups(drug) {
-  const groups = drug.groups?.group || [];
-  return extractArray(groups);
-}
-
-function extractCategories(drug) {
-  const cats = drug.categories?.category || [];
-  const catArray = extractArray(cats);
-  return catArray.map(cat => typeof cat === 'string' ? cat : cat.category || cat['#text']).filter(Boolean);
-}
-
-function extractSynonyms(drug) {
-  const syns = drug.synonyms?.synonym || [];
-  const synArray = extractArray(syns);
-  return synArray.map(syn => typeof syn === 'string' ? syn : syn['#text']).filter(Boolean);
-}
-
-function extractCalculatedProperties(drug) {
-  const props = drug['calculated-properties']?.property || [];
-  const propArray = extractArray(props);
-  const result = {};
-  propArray.forEach(prop => {
-    if (prop.kind && prop.value) result[prop.kind] = prop.value;
-  });
-  return result;
-}
-
-function extractExternalIdentifiers(drug) {
-  const ids = drug['external-identifiers']?.['external-identifier'] || [];
-  const idArray = extractArray(ids);
-  const result = {};
-  idArray.forEach(id => {
-    if (id.resource && id.identifier) result[id.resource] = id.identifier;
-  });
-  return result;
-}
-
-function extractDrugInteractions(drug) {
-  const interactions = drug['drug-interactions']?.['drug-interaction'] || [];
-  const intArray = extractArray(interactions);
-  return intArray.map(int => ({
-    drugbank_id: int['drugbank-id'] || null,
-    name: int.name || null,
-    description: int.description || null
-  }));
-}
-
-function extractFoodInteractions(drug) {
-  const interactions = drug['food-interactions']?.['food-interaction'] || [];
-  return extractArray(interactions);
-}
-
-function extractTargets(drug) {
-  const targets = drug.targets?.target || [];
-  const targetArray = extractArray(targets);
-  return targetArray.map(t => ({
-    id: t.id || null,
-    name: t.name || null,
-    organism: t.organism || null,
-    known_action: t['known-action'] || null
-  }));
-}
-
-function extractEnzymes(drug) {
-  const enzymes = drug.enzymes?.enzyme || [];
-  const enzymeArray = extractArray(enzymes);
-  return enzymeArray.map(e => ({
-    id: e.id || null,
-    name: e.name || null,
-    organism: e.organism || null
-  }));
-}
-
-function extractCarriers(drug) {
-  const carriers = drug.carriers?.carrier || [];
-  const carrierArray = extractArray(carriers);
-  return carrierArray.map(c => ({
-    id: c.id || null,
-    name: c.name || null,
-    organism: c.organism || null,
-    known_action: c['known-action'] || null
-  }));
-}
-
-function extractTransporters(drug) {
-  const transporters = drug.transporters?.transporter || [];
-  const transporterArray = extractArray(transporters);
-  return transporterArray.map(t => ({
-    id: t.id || null,
-    name: t.name || null,
-    organism: t.organism || null,
-    known_action: t['known-action'] || null
-  }));
-}
+  if (structure) {
+    const fingerprint = structure.fingerprint ? Buffer.from(structure.fingerprint) : null;
+    const screen = structure.screen ? Buffer.from(structure.screen) : null;
+    insertStructure.run(drugbankId, structure.smiles, structure.inchi, structure.inchikey, fingerprint, structure.bit_count, screen);
+  }
 
-function extractSalts(drug) {
-  const salts = drug.salts?.salt || [];
-  const saltArray = extractArray(salts);
-  return saltArray.map(s => {
-    // drugbank-id can be an array (due to xml.collect) or a single value
-    let saltId = null;
-    const dbId = s['drugbank-id'];
-    if (dbId) {
-      if (Array.isArray(dbId)) {
-        // Find primary ID or use first
-        const primary = dbId.find(id => id.$?.primary === 'true' || id.$?.primary === true);
-        const idObj = primary || dbId[0];
-        saltId = typeof idObj === 'string' ? idObj : (idObj.$text || null);
-      } else if (typeof dbId === 'string') {
-        saltId = dbId;
-      } else {
-        saltId = dbId.$text || null;
-      }
-    }
-    return {
-      id: saltId,
-      name: s.name || null,
-      unii: s.unii || null,
-      cas_number: s['cas-number'] || null,
-      inchikey: s.inchikey || null,
-      average_mass: s['average-mass'] ? parseFloat(s['average-mass']) : null
-    };
+  products.forEach((product, position) => {
+    const row = toProductRow(product);
+    insertProduct.run(drugbankId, position, ...PRODUCT_FIELDS.map(field => typeof row[field] === 'boolean' ? Number(row[field]) : row[field]));
   });
-}
-
-function extractPathways(drug) {
-  const pathways = drug.pathways?.pathway || [];
-  const pathwayArray = extractArray(pathways);
-  return pathwayArray.map(p => ({
-    smpdb_id: p['smpdb-id'] || null,
-    name: p.name || null,
-    category: p.category || null
-  }));
-}
-
-function extractProducts(drug) {
-  const products = drug.products?.product || [];
-  const productArray = extractArray(products);
-  return productArray.map(p => ({
-    name: p.name || null,
-    labeller: p.labeller || null,
-    country: p.country || null,
-    approved: p.approved || null
-  }));
-}
-
-function extractAtcCodes(drug) {
-  const codes = drug['atc-codes']?.['atc-code'] || [];
-  const codeArray = extractArray(codes);
-  return codeArray.map(code => {
-    if (typeof code === 'string') return code;
-    // xml-stream uses '$' for attributes
-    return code.$?.code || code.$text || null;
-  }).filter(Boolean);
-}
 
-/**
- * Parse half-life text into hours (normalized)
- * Handles various formats like:
- * - "4-5 hours"
- * - "11-12 min"
- * - "25 ± 10 hours"
- * - "approximately 10 minutes"
- * - "1.3 hours"
- * - "3.5h"
- * - "2 days"
- * Returns the average/middle value in hours, or null if unparseable
- */
-function parseHalfLifeToHours(halfLifeText) {
-  if (!halfLifeText || typeof halfLifeText !== 'string') return null;
-
-  // Normalize text
-  const text = halfLifeText.toLowerCase().trim();
-
-  // Common patterns to extract numeric values with units
-  const patterns = [
-    // Range with hyphen: "4-5 hours", "11-12 min"
-    /(\d+(?:\.\d+)?)\s*[-\u2013to]+\s*(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|min|days?|d|weeks?|wks?|w)/i,
-    // With \u00b1 or plus/minus: "25 \u00b1 10 hours"
-    /(\d+(?:\.\d+)?)\s*[\u00b1\+\-\/]\s*(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|min|days?|d|weeks?|wks?|w)/i,
-    // Simple value with unit: "1.3 hours", "10 minutes"
-    /(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|min|days?|d|weeks?|wks?|w)/i,
-    // Approximate: "approximately 10 minutes"
-    /(?:approximately|about|~|circa|around)\s*(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|min|days?|d|weeks?|wks?|w)/i,
-  ];
-
-  for (const pattern of patterns) {
-    const match = text.match(pattern);
-    if (match) {
-      let value;
-      let unit = match[match.length - 1]; // Last capture group is always unit
-
-      if (match.length === 4) {
-        // Range or \u00b1: take average
-        const val1 = parseFloat(match[1]);
-        const val2 = parseFloat(match[2]);
-        value = (val1 + val2) / 2;
-      } else {
-        value = parseFloat(match[1]);
-      }
-
-      // Convert to hours
-      if (/^(minutes?|mins?|min)$/i.test(unit)) {
-        return value / 60;
-      } else if (/^(days?|d)$/i.test(unit)) {
-        return value * 24;
-      } else if (/^(weeks?|wks?|w)$/i.test(unit)) {
-        return value * 24 * 7;
-      } else {
-        // hours
-        return value;
-      }
-    }
+  for (const brand of brands) {
+    insertBrand.run(drugbankId, brand.name, brand.company);
   }
 
-  return null;
-}
+  if (Object.values(properties).some(value => value !== null)) {
+    insertProperties.run(drugbankId, ...PROPERTY_NAMES.map(name => {
+      const value = properties[name];
+      return typeof value === 'boolean' ? Number(value) : value;
+    }));
+  }
+});
 
 // Process drugs using streaming
 const stream = fs.createReadStream(XML_FILE);
@@ -509,78 +580,58 @@ xml.collect('carrier');
 xml.collect('transporter');
 xml.collect('pathway');
 xml.collect('product');
+xml.collect('international-brand');
 xml.collect('atc-code');
+xml.collect('level');
+xml.collect('alternative-parent');
+xml.collect('substituent');
 xml.collect('salt');
+xml.collect('action');
+xml.collect('polypeptide');
+xml.collect('uniprot-id');
+xml.collect('pathway drug');
 
 let count = 0;
 let seenIds = new Set();
 
 xml.on('endElement: drug', function(drug) {
+  let drugbankId = null;
   try {
     // Only process top-level drug elements (with type attribute)
     // Skip nested drug references (they don't have type attribute)
     if (!drug.$ || !drug.$.type) return;
 
-    const drugbankId = getPrimaryDrugBankId(drug);
-    if (!drugbankId) return;
+    const record = extractDrugRecord(drug);
+    if (!record) return;
+    drugbankId = record.drugbank_id;
 
     // Skip duplicates (xml-stream may emit multiple times for nested structures)
     if (seenIds.has(drugbankId)) return;
     seenIds.add(drugbankId);
 
-    const categories = extractCategories(drug);
-    const targets = extractTargets(drug);
-    const carriers = extractCarriers(drug);
-    const transporters = extractTransporters(drug);
-    const salts = extractSalts(drug);
-
-    // Parse half-life to normalized hours
-    const halfLifeText = drug['half-life'] || null;
-    const halfLifeHours = parseHalfLifeToHours(halfLifeText);
-
     // Insert immediately using transaction (not batching in memory)
     insertOneDrug(
       drugbankId,
       [
-        drugbankId,
-        drug.name || null,
-        drug.description || null,
-        drug['cas-number'] || null,
-        drug.unii || null,
-        drug.state || null,
-        drug.indication || null,
-        drug.pharmacodynamics || null,
-        drug['mechanism-of-action'] || null,
-        drug.toxicity || null,
-        drug.absorption || null,
-        drug.metabolism || null,
-        halfLifeText,
-        halfLifeHours,
-        drug['protein-binding'] || null,
-        drug['route-of-elimination'] || null,
-        drug['average-mass'] || null,
-        drug['monoisotopic-mass'] || null,
-        JSON.stringify(getAllIds(drug)),
-        JSON.stringify(extractGroups(drug)),
-        JSON.stringify(categories),
-        JSON.stringify(extractSynonyms(drug)),
-        JSON.stringify(extractCalculatedProperties(drug)),
-        JSON.stringify(extractExternalIdentifiers(drug)),
-        JSON.stringify(extractDrugInteractions(drug)),
-        JSON.stringify(extractFoodInteractions(drug)),
-        JSON.stringify(targets),
-        JSON.stringify(extractEnzymes(drug)),
-        JSON.stringify(carriers),
-        JSON.stringify(transporters),
-        JSON.stringify(extractPathways(drug)),
-        JSON.stringify(extractProducts(drug)),
-        JSON.stringify(extractAtcCodes(drug))
+        ...SCALAR_COLUMNS.map(column => record[column]),
+        ...JSON_COLUMNS.map(column => JSON.stringify(record[column]))
       ],
-      targets.filter(t => t.name),
-      categories,
-      carriers.filter(c => c.name),
-      transporters.filter(t => t.name),
-      salts.filter(s => s.name)
+      record.targets.filter(t => t.name),
+      record.groups,
+      toCategoryRows(record),
+      toChemicalClassRows(record.classification),
+      toFoodInteractionRows(record.food_interactions),
+      toAtcRows(record.atc_hierarchy, record.name),
+      record.carriers.filter(c => c.name),
+      record.transporters.filter(t => t.name),
+      record.enzymes.filter(e => e.name),
+      extractSalts(drug).filter(s => s.name),
+      record.drug_interactions.filter(i => i.drugbank_id),
+      extractStructure(record),
+      extractProperties(record),
+      record.products,
+      record.international_brands,
+      extractSearchNames(record)
     );
 
     count++;
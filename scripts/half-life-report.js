@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Half-life parsing report
+ *
+ * Re-parses every half-life text in the SQLite database with the current parser
+ * and lists the texts it cannot read and those it reads with low confidence,
+ * so coverage can be compared across DrugBank releases
+ *
+ * Usage:
+ *   node scripts/half-life-report.js [--json] [--limit N]
+ *
+ * Examples:
+ *   node scripts/half-life-report.js             # Summary and every unparsed or ambiguous text
+ *   node scripts/half-life-report.js --limit 20  # At most 20 drugs per list
+ *   node scripts/half-life-report.js --json      # Machine-readable, e.g. to diff releases
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { HALF_LIFE_CONFIDENCE_LEVELS, parseHalfLife } from '../src/pharmacokinetics.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const DB_FILE = path.join(DATA_DIR, 'drugbank.db');
+const VERSION_FILE = path.join(DATA_DIR, 'VERSION');
+
+// Characters of each text shown in the plain report
+const TEXT_PREVIEW_LENGTH = 160;
+
+function parseArgs(args) {
+  const options = { json: false, limit: null };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--json') {
+      options.json = true;
+    } else if (args[i] === '--limit') {
+      options.limit = parseInt(args[++i], 10);
+      if (!Number.isInteger(options.limit) || options.limit < 0) {
+        throw new Error('--limit must be a non-negative integer');
+      }
+    } else {
+      throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Parse each drug's half-life: { version, total, parsed, confidence (counts per
+ * level), unparsed [{ drugbank_id, name, half_life }], ambiguous [... with
+ * half_life_hours, matched_text] }
+ */
+function buildReport(drugs) {
+  const report = {
+    version: fs.existsSync(VERSION_FILE) ? fs.readFileSync(VERSION_FILE, 'utf8').trim() : null,
+    total: drugs.length,
+    parsed: 0,
+    confidence: Object.fromEntries(HALF_LIFE_CONFIDENCE_LEVELS.map(level => [level, 0])),
+    unparsed: [],
+    ambiguous: []
+  };
+
+  for (const { drugbank_id, name, half_life } of drugs) {
+    const parsed = parseHalfLife(half_life);
+    if (!parsed) {
+      report.unparsed.push({ drugbank_id, name, half_life });
+      continue;
+    }
+
+    report.parsed++;
+    report.confidence[parsed.confidence]++;
+    if (parsed.confidence === 'low') {
+      report.ambiguous.push({ drugbank_id, name, half_life, half_life_hours: parsed.typical, matched_text: parsed.matched_text });
+    }
+  }
+
+  return report;
+}
+
+function percentOf(count, total) {
+  return total ? `${(100 * count / total).toFixed(1)}%` : '-';
+}
+
+function preview(text) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > TEXT_PREVIEW_LENGTH ? `${flat.slice(0, TEXT_PREVIEW_LENGTH)}…` : flat;
+}
+
+function printList(title, entries, limit, describe) {
+  const shown = limit === null ? entries : entries.slice(0, limit);
+  console.log(`\n${title} (${entries.length}${shown.length < entries.length ? `, showing ${shown.length}` : ''}):`);
+  for (const entry of shown) {
+    console.log(`  ${entry.drugbank_id} ${entry.name}: ${describe(entry)}`);
+  }
+}
+
+function printReport(report, limit) {
+  console.log(`Half-life parsing report${report.version ? ` (DrugBank ${report.version})` : ''}`);
+  console.log(`  Drugs with half-life text: ${report.total}`);
+  console.log(`  Parsed: ${report.parsed} (${percentOf(report.parsed, report.total)})`);
+  for (const level of HALF_LIFE_CONFIDENCE_LEVELS) {
+    console.log(`    ${level} confidence: ${report.confidence[level]} (${percentOf(report.confidence[level], report.total)})`);
+  }
+  console.log(`  Unparsed: ${report.unparsed.length} (${percentOf(report.unparsed.length, report.total)})`);
+
+  printList('Unparsed', report.unparsed, limit, entry => preview(entry.half_life));
+  printList('Ambiguous (low confidence)', report.ambiguous, limit,
+    entry => `${entry.half_life_hours} h from "${entry.matched_text}" in: ${preview(entry.half_life)}`);
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`[Half-life Report] ${error.message}`);
+  process.exit(1);
+}
+
+if (!fs.existsSync(DB_FILE)) {
+  console.error(`[Half-life Report] Database not found: ${DB_FILE}`);
+  console.error('[Half-life Report] Run "npm run build:db" or "npm run download:db" first');
+  process.exit(1);
+}
+
+const db = new Database(DB_FILE, { readonly: true });
+const drugs = db.prepare(`
+  SELECT drugbank_id, name, half_life
+  FROM drugs
+  WHERE half_life IS NOT NULL AND TRIM(half_life) != ''
+  ORDER BY drugbank_id
+`).all();
+db.close();
+
+const report = buildReport(drugs);
+
+if (options.json) {
+  const limited = list => options.limit === null ? list : list.slice(0, options.limit);
+  console.log(JSON.stringify({ ...report, unparsed: limited(report.unparsed), ambiguous: limited(report.ambiguous) }, null, 2));
+} else {
+  printReport(report, options.limit);
+}
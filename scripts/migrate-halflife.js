@@ -1,109 +1,86 @@
 #!/usr/bin/env node
 
 /**
- * Migration script to add half_life_hours column to existing database
- * Parses freetext half_life values into normalized hours
+ * Migration script to re-parse the pharmacokinetic fields of an existing database
+ * Writes what build-db.js writes from the free-text fields: the typical-value
+ * columns (half_life_hours, protein_binding_percent, volume_of_distribution_l_kg,
+ * clearance_ml_min_kg) and the pharmacokinetics JSON, for every drug, so rows the
+ * current parser cannot read become null
  */
 
 import Database from 'better-sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { PK_PARAMETERS, extractPharmacokinetics } from '../src/pharmacokinetics.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const DB_FILE = path.join(__dirname, '..', 'data', 'drugbank.db');
 
-console.log('[Migration] Adding half_life_hours column...');
+const TEXT_FIELDS = Object.keys(PK_PARAMETERS);
+
+console.log('[Migration] Re-parsing pharmacokinetic fields...');
 
 const db = new Database(DB_FILE);
 
-// Check if column already exists
-const tableInfo = db.prepare("PRAGMA table_info(drugs)").all();
-const hasColumn = tableInfo.some(col => col.name === 'half_life_hours');
+// Add the columns databases built before them lack
+const existing = new Set(db.prepare('PRAGMA table_info(drugs)').all().map(col => col.name));
+const missingText = TEXT_FIELDS.filter(field => !existing.has(field));
 
-if (hasColumn) {
-  console.log('[Migration] Column half_life_hours already exists, updating values...');
-} else {
-  console.log('[Migration] Adding half_life_hours column...');
-  db.exec('ALTER TABLE drugs ADD COLUMN half_life_hours REAL');
-  db.exec('CREATE INDEX IF NOT EXISTS idx_half_life_hours ON drugs(half_life_hours)');
+for (const field of missingText) {
+  db.exec(`ALTER TABLE drugs ADD COLUMN ${field} TEXT`);
+}
+for (const { column } of Object.values(PK_PARAMETERS)) {
+  if (existing.has(column)) continue;
+  console.log(`[Migration] Adding ${column} column...`);
+  db.exec(`ALTER TABLE drugs ADD COLUMN ${column} REAL`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_${column} ON drugs(${column})`);
+}
+if (!existing.has('pharmacokinetics')) {
+  db.exec('ALTER TABLE drugs ADD COLUMN pharmacokinetics TEXT');
 }
 
-/**
- * Parse half-life text into hours (normalized)
- */
-function parseHalfLifeToHours(halfLifeText) {
-  if (!halfLifeText || typeof halfLifeText !== 'string') return null;
-
-  const text = halfLifeText.toLowerCase().trim();
-
-  const patterns = [
-    // Range with hyphen: "4-5 hours", "11-12 min"
-    /(\d+(?:\.\d+)?)\s*[-–to]+\s*(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|min|days?|d|weeks?|wks?|w)/i,
-    // With ± or plus/minus: "25 ± 10 hours"
-    /(\d+(?:\.\d+)?)\s*[±\+\-\/]\s*(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|min|days?|d|weeks?|wks?|w)/i,
-    // Simple value with unit: "1.3 hours", "10 minutes"
-    /(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|min|days?|d|weeks?|wks?|w)/i,
-    // Approximate: "approximately 10 minutes"
-    /(?:approximately|about|~|circa|around)\s*(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|min|days?|d|weeks?|wks?|w)/i,
-  ];
-
-  for (const pattern of patterns) {
-    const match = text.match(pattern);
-    if (match) {
-      let value;
-      let unit = match[match.length - 1];
-
-      if (match.length === 4) {
-        const val1 = parseFloat(match[1]);
-        const val2 = parseFloat(match[2]);
-        value = (val1 + val2) / 2;
-      } else {
-        value = parseFloat(match[1]);
-      }
-
-      if (/^(minutes?|mins?|min)$/i.test(unit)) {
-        return value / 60;
-      } else if (/^(days?|d)$/i.test(unit)) {
-        return value * 24;
-      } else if (/^(weeks?|wks?|w)$/i.test(unit)) {
-        return value * 24 * 7;
-      } else {
-        return value;
-      }
-    }
-  }
-
-  return null;
+if (missingText.length > 0) {
+  console.log(`[Migration] The database has no ${missingText.join(', ')} text; run "npm run build:db" to parse them`);
 }
 
-// Get all drugs with half_life data
-const drugs = db.prepare('SELECT drugbank_id, half_life FROM drugs WHERE half_life IS NOT NULL').all();
+const drugs = db.prepare(`SELECT drugbank_id, ${TEXT_FIELDS.join(', ')} FROM drugs`).all();
 
-console.log(`[Migration] Processing ${drugs.length} drugs with half-life data...`);
+console.log(`[Migration] Processing ${drugs.length} drugs...`);
 
-const updateStmt = db.prepare('UPDATE drugs SET half_life_hours = ? WHERE drugbank_id = ?');
+const columns = Object.values(PK_PARAMETERS).map(({ column }) => column);
+const updateStmt = db.prepare(`
+  UPDATE drugs SET ${[...columns, 'pharmacokinetics'].map(column => `${column} = ?`).join(', ')}
+  WHERE drugbank_id = ?
+`);
 
-let parsed = 0;
-let failed = 0;
+// Drugs with text for each parameter, and how many of those parsed
+const counts = Object.fromEntries(TEXT_FIELDS.map(field => [field, { text: 0, parsed: 0 }]));
 
 const updateAll = db.transaction(() => {
   for (const drug of drugs) {
-    const hours = parseHalfLifeToHours(drug.half_life);
-    if (hours !== null) {
-      updateStmt.run(hours, drug.drugbank_id);
-      parsed++;
-    } else {
-      failed++;
+    const pharmacokinetics = extractPharmacokinetics(drug);
+
+    for (const field of TEXT_FIELDS) {
+      if (drug[field]) counts[field].text++;
+      if (pharmacokinetics[field]) counts[field].parsed++;
     }
+
+    updateStmt.run(
+      ...TEXT_FIELDS.map(field => pharmacokinetics[field]?.typical ?? null),
+      JSON.stringify(pharmacokinetics),
+      drug.drugbank_id
+    );
   }
 });
 
 updateAll();
 
-console.log(`[Migration] Successfully parsed: ${parsed}`);
-console.log(`[Migration] Could not parse: ${failed}`);
+for (const field of TEXT_FIELDS) {
+  const { text, parsed } = counts[field];
+  console.log(`[Migration] ${field}: parsed ${parsed} of ${text}, could not parse ${text - parsed}`);
+}
 
 // Show some examples
 const examples = db.prepare(`
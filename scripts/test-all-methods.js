@@ -5,6 +5,7 @@
  */
 
 import { handleDrugBankInfo } from '../src/drugbank-api.js';
+import { buildFoodGuidance } from '../src/food-interactions.js';
 
 const tests = [];
 let passed = 0;
@@ -63,6 +64,39 @@ test('search_by_name: returns drug summaries with required fields', async () =>
   }
 });
 
+test('search_by_name: matches synonyms and ranks exact matches first', async () => {
+  const synonym = await handleDrugBankInfo({ method: 'search_by_name', query: 'Aspirin', limit: 5 });
+  assert(synonym.results[0]?.drugbank_id === 'DB00945', 'Should find aspirin by its synonym');
+  assert(synonym.results[0].match_type === 'synonym', `Should report a synonym match, got ${synonym.results[0].match_type}`);
+
+  const exact = await handleDrugBankInfo({ method: 'search_by_name', query: 'acetylsalicylic acid', limit: 5 });
+  assert(exact.results[0]?.match_type === 'exact', 'Should report an exact name match first');
+  assert(typeof exact.results[0].score === 'number', 'Should score name matches');
+});
+
+test('search_by_name: tolerates typos', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_name', query: 'warfrin', limit: 5 });
+  const warfarin = result.results.find(r => r.drugbank_id === 'DB00682');
+  assert(warfarin, 'Should find warfarin despite the typo');
+  assert(warfarin.match_type === 'fuzzy' && warfarin.matched_name === 'Warfarin', 'Should report a fuzzy match on the name');
+});
+
+test('search_by_name: treats query syntax characters as text', async () => {
+  for (const query of ['5-fluorouracil', 'COX-2 AND "x', 'NEAR(']) {
+    const result = await handleDrugBankInfo({ method: 'search_by_name', query });
+    assert(!result.error, `"${query}" should not error: ${result.error}`);
+  }
+});
+
+test('search_by_name: falls back to brand names', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_name', query: 'Coumadin', limit: 5 });
+  assert(!result.error, `Got error: ${result.error}`);
+  const warfarin = result.results.find(r => r.drugbank_id === 'DB00682');
+  assert(warfarin, 'Should find warfarin by its brand name');
+  assert(warfarin.match_type === 'brand', `Should report a brand match, got ${warfarin.match_type}`);
+  assert(warfarin.matched_brand === 'Coumadin', 'Should name the matched brand');
+});
+
 test('search_by_name: requires query parameter', async () => {
   const result = await handleDrugBankInfo({ method: 'search_by_name' });
   assert(result.error, 'Should return error without query');
@@ -98,6 +132,13 @@ test('get_drug_details: requires drugbank_id parameter', async () => {
   assert(result.error, 'Should return error without drugbank_id');
 });
 
+test('get_drug_details: accepts lowercase DrugBank IDs, as every method does', async () => {
+  const details = await handleDrugBankInfo({ method: 'get_drug_details', drugbank_id: ' db00682' });
+  assert(!details.error && details.drug.drugbank_id === 'DB00682', 'Should find the drug by a lowercase ID');
+  const interactions = await handleDrugBankInfo({ method: 'get_drug_interactions', drugbank_id: 'db00682' });
+  assert(!interactions.error && interactions.drugbank_id === 'DB00682', 'Should echo the normalized ID');
+});
+
 // ============================================================
 // 3. search_by_indication
 // ============================================================
@@ -108,6 +149,43 @@ test('search_by_indication: finds drugs by indication', async () => {
   assert(Array.isArray(result.results), 'Should return results array');
 });
 
+test('search_by_indication: treats punctuation and operators in plain queries as text', async () => {
+  for (const query of ['5-fluorouracil', 'COX-2 inhibitor', 'pain AND (fever', 'NEAR "x']) {
+    const result = await handleDrugBankInfo({ method: 'search_by_indication', query });
+    assert(!result.error, `"${query}" should not error: ${result.error}`);
+  }
+  const hyphenated = await handleDrugBankInfo({ method: 'search_by_indication', query: 'heparin-induced thrombocytopenia' });
+  assert(hyphenated.results.some(r => r.drugbank_id === 'DB00006'), 'Should match hyphenated words');
+});
+
+test('search_by_indication: supports advanced syntax', async () => {
+  const search = query => handleDrugBankInfo({ method: 'search_by_indication', query, syntax: 'advanced' });
+
+  const excluded = await search('pain NOT arthritis');
+  assert(!excluded.error, `Got error: ${excluded.error}`);
+  assert(excluded.results.some(r => r.drugbank_id === 'DB00945'), 'Should keep aspirin');
+  assert(!excluded.results.some(r => r.drugbank_id === 'DB00328'), 'Should exclude indomethacin (arthritis)');
+
+  const either = await search('pain OR fungal');
+  assert(either.results.some(r => r.drugbank_id === 'DB01026'), 'Should find ketoconazole (fungal)');
+
+  const scoped = await search('mechanism:thrombin');
+  assert(scoped.results.some(r => r.drugbank_id === 'DB00006'), 'Should search the mechanism of action');
+
+  const phrase = await search('"heparin-induced" AND prevention');
+  assert(phrase.count === 1 && phrase.results[0].drugbank_id === 'DB00006', 'Should combine a phrase with AND');
+});
+
+test('search_by_indication: reports advanced syntax errors', async () => {
+  for (const query of ['NOT pain', 'pain AND', '(pain', '"pain', 'dosage:oral']) {
+    const result = await handleDrugBankInfo({ method: 'search_by_indication', query, syntax: 'advanced' });
+    assert(result.error && result.error.startsWith('Invalid query'), `"${query}" should return a query error`);
+    assert(result.expected_format, 'Should describe the syntax');
+  }
+  const syntax = await handleDrugBankInfo({ method: 'search_by_indication', query: 'pain', syntax: 'regex' });
+  assert(syntax.error && syntax.valid_values, 'Should reject unknown syntaxes');
+});
+
 test('search_by_indication: requires query parameter', async () => {
   const result = await handleDrugBankInfo({ method: 'search_by_indication' });
   assert(result.error, 'Should return error without query');
@@ -148,6 +226,50 @@ test('get_drug_interactions: interaction has required fields', async () => {
   }
 });
 
+test('get_drug_interactions: paginates with limit/offset and total', async () => {
+  const first = await handleDrugBankInfo({ method: 'get_drug_interactions', drugbank_id: 'DB00945', limit: 1 });
+  assert(!first.error, `Got error: ${first.error}`);
+  assert(typeof first.total === 'number', 'Should have total');
+  assert(first.interactions.length <= 1, 'Should respect limit');
+  if (first.total > 1) {
+    const second = await handleDrugBankInfo({ method: 'get_drug_interactions', drugbank_id: 'DB00945', limit: 1, offset: 1 });
+    assert(second.interactions[0].drugbank_id !== first.interactions[0].drugbank_id, 'Pages should not overlap');
+  }
+});
+
+test('get_drug_interactions: reverse lookup finds drugs listing this drug', async () => {
+  const result = await handleDrugBankInfo({ method: 'get_drug_interactions', drugbank_id: 'DB00682', direction: 'reverse' });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.direction === 'reverse', 'Should echo direction');
+  assert(Array.isArray(result.interactions), 'Should return interactions array');
+  assert(!result.interactions.some(i => i.drugbank_id === 'DB00682'), 'Should not list the drug itself');
+});
+
+test('get_drug_interactions: interactions are classified', async () => {
+  const result = await handleDrugBankInfo({ method: 'get_drug_interactions', drugbank_id: 'DB00945', limit: 5 });
+  for (const interaction of result.interactions) {
+    assert('effect_type' in interaction, 'Interaction should have effect_type');
+    assert(['major', 'moderate', 'minor'].includes(interaction.severity), `Unexpected severity ${interaction.severity}`);
+  }
+});
+
+test('get_drug_interactions: filters by severity and effect_type', async () => {
+  const result = await handleDrugBankInfo({ method: 'get_drug_interactions', drugbank_id: 'DB00682', severity: 'major', effect_type: ['bleeding'] });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.interactions.every(i => i.severity === 'major' && i.effect_type === 'bleeding'), 'Should only return matching interactions');
+});
+
+test('get_drug_interactions: rejects unknown severity', async () => {
+  const result = await handleDrugBankInfo({ method: 'get_drug_interactions', drugbank_id: 'DB00945', severity: 'catastrophic' });
+  assert(result.error, 'Should return error for unknown severity');
+  assert(Array.isArray(result.valid_values), 'Should list valid values');
+});
+
+test('get_drug_interactions: rejects invalid direction', async () => {
+  const result = await handleDrugBankInfo({ method: 'get_drug_interactions', drugbank_id: 'DB00945', direction: 'sideways' });
+  assert(result.error, 'Should return error for invalid direction');
+});
+
 test('get_drug_interactions: requires drugbank_id parameter', async () => {
   const result = await handleDrugBankInfo({ method: 'get_drug_interactions' });
   assert(result.error, 'Should return error without drugbank_id');
@@ -163,9 +285,24 @@ test('search_by_atc_code: finds drugs by ATC code', async () => {
   assert(Array.isArray(result.results), 'Should return results array');
 });
 
+test('search_by_atc_code: finds every drug under a code at any level', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_atc_code', code: 'b01a' });
+  assert(result.code === 'B01A' && result.level === 3 && result.level_name === 'pharmacological subgroup', 'Should report the level');
+  const ids = result.results.map(r => r.drugbank_id);
+  assert(ids.includes('DB00682') && ids.includes('DB00945'), 'Should find warfarin (B01AA03) and aspirin (B01AC06)');
+  assert(result.results.every(r => r.matched_atc_codes.length > 0 && r.matched_atc_codes.every(code => code.startsWith('B01A'))),
+    'Should list the matched codes');
+
+  const aspirin = result.results.find(r => r.drugbank_id === 'DB00945');
+  assert(!aspirin.matched_atc_codes.includes('N02BA01'), 'Should only list codes under the searched one');
+});
+
 test('search_by_atc_code: requires code parameter', async () => {
   const result = await handleDrugBankInfo({ method: 'search_by_atc_code' });
   assert(result.error, 'Should return error without code');
+
+  const inner = await handleDrugBankInfo({ method: 'search_by_atc_code', code: 'AC06' });
+  assert(inner.error && inner.expected_format, 'Should reject codes that are not ATC prefixes');
 });
 
 // ============================================================
@@ -186,16 +323,40 @@ test('get_pathways: requires drugbank_id parameter', async () => {
 // ============================================================
 // 8. search_by_structure
 // ============================================================
-test('search_by_structure: finds drugs by SMILES', async () => {
-  const result = await handleDrugBankInfo({ method: 'search_by_structure', smiles: 'CC', limit: 5 });
+test('search_by_structure: ranks drugs by fingerprint similarity', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_structure', smiles: 'CC(=O)Oc1ccccc1C(=O)O', min_similarity: 0.3, limit: 5 });
   assert(!result.error, `Got error: ${result.error}`);
-  assert(result.count >= 0, 'Should return count');
-  assert(Array.isArray(result.results), 'Should return results array');
+  assert(result.match_type === 'similarity', 'Should be a similarity search');
+  assert(result.results[0]?.drugbank_id === 'DB00945', 'Aspirin SMILES should rank aspirin first');
+  assert(result.results[0].similarity === 1, 'Identical structure should have similarity 1');
+  assert(result.results.every(r => r.similarity >= 0.3), 'Results should meet min_similarity');
+});
+
+test('search_by_structure: Kekulé SMILES matches aromatic form', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_structure', smiles: 'CC(=O)OC1=CC=CC=C1C(O)=O', limit: 1 });
+  assert(result.results[0]?.drugbank_id === 'DB00945', 'Should find aspirin from Kekulé SMILES');
+});
+
+test('search_by_structure: exact lookup by InChIKey', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_structure', inchikey: 'bsynrymutxbxsq-uhfffaoysa-n' });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.match_type === 'exact', 'Should be an exact match');
+  assert(result.results.length === 1 && result.results[0].drugbank_id === 'DB00945', 'Should find aspirin');
+});
+
+test('search_by_structure: rejects invalid SMILES', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_structure', smiles: 'C1CC(' });
+  assert(result.error, 'Should return error for invalid SMILES');
+});
+
+test('search_by_structure: rejects out-of-range min_similarity', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_structure', smiles: 'CCO', min_similarity: 1.5 });
+  assert(result.error, 'Should return error for min_similarity > 1');
 });
 
-test('search_by_structure: requires smiles or inchi parameter', async () => {
+test('search_by_structure: requires smiles, inchi or inchikey parameter', async () => {
   const result = await handleDrugBankInfo({ method: 'search_by_structure' });
-  assert(result.error, 'Should return error without smiles/inchi');
+  assert(result.error, 'Should return error without smiles/inchi/inchikey');
 });
 
 // ============================================================
@@ -214,6 +375,37 @@ test('get_products: filters by country', async () => {
   assert(result.country_filter === 'US', 'Should show country filter');
 });
 
+test('get_products: returns full product records', async () => {
+  const result = await handleDrugBankInfo({ method: 'get_products', drugbank_id: 'DB00945', country: 'US' });
+  assert(result.product_count > 0, 'Aspirin should have US products');
+  const product = result.products[0];
+  for (const field of ['ndc_product_code', 'dosage_form', 'strength', 'route', 'started_marketing_on', 'labeller']) {
+    assert(product[field], `Product should have ${field}`);
+  }
+  assert(typeof product.generic === 'boolean' && typeof product.otc === 'boolean', 'generic/otc should be booleans');
+  assert(product.marketing_status, 'Product should have marketing_status');
+});
+
+test('get_products: filters by route, dosage form, generic/OTC and marketing status', async () => {
+  const base = { method: 'get_products', drugbank_id: 'DB00945' };
+  const oral = await handleDrugBankInfo({ ...base, route: 'oral', dosage_form: 'tablet' });
+  assert(oral.product_count > 0 && oral.products.every(p => /oral/i.test(p.route) && /tablet/i.test(p.dosage_form)), 'Should filter by route and dosage form');
+
+  const generic = await handleDrugBankInfo({ ...base, generic: true, otc: 'true' });
+  assert(generic.products.every(p => p.generic === true && p.otc === true), 'Should filter by generic/otc');
+
+  const discontinued = await handleDrugBankInfo({ ...base, marketing_status: 'discontinued' });
+  assert(discontinued.product_count > 0, 'Aspirin should have a discontinued product');
+  assert(discontinued.products.every(p => p.ended_marketing_on), 'Discontinued products should have an end date');
+});
+
+test('get_products: rejects invalid filters', async () => {
+  const status = await handleDrugBankInfo({ method: 'get_products', drugbank_id: 'DB00945', marketing_status: 'withdrawn' });
+  assert(status.error && status.valid_values, 'Should reject unknown marketing_status');
+  const generic = await handleDrugBankInfo({ method: 'get_products', drugbank_id: 'DB00945', generic: 'maybe' });
+  assert(generic.error, 'Should reject non-boolean generic');
+});
+
 test('get_products: requires drugbank_id parameter', async () => {
   const result = await handleDrugBankInfo({ method: 'get_products' });
   assert(result.error, 'Should return error without drugbank_id');
@@ -229,9 +421,27 @@ test('search_by_category: finds drugs by category', async () => {
   assert(Array.isArray(result.results), 'Should return results array');
 });
 
+test('search_by_category: exact matching and MeSH IDs', async () => {
+  const partial = await handleDrugBankInfo({ method: 'search_by_category', category: 'anti' });
+  const exact = await handleDrugBankInfo({ method: 'search_by_category', category: 'anticoagulants', match: 'exact' });
+  assert(exact.total === 3 && partial.total > exact.total, `Exact matching should narrow results, got ${exact.total} of ${partial.total}`);
+  assert(exact.results.every(r => r.matched_categories[0].category === 'Anticoagulants' && r.matched_categories[0].mesh_id === 'D000925'),
+    'Should list matched categories with MeSH IDs');
+
+  const byMesh = await handleDrugBankInfo({ method: 'search_by_category', mesh_id: 'd000925' });
+  assert(byMesh.mesh_id === 'D000925', 'Should normalize the MeSH ID');
+  assert(JSON.stringify(byMesh.results.map(r => r.drugbank_id)) === JSON.stringify(exact.results.map(r => r.drugbank_id)),
+    'MeSH ID should find the same drugs');
+});
+
 test('search_by_category: requires category parameter', async () => {
   const result = await handleDrugBankInfo({ method: 'search_by_category' });
   assert(result.error, 'Should return error without category');
+
+  const match = await handleDrugBankInfo({ method: 'search_by_category', category: 'anti', match: 'fuzzy' });
+  assert(match.error && match.valid_values, 'Should reject unknown match modes');
+  const mesh = await handleDrugBankInfo({ method: 'search_by_category', mesh_id: 'anticoagulants' });
+  assert(mesh.error && mesh.expected_format, 'Should reject invalid MeSH IDs');
 });
 
 // ============================================================
@@ -290,9 +500,21 @@ test('search_by_halflife: returns half_life_hours in results', async () => {
     assert('half_life_hours' in drug, 'Should have half_life_hours');
     assert('half_life' in drug, 'Should have original half_life text');
     assert(drug.half_life_hours >= 4 && drug.half_life_hours <= 8, 'half_life_hours should be in range');
+    assert(drug.parsed.typical === drug.half_life_hours && drug.parsed.unit === 'hours', 'Should include the parsed range');
   }
 });
 
+test('search_by_halflife: results carry confidence and the matched span', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_halflife', max_hours: 1 });
+  const aspirin = result.results.find(r => r.drugbank_id === 'DB00945');
+  assert(aspirin, 'Should find aspirin (15-20 minutes)');
+  assert(aspirin.parsed.matched_text === '15-20 minutes', `Should report the matched span, got ${aspirin.parsed.matched_text}`);
+  assert(aspirin.parsed.multiple_values && aspirin.parsed.confidence === 'low', 'Parent and metabolite values should be ambiguous');
+
+  const bivalirudin = result.results.find(r => r.drugbank_id === 'DB00006');
+  assert(bivalirudin && bivalirudin.parsed.confidence === 'high' && !bivalirudin.parsed.multiple_values, 'A single value should be trusted');
+});
+
 test('search_by_halflife: works with only min_hours', async () => {
   const result = await handleDrugBankInfo({ method: 'search_by_halflife', min_hours: 100, limit: 5 });
   assert(!result.error, `Got error: ${result.error}`);
@@ -314,6 +536,11 @@ test('search_by_halflife: requires at least one of min_hours or max_hours', asyn
   assert(result.error, 'Should return error without min_hours or max_hours');
 });
 
+test('search_by_halflife: rejects min_hours greater than max_hours', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_halflife', min_hours: 50, max_hours: 1 });
+  assert(result.error && result.hint, 'Should return error with hint for an inverted range');
+});
+
 // ============================================================
 // 13. get_similar_drugs (NEW)
 // ============================================================
@@ -425,6 +652,711 @@ test('get_salts: requires drugbank_id parameter', async () => {
   assert(result.error, 'Should return error without drugbank_id');
 });
 
+// ============================================================
+// 17. check_interactions
+// ============================================================
+test('check_interactions: returns pairwise interactions', async () => {
+  const result = await handleDrugBankInfo({ method: 'check_interactions', drugs: ['DB00945', 'DB00682', 'DB01026'] });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.drugs.length === 3, 'Should resolve all three drugs');
+  assert(result.pairs_checked === 3, 'Should check three pairs');
+  assert(Array.isArray(result.interactions), 'Should return interactions array');
+  assert(result.interaction_count === result.interactions.length, 'interaction_count should match interactions');
+});
+
+test('check_interactions: interaction pairs are unique with both names', async () => {
+  const result = await handleDrugBankInfo({ method: 'check_interactions', drugs: ['DB00945', 'DB00682', 'DB01026'] });
+  const keys = new Set();
+  for (const interaction of result.interactions) {
+    assert(interaction.drugbank_id_a < interaction.drugbank_id_b, 'Pair should be ordered');
+    assert(interaction.name_a && interaction.name_b, 'Pair should include both names');
+    assert('description' in interaction, 'Pair should have description');
+    const key = `${interaction.drugbank_id_a}|${interaction.drugbank_id_b}`;
+    assert(!keys.has(key), `Duplicate pair ${key}`);
+    keys.add(key);
+  }
+});
+
+test('check_interactions: resolves drug names and reports unresolved', async () => {
+  const result = await handleDrugBankInfo({ method: 'check_interactions', drugs: ['Warfarin', 'DB00945', 'not-a-drug'] });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.drugs.some(d => d.drugbank_id === 'DB00682'), 'Should resolve Warfarin by name');
+  assert(result.unresolved.includes('not-a-drug'), 'Should report unresolved input');
+});
+
+test('check_interactions: requires at least two drugs', async () => {
+  const result = await handleDrugBankInfo({ method: 'check_interactions', drugs: ['DB00945'] });
+  assert(result.error, 'Should return error with a single drug');
+});
+
+test('check_interactions: requires drugs parameter', async () => {
+  const result = await handleDrugBankInfo({ method: 'check_interactions' });
+  assert(result.error, 'Should return error without drugs');
+});
+
+// ============================================================
+// 18. search_by_substructure
+// ============================================================
+test('search_by_substructure: finds drugs containing a SMILES fragment', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_substructure', smiles: 'CC(=O)Nc1ccc(O)cc1' });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.query_type === 'smiles', 'Should report query type');
+  assert(result.results.some(r => r.drugbank_id === 'DB00316'), 'Should find acetaminophen');
+  assert(!result.results.some(r => r.drugbank_id === 'DB00945'), 'Should not match aspirin');
+});
+
+test('search_by_substructure: matches SMARTS patterns', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_substructure', smarts: '[CX3](=O)[OX2H1]' });
+  assert(!result.error, `Got error: ${result.error}`);
+  const ids = result.results.map(r => r.drugbank_id);
+  assert(ids.includes('DB00945') && ids.includes('DB00328'), 'Should find carboxylic acids (aspirin, indomethacin)');
+  assert(!ids.includes('DB00316'), 'Should not match acetaminophen');
+});
+
+test('search_by_substructure: Kekulé and aromatic fragments are equivalent', async () => {
+  const kekule = await handleDrugBankInfo({ method: 'search_by_substructure', smiles: 'C1=CC=CC=C1' });
+  const aromatic = await handleDrugBankInfo({ method: 'search_by_substructure', smiles: 'c1ccccc1' });
+  assert(kekule.count > 0, 'Should find drugs with a benzene ring');
+  assert(kekule.results.map(r => r.drugbank_id).join() === aromatic.results.map(r => r.drugbank_id).join(), 'Results should match');
+});
+
+test('search_by_substructure: rejects invalid patterns', async () => {
+  const invalid = await handleDrugBankInfo({ method: 'search_by_substructure', smarts: 'C1CC(' });
+  assert(invalid.error, 'Should return error for invalid SMARTS');
+  const recursive = await handleDrugBankInfo({ method: 'search_by_substructure', smarts: '[$(CO)]' });
+  assert(recursive.error, 'Should return error for unsupported recursive SMARTS');
+});
+
+test('search_by_substructure: requires smiles or smarts parameter', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_substructure' });
+  assert(result.error, 'Should return error without smiles/smarts');
+});
+
+// ============================================================
+// 19. search_by_properties
+// ============================================================
+test('search_by_properties: filters by numeric ranges', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_properties', max_molecular_weight: 350, min_logp: 1, max_logp: 3 });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.results.some(r => r.drugbank_id === 'DB00945'), 'Should find aspirin (MW 180, logP 1.24)');
+  result.results.forEach(r => {
+    assert(r.properties.molecular_weight <= 350, 'Should respect max_molecular_weight');
+    assert(r.properties.logp >= 1 && r.properties.logp <= 3, 'Should respect logP range');
+  });
+});
+
+test('search_by_properties: filters by rule of five', async () => {
+  const passing = await handleDrugBankInfo({ method: 'search_by_properties', rule_of_five: true });
+  const failing = await handleDrugBankInfo({ method: 'search_by_properties', rule_of_five: 'false' });
+  assert(passing.count > 0 && passing.results.every(r => r.properties.rule_of_five === true), 'Should return only passing drugs');
+  assert(failing.results.every(r => r.properties.rule_of_five === false), 'Should return only failing drugs');
+});
+
+test('search_by_properties: rejects invalid filters', async () => {
+  const invalid = await handleDrugBankInfo({ method: 'search_by_properties', min_logp: 'abc' });
+  assert(invalid.error, 'Should return error for non-numeric bound');
+  const inverted = await handleDrugBankInfo({ method: 'search_by_properties', min_molecular_weight: 500, max_molecular_weight: 100 });
+  assert(inverted.error, 'Should return error when min > max');
+});
+
+test('search_by_properties: requires at least one filter', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_properties' });
+  assert(result.error, 'Should return error without filters');
+  assert(Array.isArray(result.available_filters), 'Should list available filters');
+});
+
+// ============================================================
+// 20. search_by_product
+// ============================================================
+test('search_by_product: finds drugs by brand name', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_product', query: 'Coumadin' });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.results[0]?.drugbank_id === 'DB00682', 'Should rank warfarin first');
+  assert(result.results[0].matched_products.some(p => p.name === 'Coumadin'), 'Should list the matched product');
+});
+
+test('search_by_product: finds drugs by international brand', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_product', query: 'Marevan' });
+  const warfarin = result.results.find(r => r.drugbank_id === 'DB00682');
+  assert(warfarin, 'Should find warfarin');
+  assert(warfarin.matched_brands.some(b => b.name === 'Marevan'), 'Should list the matched international brand');
+});
+
+test('search_by_product: finds drugs by NDC code with or without hyphens', async () => {
+  for (const ndc of ['0280-2000', '02802000', '0280-2000-10']) {
+    const result = await handleDrugBankInfo({ method: 'search_by_product', ndc });
+    assert(!result.error, `Got error: ${result.error}`);
+    assert(result.count === 1 && result.results[0].drugbank_id === 'DB00945', `Should find aspirin by NDC ${ndc}`);
+  }
+});
+
+test('search_by_product: finds drugs by labeller', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_product', labeller: 'bayer' });
+  assert(result.results.some(r => r.drugbank_id === 'DB00945'), 'Should find aspirin (Bayer HealthCare)');
+  result.results.forEach(r => {
+    const labellers = [...r.matched_products.map(p => p.labeller), ...r.matched_brands.map(b => b.company)];
+    assert(labellers.some(l => /bayer/i.test(l)), 'Should only return Bayer products');
+  });
+});
+
+test('search_by_product: validates parameters', async () => {
+  const missing = await handleDrugBankInfo({ method: 'search_by_product' });
+  assert(missing.error, 'Should return error without query, ndc or labeller');
+  const invalid = await handleDrugBankInfo({ method: 'search_by_product', ndc: 'abc' });
+  assert(invalid.error, 'Should return error for a malformed NDC');
+});
+
+// ============================================================
+// 21. search_text
+// ============================================================
+test('search_text: searches toxicity and mechanism text with snippets', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_text', query: 'hepatotoxicity' });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.results.some(r => r.drugbank_id === 'DB01026'), 'Should find ketoconazole');
+  result.results.forEach(r => {
+    assert(r.snippets.length > 0, 'Each result should explain the match');
+    assert(r.snippets.some(s => /\*\*hepatotoxicity\*\*/i.test(s.text)), 'Snippets should highlight the matched word');
+  });
+
+  const mechanism = await handleDrugBankInfo({ method: 'search_text', query: 'irreversibly inhibits' });
+  assert(mechanism.results.some(r => r.drugbank_id === 'DB00945' && r.snippets[0].field === 'mechanism'), 'Should find aspirin by mechanism');
+});
+
+test('search_text: restricts the searched fields', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_text', query: 'CYP2C9', search_fields: ['metabolism'] });
+  assert(result.count > 0, 'Should find drugs metabolized by CYP2C9');
+  assert(result.results.every(r => r.snippets.every(s => s.field === 'metabolism')), 'Should only search metabolism');
+
+  const toxicity = await handleDrugBankInfo({ method: 'search_text', query: 'CYP2C9', search_fields: 'toxicity' });
+  assert(toxicity.count === 0, 'CYP2C9 does not appear in toxicity text');
+});
+
+test('search_text: supports advanced syntax', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_text', query: 'bleeding NOT gi', syntax: 'advanced', search_fields: ['toxicity'] });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(!result.results.some(r => r.drugbank_id === 'DB00328'), 'Should exclude GI bleeding');
+  assert(result.results.some(r => r.drugbank_id === 'DB00682'), 'Should keep warfarin');
+});
+
+test('search_text: validates parameters', async () => {
+  const missing = await handleDrugBankInfo({ method: 'search_text' });
+  assert(missing.error, 'Should return error without query');
+  const field = await handleDrugBankInfo({ method: 'search_text', query: 'liver', search_fields: ['dosage'] });
+  assert(field.error && field.valid_values, 'Should reject unknown fields');
+});
+
+// ============================================================
+// 22. search_by_enzyme
+// ============================================================
+test('search_by_enzyme: finds drugs by enzyme name or gene', async () => {
+  const byName = await handleDrugBankInfo({ method: 'search_by_enzyme', enzyme: 'Cytochrome P450 3A4' });
+  assert(!byName.error, `Got error: ${byName.error}`);
+  assert(byName.results.some(r => r.drugbank_id === 'DB01026'), 'Should find ketoconazole');
+
+  const byGene = await handleDrugBankInfo({ method: 'search_by_enzyme', enzyme: 'CYP3A4' });
+  const ids = result => result.results.map(r => r.drugbank_id).join(',');
+  assert(ids(byName) === ids(byGene), 'Gene and enzyme name should find the same drugs');
+  byGene.results.forEach(r => {
+    assert(r.matched_enzymes.length > 0, 'Should list matched enzymes');
+    r.matched_enzymes.forEach(e => assert(e.gene_name === 'CYP3A4' && Array.isArray(e.roles), 'Matched enzyme should carry gene and roles'));
+  });
+});
+
+test('search_by_enzyme: filters by role', async () => {
+  const inhibitors = await handleDrugBankInfo({ method: 'search_by_enzyme', enzyme: 'CYP3A4', role: 'inhibitor' });
+  assert(inhibitors.results.some(r => r.drugbank_id === 'DB01026'), 'Ketoconazole inhibits CYP3A4');
+  assert(inhibitors.results.every(r => r.matched_enzymes.every(e => e.roles.includes('inhibitor'))), 'Should only return inhibitors');
+  assert(!inhibitors.results.some(r => r.drugbank_id === 'DB00682'), 'Warfarin is only a CYP3A4 substrate');
+});
+
+test('search_by_enzyme: validates parameters', async () => {
+  const missing = await handleDrugBankInfo({ method: 'search_by_enzyme' });
+  assert(missing.error, 'Should return error without enzyme');
+  const role = await handleDrugBankInfo({ method: 'search_by_enzyme', enzyme: 'CYP3A4', role: 'activator' });
+  assert(role.error && role.valid_values, 'Should reject unknown roles');
+});
+
+// ============================================================
+// 23. get_metabolism_profile
+// ============================================================
+test('get_metabolism_profile: summarises CYP substrates, inhibition and induction', async () => {
+  const result = await handleDrugBankInfo({ method: 'get_metabolism_profile', drugbank_id: 'DB01026' });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.substrate_of.some(e => e.gene_name === 'CYP3A4'), 'Ketoconazole is a CYP3A4 substrate');
+  assert(result.inhibits.some(e => e.gene_name === 'CYP3A4' && e.strength === 'strong'), 'Ketoconazole strongly inhibits CYP3A4');
+  assert(Array.isArray(result.induces) && Array.isArray(result.other_enzymes), 'Should list inducers and other enzymes');
+  assert(typeof result.summary === 'string' && result.summary.includes('CYP3A4'), 'Should summarise the profile');
+});
+
+test('get_metabolism_profile: handles drugs without enzymes', async () => {
+  const result = await handleDrugBankInfo({ method: 'get_metabolism_profile', drugbank_id: 'DB00001' });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.substrate_of.length === 0 && result.inhibits.length === 0, 'Should return empty lists');
+});
+
+test('get_metabolism_profile: validates drugbank_id', async () => {
+  const missing = await handleDrugBankInfo({ method: 'get_metabolism_profile' });
+  assert(missing.error, 'Should return error without drugbank_id');
+  const unknown = await handleDrugBankInfo({ method: 'get_metabolism_profile', drugbank_id: 'DB99999' });
+  assert(unknown.error, 'Should return error for unknown drugs');
+});
+
+// ============================================================
+// 24. get_targets
+// ============================================================
+test('get_targets: returns targets with UniProt, gene and HGNC identifiers', async () => {
+  const result = await handleDrugBankInfo({ method: 'get_targets', drugbank_id: 'DB00945' });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.target_count === result.targets.length && result.targets.length > 0, 'Should list targets');
+  const cox2 = result.targets.find(t => t.gene_name === 'PTGS2');
+  assert(cox2, 'Aspirin should target PTGS2');
+  assert(cox2.uniprot_id === 'P35354' && cox2.hgnc_id === 'HGNC:9605', 'Should include UniProt and HGNC IDs');
+  assert(cox2.actions.includes('inhibitor'), 'Should include target actions');
+  assert('chromosome_location' in cox2 && 'cellular_location' in cox2, 'Should include locations');
+});
+
+test('get_targets: validates drugbank_id', async () => {
+  const missing = await handleDrugBankInfo({ method: 'get_targets' });
+  assert(missing.error, 'Should return error without drugbank_id');
+  const unknown = await handleDrugBankInfo({ method: 'get_targets', drugbank_id: 'DB99999' });
+  assert(unknown.error, 'Should return error for unknown drugs');
+});
+
+// ============================================================
+// 25. search_by_gene
+// ============================================================
+test('search_by_gene: finds drugs by gene symbol or HGNC ID', async () => {
+  const bySymbol = await handleDrugBankInfo({ method: 'search_by_gene', gene: 'ptgs2' });
+  assert(!bySymbol.error, `Got error: ${bySymbol.error}`);
+  assert(bySymbol.results.some(r => r.drugbank_id === 'DB00945'), 'Should find aspirin');
+  bySymbol.results.forEach(r => {
+    assert(r.matched_targets.every(t => t.gene_name === 'PTGS2'), 'Should only list targets encoded by the gene');
+  });
+
+  const byHgnc = await handleDrugBankInfo({ method: 'search_by_gene', gene: 'HGNC:9605' });
+  const ids = result => result.results.map(r => r.drugbank_id).join(',');
+  assert(ids(bySymbol) === ids(byHgnc), 'Symbol and HGNC ID should find the same drugs');
+});
+
+test('search_by_gene: matches whole gene symbols only', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_gene', gene: 'PTGS' });
+  assert(result.count === 0, 'Partial gene symbols should not match');
+  const missing = await handleDrugBankInfo({ method: 'search_by_gene' });
+  assert(missing.error, 'Should return error without gene');
+});
+
+// ============================================================
+// 26. get_target
+// ============================================================
+test('get_target: resolves DrugBank target IDs, UniProt accessions and gene symbols', async () => {
+  const byId = await handleDrugBankInfo({ method: 'get_target', target: 'BE0000062' });
+  assert(!byId.error, `Got error: ${byId.error}`);
+  assert(byId.matched_by === 'target_id' && byId.targets[0].gene_name === 'PTGS2', 'Should resolve the BE ID');
+
+  const byUniprot = await handleDrugBankInfo({ method: 'get_target', target: 'P35354' });
+  assert(byUniprot.matched_by === 'uniprot_id' && byUniprot.targets[0].target_id === 'BE0000062', 'Should resolve the UniProt accession');
+
+  const byGene = await handleDrugBankInfo({ method: 'get_target', target: 'ptgs2' });
+  assert(byGene.matched_by === 'gene_name' && byGene.targets[0].target_id === 'BE0000062', 'Should resolve the gene symbol');
+});
+
+test('get_target: lists every drug with its actions and groups', async () => {
+  const result = await handleDrugBankInfo({ method: 'get_target', target: 'BE0000062' });
+  const [target] = result.targets;
+  assert(target.drug_count === target.drugs.length, 'drug_count should match drugs');
+  const aspirin = target.drugs.find(d => d.drugbank_id === 'DB00945');
+  assert(aspirin, 'Aspirin acts on COX-2');
+  assert(aspirin.actions.includes('inhibitor') && aspirin.known_action === 'yes', 'Should include actions and known_action');
+  assert(aspirin.groups.includes('approved'), 'Should include approval groups');
+});
+
+test('get_target: reports unknown targets', async () => {
+  const missing = await handleDrugBankInfo({ method: 'get_target' });
+  assert(missing.error, 'Should return error without target');
+  const unknown = await handleDrugBankInfo({ method: 'get_target', target: 'BE9999999' });
+  assert(unknown.error && unknown.expected_format, 'Should explain accepted identifiers');
+});
+
+// ============================================================
+// 27. get_atc_tree
+// ============================================================
+test('get_atc_tree: lists anatomical main groups with drug counts', async () => {
+  const result = await handleDrugBankInfo({ method: 'get_atc_tree' });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.code === null && result.children_count === result.children.length, 'Should start from the top');
+  const blood = result.children.find(c => c.code === 'B');
+  assert(blood && blood.level_name === 'anatomical main group', 'Should list B');
+  assert(blood.name === 'BLOOD AND BLOOD FORMING ORGANS' && blood.drug_count >= 2, 'Should name and count B');
+});
+
+test('get_atc_tree: browses parents and children of a code', async () => {
+  const result = await handleDrugBankInfo({ method: 'get_atc_tree', code: 'B01A' });
+  assert(result.name === 'ANTITHROMBOTIC AGENTS' && result.level === 3, 'Should describe the code');
+  assert(JSON.stringify(result.parents.map(p => p.code)) === JSON.stringify(['B', 'B01']), 'Should list parents from the top');
+  const vka = result.children.find(c => c.code === 'B01AA');
+  assert(vka && vka.name === 'Vitamin K antagonists' && vka.drug_count === 1, 'Should list children with drug counts');
+
+  const warfarin = await handleDrugBankInfo({ method: 'get_atc_tree', code: 'B01AA03' });
+  assert(warfarin.level === 5 && warfarin.name === 'Warfarin' && warfarin.children.length === 0, 'Substances are named after their drug');
+});
+
+test('get_atc_tree: reports invalid and unknown codes', async () => {
+  const invalid = await handleDrugBankInfo({ method: 'get_atc_tree', code: 'B1' });
+  assert(invalid.error && invalid.expected_format, 'Should reject invalid codes');
+  const unknown = await handleDrugBankInfo({ method: 'get_atc_tree', code: 'Z99' });
+  assert(unknown.error && unknown.hint, 'Should report unknown codes');
+});
+
+// ============================================================
+// 28. list_categories
+// ============================================================
+test('list_categories: lists categories with MeSH IDs and drug counts', async () => {
+  const result = await handleDrugBankInfo({ method: 'list_categories' });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.total === result.categories.length && result.total > 5, 'Should list every category');
+  const [top] = result.categories;
+  assert(top.category === 'Anticoagulants' && top.mesh_id === 'D000925' && top.drug_count === 3, 'Should list the largest category first');
+  assert(result.categories.some(c => c.mesh_id === null), 'Categories without a MeSH ID have a null mesh_id');
+});
+
+test('list_categories: autocompletes a query', async () => {
+  const result = await handleDrugBankInfo({ method: 'list_categories', query: 'co' });
+  assert(result.categories.every(c => c.category.toLowerCase().includes('co')), 'Should only list matching names');
+  assert(result.categories[0].category === 'Coumarins', 'Should list names starting with the query first');
+
+  const page = await handleDrugBankInfo({ method: 'list_categories', limit: 2 });
+  assert(page.count === 2 && page.next_cursor, 'Should page through categories');
+});
+
+// ============================================================
+// 29. search_by_chemical_class
+// ============================================================
+test('search_by_chemical_class: finds drugs by taxonomy level', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_chemical_class', chemical_class: 'benzenoids', class_level: 'superclass', match: 'exact' });
+  assert(!result.error, `Got error: ${result.error}`);
+  const ids = result.results.map(r => r.drugbank_id);
+  assert(ids.includes('DB00945') && ids.includes('DB00316'), 'Should find aspirin and acetaminophen');
+  assert(result.results.every(r => r.matched_classes.every(c => c.level === 'superclass' && c.name === 'Benzenoids')), 'Should list matched classes');
+
+  const approved = await handleDrugBankInfo({ method: 'search_by_chemical_class', chemical_class: 'Coumarins', class_level: 'class', groups: ['approved'] });
+  assert(approved.results.some(r => r.drugbank_id === 'DB00682'), 'Should find warfarin among approved coumarins');
+});
+
+test('search_by_chemical_class: matches substituents partially', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_chemical_class', chemical_class: 'chloride', class_level: 'substituent' });
+  const ids = result.results.map(r => r.drugbank_id);
+  assert(ids.includes('DB00328') && ids.includes('DB01026'), 'Should find indomethacin and ketoconazole (aryl chloride)');
+  assert(!ids.includes('DB00945'), 'Aspirin has no chloride substituent');
+});
+
+test('search_by_chemical_class: validates parameters and shows taxonomy in details', async () => {
+  const missing = await handleDrugBankInfo({ method: 'search_by_chemical_class' });
+  assert(missing.error, 'Should return error without chemical_class');
+  const level = await handleDrugBankInfo({ method: 'search_by_chemical_class', chemical_class: 'Phenols', class_level: 'order' });
+  assert(level.error && level.valid_values.includes('subclass'), 'Should reject unknown levels');
+
+  const details = await handleDrugBankInfo({ method: 'get_drug_details', drugbank_id: 'DB00682' });
+  assert(details.drug.classification.class === 'Coumarins and derivatives', 'Details should include the classification');
+  assert(details.drug.classification.substituents.includes('Lactone'), 'Details should include substituents');
+});
+
+// ============================================================
+// 30. search_by_protein_binding
+// ============================================================
+test('search_by_protein_binding: finds highly bound drugs', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_protein_binding', min_percent: 95 });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.unit === '%', 'Should report the unit');
+  const warfarin = result.results.find(r => r.drugbank_id === 'DB00682');
+  assert(warfarin && warfarin.protein_binding_percent === 99, 'Should find warfarin (99% bound)');
+  assert(warfarin.protein_binding.includes('99%'), 'Should include the original text');
+  assert(result.results.every(r => r.protein_binding_percent >= 95), 'Should respect min_percent');
+});
+
+test('search_by_protein_binding: unbound drugs parse as 0%', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_protein_binding', max_percent: 0 });
+  assert(result.results.some(r => r.drugbank_id === 'DB00006'), 'Should find bivalirudin (does not bind)');
+  const range = await handleDrugBankInfo({ method: 'search_by_protein_binding', min_percent: 90, max_percent: 92 });
+  const ketoconazole = range.results.find(r => r.drugbank_id === 'DB01026');
+  assert(ketoconazole && ketoconazole.parsed.min === 84 && ketoconazole.parsed.max === 99, 'Should return the parsed range');
+});
+
+test('search_by_protein_binding: requires a valid range', async () => {
+  const missing = await handleDrugBankInfo({ method: 'search_by_protein_binding' });
+  assert(missing.error, 'Should return error without min_percent or max_percent');
+  const invalid = await handleDrugBankInfo({ method: 'search_by_protein_binding', min_percent: 'high' });
+  assert(invalid.error, 'Should return error for non-numeric min_percent');
+  const inverted = await handleDrugBankInfo({ method: 'search_by_protein_binding', min_percent: 99, max_percent: 10 });
+  assert(inverted.error && inverted.hint, 'Should return error with hint for an inverted range');
+});
+
+// ============================================================
+// 31. search_by_volume_of_distribution
+// ============================================================
+test('search_by_volume_of_distribution: finds drugs by L/kg range', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_volume_of_distribution', max_l_per_kg: 0.15 });
+  assert(!result.error, `Got error: ${result.error}`);
+  const ids = result.results.map(r => r.drugbank_id);
+  assert(ids.includes('DB00682'), 'Should find warfarin (0.14 L/kg)');
+  assert(result.results.every(r => r.volume_of_distribution_l_kg <= 0.15), 'Should respect max_l_per_kg');
+});
+
+test('search_by_volume_of_distribution: normalizes mL/kg and absolute volumes', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_volume_of_distribution', min_l_per_kg: 0.16, max_l_per_kg: 0.18 });
+  const aspirin = result.results.find(r => r.drugbank_id === 'DB00945');
+  assert(aspirin && aspirin.parsed.source_unit === 'mL/kg', 'Should find aspirin (170 mL/kg)');
+  const lepirudin = result.results.find(r => r.drugbank_id === 'DB00001');
+  assert(lepirudin && lepirudin.parsed.per_kg === false, 'Should find lepirudin (12.2 L, scaled to 70 kg)');
+});
+
+// ============================================================
+// 32. search_by_clearance
+// ============================================================
+test('search_by_clearance: finds drugs by mL/min/kg range', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_clearance', max_ml_min_kg: 0.1 });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.results.some(r => r.drugbank_id === 'DB00682'), 'Should find warfarin (0.065 mL/min/kg)');
+
+  const fast = await handleDrugBankInfo({ method: 'search_by_clearance', min_ml_min_kg: 8 });
+  const aspirin = fast.results.find(r => r.drugbank_id === 'DB00945');
+  assert(aspirin && aspirin.parsed.source_unit === 'L/h/kg', 'Should convert L/h/kg (aspirin, 0.5 L/h/kg)');
+  const clearances = fast.results.map(r => r.clearance_ml_min_kg);
+  assert(clearances.every((value, i) => i === 0 || clearances[i - 1] <= value), 'Should order slowest first');
+});
+
+test('search_by_clearance: requires a valid range and shows PK in details', async () => {
+  const missing = await handleDrugBankInfo({ method: 'search_by_clearance' });
+  assert(missing.error, 'Should return error without min_ml_min_kg or max_ml_min_kg');
+
+  const details = await handleDrugBankInfo({ method: 'get_drug_details', drugbank_id: 'DB00682', fields: ['pk'] });
+  assert(details.drug.clearance === '0.065 mL/min/kg', 'Details should include the clearance text');
+  assert(details.drug.volume_of_distribution === '0.14 L/kg', 'Details should include the volume of distribution text');
+  assert(details.drug.pharmacokinetics.half_life.typical === 40, 'Details should include parsed values');
+});
+
+// ============================================================
+// 33. search_by_food_interaction
+// ============================================================
+test('search_by_food_interaction: finds drugs by note text', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_food_interaction', food: 'Grapefruit' });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.results.some(r => r.drugbank_id === 'DB01026'), 'Should find ketoconazole');
+  result.results.forEach(r => {
+    assert(r.matched_food_interactions.length > 0, 'Should list matched notes');
+    assert(r.matched_food_interactions.every(note => /grapefruit/i.test(note.description)), 'Should only list matching notes');
+  });
+});
+
+test('search_by_food_interaction: finds drugs by category', async () => {
+  const withFood = await handleDrugBankInfo({ method: 'search_by_food_interaction', food_category: 'take_with_food' });
+  const ids = withFood.results.map(r => r.drugbank_id);
+  assert(ids.includes('DB00945') && ids.includes('DB00328'), 'Should find aspirin and indomethacin');
+  assert(!ids.includes('DB00316'), '"Take with or without food" is not take_with_food');
+
+  const both = await handleDrugBankInfo({ method: 'search_by_food_interaction', food: 'alcohol', food_category: 'take_with_food' });
+  assert(both.total === 0, 'Text and category should have to match the same note');
+});
+
+test('search_by_food_interaction: validates parameters', async () => {
+  const missing = await handleDrugBankInfo({ method: 'search_by_food_interaction' });
+  assert(missing.error && missing.hint, 'Should return error with hint without food or food_category');
+  const invalid = await handleDrugBankInfo({ method: 'search_by_food_interaction', food_category: 'avoid_cheese' });
+  assert(invalid.error && invalid.valid_values.includes('avoid_alcohol'), 'Should reject unknown categories');
+});
+
+// ============================================================
+// 34. get_food_interactions
+// ============================================================
+test('get_food_interactions: classifies notes into counselling guidance', async () => {
+  const result = await handleDrugBankInfo({ method: 'get_food_interactions', drugbank_id: 'DB00682' });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.drug_name === 'Warfarin' && result.food_interaction_count === 4, 'Should list every note');
+  const categories = result.guidance.map(entry => entry.category);
+  ['avoid_alcohol', 'avoid_st_johns_wort', 'limit_vitamin_k', 'other'].forEach(category =>
+    assert(categories.includes(category), `Should include ${category}`));
+  assert(result.guidance.every(entry => entry.descriptions.length > 0), 'Every guidance entry should cite its notes');
+  const timing = result.food_interactions.find(note => note.description.startsWith('Take at the same time'));
+  assert(timing && timing.categories[0] === 'other', 'Uncovered notes should be other');
+});
+
+test('get_food_interactions: negated timing and the vehicle in "with food or milk"', async () => {
+  const advice = note => buildFoodGuidance([note]).guidance.map(entry => entry.category);
+  const same = (actual, expected) => actual.join() === expected.join();
+
+  ['Do not take with food.', 'Avoid taking with food.', 'Take on an empty stomach. Do not take with food.'].forEach(note =>
+    assert(same(advice(note), ['take_without_food']), `"${note}" should only be take_without_food, got ${advice(note)}`));
+  assert(same(advice('Take with food or milk to reduce gastrointestinal upset.'), ['take_with_food']),
+    'Milk taken with the dose should not mean separating from dairy');
+  assert(same(advice('Avoid calcium supplements.'), ['separate_from_minerals']), 'Calcium supplements are not herbal supplements');
+  assert(same(advice('Take 2 hours before or 6 hours after antacids, iron or calcium.'), ['separate_from_minerals']),
+    'Spacing from minerals should be separate_from_minerals');
+});
+
+test('get_food_interactions: handles drugs without notes and errors', async () => {
+  const none = await handleDrugBankInfo({ method: 'get_food_interactions', drugbank_id: 'DB00001' });
+  assert(none.food_interaction_count === 0 && none.guidance.length === 0, 'Should return empty guidance');
+  const missing = await handleDrugBankInfo({ method: 'get_food_interactions' });
+  assert(missing.error, 'Should return error without drugbank_id');
+  const unknown = await handleDrugBankInfo({ method: 'get_food_interactions', drugbank_id: 'DB99999' });
+  assert(unknown.error, 'Should return error for unknown drug');
+});
+
+// ============================================================
+// Common drug filters (groups, exclude_groups, state, type, organism)
+// ============================================================
+test('filters: groups keeps drugs in any listed group', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_name', query: 'a', groups: ['withdrawn', 'investigational'] });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(result.results.length > 0, 'Should return results');
+  result.results.forEach(r => {
+    assert(r.groups.includes('withdrawn') || r.groups.includes('investigational'), `${r.drugbank_id} is in neither group`);
+  });
+});
+
+test('filters: exclude_groups drops drugs in any listed group', async () => {
+  const all = await handleDrugBankInfo({ method: 'search_by_target', target: 'prothrombin' });
+  const result = await handleDrugBankInfo({ method: 'search_by_target', target: 'prothrombin', exclude_groups: 'withdrawn' });
+  assert(all.results.some(r => r.groups.includes('withdrawn')), 'Unfiltered search should include a withdrawn drug');
+  assert(result.results.length > 0 && result.results.every(r => !r.groups.includes('withdrawn')), 'Should drop withdrawn drugs');
+});
+
+test('filters: state, type and organism', async () => {
+  const biotech = await handleDrugBankInfo({ method: 'search_by_halflife', min_hours: 0, type: 'biotech' });
+  assert(biotech.results.length > 0 && biotech.results.every(r => r.type === 'biotech'), 'Should only return biotech drugs');
+
+  const liquid = await handleDrugBankInfo({ method: 'search_by_indication', query: 'thrombosis', state: 'liquid' });
+  assert(liquid.results.every(r => r.state === 'liquid'), 'Should only return liquid drugs');
+
+  const human = await handleDrugBankInfo({ method: 'search_by_enzyme', enzyme: 'CYP', organism: 'humans' });
+  const mouse = await handleDrugBankInfo({ method: 'search_by_enzyme', enzyme: 'CYP', organism: 'Mouse' });
+  assert(human.results.length > 0, 'Organism should match case-insensitively');
+  assert(mouse.results.length === 0, 'Should drop drugs without targets in the organism');
+});
+
+test('filters: apply before limit', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_category', category: 'a', state: 'liquid', limit: 1 });
+  assert(result.results.length === 1 && result.results[0].state === 'liquid', 'Should fill the limit with matching drugs');
+});
+
+test('filters: reject unknown values', async () => {
+  const group = await handleDrugBankInfo({ method: 'search_by_name', query: 'aspirin', groups: 'bogus' });
+  assert(group.error && group.valid_values, 'Should reject unknown groups');
+  const type = await handleDrugBankInfo({ method: 'search_by_category', category: 'a', type: 'protein' });
+  assert(type.error && type.valid_values, 'Should reject unknown types');
+  const state = await handleDrugBankInfo({ method: 'search_text', query: 'liver', state: 'plasma' });
+  assert(state.error && state.valid_values, 'Should reject unknown states');
+});
+
+// ============================================================
+// Pagination (offset, cursor, total)
+// ============================================================
+test('pagination: offset pages tile the results with a constant total', async () => {
+  const all = await handleDrugBankInfo({ method: 'search_by_category', category: 'a', limit: 100 });
+  assert(all.total === all.results.length && all.total > 2, 'total should count every match');
+
+  const ids = [];
+  for (let offset = 0; offset < all.total; offset += 2) {
+    const page = await handleDrugBankInfo({ method: 'search_by_category', category: 'a', limit: 2, offset });
+    assert(page.total === all.total && page.offset === offset, 'Should report total and offset');
+    ids.push(...page.results.map(r => r.drugbank_id));
+  }
+  assert(ids.join() === all.results.map(r => r.drugbank_id).join(), 'Pages should neither overlap nor skip drugs');
+});
+
+test('pagination: next_cursor walks to the last page', async () => {
+  const params = { method: 'search_by_halflife', min_hours: 0, limit: 3 };
+  const ids = [];
+  let page = await handleDrugBankInfo(params);
+  while (true) {
+    assert(!page.error, `Got error: ${page.error}`);
+    ids.push(...page.results.map(r => r.drugbank_id));
+    if (!page.next_cursor) break;
+    page = await handleDrugBankInfo({ ...params, cursor: page.next_cursor });
+  }
+  assert(ids.length === page.total && new Set(ids).size === ids.length, 'Cursor pages should cover every match once');
+});
+
+test('pagination: get_products and get_similar_drugs report totals', async () => {
+  const products = await handleDrugBankInfo({ method: 'get_products', drugbank_id: 'DB00945', limit: 1 });
+  assert(products.total >= products.product_count && products.product_count <= 1, 'get_products should page');
+  assert((products.next_cursor !== null) === (products.total > 1), 'next_cursor should be set while pages remain');
+
+  const similar = await handleDrugBankInfo({ method: 'get_similar_drugs', drugbank_id: 'DB00945', limit: 1, offset: 1 });
+  assert(typeof similar.total === 'number' && similar.offset === 1, 'get_similar_drugs should page');
+});
+
+test('pagination: rejects bad offsets and foreign cursors', async () => {
+  const negative = await handleDrugBankInfo({ method: 'search_by_target', target: 'a', offset: -1 });
+  assert(negative.error, 'Should reject negative offsets');
+
+  const first = await handleDrugBankInfo({ method: 'search_by_category', category: 'a', limit: 1 });
+  const foreign = await handleDrugBankInfo({ method: 'search_by_category', category: 'b', cursor: first.next_cursor });
+  assert(foreign.error, 'Should reject a cursor from another query');
+  const garbled = await handleDrugBankInfo({ method: 'search_by_category', category: 'a', cursor: 'not-a-cursor' });
+  assert(garbled.error, 'Should reject malformed cursors');
+  const both = await handleDrugBankInfo({ method: 'search_by_category', category: 'a', cursor: first.next_cursor, offset: 1 });
+  assert(both.error, 'Should reject offset together with cursor');
+});
+
+// ============================================================
+// Field selection (fields, presets, truncation)
+// ============================================================
+test('fields: projects get_drug_details to the requested fields', async () => {
+  const result = await handleDrugBankInfo({ method: 'get_drug_details', drugbank_id: 'DB00682', fields: ['half_life', 'toxicity'] });
+  assert(!result.error, `Got error: ${result.error}`);
+  assert(JSON.stringify(Object.keys(result.drug)) === JSON.stringify(['drugbank_id', 'name', 'toxicity', 'half_life']),
+    `Should keep identity and requested fields, got ${Object.keys(result.drug)}`);
+  assert(!result.truncated, 'Nothing was cut');
+});
+
+test('fields: presets apply to every search result', async () => {
+  const result = await handleDrugBankInfo({ method: 'search_by_category', category: 'a', fields: 'pk', limit: 5 });
+  assert(result.results.length > 0, 'Should find drugs');
+  assert(result.results.every(r => r.drugbank_id && r.name && !('description' in r)), 'Should keep only pk fields');
+
+  const chemistry = await handleDrugBankInfo({ method: 'get_drug_details', drugbank_id: 'DB00945', fields: ['chemistry'] });
+  assert('cas_number' in chemistry.drug && 'calculated_properties' in chemistry.drug, 'Should include chemistry fields');
+  assert(!('drug_interactions' in chemistry.drug), 'Should drop fields outside the preset');
+});
+
+test('fields: max_text_length and max_items report truncation', async () => {
+  const full = await handleDrugBankInfo({ method: 'get_drug_details', drugbank_id: 'DB00682' });
+  const result = await handleDrugBankInfo({ method: 'get_drug_details', drugbank_id: 'DB00682', fields: ['summary', 'drug_interactions'], max_text_length: 20, max_items: 1 });
+
+  assert(result.drug.description === `${full.drug.description.slice(0, 20)}…`, 'Should cut long text');
+  assert(result.drug.drug_interactions.length === 1, 'Should cut long arrays');
+  const interactions = result.truncated.find(t => t.field === 'drug.drug_interactions');
+  assert(interactions && interactions.length === full.drug.drug_interactions.length && interactions.returned === 1,
+    'Should report the full length of cut arrays');
+  assert(result.truncated.some(t => t.field === 'drug.description' && t.returned === 20), 'Should report cut text');
+
+  const search = await handleDrugBankInfo({ method: 'search_by_name', query: 'warfarin', max_text_length: 10 });
+  assert(search.truncated.some(t => t.field === 'results[0].description'), 'Should report the result index of cut fields');
+});
+
+test('fields: shape each interaction and product', async () => {
+  const interactions = await handleDrugBankInfo({ method: 'get_drug_interactions', drugbank_id: 'DB00682', max_text_length: 20 });
+  assert(!interactions.error, `Got error: ${interactions.error}`);
+  assert(interactions.interactions.every(i => i.description.length <= 21), 'Should cut interaction descriptions');
+  assert(interactions.truncated.some(t => t.field === 'interactions[0].description' && t.returned === 20), 'Should report cut descriptions');
+
+  const products = await handleDrugBankInfo({ method: 'get_products', drugbank_id: 'DB00945', fields: ['labeller'] });
+  assert(!products.error, `Got error: ${products.error}`);
+  assert(products.products.every(p => Object.keys(p).join() === 'name,labeller'), 'Should keep the name and requested fields');
+});
+
+test('fields: rejects unknown fields and unsupported methods', async () => {
+  const unknown = await handleDrugBankInfo({ method: 'get_drug_details', drugbank_id: 'DB00682', fields: ['dosage'] });
+  assert(unknown.error && unknown.valid_values.includes('summary') && unknown.valid_values.includes('toxicity'),
+    'Should list presets and fields');
+
+  const limit = await handleDrugBankInfo({ method: 'get_drug_details', drugbank_id: 'DB00682', max_items: 0 });
+  assert(limit.error, 'Should reject a non-positive max_items');
+
+  const pathways = await handleDrugBankInfo({ method: 'get_pathways', drugbank_id: 'DB00682', fields: 'summary' });
+  assert(pathways.error, 'Should reject fields for methods without drugs');
+});
+
 // ============================================================
 // Edge cases & Error handling
 // ============================================================
@@ -432,7 +1364,7 @@ test('unknown method: returns error with available methods', async () => {
   const result = await handleDrugBankInfo({ method: 'unknown_method' });
   assert(result.error, 'Should return error for unknown method');
   assert(result.available_methods, 'Should list available methods');
-  assert(result.available_methods.length === 16, `Should have 16 methods, got ${result.available_methods.length}`);
+  assert(result.available_methods.length === 34, `Should have 34 methods, got ${result.available_methods.length}`);
 });
 
 test('limit parameter: respects limit', async () => {
@@ -0,0 +1,608 @@
+#!/usr/bin/env node
+
+/**
+ * Parser contract test
+ *
+ * Runs the same checks against the SQLite backend and the XML fallback so both
+ * honour the interface drugbank-api.js relies on. Backends whose data file is
+ * missing are skipped; when both are present their drug records are compared
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isDeepStrictEqual } from 'util';
+import sqliteParser from '../src/drugbank-parser-sqlite.js';
+import xmlParser from '../src/drugbank-parser.js';
+import { fingerprintFromSmiles } from '../src/fingerprint.js';
+import { compileSubstructureQuery } from '../src/substructure.js';
+import { parseTextQuery } from '../src/text-query.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+
+const BACKENDS = [
+  { name: 'sqlite', parser: sqliteParser, dataFile: path.join(ROOT_DIR, 'data', 'drugbank.db') },
+  { name: 'xml', parser: xmlParser, dataFile: path.join(ROOT_DIR, 'data', 'full database.xml') }
+];
+
+// Drugs present in every DrugBank release
+const SAMPLE_IDS = ['DB00001', 'DB00006', 'DB00682', 'DB00945'];
+
+const SUMMARY_KEYS = ['drugbank_id', 'name', 'description', 'groups', 'cas_number', 'state', 'type'];
+
+const RECORD_KEYS = [
+  'drugbank_id', 'name', 'description', 'cas_number', 'unii', 'state', 'type',
+  'indication', 'pharmacodynamics', 'mechanism_of_action', 'toxicity',
+  'absorption', 'metabolism', 'half_life', 'half_life_hours', 'protein_binding', 'protein_binding_percent',
+  'volume_of_distribution', 'volume_of_distribution_l_kg', 'clearance', 'clearance_ml_min_kg',
+  'route_of_elimination', 'average_mass', 'monoisotopic_mass',
+  'all_ids', 'groups', 'categories', 'category_mesh_ids', 'synonyms', 'calculated_properties',
+  'external_identifiers', 'drug_interactions', 'food_interactions',
+  'targets', 'enzymes', 'carriers', 'transporters', 'pathways', 'products', 'international_brands', 'atc_codes',
+  'atc_hierarchy', 'classification', 'pharmacokinetics'
+];
+
+const INTERACTION_KEYS = ['drugbank_id', 'name', 'description', 'effect_type', 'mechanism', 'effect_direction', 'severity'];
+
+const tests = [];
+let passed = 0;
+let failed = 0;
+let skipped = 0;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function assertKeys(object, keys, label) {
+  for (const key of keys) {
+    assert(key in object, `${label} is missing "${key}"`);
+  }
+}
+
+async function runTests() {
+  console.log('='.repeat(60));
+  console.log('DrugBank MCP Server - Parser Contract Test');
+  console.log('='.repeat(60));
+  console.log('');
+
+  for (const { name, fn } of tests) {
+    try {
+      const result = await fn();
+      if (result === 'skip') {
+        console.log(`- ${name} (skipped)`);
+        skipped++;
+        continue;
+      }
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('');
+  console.log('='.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed, ${skipped} skipped, ${tests.length} total`);
+  console.log('='.repeat(60));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// ============================================================
+// Interface
+// ============================================================
+test('interface: both backends export the same functions', async () => {
+  const [sqliteNames, xmlNames] = BACKENDS.map(b => Object.keys(b.parser).sort());
+  const missing = sqliteNames.filter(n => !xmlNames.includes(n));
+  const extra = xmlNames.filter(n => !sqliteNames.includes(n));
+  assert(missing.length === 0, `XML backend is missing: ${missing.join(', ')}`);
+  assert(extra.length === 0, `XML backend has extra exports: ${extra.join(', ')}`);
+});
+
+// ============================================================
+// Per-backend behaviour
+// ============================================================
+for (const { name, parser, dataFile } of BACKENDS) {
+  const backendTest = (title, fn) => test(`${name}: ${title}`, async () => {
+    if (!fs.existsSync(dataFile)) return 'skip';
+    await fn();
+  });
+
+  backendTest('getDrugById returns a full record', async () => {
+    const drug = await parser.getDrugById('DB00001');
+    assert(drug, 'DB00001 should exist');
+    assertKeys(drug, RECORD_KEYS, 'record');
+    assert(Array.isArray(drug.targets) && Array.isArray(drug.products), 'list fields should be arrays');
+    assert(typeof drug.calculated_properties === 'object', 'calculated_properties should be an object');
+  });
+
+  backendTest('getDrugById returns null for unknown IDs', async () => {
+    assert(await parser.getDrugById('DB99999') === null, 'Unknown ID should return null');
+  });
+
+  backendTest('getDrugByName is case-insensitive', async () => {
+    const reference = await parser.getDrugById('DB00945');
+    const drug = await parser.getDrugByName(reference.name.toUpperCase());
+    assert(drug?.drugbank_id === 'DB00945', 'Should resolve the upper-cased name');
+  });
+
+  backendTest('name/indication/target/category searches return summaries', async () => {
+    const reference = await parser.getDrugById('DB00945');
+    const searches = [
+      parser.searchDrugsByName(reference.name, { limit: 5 }),
+      parser.searchDrugsByIndication('pain', { limit: 5 }),
+      parser.searchDrugsByTarget(reference.targets[0].name, { limit: 5 }),
+      parser.searchDrugsByCategory({ category: reference.categories[0] }, { limit: 5 })
+    ];
+    for (const { total, results } of await Promise.all(searches)) {
+      assert(Array.isArray(results) && results.length > 0, 'Search should return results');
+      assert(results.length <= 5, 'Search should respect limit');
+      assert(total >= results.length, 'total should count every match');
+      results.forEach(r => assertKeys(r, SUMMARY_KEYS, 'summary'));
+    }
+  });
+
+  backendTest('name search ranks exact, synonym, prefix and fuzzy matches', async () => {
+    const reference = await parser.getDrugById('DB00945');
+    const { results: [exact] } = await parser.searchDrugsByName(reference.name.toUpperCase(), { limit: 5 });
+    assert(exact?.drugbank_id === 'DB00945' && exact.match_type === 'exact', 'Should match the drug name exactly');
+    assertKeys(exact, ['match_type', 'matched_name', 'score'], 'name hit');
+
+    const { results: [synonym] } = await parser.searchDrugsByName(reference.synonyms[0], { limit: 5 });
+    assert(synonym?.drugbank_id === 'DB00945' && synonym.match_type === 'synonym', 'Should match synonyms');
+
+    const { results: fuzzy } = await parser.searchDrugsByName('Aspirn', { limit: 5 });
+    assert(fuzzy.some(r => r.drugbank_id === 'DB00945' && r.match_type === 'fuzzy'), 'Should match "Aspirn" despite the typo');
+  });
+
+  backendTest('indication search evaluates parsed queries', async () => {
+    const reference = await parser.getDrugById('DB00945');
+    const word = reference.indication.split(/\W+/).find(w => w.length > 4);
+    const { results } = await parser.searchDrugsByIndication(parseTextQuery(`${word} AND name:"${reference.name}"`, { syntax: 'advanced' }), { limit: 5 });
+    assert(results.length === 1 && results[0].drugbank_id === 'DB00945', 'Should combine indication and name terms');
+
+    const { results: excluded } = await parser.searchDrugsByIndication(parseTextQuery(`${word} NOT name:"${reference.name}"`, { syntax: 'advanced' }), { limit: 50 });
+    assert(!excluded.some(r => r.drugbank_id === 'DB00945'), 'Should exclude NOT terms');
+  });
+
+  backendTest('text search returns highlighted snippets per field', async () => {
+    const reference = await parser.getDrugById('DB00945');
+    const word = reference.toxicity.split(/\W+/).find(w => w.length > 6);
+    const { results } = await parser.searchDrugsByText(word, { fields: ['toxicity', 'metabolism'], limit: 50 });
+    const match = results.find(r => r.drugbank_id === 'DB00945');
+    assert(match, `Should find DB00945 by "${word}"`);
+    assertKeys(match, SUMMARY_KEYS, 'summary');
+    assert(match.snippets.some(s => s.field === 'toxicity' && s.text.includes(`**${word}**`)), 'Should highlight the match in toxicity');
+    assert(match.snippets.every(s => ['toxicity', 'metabolism'].includes(s.field)), 'Should only return searched fields');
+  });
+
+  backendTest('searches apply common drug filters', async () => {
+    const reference = await parser.getDrugById('DB00001');
+    const filters = { groups: ['withdrawn'], state: reference.state, type: reference.type, organism: reference.targets[0].organism.toUpperCase() };
+    const searches = [
+      parser.searchDrugsByName(reference.name, { filters }),
+      parser.searchDrugsByTarget(reference.targets[0].name, { filters }),
+      parser.searchDrugsByCategory({ category: reference.categories[0] }, { filters }),
+      parser.searchDrugsByText(reference.name, { fields: ['name'], filters })
+    ];
+    for (const { results } of await Promise.all(searches)) {
+      assert(results.some(r => r.drugbank_id === 'DB00001'), 'Should keep the drug matching every filter');
+      results.forEach(r => assert(r.groups.includes('withdrawn') && r.type === reference.type, 'Should only return filtered drugs'));
+    }
+
+    const { results: excluded } = await parser.searchDrugsByTarget(reference.targets[0].name, { filters: { excludeGroups: ['withdrawn'] } });
+    assert(!excluded.some(r => r.drugbank_id === 'DB00001'), 'Should drop excluded groups');
+  });
+
+  backendTest('searches page through a stable order with totals', async () => {
+    const searches = [
+      page => parser.searchDrugsByName('a', page),
+      page => parser.searchDrugsByTarget('a', page),
+      page => parser.searchDrugsByCategory({ category: 'a' }, page),
+      page => parser.searchDrugsByCarrier('a', page),
+      page => parser.searchDrugsByProperties({ molecular_weight: { min: 0 } }, page),
+      page => parser.searchDrugsByHalfLife(null, null, page),
+      page => parser.searchDrugsByClearance(null, null, page),
+      page => parser.findSimilarDrugs('DB00945', page)
+    ];
+    const ids = results => results.map(r => r.drugbank_id ?? r.drug.drugbank_id);
+
+    for (const search of searches) {
+      const all = await search({ limit: 100 });
+      assert(all.total === all.results.length, 'total should count every match');
+
+      const paged = [];
+      for (let offset = 0; offset < all.total; offset += 2) {
+        const { total, results } = await search({ limit: 2, offset });
+        assert(total === all.total, 'total should not depend on the page');
+        paged.push(...results);
+      }
+      assert(isDeepStrictEqual(ids(paged), ids(all.results)), 'Pages should tile the full result list');
+
+      const { total, results } = await search({ limit: 2, offset: all.total });
+      assert(total === all.total && results.length === 0, 'Offsets past the end should return no results');
+    }
+  });
+
+  backendTest('carrier/transporter searches include the matched protein', async () => {
+    for (const [search, key] of [[parser.searchDrugsByCarrier, 'matched_carrier'], [parser.searchDrugsByTransporter, 'matched_transporter']]) {
+      const { results } = await search('a', { limit: 5 });
+      assert(Array.isArray(results), 'Search should return an array');
+      results.forEach(r => {
+        assertKeys(r, SUMMARY_KEYS, 'summary');
+        assertKeys(r[key], ['name', 'organism', 'known_action'], key);
+      });
+    }
+  });
+
+  backendTest('getDrugTargets returns targets with polypeptide identifiers', async () => {
+    const targets = await parser.getDrugTargets('DB00945');
+    const reference = await parser.getDrugById('DB00945');
+    assert(targets.length === reference.targets.filter(t => t.name).length, 'Should return every named target');
+    targets.forEach(t => assertKeys(t, [
+      'target_id', 'name', 'organism', 'gene_name', 'uniprot_id', 'hgnc_id',
+      'chromosome_location', 'cellular_location', 'known_action', 'actions'
+    ], 'target'));
+
+    const { gene_name } = targets.find(t => t.gene_name);
+    const { results } = await parser.searchDrugsByGene(gene_name.toLowerCase(), { limit: 10 });
+    assert(results.some(r => r.drugbank_id === 'DB00945'), 'Should find the drug by target gene');
+    results.forEach(r => assert(r.matched_targets.every(t => t.gene_name === gene_name), 'Should only list matching targets'));
+  });
+
+  backendTest('getTarget resolves identifiers and lists the drugs acting on the target', async () => {
+    const [target] = await parser.getDrugTargets('DB00945');
+    for (const column of ['target_id', 'uniprot_id', 'gene_name']) {
+      const { matched_by, targets } = await parser.getTarget(target[column]);
+      assert(matched_by === column, `Should match by ${column}`);
+      const match = targets.find(t => t.target_id === target.target_id);
+      assert(match, `Should resolve the target by ${column}`);
+      const drug = match.drugs.find(d => d.drugbank_id === 'DB00945');
+      assert(drug, 'Should list the drug');
+      assertKeys(drug, ['name', 'groups', 'known_action', 'actions'], 'target drug');
+    }
+
+    const unknown = await parser.getTarget('BE9999999');
+    assert(unknown.matched_by === null && unknown.targets.length === 0, 'Unknown targets should match nothing');
+  });
+
+  backendTest('enzyme search matches names, genes and roles', async () => {
+    const reference = await parser.getDrugById('DB00682');
+    const enzyme = reference.enzymes.find(e => e.gene_name);
+    const { results } = await parser.searchDrugsByEnzyme(enzyme.gene_name, { limit: 10 });
+    const match = results.find(r => r.drugbank_id === 'DB00682');
+    assert(match, 'Should find the drug by enzyme gene');
+    assertKeys(match, SUMMARY_KEYS, 'summary');
+    match.matched_enzymes.forEach(e => assertKeys(e, ['enzyme_id', 'name', 'gene_name', 'uniprot_id', 'actions', 'roles'], 'matched enzyme'));
+
+    const { results: inhibitors } = await parser.searchDrugsByEnzyme(enzyme.name, { role: 'inhibitor', limit: 10 });
+    assert(inhibitors.every(r => r.matched_enzymes.every(e => e.roles.includes('inhibitor'))), 'Should filter by role');
+  });
+
+  backendTest('getDrugSalts returns salt rows', async () => {
+    const salts = await parser.getDrugSalts('DB00945');
+    assert(Array.isArray(salts), 'Should return an array');
+    salts.forEach(s => assertKeys(s, ['salt_id', 'name', 'unii', 'cas_number', 'inchikey', 'average_mass'], 'salt'));
+  });
+
+  backendTest('getDrugProducts returns typed, filterable rows', async () => {
+    const products = await parser.getDrugProducts('DB00945');
+    const reference = await parser.getDrugById('DB00945');
+    assert(products.length === reference.products.length, 'Should return every product');
+    products.forEach(p => {
+      assertKeys(p, ['name', 'ndc_product_code', 'dosage_form', 'route', 'generic', 'otc', 'marketing_status'], 'product');
+      assert(p.generic === null || typeof p.generic === 'boolean', 'generic should be a boolean');
+    });
+
+    const oral = await parser.getDrugProducts('DB00945', { route: 'oral' });
+    assert(oral.every(p => /oral/i.test(p.route)), 'Should filter by route');
+  });
+
+  backendTest('searchDrugsByProduct matches products and brands', async () => {
+    const reference = await parser.getDrugById('DB00945');
+    const product = reference.products.find(p => p.ndc_product_code);
+    const { results } = await parser.searchDrugsByProduct({ name: product.name }, { limit: 5 });
+    assert(results[0]?.drugbank_id === 'DB00945', 'Should rank the exact product match first');
+    assertKeys(results[0], ['matched_product_count', 'matched_products', 'matched_brands'], 'product match');
+
+    const { results: byNdc } = await parser.searchDrugsByProduct({ ndc: product.ndc_product_code.replace(/-/g, '') }, { limit: 5 });
+    assert(byNdc.some(r => r.drugbank_id === 'DB00945'), 'Should match NDC codes without hyphens');
+
+    const brand = reference.international_brands[0];
+    const { results: byBrand } = await parser.searchDrugsByProduct({ name: brand.name }, { limit: 5 });
+    assert(byBrand.some(r => r.matched_brands.some(b => b.name === brand.name)), 'Should match international brands');
+  });
+
+  backendTest('getDrugInteractions pages and classifies', async () => {
+    const { total, interactions } = await parser.getDrugInteractions('DB00945', { limit: 2, offset: 0 });
+    assert(total > 0, 'DB00945 should have interactions');
+    assert(interactions.length <= 2, 'Should respect limit');
+    interactions.forEach(i => assertKeys(i, INTERACTION_KEYS, 'interaction'));
+
+    const reverse = await parser.getDrugInteractions('DB00945', { direction: 'reverse', limit: 5 });
+    reverse.interactions.forEach(i => assertKeys(i, INTERACTION_KEYS, 'reverse interaction'));
+  });
+
+  backendTest('getInteractionsBetween returns rows for listed pairs', async () => {
+    const { interactions } = await parser.getDrugInteractions('DB00945', { limit: 1 });
+    const rows = await parser.getInteractionsBetween(['DB00945', interactions[0].drugbank_id]);
+    assert(rows.some(r => r.drug_id === 'DB00945' && r.interacting_id === interactions[0].drugbank_id), 'Should include the listed pair');
+  });
+
+  backendTest('ATC/pharmacokinetic searches return full records', async () => {
+    const reference = await parser.getDrugById('DB00945');
+    const searches = [
+      parser.searchDrugsByAtcCode(reference.atc_codes[0], { limit: 5 }),
+      parser.searchDrugsByHalfLife(0, 1000, { limit: 5 }),
+      parser.searchDrugsByProteinBinding(0, 100, { limit: 5 }),
+      parser.searchDrugsByVolumeOfDistribution(0, null, { limit: 5 }),
+      parser.searchDrugsByClearance(0, null, { limit: 5 })
+    ];
+    for (const { results } of await Promise.all(searches)) {
+      assert(results.length > 0, 'Search should return results');
+      results.forEach(r => assertKeys(r, RECORD_KEYS, 'record'));
+    }
+  });
+
+  backendTest('pharmacokinetic searches range over typical values, lowest first', async () => {
+    const reference = await parser.getDrugById('DB00682');
+    const searches = [
+      ['protein_binding_percent', (min, max) => parser.searchDrugsByProteinBinding(min, max, { limit: 100 })],
+      ['volume_of_distribution_l_kg', (min, max) => parser.searchDrugsByVolumeOfDistribution(min, max, { limit: 100 })],
+      ['clearance_ml_min_kg', (min, max) => parser.searchDrugsByClearance(min, max, { limit: 100 })]
+    ];
+
+    for (const [column, search] of searches) {
+      const value = reference[column];
+      assert(typeof value === 'number', `${column} should be parsed`);
+
+      const { results } = await search(value, value);
+      assert(results.some(r => r.drugbank_id === 'DB00682'), `${column} range should include its own value`);
+      results.forEach(r => assert(r[column] === value, `${column} should be in range`));
+
+      const { results: above } = await search(value * 1.01, null);
+      assert(!above.some(r => r.drugbank_id === 'DB00682'), `${column} minimum should exclude lower values`);
+      assert(above.every((r, i) => i === 0 || above[i - 1][column] <= r[column]), `${column} results should be ordered`);
+    }
+  });
+
+  backendTest('food interaction search matches note text and categories', async () => {
+    const reference = await parser.getDrugById('DB00682');
+    const note = reference.food_interactions[0];
+
+    const byText = await parser.searchDrugsByFoodInteraction({ query: note.slice(0, 8).toUpperCase() }, { limit: 50 });
+    const match = byText.results.find(r => r.drugbank_id === 'DB00682');
+    assert(match, 'Text search should ignore case');
+    assertKeys(match, SUMMARY_KEYS, 'summary');
+    assert(match.matched_food_interactions.some(n => n.description === note && n.categories.length > 0), 'Should list the classified note');
+
+    const { categories } = match.matched_food_interactions.find(n => n.description === note);
+    const byCategory = await parser.searchDrugsByFoodInteraction({ category: categories[0] }, { limit: 50 });
+    assert(byCategory.results.some(r => r.drugbank_id === 'DB00682'), 'Category search should find the drug');
+    byCategory.results.forEach(r => assert(r.matched_food_interactions.every(n => n.categories.includes(categories[0])), 'Should only list notes in the category'));
+  });
+
+  backendTest('category search matches names partially or exactly, and MeSH IDs', async () => {
+    const reference = await parser.getDrugById('DB00682');
+    const [category, meshId] = Object.entries(reference.category_mesh_ids)[0];
+
+    const exact = await parser.searchDrugsByCategory({ category: category.toUpperCase(), match: 'exact' }, { limit: 50 });
+    assert(exact.results.some(r => r.drugbank_id === 'DB00682'), 'Exact match should ignore case');
+    exact.results.forEach(r => assert(isDeepStrictEqual(r.matched_categories, [{ category, mesh_id: meshId }]), 'Should list the matched category'));
+
+    const partial = await parser.searchDrugsByCategory({ category: category.slice(1, 6) }, { limit: 50 });
+    assert(partial.total >= exact.total, 'Partial matches include exact ones');
+    const none = await parser.searchDrugsByCategory({ category: category.slice(1, 6), match: 'exact' });
+    assert(none.total === 0, 'Exact match should not match part of a name');
+
+    const byMesh = await parser.searchDrugsByCategory({ meshId }, { limit: 50 });
+    assert(isDeepStrictEqual(byMesh.results.map(r => r.drugbank_id), exact.results.map(r => r.drugbank_id)), 'Should find the same drugs by MeSH ID');
+  });
+
+  backendTest('partial matches take % and _ literally', async () => {
+    for (const wildcard of ['%', '_']) {
+      const searches = [
+        parser.searchDrugsByCategory({ category: wildcard }),
+        parser.listCategories(wildcard),
+        parser.searchDrugsByProduct({ labeller: wildcard }),
+        parser.searchDrugsByProduct({ name: wildcard }),
+        parser.searchDrugsByTarget(wildcard),
+        parser.searchDrugsByCarrier(wildcard),
+        parser.searchDrugsByTransporter(wildcard),
+        parser.searchDrugsByEnzyme(wildcard),
+        parser.searchDrugsByChemicalClass({ name: wildcard }),
+        parser.searchDrugsByFoodInteraction({ query: wildcard })
+      ];
+      (await Promise.all(searches)).forEach(({ total }, i) =>
+        assert(total === 0, `Search ${i + 1} should not treat "${wildcard}" as a wildcard, got ${total} results`));
+    }
+  });
+
+  backendTest('listCategories counts drugs and puts prefix matches first', async () => {
+    const { total, results } = await parser.listCategories(null, { limit: 500 });
+    assert(total === results.length && total > 0, 'Should list every category');
+    results.forEach(r => assertKeys(r, ['category', 'mesh_id', 'drug_count'], 'category listing'));
+    results.slice(1).forEach((r, i) => assert(r.drug_count <= results[i].drug_count, 'Should order by drug count'));
+
+    const reference = await parser.getDrugById('DB00682');
+    const [category, meshId] = Object.entries(reference.category_mesh_ids)[0];
+    const listing = results.find(r => r.category === category);
+    assert(listing.mesh_id === meshId, 'Should carry the MeSH ID');
+    const { total: drugCount } = await parser.searchDrugsByCategory({ category, match: 'exact' });
+    assert(listing.drug_count === drugCount, 'drug_count should count the drugs in the category');
+
+    const prefix = category.slice(0, 3).toLowerCase();
+    const matches = (await parser.listCategories(prefix, { limit: 500 })).results;
+    const starts = matches.map(r => r.category.toLowerCase().startsWith(prefix));
+    assert(matches.every(r => r.category.toLowerCase().includes(prefix)), 'Should only list names containing the query');
+    assert(starts.indexOf(false) === -1 || !starts.slice(starts.indexOf(false)).includes(true), 'Should list prefix matches first');
+  });
+
+  backendTest('chemical class search matches taxonomy names by level', async () => {
+    const { classification } = await parser.getDrugById('DB00945');
+    assertKeys(classification, ['kingdom', 'superclass', 'class', 'subclass', 'direct_parent', 'alternative_parents', 'substituents'], 'classification');
+
+    const byClass = await parser.searchDrugsByChemicalClass({ name: classification.class, level: 'class', match: 'exact' }, { limit: 50 });
+    assert(byClass.results.some(r => r.drugbank_id === 'DB00945'), 'Should find the drug by class');
+    byClass.results.forEach(r => {
+      assertKeys(r, SUMMARY_KEYS, 'summary');
+      assert(isDeepStrictEqual(r.matched_classes, [{ level: 'class', name: classification.class }]), 'Should list the matched class');
+    });
+
+    const substituent = classification.substituents[0];
+    const bySubstituent = await parser.searchDrugsByChemicalClass({ name: substituent.slice(1).toUpperCase(), level: 'substituent' }, { limit: 50 });
+    const match = bySubstituent.results.find(r => r.drugbank_id === 'DB00945');
+    assert(match?.matched_classes.some(c => c.level === 'substituent' && c.name === substituent), 'Should match part of a substituent name');
+
+    const wrongLevel = await parser.searchDrugsByChemicalClass({ name: classification.kingdom, level: 'substituent', match: 'exact' });
+    assert(!wrongLevel.results.some(r => r.drugbank_id === 'DB00945'), 'Should only search the given level');
+  });
+
+  backendTest('ATC search matches codes from the start at every level', async () => {
+    const reference = await parser.getDrugById('DB00945');
+    const [{ code, levels }] = reference.atc_hierarchy;
+    assert(levels.length === 4 && code.startsWith(levels[3].code), 'Should name levels 1-4, anatomical main group first');
+
+    for (const prefix of [...levels.map(level => level.code), code]) {
+      const { total, results } = await parser.searchDrugsByAtcCode(prefix, { limit: 50 });
+      assert(results.some(r => r.drugbank_id === 'DB00945'), `${prefix} should find the drug`);
+      assert(total === results.length && results.every(r => r.atc_codes.some(atc => atc.startsWith(prefix))), `${prefix} should only match codes under it`);
+    }
+    const inner = await parser.searchDrugsByAtcCode(code.slice(1, 4), { limit: 5 });
+    assert(inner.total === 0, 'Should not match codes in the middle');
+  });
+
+  backendTest('getAtcTree lists parents and children with drug counts', async () => {
+    const root = await parser.getAtcTree(null);
+    assert(root.node === null && root.parents.length === 0, 'The top has no node or parents');
+    assert(root.children.length > 0 && root.children.every(c => c.level === 1 && c.drug_count > 0), 'Should list anatomical main groups');
+
+    const reference = await parser.getDrugById('DB00945');
+    const [{ code, levels }] = reference.atc_hierarchy;
+    const tree = await parser.getAtcTree(levels[2].code);
+    assert(isDeepStrictEqual(tree.node, { ...levels[2], level: 3 }), 'Should describe the node');
+    assert(isDeepStrictEqual(tree.parents.map(p => p.code), [levels[0].code, levels[1].code]), 'Should list parents from the top');
+    const child = tree.children.find(c => c.code === levels[3].code);
+    assert(child && child.level === 4 && child.drug_count > 0, 'Should list children with drug counts');
+    assert(tree.drug_count >= child.drug_count, 'A node counts the drugs of its children');
+
+    const substance = await parser.getAtcTree(code);
+    assert(substance.node.level === 5 && substance.children.length === 0, 'Substances have no children');
+    assert(await parser.getAtcTree('Z99') === null, 'Unknown codes return null');
+  });
+
+  backendTest('structure searches rank by similarity and match exactly', async () => {
+    const reference = await parser.getDrugById('DB00945');
+    const fingerprint = fingerprintFromSmiles(reference.calculated_properties.SMILES);
+
+    const { results: similar } = await parser.searchDrugsBySimilarity(fingerprint, { minSimilarity: 0.2, limit: 5 });
+    assert(similar[0]?.drugbank_id === 'DB00945' && similar[0].similarity === 1, 'Reference drug should rank first');
+    similar.forEach(r => assertKeys(r, [...SUMMARY_KEYS, 'smiles', 'inchikey', 'similarity'], 'structure hit'));
+    assert(similar.every((r, i) => i === 0 || r.similarity <= similar[i - 1].similarity), 'Should be sorted by similarity');
+
+    const { results: exact } = await parser.searchDrugsByExactStructure({ inchikey: reference.calculated_properties.InChIKey }, { limit: 5 });
+    assert(exact.some(r => r.drugbank_id === 'DB00945'), 'InChIKey should match the reference drug');
+  });
+
+  backendTest('substructure search returns drugs containing the fragment', async () => {
+    const reference = await parser.getDrugById('DB00945');
+    const query = compileSubstructureQuery(reference.calculated_properties.SMILES);
+
+    const { results } = await parser.searchDrugsBySubstructure(query, { limit: 5 });
+    assert(results.some(r => r.drugbank_id === 'DB00945'), 'A drug should contain its own structure');
+    results.forEach(r => assertKeys(r, [...SUMMARY_KEYS, 'smiles', 'inchikey'], 'substructure hit'));
+  });
+
+  backendTest('property search filters typed values', async () => {
+    const { results } = await parser.searchDrugsByProperties({ molecular_weight: { max: 500 }, rule_of_five: true }, { limit: 5 });
+    assert(results.some(r => r.drugbank_id === 'DB00945'), 'Should include aspirin');
+    results.forEach(r => {
+      assertKeys(r, SUMMARY_KEYS, 'summary');
+      assert(r.properties.molecular_weight <= 500 && r.properties.rule_of_five === true, 'Should satisfy the filters');
+    });
+  });
+
+  backendTest('findSimilarDrugs scores candidates', async () => {
+    const { results } = await parser.findSimilarDrugs('DB00945', { limit: 5 });
+    assert(Array.isArray(results), 'Should return an array');
+    results.forEach(r => {
+      assertKeys(r, ['drug', 'similarity_score', 'shared_targets', 'shared_categories'], 'similar drug');
+      assert(r.drug.drugbank_id !== 'DB00945', 'Should not include the reference drug');
+    });
+  });
+}
+
+// ============================================================
+// Cross-backend parity
+// ============================================================
+test('parity: both backends return identical drug records', async () => {
+  if (!BACKENDS.every(b => fs.existsSync(b.dataFile))) return 'skip';
+
+  for (const id of SAMPLE_IDS) {
+    const [fromSqlite, fromXml] = await Promise.all(BACKENDS.map(b => b.parser.getDrugById(id)));
+    for (const key of RECORD_KEYS) {
+      assert(isDeepStrictEqual(fromSqlite?.[key], fromXml?.[key]), `${id}.${key} differs between backends`);
+    }
+  }
+});
+
+test('parity: both backends rank name searches identically', async () => {
+  if (!BACKENDS.every(b => fs.existsSync(b.dataFile))) return 'skip';
+
+  for (const query of ['acid', 'acet', 'aspirn']) {
+    const [fromSqlite, fromXml] = await Promise.all(BACKENDS.map(async b => (await b.parser.searchDrugsByName(query, { limit: 10 })).results));
+    const ranking = results => results.map(r => [r.drugbank_id, r.match_type, r.score]);
+    assert(isDeepStrictEqual(ranking(fromSqlite), ranking(fromXml)), `"${query}" ranks differently between backends`);
+  }
+});
+
+test('parity: both backends order and count search pages identically', async () => {
+  if (!BACKENDS.every(b => fs.existsSync(b.dataFile))) return 'skip';
+
+  const searches = [
+    parser => parser.searchDrugsByTarget('a', { limit: 3, offset: 1 }),
+    parser => parser.searchDrugsByCategory({ category: 'a' }, { limit: 3, offset: 1 }),
+    parser => parser.searchDrugsByCarrier('a', { limit: 3, offset: 1 }),
+    parser => parser.searchDrugsByTransporter('a', { limit: 3, offset: 1 }),
+    parser => parser.searchDrugsByHalfLife(null, null, { limit: 3, offset: 1 }),
+    parser => parser.searchDrugsByProteinBinding(50, null, { limit: 3, offset: 1 }),
+    parser => parser.searchDrugsByAtcCode('B', { limit: 3, offset: 1 }),
+    parser => parser.searchDrugsByChemicalClass({ name: 'a' }, { limit: 3, offset: 1 }),
+    parser => parser.searchDrugsByFoodInteraction({ query: 'a' }, { limit: 3, offset: 1 })
+  ];
+  for (const search of searches) {
+    const [fromSqlite, fromXml] = await Promise.all(BACKENDS.map(b => search(b.parser)));
+    const page = ({ total, results }) => [total, results.map(r => r.drugbank_id)];
+    assert(isDeepStrictEqual(page(fromSqlite), page(fromXml)), `${search} pages differently between backends`);
+  }
+});
+
+test('parity: both backends list categories identically', async () => {
+  if (!BACKENDS.every(b => fs.existsSync(b.dataFile))) return 'skip';
+
+  for (const query of [null, 'an', 'inhibitors']) {
+    const [fromSqlite, fromXml] = await Promise.all(BACKENDS.map(b => b.parser.listCategories(query, { limit: 500 })));
+    assert(isDeepStrictEqual(fromSqlite, fromXml), `"${query}" lists categories differently between backends`);
+  }
+});
+
+test('parity: both backends build the same ATC tree', async () => {
+  if (!BACKENDS.every(b => fs.existsSync(b.dataFile))) return 'skip';
+
+  const reference = await BACKENDS[0].parser.getDrugById('DB00945');
+  for (const code of [null, ...reference.atc_hierarchy[0].levels.map(level => level.code)]) {
+    const [fromSqlite, fromXml] = await Promise.all(BACKENDS.map(b => b.parser.getAtcTree(code)));
+    assert(isDeepStrictEqual(fromSqlite, fromXml), `${code ?? 'top'} differs between backends`);
+  }
+});
+
+// Run all tests
+runTests();
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+/**
+ * Pharmacokinetic parsing test
+ *
+ * Runs the PK parsers over a corpus of half-life, protein binding, volume of
+ * distribution and clearance strings as DrugBank records them. Needs no data files
+ */
+
+import { isDeepStrictEqual } from 'util';
+import {
+  parseHalfLife, parseProteinBinding, parseVolumeOfDistribution, parseClearance, extractPharmacokinetics
+} from '../src/pharmacokinetics.js';
+
+const tests = [];
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+/**
+ * Check each [text, expected] pair of a corpus; expected lists only the keys to
+ * compare (null when the text should not parse)
+ */
+function checkCorpus(parse, corpus) {
+  const failures = corpus.flatMap(([text, expected]) => {
+    const parsed = parse(text);
+    const actual = parsed && expected ? Object.fromEntries(Object.keys(expected).map(key => [key, parsed[key]])) : parsed;
+    return isDeepStrictEqual(actual, expected) ? [] : [`"${text}": expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`];
+  });
+  assert(failures.length === 0, failures.join('\n  '));
+}
+
+async function runTests() {
+  console.log('='.repeat(60));
+  console.log('DrugBank MCP Server - Pharmacokinetic Parsing Test');
+  console.log('='.repeat(60));
+  console.log('');
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('');
+  console.log('='.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed, ${tests.length} total`);
+  console.log('='.repeat(60));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// ============================================================
+// Half-life
+// ============================================================
+test('half-life: single values in any unit', () => {
+  checkCorpus(parseHalfLife, [
+    ['4.5 hours', { min: 4.5, max: 4.5, typical: 4.5, unit: 'hours', source_unit: 'hours' }],
+    ['Approximately 1.3 hours', { typical: 1.3 }],
+    ['3.5h', { typical: 3.5 }],
+    ['The half-life for adults is 2.5 h after an intravenous dose of 15 mg/kg.', { typical: 2.5 }],
+    ['Plasma half-life is about 30 minutes.', { typical: 0.5, source_unit: 'minutes' }],
+    ['The terminal half-life of amiodarone is 58 days (range 15 to 142 days).', { typical: 1392, source_unit: 'days' }],
+    ['The elimination half-life is approximately 3 weeks.', { typical: 504, source_unit: 'weeks' }],
+    ['Circulating half-life of 90 seconds', { typical: 0.025, source_unit: 'seconds' }]
+  ]);
+});
+
+test('half-life: ranges and spreads', () => {
+  checkCorpus(parseHalfLife, [
+    ['1 to 3 hours', { min: 1, max: 3, typical: 2 }],
+    ['The half-life of ASA in the circulation ranges from 13 - 19.9 minutes.', { min: 0.216667, max: 0.331667, typical: 0.274167 }],
+    ['The mean terminal half-life is 7.7 to 9.5 days.', { min: 184.8, max: 228, typical: 206.4 }],
+    ['25 ± 10 hours', { min: 15, max: 35, typical: 25 }],
+    ['Elimination half-life: 10.6 +/- 2.5 hr', { min: 8.1, max: 13.1, typical: 10.6 }],
+    ['Half-life is less than 2 hours', { min: null, max: 2, typical: 2 }],
+    ['The half-life is between 5 and 7 hours.', { min: 5, max: 7, typical: 6 }],
+    ['Between 1 and 3 days', { min: 24, max: 72, typical: 48, source_unit: 'days' }]
+  ]);
+});
+
+test('half-life: ranges with a unit on both ends', () => {
+  checkCorpus(parseHalfLife, [
+    ['30 minutes to 2 hours', { min: 0.5, max: 2, typical: 1.25, source_unit: 'hours' }],
+    ['The half-life is between 30 min and 2 h in adults', { min: 0.5, max: 2, typical: 1.25, population: 'adults' }],
+    ['12 hours to 2 days', { min: 12, max: 48, typical: 30 }],
+    ['2 hours - 3 hours', { min: 2, max: 3, typical: 2.5 }]
+  ]);
+});
+
+test('half-life: the drug value comes first, a stated mean is typical', () => {
+  checkCorpus(parseHalfLife, [
+    ['The half-life of acetylsalicylic acid is approximately 15-20 minutes; salicylic acid has a half-life of 2-3 hours at low doses.',
+      { min: 0.25, max: 0.333333, typical: 0.291667 }],
+    ['The terminal half-life of warfarin after a single dose is approximately one week; however, the effective half-life ranges from 20 to 60 hours, with a mean of about 40 hours.',
+      { min: 20, max: 60, typical: 40 }],
+    ['Biphasic, with a half-life of 2 hours during the first 10 hours and 8 hours thereafter', { typical: 2 }],
+    ['Metabolized by CYP3A4; half-life 6 h', { typical: 6 }]
+  ]);
+});
+
+test('half-life: population notes', () => {
+  checkCorpus(parseHalfLife, [
+    ['25 minutes in patients with normal renal function', { typical: 0.416667, population: 'patients with normal renal function' }],
+    ['36 to 48 hours in healthy volunteers. Longer in renal impairment.', { typical: 42, population: 'healthy volunteers' }],
+    ['12 hours; 30 hours in neonates', { typical: 12, population: null }]
+  ]);
+});
+
+test('half-life: confidence reflects competing values', () => {
+  checkCorpus(parseHalfLife, [
+    ['4.5 hours', { confidence: 'high', multiple_values: false }],
+    ['The terminal half-life of warfarin after a single dose is approximately one week; however, the effective half-life ranges from 20 to 60 hours, with a mean of about 40 hours.',
+      { confidence: 'high', multiple_values: true }],
+    ['Mean half-life 8 hours (range 6 to 10 hours)', { typical: 8, confidence: 'medium', multiple_values: true }],
+    ['Half-life is less than 2 hours', { confidence: 'medium' }],
+    ['The active metabolite has a half-life of 20 hours', { confidence: 'medium', multiple_values: false }],
+    ['Approximately 2 hours for the parent, 20 hours for the metabolite', { typical: 2, confidence: 'low', multiple_values: true }],
+    ['Biphasic, with a half-life of 2 hours during the first 10 hours and 8 hours thereafter', { confidence: 'low' }],
+    ['12 hours; 30 hours in neonates', { confidence: 'low' }],
+    ['between 5 and 7 hours', { confidence: 'high', multiple_values: false }],
+    ['30 minutes to 2 hours', { confidence: 'high', multiple_values: false }],
+    ['From 5 to approx. 7 hours', { typical: 7, confidence: 'low' }]
+  ]);
+});
+
+test('half-life: the matched span is kept as written', () => {
+  checkCorpus(parseHalfLife, [
+    ['Approximately 1.3 Hours', { matched_text: '1.3 Hours' }],
+    ['Between 30 Minutes and 2 Hours', { matched_text: 'Between 30 Minutes and 2 Hours' }],
+    ['The half-life of ASA in the circulation ranges from 13 - 19.9 minutes.', { matched_text: '13 - 19.9 minutes' }],
+    ['Half-life is  less than\n2 hours', { matched_text: 'less than 2 hours' }],
+    ['25 minutes in patients with normal renal function', { matched_text: '25 minutes' }]
+  ]);
+});
+
+test('half-life: text without a value does not parse', () => {
+  checkCorpus(parseHalfLife, [
+    ['Not Available', null],
+    ['Variable', null],
+    ['', null],
+    [null, null]
+  ]);
+});
+
+// ============================================================
+// Protein binding
+// ============================================================
+test('protein binding: percentages and ranges', () => {
+  checkCorpus(parseProteinBinding, [
+    ['99%', { min: 99, max: 99, typical: 99, unit: '%' }],
+    ['Approximately 99% bound to plasma proteins.', { typical: 99 }],
+    ['Approximately 80-90% bound to plasma proteins, mainly albumin.', { min: 80, max: 90, typical: 85 }],
+    ['84 to 99%', { min: 84, max: 99, typical: 91.5 }],
+    ['10% to 25%', { min: 10, max: 25, typical: 17.5 }],
+    ['Binding to plasma proteins is about 40 percent', { typical: 40 }],
+    ['Less than 10% bound', { min: null, max: 10, typical: 10 }]
+  ]);
+});
+
+test('protein binding: unbound fractions and absent binding', () => {
+  checkCorpus(parseProteinBinding, [
+    ['The unbound fraction in plasma is about 5%', { min: 95, max: 95, typical: 95 }],
+    ['2-4% unbound', { min: 96, max: 98, typical: 97 }],
+    ['Does not bind to plasma proteins', { min: 0, max: 0, typical: 0 }],
+    ['Protein binding is negligible', null],
+    ['Negligible binding to plasma proteins', { typical: 0 }],
+    ['Not Available', null]
+  ]);
+});
+
+// ============================================================
+// Volume of distribution
+// ============================================================
+test('volume of distribution: per-kg volumes', () => {
+  checkCorpus(parseVolumeOfDistribution, [
+    ['0.14 L/kg', { min: 0.14, max: 0.14, typical: 0.14, unit: 'L/kg', source_unit: 'L/kg', per_kg: true }],
+    ['Approximately 170 mL/kg', { typical: 0.17, source_unit: 'mL/kg' }],
+    ['0.34 to 1.57 L/kg', { min: 0.34, max: 1.57, typical: 0.955 }],
+    ['Vd = 4.9 liters per kg', { typical: 4.9, per_kg: true }]
+  ]);
+});
+
+test('volume of distribution: absolute volumes scale to a 70 kg adult', () => {
+  checkCorpus(parseVolumeOfDistribution, [
+    ['12.2 L', { typical: 0.174286, source_unit: 'L', per_kg: false }],
+    ['The apparent volume of distribution is 1,400 L.', { typical: 20 }],
+    ['Clearance 5 L/h; volume of distribution 35 L', { typical: 0.5 }],
+    ['Not Available', null]
+  ]);
+});
+
+// ============================================================
+// Clearance
+// ============================================================
+test('clearance: rates normalize to mL/min/kg', () => {
+  checkCorpus(parseClearance, [
+    ['3.4 mL/min/kg', { min: 3.4, max: 3.4, typical: 3.4, unit: 'mL/min/kg', source_unit: 'mL/min/kg', per_kg: true }],
+    ['0.5 L/h/kg', { typical: 8.33333, source_unit: 'L/h/kg' }],
+    ['0.044 to 0.109 L/kg/h', { min: 0.733333, max: 1.81667, typical: 1.275 }],
+    ['Renal clearance: 0.08 L/hr/kg', { typical: 1.33333 }]
+  ]);
+});
+
+test('clearance: absolute rates scale to a 70 kg adult', () => {
+  checkCorpus(parseClearance, [
+    ['164 ml/min', { typical: 2.34286, source_unit: 'mL/min', per_kg: false }],
+    ['8.4 L/h', { typical: 2 }],
+    ['60 mL/min/1.73 m2', { typical: 0.857143, source_unit: 'mL/min/1.73 m2', per_kg: false }],
+    ['Approximately 100.8 L/day', { typical: 1 }],
+    ['Volume of distribution 0.5 L/kg', null]
+  ]);
+});
+
+// ============================================================
+// Records
+// ============================================================
+test('records: every parameter is parsed from its text field', () => {
+  const pharmacokinetics = extractPharmacokinetics({
+    half_life: '4.5 hours',
+    protein_binding: '99%',
+    volume_of_distribution: null,
+    clearance: '0.044 to 0.109 L/kg/h'
+  });
+  assert(pharmacokinetics.half_life.typical === 4.5, 'Should parse the half-life');
+  assert(pharmacokinetics.protein_binding.typical === 99, 'Should parse the protein binding');
+  assert(pharmacokinetics.volume_of_distribution === null, 'Missing text should give null');
+  assert(pharmacokinetics.clearance.min === 0.733333, 'Should parse the clearance');
+});
+
+// Run all tests
+runTests();
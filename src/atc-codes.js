@@ -0,0 +1,77 @@
+/**
+ * ATC Codes
+ *
+ * The WHO Anatomical Therapeutic Chemical hierarchy as DrugBank records it:
+ * each <atc-code> is a level-5 code whose <level> elements name its level 4-1
+ * ancestors. Rows for the atc_codes and drug_atc_codes tables (SQLite mode),
+ * code validation and prefix-anchored matching shared by both backends
+ */
+
+/**
+ * ATC levels by code length (C, C09, C09A, C09AA, C09AA01)
+ */
+export const ATC_LEVELS = [
+  { level: 1, length: 1, name: 'anatomical main group' },
+  { level: 2, length: 3, name: 'therapeutic subgroup' },
+  { level: 3, length: 4, name: 'pharmacological subgroup' },
+  { level: 4, length: 5, name: 'chemical subgroup' },
+  { level: 5, length: 7, name: 'chemical substance' }
+];
+
+// A code at any level: letter, 2 digits, letter, letter, 2 digits
+const ATC_CODE_PATTERN = /^[A-Z](\d{2}([A-Z]([A-Z](\d{2})?)?)?)?$/;
+
+/**
+ * Uppercase a code at any ATC level; null when it is not one
+ */
+export function normalizeAtcCode(code) {
+  const normalized = String(code ?? '').trim().toUpperCase();
+  return ATC_CODE_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * The ATC level ({ level, length, name }) of a normalized code
+ */
+export function getAtcLevel(code) {
+  return ATC_LEVELS.find(level => level.length === code.length) || null;
+}
+
+/**
+ * The code one level up (null for anatomical main groups)
+ */
+export function getParentAtcCode(code) {
+  const level = getAtcLevel(code);
+  return level && level.level > 1 ? code.slice(0, ATC_LEVELS[level.level - 2].length) : null;
+}
+
+/**
+ * Node rows { code, name, level, parent_code } for a record's ATC hierarchy,
+ * ancestors first; DrugBank names levels 1-4, so level-5 codes take the drug's name
+ */
+export function toAtcRows(atcHierarchy, drugName) {
+  return atcHierarchy.flatMap(({ code, levels }) => [
+    ...levels,
+    { code, name: drugName }
+  ]).filter(({ code }) => normalizeAtcCode(code)).map(({ code, name }) => ({
+    code,
+    name: name ?? null,
+    level: getAtcLevel(code).level,
+    parent_code: getParentAtcCode(code)
+  }));
+}
+
+/**
+ * A drug's codes under an ATC code at any level (prefix match, so N02 never matches B01AN02)
+ */
+export function matchAtcCodes(atcCodes, code) {
+  return atcCodes.filter(atc => atc.startsWith(code));
+}
+
+export default {
+  ATC_LEVELS,
+  normalizeAtcCode,
+  getAtcLevel,
+  getParentAtcCode,
+  toAtcRows,
+  matchAtcCodes
+};
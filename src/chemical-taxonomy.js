@@ -0,0 +1,53 @@
+/**
+ * Chemical Taxonomy
+ *
+ * ClassyFire classification of a drug record (the <classification> block),
+ * flattened into rows { level, name } (the drug_chemical_classes table in
+ * SQLite mode), and chemical class matching shared by both backends
+ */
+
+/**
+ * Taxonomy levels, from the broadest; a drug has one name at each of the first
+ * five and any number of alternative parents and substituents
+ */
+export const CHEMICAL_CLASS_LEVELS = [
+  'kingdom', 'superclass', 'class', 'subclass', 'direct_parent', 'alternative_parent', 'substituent'
+];
+
+/**
+ * How search_by_chemical_class matches names (case-insensitive)
+ * - partial: the name contains the query ("sulfonamide" matches "Benzenesulfonamide")
+ * - exact: the whole name
+ */
+export const CHEMICAL_CLASS_MATCH_MODES = ['partial', 'exact'];
+
+/**
+ * Taxonomy rows { level, name } of a record classification, in CHEMICAL_CLASS_LEVELS order
+ */
+export function toChemicalClassRows(classification) {
+  if (!classification) return [];
+
+  return [
+    ...['kingdom', 'superclass', 'class', 'subclass', 'direct_parent'].map(level => ({ level, name: classification[level] })),
+    ...classification.alternative_parents.map(name => ({ level: 'alternative_parent', name })),
+    ...classification.substituents.map(name => ({ level: 'substituent', name }))
+  ].filter(row => row.name);
+}
+
+/**
+ * Whether a taxonomy row matches search_by_chemical_class criteria
+ * - name: matched as CHEMICAL_CLASS_MATCH_MODES describes
+ * - level: one of CHEMICAL_CLASS_LEVELS (any level when null)
+ */
+export function matchesChemicalClass(row, { name, level = null, match = 'partial' }) {
+  const rowName = row.name.toLowerCase();
+  const term = name.toLowerCase();
+  return (match === 'exact' ? rowName === term : rowName.includes(term)) && (!level || row.level === level);
+}
+
+export default {
+  CHEMICAL_CLASS_LEVELS,
+  CHEMICAL_CLASS_MATCH_MODES,
+  toChemicalClassRows,
+  matchesChemicalClass
+};
@@ -0,0 +1,65 @@
+/**
+ * Drug Categories
+ *
+ * Category rows built from a drug record's categories and their MeSH IDs (the
+ * drug_categories table in SQLite mode), category matching for search_by_category
+ * and the ordering of list_categories, shared by both backends
+ */
+
+/**
+ * How search_by_category matches category names (case-insensitive)
+ * - partial: the name contains the query
+ * - exact: the whole name
+ */
+export const CATEGORY_MATCH_MODES = ['partial', 'exact'];
+
+// MeSH descriptor (D000925) or supplementary concept (C000589) unique ID
+const MESH_ID_PATTERN = /^[CD]\d{6,9}$/;
+
+/**
+ * Uppercase a MeSH unique ID; null when it is not one
+ */
+export function normalizeMeshId(meshId) {
+  const normalized = String(meshId ?? '').trim().toUpperCase();
+  return MESH_ID_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Category rows { category, mesh_id } of a record (or index entry), in record order
+ */
+export function toCategoryRows({ categories = [], category_mesh_ids = {} }) {
+  return categories.map(category => ({ category, mesh_id: category_mesh_ids[category] ?? null }));
+}
+
+/**
+ * Whether a category row matches search_by_category criteria
+ * - category: name, matched as CATEGORY_MATCH_MODES describes
+ * - meshId: normalized MeSH ID, exact
+ */
+export function matchesCategory(row, { category = null, meshId = null, match = 'partial' } = {}) {
+  const name = row.category.toLowerCase();
+  const term = category?.toLowerCase();
+  return (!category || (match === 'exact' ? name === term : name.includes(term))) &&
+    (!meshId || row.mesh_id === meshId);
+}
+
+/**
+ * Order list_categories entries { category, drug_count }: names starting with the
+ * query first (autocomplete), then by drug count, then by name
+ */
+export function compareCategoryListings(query) {
+  const term = (query || '').toLowerCase();
+  const isPrefix = entry => entry.category.toLowerCase().startsWith(term);
+
+  return (a, b) => (isPrefix(b) - isPrefix(a)) ||
+    (b.drug_count - a.drug_count) ||
+    (a.category < b.category ? -1 : a.category > b.category ? 1 : 0);
+}
+
+export default {
+  CATEGORY_MATCH_MODES,
+  normalizeMeshId,
+  toCategoryRows,
+  matchesCategory,
+  compareCategoryListings
+};
@@ -0,0 +1,114 @@
+/**
+ * Drug Enzymes
+ *
+ * Enzyme rows built from a drug record's enzymes (the drug_enzymes table in
+ * SQLite mode), the drug's role for each enzyme, enzyme search matching and
+ * the cytochrome P450 metabolism profile, shared by both backends
+ */
+
+/**
+ * Roles a drug can have for an enzyme, from its DrugBank actions
+ * (and inhibition/induction strengths)
+ */
+export const ENZYME_ROLES = ['substrate', 'inhibitor', 'inducer'];
+
+/**
+ * Roles of a drug for a record enzyme
+ */
+export function getEnzymeRoles(enzyme) {
+  const actions = (enzyme.actions || []).map(action => action.toLowerCase());
+  return ENZYME_ROLES.filter(role =>
+    actions.some(action => action.includes(role)) ||
+    (role === 'inhibitor' && Boolean(enzyme.inhibition_strength)) ||
+    (role === 'inducer' && Boolean(enzyme.induction_strength))
+  );
+}
+
+/**
+ * Enzyme row from a record enzyme
+ */
+export function toEnzymeRow(enzyme) {
+  return {
+    enzyme_id: enzyme.id ?? null,
+    name: enzyme.name ?? null,
+    gene_name: enzyme.gene_name ?? null,
+    uniprot_id: enzyme.uniprot_id ?? null,
+    organism: enzyme.organism ?? null,
+    known_action: enzyme.known_action ?? null,
+    actions: enzyme.actions || [],
+    roles: getEnzymeRoles(enzyme),
+    inhibition_strength: enzyme.inhibition_strength ?? null,
+    induction_strength: enzyme.induction_strength ?? null
+  };
+}
+
+/**
+ * Whether an enzyme row matches search_by_enzyme criteria
+ * - enzyme: case-insensitive partial match on the name ("Cytochrome P450 3A4") or gene ("CYP3A4")
+ * - role: one of ENZYME_ROLES
+ */
+export function matchesEnzyme(row, { enzyme, role } = {}) {
+  const term = enzyme.toLowerCase();
+  return (Boolean(row.name?.toLowerCase().includes(term)) || Boolean(row.gene_name?.toLowerCase().includes(term))) &&
+    (!role || row.roles.includes(role));
+}
+
+/**
+ * Whether an enzyme row is a cytochrome P450
+ */
+export function isCytochromeP450(row) {
+  return /^CYP\d/i.test(row.gene_name || '') || /cytochrome p450/i.test(row.name || '');
+}
+
+/**
+ * Summarize which cytochrome P450s metabolise (substrate_of), inhibit and
+ * induce a drug, from its record enzymes; other enzymes are listed with their roles
+ */
+export function buildMetabolismProfile(enzymes) {
+  const rows = enzymes.filter(enzyme => enzyme.name).map(toEnzymeRow);
+  const cyps = rows.filter(isCytochromeP450);
+  const entry = (row, strength) => ({
+    enzyme_id: row.enzyme_id,
+    name: row.name,
+    gene_name: row.gene_name,
+    ...(strength !== undefined && { strength })
+  });
+
+  const profile = {
+    substrate_of: cyps.filter(row => row.roles.includes('substrate')).map(row => entry(row)),
+    inhibits: cyps.filter(row => row.roles.includes('inhibitor')).map(row => entry(row, row.inhibition_strength)),
+    induces: cyps.filter(row => row.roles.includes('inducer')).map(row => entry(row, row.induction_strength)),
+    other_enzymes: rows.filter(row => !isCytochromeP450(row)).map(({ enzyme_id, name, gene_name, actions, roles }) => ({
+      enzyme_id, name, gene_name, actions, roles
+    }))
+  };
+
+  return { ...profile, summary: summarizeProfile(profile) };
+}
+
+/**
+ * One-line profile summary, e.g. "Substrate of CYP2C9, CYP3A4; inhibits CYP3A4 (strong)"
+ */
+function summarizeProfile({ substrate_of, inhibits, induces }) {
+  const label = entry => entry.gene_name || entry.name;
+  const withStrength = entry => entry.strength ? `${label(entry)} (${entry.strength})` : label(entry);
+
+  const parts = [
+    substrate_of.length > 0 && `substrate of ${substrate_of.map(label).join(', ')}`,
+    inhibits.length > 0 && `inhibits ${inhibits.map(withStrength).join(', ')}`,
+    induces.length > 0 && `induces ${induces.map(withStrength).join(', ')}`
+  ].filter(Boolean);
+
+  if (parts.length === 0) return 'No cytochrome P450 involvement recorded';
+  const text = parts.join('; ');
+  return text[0].toUpperCase() + text.slice(1);
+}
+
+export default {
+  ENZYME_ROLES,
+  getEnzymeRoles,
+  toEnzymeRow,
+  matchesEnzyme,
+  isCytochromeP450,
+  buildMetabolismProfile
+};
@@ -0,0 +1,54 @@
+/**
+ * Drug Filters
+ *
+ * Common filters every search method accepts: approval groups (include/exclude),
+ * physical state, drug type and target organism. The SQLite backend applies them
+ * in SQL (drug_groups table, drugs.state/type, drug_targets.organism); the XML
+ * backend matches index entries with matchesDrugFilters
+ */
+
+/**
+ * DrugBank drug groups
+ */
+export const DRUG_GROUPS = ['approved', 'experimental', 'investigational', 'withdrawn', 'illicit', 'nutraceutical', 'vet_approved'];
+
+export const DRUG_STATES = ['solid', 'liquid', 'gas'];
+
+/**
+ * DrugBank drug types (the <drug type="..."> attribute)
+ */
+export const DRUG_TYPES = ['small molecule', 'biotech'];
+
+/**
+ * Whether any filter is set
+ * filters: { groups, excludeGroups, state, type, organism }
+ * - groups: drugs in at least one of these groups
+ * - excludeGroups: drugs in none of these groups
+ * - state, type: exact
+ * - organism: drugs with at least one target in this organism (case-insensitive)
+ */
+export function hasDrugFilters({ groups, excludeGroups, state, type, organism } = {}) {
+  return Boolean(groups?.length || excludeGroups?.length || state || type || organism);
+}
+
+/**
+ * Whether a drug satisfies the filters
+ * drug: { groups, state, type, target_organisms } (target organisms lowercased)
+ */
+export function matchesDrugFilters(drug, { groups, excludeGroups, state, type, organism } = {}) {
+  const drugGroups = drug.groups || [];
+
+  return (!groups?.length || groups.some(group => drugGroups.includes(group))) &&
+    (!excludeGroups?.length || !excludeGroups.some(group => drugGroups.includes(group))) &&
+    (!state || drug.state === state) &&
+    (!type || drug.type === type) &&
+    (!organism || (drug.target_organisms || []).includes(organism.toLowerCase()));
+}
+
+export default {
+  DRUG_GROUPS,
+  DRUG_STATES,
+  DRUG_TYPES,
+  hasDrugFilters,
+  matchesDrugFilters
+};
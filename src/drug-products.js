@@ -0,0 +1,152 @@
+/**
+ * Drug Products
+ *
+ * Typed product rows built from a drug record's products (the drug_products
+ * table in SQLite mode), their marketing status, and the product filters and
+ * brand/NDC/labeller matching shared by both backends
+ */
+
+/**
+ * Product fields in storage order; the flags are stored as booleans
+ */
+export const PRODUCT_FIELDS = [
+  'name', 'labeller', 'ndc_id', 'ndc_product_code', 'dpd_id', 'ema_product_code', 'ema_ma_number',
+  'started_marketing_on', 'ended_marketing_on', 'dosage_form', 'strength', 'route',
+  'fda_application_number', 'generic', 'otc', 'approved', 'country', 'source'
+];
+
+export const PRODUCT_FLAGS = ['generic', 'otc', 'approved'];
+
+/**
+ * Marketing status, from the product's marketing dates relative to today
+ * - marketed: started, and not ended (or ending in the future)
+ * - discontinued: ended on or before today
+ * - not_yet_marketed: starts in the future
+ * - unknown: no start date
+ */
+export const MARKETING_STATUSES = ['marketed', 'discontinued', 'not_yet_marketed', 'unknown'];
+
+/**
+ * Typed product row from a record product ("true"/"false" flags become booleans)
+ */
+export function toProductRow(product) {
+  const row = {};
+  for (const field of PRODUCT_FIELDS) {
+    const value = product[field] ?? null;
+    row[field] = PRODUCT_FLAGS.includes(field) && value !== null ? value === true || value === 'true' || value === 1 : value;
+  }
+  return row;
+}
+
+/**
+ * Marketing status of a product on a given day (YYYY-MM-DD, default today)
+ */
+export function getMarketingStatus(product, today = new Date().toISOString().slice(0, 10)) {
+  if (product.ended_marketing_on && product.ended_marketing_on <= today) return 'discontinued';
+  if (!product.started_marketing_on) return 'unknown';
+  return product.started_marketing_on > today ? 'not_yet_marketed' : 'marketed';
+}
+
+/**
+ * Whether a product row (with marketing_status) satisfies get_products filters
+ * - country: exact, case-insensitive
+ * - route, dosageForm: case-insensitive substring ("tablet" matches "Tablet, film coated")
+ * - generic, otc: booleans
+ * - marketingStatus: one of MARKETING_STATUSES
+ */
+export function matchesProductFilters(product, { country, route, dosageForm, generic, otc, marketingStatus } = {}) {
+  const contains = (value, term) => Boolean(value) && value.toLowerCase().includes(term.toLowerCase());
+
+  return (!country || product.country?.toLowerCase() === country.toLowerCase()) &&
+    (!route || contains(product.route, route)) &&
+    (!dosageForm || contains(product.dosage_form, dosageForm)) &&
+    (generic === undefined || product.generic === generic) &&
+    (otc === undefined || product.otc === otc) &&
+    (!marketingStatus || product.marketing_status === marketingStatus);
+}
+
+// Matched products listed per drug in search_by_product results
+export const MATCHED_PRODUCTS_LIMIT = 10;
+
+/**
+ * Whether a stored NDC code matches a searched one
+ * Hyphenated input is compared as written; bare digits are compared with hyphens removed
+ */
+export function matchesNdc(value, ndc) {
+  if (!value) return false;
+  return ndc.includes('-') ? value === ndc : value.replace(/-/g, '') === ndc;
+}
+
+/**
+ * Whether a product satisfies search_by_product criteria (all given criteria must hold)
+ * - name: case-insensitive partial match on the product (brand) name
+ * - ndc: NDC product code (e.g. 0280-2000) or package code (0280-2000-10)
+ * - labeller: case-insensitive partial match
+ */
+export function matchesProductCriteria(product, { name, ndc, labeller } = {}) {
+  const contains = (value, term) => Boolean(value) && value.toLowerCase().includes(term.toLowerCase());
+
+  return (!name || contains(product.name, name)) &&
+    (!ndc || matchesNdc(product.ndc_product_code, ndc) || matchesNdc(product.ndc_id, ndc)) &&
+    (!labeller || contains(product.labeller, labeller));
+}
+
+/**
+ * Whether an international brand satisfies search_by_product criteria
+ * (brands have no NDC codes; labeller matches the brand's company)
+ */
+export function matchesBrandCriteria(brand, { name, ndc, labeller } = {}) {
+  if (ndc) return false;
+  return matchesProductCriteria({ name: brand.name, labeller: brand.company }, { name, labeller });
+}
+
+/**
+ * Whether a product or brand name equals the searched name (case-insensitive)
+ */
+export function isExactNameMatch(item, { name } = {}) {
+  return Boolean(name) && item.name?.toLowerCase() === name.toLowerCase();
+}
+
+/**
+ * Summarize which of a drug's products (typed rows) and international brands match
+ * search_by_product criteria
+ */
+export function summarizeProductMatches(products, brands, criteria) {
+  const matchedProducts = products.filter(product => matchesProductCriteria(product, criteria));
+  const matchedBrands = brands.filter(brand => matchesBrandCriteria(brand, criteria));
+
+  return {
+    exact_match: [...matchedProducts, ...matchedBrands].some(item => isExactNameMatch(item, criteria)),
+    matched_product_count: matchedProducts.length,
+    matched_products: matchedProducts
+      .slice(0, MATCHED_PRODUCTS_LIMIT)
+      .map(product => ({ ...product, marketing_status: getMarketingStatus(product) })),
+    matched_brands: matchedBrands
+  };
+}
+
+/**
+ * Name of the product or brand a drug matched a name search through: the one
+ * named exactly like the query, else the first match (from summarizeProductMatches)
+ */
+export function matchedBrandName({ matched_products, matched_brands }, name) {
+  const brands = [...matched_products, ...matched_brands];
+  const brand = brands.find(b => b.name.toLowerCase() === name.toLowerCase()) || brands[0];
+  return brand?.name ?? null;
+}
+
+export default {
+  PRODUCT_FIELDS,
+  PRODUCT_FLAGS,
+  MARKETING_STATUSES,
+  toProductRow,
+  getMarketingStatus,
+  matchesProductFilters,
+  MATCHED_PRODUCTS_LIMIT,
+  matchesNdc,
+  matchesProductCriteria,
+  matchesBrandCriteria,
+  isExactNameMatch,
+  summarizeProductMatches,
+  matchedBrandName
+};
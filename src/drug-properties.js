@@ -0,0 +1,72 @@
+/**
+ * Physicochemical Properties
+ *
+ * Typed values promoted from a drug record's calculated_properties (DrugBank's
+ * ChemAxon/ALOGPS predictions) so they can be range-filtered, plus the
+ * filter logic shared by both backends
+ */
+
+/**
+ * Searchable properties: column name -> calculated property kind and type
+ * Numeric properties filter with min/max, boolean ones (drug-likeness rules) with true/false
+ */
+export const PROPERTY_COLUMNS = {
+  molecular_weight: { kind: 'Molecular Weight', type: 'number', description: 'Molecular weight (g/mol)' },
+  logp: { kind: 'logP', type: 'number', description: 'Octanol-water partition coefficient (logP)' },
+  logs: { kind: 'logS', type: 'number', description: 'Aqueous solubility (logS)' },
+  h_bond_donors: { kind: 'H Bond Donor Count', type: 'integer', description: 'Hydrogen bond donors' },
+  h_bond_acceptors: { kind: 'H Bond Acceptor Count', type: 'integer', description: 'Hydrogen bond acceptors' },
+  polar_surface_area: { kind: 'Polar Surface Area (PSA)', type: 'number', description: 'Polar surface area (Å²)' },
+  rotatable_bonds: { kind: 'Rotatable Bond Count', type: 'integer', description: 'Rotatable bonds' },
+  ring_count: { kind: 'Number of Rings', type: 'integer', description: 'Number of rings' },
+  physiological_charge: { kind: 'Physiological Charge', type: 'integer', description: 'Net charge at physiological pH' },
+  rule_of_five: { kind: 'Rule of Five', type: 'boolean', description: "Passes Lipinski's rule of five" },
+  veber_rule: { kind: "Veber's Rule", type: 'boolean', description: "Passes Veber's rule (rotatable bonds <= 10, PSA <= 140)" },
+  ghose_filter: { kind: 'Ghose Filter', type: 'boolean', description: 'Passes the Ghose filter' }
+};
+
+export const NUMERIC_PROPERTIES = Object.keys(PROPERTY_COLUMNS).filter(name => PROPERTY_COLUMNS[name].type !== 'boolean');
+export const BOOLEAN_PROPERTIES = Object.keys(PROPERTY_COLUMNS).filter(name => PROPERTY_COLUMNS[name].type === 'boolean');
+
+/**
+ * Typed property values of a drug record (null when DrugBank has none)
+ */
+export function extractProperties(record) {
+  const calculated = record.calculated_properties || {};
+  const properties = {};
+
+  for (const [name, { kind, type }] of Object.entries(PROPERTY_COLUMNS)) {
+    const value = calculated[kind];
+    if (value === undefined || value === null || value === '') {
+      properties[name] = null;
+    } else if (type === 'boolean') {
+      properties[name] = value === 'true' || value === '1' ? true : value === 'false' || value === '0' ? false : null;
+    } else {
+      const number = parseFloat(value);
+      properties[name] = Number.isFinite(number) ? number : null;
+    }
+  }
+
+  return properties;
+}
+
+/**
+ * Whether property values satisfy filters from searchDrugsByProperties
+ * (drugs without a value for a filtered property never match)
+ */
+export function matchesPropertyFilters(properties, filters) {
+  return Object.entries(filters).every(([name, filter]) => {
+    const value = properties[name];
+    if (value === null || value === undefined) return false;
+    if (typeof filter === 'boolean') return value === filter;
+    return (filter.min === undefined || value >= filter.min) && (filter.max === undefined || value <= filter.max);
+  });
+}
+
+export default {
+  PROPERTY_COLUMNS,
+  NUMERIC_PROPERTIES,
+  BOOLEAN_PROPERTIES,
+  extractProperties,
+  matchesPropertyFilters
+};
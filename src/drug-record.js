@@ -0,0 +1,521 @@
+/**
+ * DrugBank Drug Records
+ *
+ * Normalizes a parsed <drug> element into the record shape both backends return
+ * (the same shape the SQLite build stores), and shapes records for responses
+ *
+ * Accepts elements from either XML parser:
+ * - xml-stream (build-db.js): attributes under '$', text under '$text'
+ * - fast-xml-parser (XML fallback): attributes as '@_name', text under '#text'
+ */
+
+import { extractPharmacokinetics } from './pharmacokinetics.js';
+import { parseSmiles } from './smiles.js';
+import { morganFingerprint, pathFingerprint, bitCount } from './fingerprint.js';
+
+/**
+ * Wrap a single element or missing value as an array
+ */
+export function extractArray(data) {
+  if (data === undefined || data === null || data === '') return [];
+  return Array.isArray(data) ? data : [data];
+}
+
+/**
+ * Unwrap a single text value
+ * Collected elements arrive as arrays and elements with attributes arrive as objects
+ */
+export function textOf(value) {
+  if (Array.isArray(value)) value = value[0];
+  if (value && typeof value === 'object') value = value.$text ?? value['#text'];
+  if (value === undefined || value === null || value === '') return null;
+  return String(value);
+}
+
+/**
+ * Read an attribute from an element
+ */
+export function attrOf(element, name) {
+  if (!element || typeof element !== 'object') return null;
+  const value = element.$?.[name] ?? element[`@_${name}`];
+  return value === undefined || value === null ? null : String(value);
+}
+
+/**
+ * Parse a numeric element value (null when missing or not a number)
+ */
+function numberOf(value) {
+  const number = parseFloat(textOf(value));
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Get primary DrugBank ID (the drugbank-id with primary="true", else the first)
+ */
+export function getPrimaryDrugBankId(drug) {
+  const ids = extractArray(drug['drugbank-id']);
+  if (ids.length === 0) return null;
+
+  const primaryId = ids.find(id => attrOf(id, 'primary') === 'true');
+  return textOf(primaryId || ids[0]);
+}
+
+/**
+ * Get all DrugBank IDs for a drug (including secondary IDs)
+ */
+function getAllIds(drug) {
+  return extractArray(drug['drugbank-id']).map(textOf).filter(Boolean);
+}
+
+function extractGroups(drug) {
+  return extractArray(drug.groups?.group).map(textOf).filter(Boolean);
+}
+
+function extractCategories(drug) {
+  return extractArray(drug.categories?.category)
+    .map(cat => (cat && typeof cat === 'object' && 'category' in cat) ? textOf(cat.category) : textOf(cat))
+    .filter(Boolean);
+}
+
+/**
+ * Map each category carrying a MeSH ID to it
+ */
+function extractCategoryMeshIds(drug) {
+  const result = {};
+  extractArray(drug.categories?.category).forEach(cat => {
+    if (!cat || typeof cat !== 'object' || !('category' in cat)) return;
+    const category = textOf(cat.category);
+    const meshId = textOf(cat['mesh-id']);
+    if (category && meshId) result[category] = meshId;
+  });
+  return result;
+}
+
+/**
+ * Extract the ClassyFire chemical taxonomy (null when the drug has none)
+ */
+function extractClassification(drug) {
+  const classification = drug.classification;
+  if (!classification || typeof classification !== 'object') return null;
+
+  return {
+    description: textOf(classification.description),
+    kingdom: textOf(classification.kingdom),
+    superclass: textOf(classification.superclass),
+    class: textOf(classification.class),
+    subclass: textOf(classification.subclass),
+    direct_parent: textOf(classification['direct-parent']),
+    alternative_parents: extractArray(classification['alternative-parent']).map(textOf).filter(Boolean),
+    substituents: extractArray(classification.substituent).map(textOf).filter(Boolean)
+  };
+}
+
+function extractSynonyms(drug) {
+  return extractArray(drug.synonyms?.synonym).map(textOf).filter(Boolean);
+}
+
+function extractCalculatedProperties(drug) {
+  const result = {};
+  extractArray(drug['calculated-properties']?.property).forEach(prop => {
+    const kind = textOf(prop.kind);
+    const value = textOf(prop.value);
+    if (kind && value) result[kind] = value;
+  });
+  return result;
+}
+
+function extractExternalIdentifiers(drug) {
+  const result = {};
+  extractArray(drug['external-identifiers']?.['external-identifier']).forEach(id => {
+    const resource = textOf(id.resource);
+    const identifier = textOf(id.identifier);
+    if (resource && identifier) result[resource] = identifier;
+  });
+  return result;
+}
+
+function extractDrugInteractions(drug) {
+  return extractArray(drug['drug-interactions']?.['drug-interaction']).map(int => ({
+    drugbank_id: textOf(int['drugbank-id']),
+    name: textOf(int.name),
+    description: textOf(int.description)
+  }));
+}
+
+function extractFoodInteractions(drug) {
+  return extractArray(drug['food-interactions']?.['food-interaction']).map(textOf).filter(Boolean);
+}
+
+/**
+ * Extract actions (inhibitor, substrate, ...) from a target/enzyme element
+ */
+function extractActions(entity) {
+  return extractArray(entity.actions?.action).map(textOf).filter(Boolean);
+}
+
+// Polypeptide external identifier resource holding the HGNC ID
+const HGNC_RESOURCE = 'HUGO Gene Nomenclature Committee (HGNC)';
+
+function extractTargets(drug) {
+  return extractArray(drug.targets?.target).map(t => {
+    const polypeptide = extractArray(t.polypeptide)[0];
+    return {
+      id: textOf(t.id),
+      name: textOf(t.name),
+      organism: textOf(t.organism),
+      known_action: textOf(t['known-action']),
+      actions: extractActions(t),
+      gene_name: textOf(polypeptide?.['gene-name']),
+      uniprot_id: attrOf(polypeptide, 'id'),
+      hgnc_id: polypeptide ? extractExternalIdentifiers(polypeptide)[HGNC_RESOURCE] ?? null : null,
+      chromosome_location: textOf(polypeptide?.['chromosome-location']),
+      cellular_location: textOf(polypeptide?.['cellular-location'])
+    };
+  });
+}
+
+function extractEnzymes(drug) {
+  return extractArray(drug.enzymes?.enzyme).map(e => {
+    const polypeptide = extractArray(e.polypeptide)[0];
+    return {
+      id: textOf(e.id),
+      name: textOf(e.name),
+      organism: textOf(e.organism),
+      known_action: textOf(e['known-action']),
+      actions: extractActions(e),
+      gene_name: textOf(polypeptide?.['gene-name']),
+      uniprot_id: attrOf(polypeptide, 'id'),
+      inhibition_strength: textOf(e['inhibition-strength']),
+      induction_strength: textOf(e['induction-strength'])
+    };
+  });
+}
+
+function extractCarriers(drug) {
+  return extractArray(drug.carriers?.carrier).map(c => ({
+    id: textOf(c.id),
+    name: textOf(c.name),
+    organism: textOf(c.organism),
+    known_action: textOf(c['known-action'])
+  }));
+}
+
+function extractTransporters(drug) {
+  return extractArray(drug.transporters?.transporter).map(t => ({
+    id: textOf(t.id),
+    name: textOf(t.name),
+    organism: textOf(t.organism),
+    known_action: textOf(t['known-action'])
+  }));
+}
+
+function extractPathways(drug) {
+  return extractArray(drug.pathways?.pathway).map(p => ({
+    smpdb_id: textOf(p['smpdb-id']),
+    name: textOf(p.name),
+    category: textOf(p.category),
+    drugs: extractArray(p.drugs?.drug).map(d => ({
+      drugbank_id: textOf(d['drugbank-id']),
+      name: textOf(d.name)
+    })),
+    enzymes: extractArray(p.enzymes?.['uniprot-id']).map(textOf).filter(Boolean)
+  }));
+}
+
+function extractProducts(drug) {
+  return extractArray(drug.products?.product).map(p => ({
+    name: textOf(p.name),
+    labeller: textOf(p.labeller),
+    ndc_id: textOf(p['ndc-id']),
+    ndc_product_code: textOf(p['ndc-product-code']),
+    dpd_id: textOf(p['dpd-id']),
+    ema_product_code: textOf(p['ema-product-code']),
+    ema_ma_number: textOf(p['ema-ma-number']),
+    started_marketing_on: textOf(p['started-marketing-on']),
+    ended_marketing_on: textOf(p['ended-marketing-on']),
+    dosage_form: textOf(p['dosage-form']),
+    strength: textOf(p.strength),
+    route: textOf(p.route),
+    fda_application_number: textOf(p['fda-application-number']),
+    generic: textOf(p.generic),
+    otc: textOf(p['over-the-counter']),
+    approved: textOf(p.approved),
+    country: textOf(p.country),
+    source: textOf(p.source)
+  }));
+}
+
+function extractInternationalBrands(drug) {
+  return extractArray(drug['international-brands']?.['international-brand']).map(brand => ({
+    name: textOf(brand.name),
+    company: textOf(brand.company)
+  })).filter(brand => brand.name);
+}
+
+function extractAtcCodes(drug) {
+  return extractArray(drug['atc-codes']?.['atc-code'])
+    .map(code => attrOf(code, 'code') || textOf(code))
+    .filter(Boolean);
+}
+
+/**
+ * Extract each ATC code with its named ancestor levels, anatomical main group first
+ */
+function extractAtcHierarchy(drug) {
+  return extractArray(drug['atc-codes']?.['atc-code'])
+    .map(code => ({
+      code: attrOf(code, 'code') || textOf(code),
+      levels: extractArray(code.level)
+        .map(level => ({ code: attrOf(level, 'code'), name: textOf(level) }))
+        .filter(level => level.code)
+        .reverse()
+    }))
+    .filter(atc => atc.code);
+}
+
+/**
+ * Extract salt forms (stored in their own table, not on the drug record)
+ */
+export function extractSalts(drug) {
+  return extractArray(drug.salts?.salt).map(s => ({
+    id: getPrimaryDrugBankId(s),
+    name: textOf(s.name),
+    unii: textOf(s.unii),
+    cas_number: textOf(s['cas-number']),
+    inchikey: textOf(s.inchikey),
+    average_mass: numberOf(s['average-mass'])
+  }));
+}
+
+/**
+ * Extract structure identifiers and fingerprints of a drug record
+ * - fingerprint: Morgan fingerprint for similarity search
+ * - screen: path fingerprint for the substructure pre-screen
+ * Returns null for drugs without structure data; fingerprints are null when
+ * the SMILES cannot be parsed
+ */
+export function extractStructure(record) {
+  const { SMILES: smiles = null, InChI: inchi = null, InChIKey: inchikey = null } = record.calculated_properties || {};
+  if (!smiles && !inchi && !inchikey) return null;
+
+  let molecule = null;
+  if (smiles) {
+    try {
+      molecule = parseSmiles(smiles);
+    } catch (error) {
+      molecule = null;
+    }
+  }
+
+  const fingerprint = molecule && morganFingerprint(molecule);
+  return {
+    smiles,
+    inchi,
+    inchikey,
+    fingerprint,
+    bit_count: fingerprint ? bitCount(fingerprint) : null,
+    screen: molecule && pathFingerprint(molecule)
+  };
+}
+
+/**
+ * Normalize a top-level <drug> element into a drug record
+ * Returns null for elements without a DrugBank ID
+ */
+export function extractDrugRecord(drug) {
+  const drugbankId = getPrimaryDrugBankId(drug);
+  if (!drugbankId) return null;
+
+  const pkText = {
+    half_life: textOf(drug['half-life']),
+    protein_binding: textOf(drug['protein-binding']),
+    volume_of_distribution: textOf(drug['volume-of-distribution']),
+    clearance: textOf(drug.clearance)
+  };
+  const pharmacokinetics = extractPharmacokinetics(pkText);
+
+  return {
+    drugbank_id: drugbankId,
+    name: textOf(drug.name),
+    description: textOf(drug.description),
+    cas_number: textOf(drug['cas-number']),
+    unii: textOf(drug.unii),
+    state: textOf(drug.state),
+    type: attrOf(drug, 'type'),
+    indication: textOf(drug.indication),
+    pharmacodynamics: textOf(drug.pharmacodynamics),
+    mechanism_of_action: textOf(drug['mechanism-of-action']),
+    toxicity: textOf(drug.toxicity),
+    absorption: textOf(drug.absorption),
+    metabolism: textOf(drug.metabolism),
+    half_life: pkText.half_life,
+    half_life_hours: pharmacokinetics.half_life?.typical ?? null,
+    protein_binding: pkText.protein_binding,
+    protein_binding_percent: pharmacokinetics.protein_binding?.typical ?? null,
+    volume_of_distribution: pkText.volume_of_distribution,
+    volume_of_distribution_l_kg: pharmacokinetics.volume_of_distribution?.typical ?? null,
+    clearance: pkText.clearance,
+    clearance_ml_min_kg: pharmacokinetics.clearance?.typical ?? null,
+    route_of_elimination: textOf(drug['route-of-elimination']),
+    average_mass: numberOf(drug['average-mass']),
+    monoisotopic_mass: numberOf(drug['monoisotopic-mass']),
+
+    all_ids: getAllIds(drug),
+    groups: extractGroups(drug),
+    categories: extractCategories(drug),
+    category_mesh_ids: extractCategoryMeshIds(drug),
+    synonyms: extractSynonyms(drug),
+    calculated_properties: extractCalculatedProperties(drug),
+    external_identifiers: extractExternalIdentifiers(drug),
+    drug_interactions: extractDrugInteractions(drug),
+    food_interactions: extractFoodInteractions(drug),
+    targets: extractTargets(drug),
+    enzymes: extractEnzymes(drug),
+    carriers: extractCarriers(drug),
+    transporters: extractTransporters(drug),
+    pathways: extractPathways(drug),
+    products: extractProducts(drug),
+    international_brands: extractInternationalBrands(drug),
+    atc_codes: extractAtcCodes(drug),
+    atc_hierarchy: extractAtcHierarchy(drug),
+    classification: extractClassification(drug),
+    pharmacokinetics
+  };
+}
+
+/**
+ * Extract simplified drug info for response
+ */
+export function extractDrugSummary(drug) {
+  if (!drug) return null;
+
+  return {
+    drugbank_id: drug.drugbank_id,
+    name: drug.name || 'Unknown',
+    description: drug.description || 'No description available',
+    groups: drug.groups || [],
+    cas_number: drug.cas_number || null,
+    state: drug.state || null,
+    type: drug.type || null
+  };
+}
+
+/**
+ * Extract complete drug details
+ */
+export function extractDrugDetails(drug) {
+  if (!drug) return null;
+
+  return {
+    drugbank_id: drug.drugbank_id,
+    all_ids: drug.all_ids || [],
+    name: drug.name || 'Unknown',
+    description: drug.description || null,
+    cas_number: drug.cas_number || null,
+    unii: drug.unii || null,
+    state: drug.state || null,
+    type: drug.type || null,
+    groups: drug.groups || [],
+    categories: drug.categories || [],
+    category_mesh_ids: drug.category_mesh_ids || {},
+    atc_codes: drug.atc_hierarchy || [],
+
+    // Clinical information
+    indication: drug.indication || null,
+    pharmacodynamics: drug.pharmacodynamics || null,
+    mechanism_of_action: drug.mechanism_of_action || null,
+    toxicity: drug.toxicity || null,
+
+    // Pharmacokinetics
+    absorption: drug.absorption || null,
+    metabolism: drug.metabolism || null,
+    half_life: drug.half_life || null,
+    protein_binding: drug.protein_binding || null,
+    volume_of_distribution: drug.volume_of_distribution || null,
+    clearance: drug.clearance || null,
+    route_of_elimination: drug.route_of_elimination || null,
+    pharmacokinetics: drug.pharmacokinetics || null,
+
+    // Chemical properties
+    average_mass: drug.average_mass || null,
+    monoisotopic_mass: drug.monoisotopic_mass || null,
+    calculated_properties: drug.calculated_properties || {},
+    classification: drug.classification || null,
+
+    // External identifiers
+    external_identifiers: drug.external_identifiers || {},
+
+    // Interactions
+    drug_interactions: drug.drug_interactions || [],
+    food_interactions: drug.food_interactions || [],
+
+    // Targets
+    targets: drug.targets || [],
+    enzymes: drug.enzymes || []
+  };
+}
+
+/**
+ * Score how similar a candidate drug is to a reference drug
+ * Jaccard similarity on targets, categories, and ATC codes (therapeutic level),
+ * weighted 50/30/20 since targets matter most for mechanism
+ * Returns null when nothing is shared
+ */
+export function scoreDrugSimilarity(refDrug, candDrug) {
+  const ref = getSimilarityFeatures(refDrug);
+  const cand = getSimilarityFeatures(candDrug);
+
+  const targetSim = jaccardSimilarity(ref.targets, cand.targets);
+  const categorySim = jaccardSimilarity(ref.categories, cand.categories);
+  const atcSim = jaccardSimilarity(ref.atcCodes, cand.atcCodes);
+
+  const score = (targetSim * 0.5) + (categorySim * 0.3) + (atcSim * 0.2);
+  if (score <= 0) return null;
+
+  return {
+    drug: candDrug,
+    similarity_score: Math.round(score * 1000) / 1000,
+    target_similarity: Math.round(targetSim * 1000) / 1000,
+    category_similarity: Math.round(categorySim * 1000) / 1000,
+    atc_similarity: Math.round(atcSim * 1000) / 1000,
+    shared_targets: [...ref.targets].filter(t => cand.targets.has(t)),
+    shared_categories: [...ref.categories].filter(c => cand.categories.has(c))
+  };
+}
+
+/**
+ * Get the lowercased target names, categories and ATC therapeutic levels of a drug
+ */
+export function getSimilarityFeatures(drug) {
+  return {
+    targets: new Set((drug.targets || []).map(t => t.name?.toLowerCase()).filter(Boolean)),
+    categories: new Set((drug.categories || []).map(c => c?.toLowerCase()).filter(Boolean)),
+    atcCodes: new Set((drug.atc_codes || []).map(c => c?.substring(0, 5)).filter(Boolean)) // Use first 5 chars (therapeutic level)
+  };
+}
+
+/**
+ * Jaccard similarity coefficient: |A ∩ B| / |A ∪ B|
+ */
+function jaccardSimilarity(setA, setB) {
+  if (setA.size === 0 && setB.size === 0) return 0;
+
+  const intersection = new Set([...setA].filter(x => setB.has(x)));
+  const union = new Set([...setA, ...setB]);
+
+  return intersection.size / union.size;
+}
+
+export default {
+  extractArray,
+  textOf,
+  attrOf,
+  getPrimaryDrugBankId,
+  extractSalts,
+  extractStructure,
+  extractDrugRecord,
+  extractDrugSummary,
+  extractDrugDetails,
+  scoreDrugSimilarity,
+  getSimilarityFeatures
+};
@@ -0,0 +1,78 @@
+/**
+ * Drug Targets
+ *
+ * Target rows built from a drug record's targets (the targets and drug_targets
+ * tables in SQLite mode), with the polypeptide identifiers (UniProt, gene, HGNC)
+ * used to join DrugBank with UniProt- or gene-keyed data, and gene matching
+ * shared by both backends
+ */
+
+/**
+ * Target entity fields, the same for every drug acting on the target
+ * (stored once per DrugBank target ID in the targets table)
+ */
+export const TARGET_ENTITY_FIELDS = [
+  'name', 'organism', 'gene_name', 'uniprot_id', 'hgnc_id', 'chromosome_location', 'cellular_location'
+];
+
+/**
+ * Target row from a record target: entity fields plus the drug's known_action and actions
+ */
+export function toTargetRow(target) {
+  return {
+    target_id: target.id ?? null,
+    name: target.name ?? null,
+    organism: target.organism ?? null,
+    gene_name: target.gene_name ?? null,
+    uniprot_id: target.uniprot_id ?? null,
+    hgnc_id: target.hgnc_id ?? null,
+    chromosome_location: target.chromosome_location ?? null,
+    cellular_location: target.cellular_location ?? null,
+    known_action: target.known_action ?? null,
+    actions: target.actions || []
+  };
+}
+
+/**
+ * Whether a target row is encoded by a gene, given as its symbol ("PTGS2") or
+ * HGNC ID ("HGNC:9605"), case-insensitive exact match
+ */
+export function matchesGene(row, gene) {
+  const term = gene.trim().toLowerCase();
+  return row.gene_name?.toLowerCase() === term || row.hgnc_id?.toLowerCase() === term;
+}
+
+/**
+ * Identifiers get_target resolves, tried in order until one matches
+ * (gene symbols such as P2RY12 can look like UniProt accessions)
+ * - target_id: DrugBank target ID (BE0000062)
+ * - uniprot_id: UniProt accession (P35354)
+ * - gene_name: gene symbol (PTGS2)
+ * - hgnc_id: HGNC ID (HGNC:9605)
+ */
+export const TARGET_IDENTIFIERS = ['target_id', 'uniprot_id', 'gene_name', 'hgnc_id'];
+
+/**
+ * Whether a target row's identifier equals the given value (case-insensitive)
+ */
+export function matchesTargetIdentifier(row, identifier, value) {
+  return row[identifier]?.toLowerCase() === value.trim().toLowerCase();
+}
+
+/**
+ * Target entity from a target row (drops the drug-specific known_action and actions)
+ */
+export function toTargetEntity(row) {
+  const entity = { target_id: row.target_id };
+  for (const field of TARGET_ENTITY_FIELDS) entity[field] = row[field] ?? null;
+  return entity;
+}
+
+export default {
+  TARGET_ENTITY_FIELDS,
+  TARGET_IDENTIFIERS,
+  toTargetRow,
+  toTargetEntity,
+  matchesGene,
+  matchesTargetIdentifier
+};
@@ -10,6 +10,21 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { EFFECT_TYPES, SEVERITY_LEVELS } from './interaction-classifier.js';
+import { fingerprintFromSmiles } from './fingerprint.js';
+import { compileSubstructureQuery } from './substructure.js';
+import { NUMERIC_PROPERTIES, BOOLEAN_PROPERTIES } from './drug-properties.js';
+import { MARKETING_STATUSES } from './drug-products.js';
+import { ENZYME_ROLES, buildMetabolismProfile } from './drug-enzymes.js';
+import { DRUG_GROUPS, DRUG_STATES, DRUG_TYPES } from './drug-filters.js';
+import { ATC_LEVELS, normalizeAtcCode, getAtcLevel, matchAtcCodes } from './atc-codes.js';
+import { CATEGORY_MATCH_MODES, normalizeMeshId } from './drug-categories.js';
+import { CHEMICAL_CLASS_LEVELS, CHEMICAL_CLASS_MATCH_MODES } from './chemical-taxonomy.js';
+import { PK_PARAMETERS } from './pharmacokinetics.js';
+import { FOOD_INTERACTION_CATEGORIES, buildFoodGuidance } from './food-interactions.js';
+import { QUERY_SYNTAXES, TEXT_FIELDS, SEARCH_TEXT_FIELDS, ADVANCED_SYNTAX_HELP, parseTextQuery } from './text-query.js';
+import { paginate, querySignature, encodeCursor, decodeCursor } from './pagination.js';
+import { FIELD_PRESETS, parseFieldList, expandFields, projectFields, truncateFields } from './field-selection.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,12 +33,35 @@ const __dirname = path.dirname(__filename);
 const DB_FILE = path.join(__dirname, '..', 'data', 'drugbank.db');
 const USE_SQLITE = fs.existsSync(DB_FILE);
 
+// Matches primary DrugBank accession numbers (e.g., DB00945)
+const DRUGBANK_ID_PATTERN = /^DB\d{5}$/i;
+
+// ATC codes accepted by search_by_atc_code and get_atc_tree
+const ATC_CODE_FORMAT = 'ATC code at any level, e.g. N (anatomical), N02 (therapeutic), N02B, N02BA or N02BA01 (substance)';
+
+// Pharmacokinetic range searches: the PK_PARAMETERS entry, its range parameters and the parser search
+const PK_RANGE_SEARCHES = {
+  search_by_halflife: { parameter: 'half_life', minParam: 'min_hours', maxParam: 'max_hours', search: 'searchDrugsByHalfLife' },
+  search_by_protein_binding: {
+    parameter: 'protein_binding', minParam: 'min_percent', maxParam: 'max_percent', search: 'searchDrugsByProteinBinding'
+  },
+  search_by_volume_of_distribution: {
+    parameter: 'volume_of_distribution', minParam: 'min_l_per_kg', maxParam: 'max_l_per_kg', search: 'searchDrugsByVolumeOfDistribution'
+  },
+  search_by_clearance: {
+    parameter: 'clearance', minParam: 'min_ml_min_kg', maxParam: 'max_ml_min_kg', search: 'searchDrugsByClearance'
+  }
+};
+
+// Standard InChIKey: 14-character skeleton hash, 10-character hash, protonation flag
+const INCHIKEY_PATTERN = /^[A-Z]{14}-[A-Z]{10}-[A-Z]$/;
+
 let parser;
 if (USE_SQLITE) {
   console.error('[DrugBank API] Using SQLite database (fast mode)');
   parser = await import('./drugbank-parser-sqlite.js');
 } else {
-  console.error('[DrugBank API] SQLite not found, using XML parser (slow mode)');
+  console.error('[DrugBank API] SQLite not found, using streaming XML parser (indexes on first query)');
   console.error('[DrugBank API] Run "npm run build:db" to build SQLite database');
   parser = await import('./drugbank-parser.js');
 }
@@ -33,6 +71,20 @@ if (USE_SQLITE) {
  * Main entry point for all methods
  */
 export async function handleDrugBankInfo(params) {
+  const { shaping, error: shapingError } = parseResponseShaping(params);
+  if (shapingError) return shapingError;
+
+  // Every method looks drugs up by the stored, uppercase ID
+  const normalized = params.drugbank_id === undefined ? params : { ...params, drugbank_id: normalizeDrugbankId(params.drugbank_id) };
+
+  const response = await runMethod(normalized);
+  return shaping && !response.error ? shapeResponse(response, shaping) : response;
+}
+
+/**
+ * Run one drugbank_info method
+ */
+async function runMethod(params) {
   const { method } = params;
 
   try {
@@ -71,7 +123,16 @@ export async function handleDrugBankInfo(params) {
         return await getExternalIdentifiers(params);
 
       case 'search_by_halflife':
-        return await searchByHalfLife(params);
+      case 'search_by_protein_binding':
+      case 'search_by_volume_of_distribution':
+      case 'search_by_clearance':
+        return await searchByPkRange(params, method);
+
+      case 'search_by_food_interaction':
+        return await searchByFoodInteraction(params);
+
+      case 'get_food_interactions':
+        return await getFoodInteractions(params);
 
       case 'get_similar_drugs':
         return await getSimilarDrugs(params);
@@ -85,6 +146,45 @@ export async function handleDrugBankInfo(params) {
       case 'get_salts':
         return await getSalts(params);
 
+      case 'check_interactions':
+        return await checkInteractions(params);
+
+      case 'search_by_substructure':
+        return await searchBySubstructure(params);
+
+      case 'search_by_properties':
+        return await searchByProperties(params);
+
+      case 'search_by_product':
+        return await searchByProduct(params);
+
+      case 'search_text':
+        return await searchText(params);
+
+      case 'search_by_enzyme':
+        return await searchByEnzyme(params);
+
+      case 'get_metabolism_profile':
+        return await getMetabolismProfile(params);
+
+      case 'get_targets':
+        return await getTargets(params);
+
+      case 'search_by_gene':
+        return await searchByGene(params);
+
+      case 'get_target':
+        return await getTarget(params);
+
+      case 'get_atc_tree':
+        return await getAtcTree(params);
+
+      case 'list_categories':
+        return await listCategories(params);
+
+      case 'search_by_chemical_class':
+        return await searchByChemicalClass(params);
+
       default:
         return {
           error: `Unknown method: ${method}`,
@@ -104,7 +204,25 @@ export async function handleDrugBankInfo(params) {
             'get_similar_drugs',
             'search_by_carrier',
             'search_by_transporter',
-            'get_salts'
+            'get_salts',
+            'check_interactions',
+            'search_by_substructure',
+            'search_by_properties',
+            'search_by_product',
+            'search_text',
+            'search_by_enzyme',
+            'get_metabolism_profile',
+            'get_targets',
+            'search_by_gene',
+            'get_target',
+            'get_atc_tree',
+            'list_categories',
+            'search_by_chemical_class',
+            'search_by_protein_binding',
+            'search_by_volume_of_distribution',
+            'search_by_clearance',
+            'search_by_food_interaction',
+            'get_food_interactions'
           ]
         };
     }
@@ -117,23 +235,104 @@ export async function handleDrugBankInfo(params) {
   }
 }
 
+/**
+ * A DrugBank ID as stored (" db00682" -> "DB00682"); other values are returned unchanged
+ */
+function normalizeDrugbankId(value) {
+  const trimmed = typeof value === 'string' ? value.trim() : value;
+  return typeof trimmed === 'string' && DRUGBANK_ID_PATTERN.test(trimmed) ? trimmed.toUpperCase() : value;
+}
+
+/**
+ * Parse the response shaping parameters: fields (field names and FIELD_PRESETS),
+ * max_text_length and max_items
+ * Returns { shaping } (null when none is set), or { error } holding the error response
+ */
+function parseResponseShaping(params) {
+  const { fields, max_text_length, max_items } = params;
+  const shaping = { fields: null, maxTextLength: null, maxItems: null };
+
+  if (fields !== undefined && fields !== null && fields !== '') {
+    shaping.fields = parseFieldList(fields);
+    if (shaping.fields.length === 0) {
+      return { error: { error: 'fields must list at least one field or preset', presets: Object.keys(FIELD_PRESETS) } };
+    }
+  }
+
+  for (const [name, value, key] of [['max_text_length', max_text_length, 'maxTextLength'], ['max_items', max_items, 'maxItems']]) {
+    if (value === undefined || value === null) continue;
+    const number = parseInt(value, 10);
+    if (isNaN(number) || number < 1) {
+      return { error: { error: `${name} must be a positive number` } };
+    }
+    shaping[key] = number;
+  }
+
+  return { shaping: Object.values(shaping).some(value => value !== null) ? shaping : null };
+}
+
+// Response lists shaping applies to, entry by entry
+const SHAPED_LISTS = ['results', 'interactions', 'products'];
+
+/**
+ * Shape the entries of a response: its drug (get_drug_details) or each entry of
+ * its results, interactions (get_drug_interactions) or products (get_products)
+ * Unknown field names are an error, unless no entry carries fields to check against
+ */
+function shapeResponse(response, { fields, maxTextLength, maxItems }) {
+  const key = response.drug ? 'drug' : SHAPED_LISTS.find(list => Array.isArray(response[list])) ?? null;
+  if (!key) {
+    return {
+      error: `fields, max_text_length and max_items do not apply to ${response.method}`,
+      expected_format: `use them with get_drug_details or a method returning ${SHAPED_LISTS.join(', ')}`
+    };
+  }
+
+  const drugs = key === 'drug' ? [response.drug] : response[key];
+  const available = [...new Set(drugs.flatMap(drug => Object.keys(drug)))];
+  const unknown = (fields || []).find(field => !(field in FIELD_PRESETS) && available.length > 0 && !available.includes(field));
+  if (unknown) {
+    return { error: `Unknown field: ${unknown}`, valid_values: [...Object.keys(FIELD_PRESETS), ...available] };
+  }
+
+  const truncated = [];
+  const shaped = drugs.map((drug, i) => {
+    const projected = fields ? projectFields(drug, expandFields(fields)) : drug;
+    const cut = truncateFields(projected, { maxTextLength, maxItems }, key === 'drug' ? 'drug' : `${key}[${i}]`);
+    truncated.push(...cut.truncated);
+    return cut.value;
+  });
+
+  return {
+    ...response,
+    [key]: key === 'drug' ? shaped[0] : shaped,
+    ...(truncated.length > 0 && { truncated })
+  };
+}
+
 /**
  * Search drugs by name
  */
 async function searchByName(params) {
-  const { query, limit = 20 } = params;
+  const { query } = params;
 
   if (!query) {
     return { error: 'Missing required parameter: query' };
   }
 
-  const drugs = await parser.searchDrugsByName(query, limit);
-  const results = drugs.map(drug => parser.extractDrugSummary(drug));
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
+
+  // Ranked exact, synonym, prefix, brand (product or international brand names), then fuzzy
+  const { total, results } = await parser.searchDrugsByName(query, { ...page, filters: drugFilters });
 
   return {
     method: 'search_by_name',
     query: query,
-    count: results.length,
+    ...pageInfo(params, page, total, results.length),
     results: results
   };
 }
@@ -168,50 +367,88 @@ async function getDrugDetails(params) {
 
 /**
  * Search drugs by indication
+ * syntax: plain (default, every word must appear) or advanced (phrases, AND/OR/NOT, field:term)
  */
 async function searchByIndication(params) {
-  const { query, limit = 20 } = params;
+  const { query, syntax = 'plain' } = params;
 
   if (!query) {
     return { error: 'Missing required parameter: query' };
   }
 
-  const drugs = await parser.searchDrugsByIndication(query, limit);
+  const { textQuery, error } = parseQueryParam(query, syntax);
+  if (error) return error;
+
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
+
+  const { total, results: drugs } = await parser.searchDrugsByIndication(textQuery, { ...page, filters: drugFilters });
   const results = drugs.map(drug => parser.extractDrugSummary(drug));
 
   return {
     method: 'search_by_indication',
     query: query,
-    count: results.length,
+    syntax: syntax,
+    ...pageInfo(params, page, total, results.length),
     results: results
   };
 }
 
+/**
+ * Parse a query parameter in the given syntax
+ * Returns { textQuery }, or { error } holding the error response
+ */
+function parseQueryParam(query, syntax) {
+  if (!QUERY_SYNTAXES.includes(syntax)) {
+    return { error: { error: `Invalid syntax: ${syntax}`, valid_values: QUERY_SYNTAXES } };
+  }
+
+  try {
+    return { textQuery: parseTextQuery(query, { syntax }) };
+  } catch (error) {
+    return {
+      error: syntax === 'advanced'
+        ? { error: error.message, query: query, expected_format: ADVANCED_SYNTAX_HELP }
+        : { error: error.message, query: query }
+    };
+  }
+}
+
 /**
  * Search drugs by target protein/enzyme
  */
 async function searchByTarget(params) {
-  const { target, limit = 20 } = params;
+  const { target } = params;
 
   if (!target) {
     return { error: 'Missing required parameter: target' };
   }
 
-  const drugs = await parser.searchDrugsByTarget(target, limit);
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
+
+  const { total, results: drugs } = await parser.searchDrugsByTarget(target, { ...page, filters: drugFilters });
   const results = drugs.map(drug => parser.extractDrugSummary(drug));
 
   return {
     method: 'search_by_target',
     target: target,
-    count: results.length,
+    ...pageInfo(params, page, total, results.length),
     results: results
   };
 }
 
 /**
- * Get drug interactions for a specific drug
+ * Get a drug's targets with UniProt, gene and HGNC identifiers,
+ * chromosome and cellular location, and the drug's actions on each
  */
-async function getDrugInteractions(params) {
+async function getTargets(params) {
   const { drugbank_id } = params;
 
   if (!drugbank_id) {
@@ -227,45 +464,380 @@ async function getDrugInteractions(params) {
     };
   }
 
-  const interactions = drug['drug-interactions']?.['drug-interaction'] || [];
-  const interactionList = Array.isArray(interactions) ? interactions : [interactions];
+  const targets = await parser.getDrugTargets(drugbank_id);
 
-  const results = interactionList.map(interaction => ({
-    drugbank_id: interaction['drugbank-id'] || null,
-    name: interaction.name || null,
-    description: interaction.description || null
-  }));
+  return {
+    method: 'get_targets',
+    drugbank_id: drugbank_id,
+    drug_name: drug.name || 'Unknown',
+    target_count: targets.length,
+    targets: targets
+  };
+}
+
+/**
+ * Search drugs by the gene encoding one of their targets
+ * Exact gene symbol (e.g. PTGS2) or HGNC ID (e.g. HGNC:9605), case-insensitive
+ */
+async function searchByGene(params) {
+  const { gene } = params;
+
+  if (!gene) {
+    return { error: 'Missing required parameter: gene' };
+  }
+
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
+
+  const { total, results } = await parser.searchDrugsByGene(gene, { ...page, filters: drugFilters });
+
+  return {
+    method: 'search_by_gene',
+    gene: gene,
+    ...pageInfo(params, page, total, results.length),
+    results: results
+  };
+}
+
+/**
+ * Get a target by DrugBank target ID, UniProt accession, gene symbol or HGNC ID,
+ * with every drug acting on it (actions, known_action and approval groups)
+ */
+async function getTarget(params) {
+  const { target } = params;
+
+  if (!target) {
+    return { error: 'Missing required parameter: target' };
+  }
+
+  const { matched_by, targets } = await parser.getTarget(target);
+
+  if (targets.length === 0) {
+    return {
+      error: `Target not found: ${target}`,
+      target: target,
+      expected_format: 'DrugBank target ID (BE0000062), UniProt accession (P35354), gene symbol (PTGS2) or HGNC ID (HGNC:9605)'
+    };
+  }
+
+  return {
+    method: 'get_target',
+    target: target,
+    matched_by: matched_by,
+    count: targets.length,
+    targets: targets.map(({ drugs, ...entity }) => ({ ...entity, drug_count: drugs.length, drugs }))
+  };
+}
+
+/**
+ * Get drug interactions for a specific drug
+ * Paginated with limit and offset or cursor; direction 'reverse' finds drugs that list this drug
+ * Optional severity/effect_type filters accept a single value or an array
+ */
+async function getDrugInteractions(params) {
+  const { drugbank_id, direction = 'forward' } = params;
+
+  if (!drugbank_id) {
+    return { error: 'Missing required parameter: drugbank_id' };
+  }
+
+  if (!['forward', 'reverse'].includes(direction)) {
+    return { error: "direction must be 'forward' or 'reverse'" };
+  }
+
+  const severity = toArray(params.severity);
+  const effectType = toArray(params.effect_type);
+
+  const invalidSeverity = severity.find(s => !SEVERITY_LEVELS.includes(s));
+  if (invalidSeverity) {
+    return { error: `Invalid severity: ${invalidSeverity}`, valid_values: SEVERITY_LEVELS };
+  }
+  const invalidEffectType = effectType.find(e => !EFFECT_TYPES.includes(e));
+  if (invalidEffectType) {
+    return { error: `Invalid effect_type: ${invalidEffectType}`, valid_values: EFFECT_TYPES };
+  }
+
+  const { page, error: pageError } = parsePage(params, 100);
+  if (pageError) return pageError;
+
+  const drug = await parser.getDrugById(drugbank_id);
+
+  if (!drug) {
+    return {
+      error: `Drug not found: ${drugbank_id}`,
+      drugbank_id: drugbank_id
+    };
+  }
+
+  const { total, interactions } = await parser.getDrugInteractions(drugbank_id, {
+    ...page,
+    direction,
+    severity,
+    effectType
+  });
 
   return {
     method: 'get_drug_interactions',
     drugbank_id: drugbank_id,
     drug_name: drug.name || 'Unknown',
+    direction: direction,
+    severity_filter: severity.length > 0 ? severity : 'all',
+    effect_type_filter: effectType.length > 0 ? effectType : 'all',
+    total: total,
+    offset: page.offset,
+    limit: page.limit,
+    interaction_count: interactions.length,
+    next_cursor: pageInfo(params, page, total, interactions.length).next_cursor,
+    interactions: interactions
+  };
+}
+
+/**
+ * Check pairwise interactions within a medication list
+ * Accepts DrugBank IDs or exact drug names and reports each interacting pair once
+ */
+async function checkInteractions(params) {
+  const { drugs } = params;
+
+  if (!Array.isArray(drugs) || drugs.length === 0) {
+    return { error: 'Missing required parameter: drugs (array of DrugBank IDs or names)' };
+  }
+
+  // Resolve every entry to a drug record, keeping the first occurrence of each ID
+  const resolved = new Map();
+  const unresolved = [];
+
+  for (const input of drugs) {
+    const value = String(input).trim();
+    const drug = DRUGBANK_ID_PATTERN.test(value)
+      ? await parser.getDrugById(normalizeDrugbankId(value))
+      : await parser.getDrugByName(value);
+
+    if (!drug) {
+      unresolved.push(value);
+      continue;
+    }
+
+    const drugbankId = parser.extractDrugSummary(drug).drugbank_id;
+    if (!resolved.has(drugbankId)) {
+      resolved.set(drugbankId, { input: value, drug });
+    }
+  }
+
+  if (resolved.size < 2) {
+    return {
+      error: 'At least two distinct drugs are required to check interactions',
+      unresolved: unresolved
+    };
+  }
+
+  // Keep one entry per pair, de-duplicating A->B / B->A
+  const listed = await parser.getInteractionsBetween([...resolved.keys()]);
+  const pairs = new Map();
+
+  for (const interaction of listed) {
+    if (interaction.drug_id === interaction.interacting_id) continue;
+
+    const [idA, idB] = [interaction.drug_id, interaction.interacting_id].sort();
+    const key = `${idA}|${idB}`;
+    if (pairs.has(key)) continue;
+
+    pairs.set(key, {
+      drugbank_id_a: idA,
+      name_a: resolved.get(idA).drug.name || null,
+      drugbank_id_b: idB,
+      name_b: resolved.get(idB).drug.name || null,
+      description: interaction.description || null,
+      effect_type: interaction.effect_type,
+      mechanism: interaction.mechanism,
+      effect_direction: interaction.effect_direction,
+      severity: interaction.severity
+    });
+  }
+
+  const results = [...pairs.values()].sort((a, b) =>
+    a.drugbank_id_a.localeCompare(b.drugbank_id_a) || a.drugbank_id_b.localeCompare(b.drugbank_id_b)
+  );
+
+  return {
+    method: 'check_interactions',
+    drugs: [...resolved].map(([drugbankId, { input, drug }]) => ({
+      input: input,
+      drugbank_id: drugbankId,
+      name: drug.name || 'Unknown'
+    })),
+    unresolved: unresolved,
+    pairs_checked: (resolved.size * (resolved.size - 1)) / 2,
     interaction_count: results.length,
     interactions: results
   };
 }
 
 /**
- * Search drugs by ATC code
+ * Normalize an optional single-value-or-array parameter to an array
+ */
+function toArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Parse the common drug filter parameters every search accepts:
+ * groups / exclude_groups (single value or array), state, type and organism
+ * Returns { drugFilters }, or { error } holding the error response
+ */
+function parseDrugFilters(params) {
+  const groups = toArray(params.groups);
+  const excludeGroups = toArray(params.exclude_groups);
+  const { state, type, organism } = params;
+
+  for (const [name, values] of [['groups', groups], ['exclude_groups', excludeGroups]]) {
+    const invalid = values.find(value => !DRUG_GROUPS.includes(value));
+    if (invalid) return { error: { error: `Invalid ${name} value: ${invalid}`, valid_values: DRUG_GROUPS } };
+  }
+  if (state && !DRUG_STATES.includes(state)) {
+    return { error: { error: `Invalid state: ${state}`, valid_values: DRUG_STATES } };
+  }
+  if (type && !DRUG_TYPES.includes(type)) {
+    return { error: { error: `Invalid type: ${type}`, valid_values: DRUG_TYPES } };
+  }
+
+  return {
+    drugFilters: {
+      groups: [...new Set(groups)],
+      excludeGroups: [...new Set(excludeGroups)],
+      state: state || null,
+      type: type || null,
+      organism: organism?.trim() || null
+    }
+  };
+}
+
+/**
+ * Parse the paging parameters every list method accepts: limit, and offset or
+ * the cursor a previous page returned as next_cursor
+ * Returns { page: { limit, offset } }, or { error } holding the error response
+ */
+function parsePage(params, defaultLimit = 20) {
+  const { limit = defaultLimit, offset, cursor } = params;
+
+  const limitVal = parseInt(limit, 10);
+  if (isNaN(limitVal) || limitVal < 1) {
+    return { error: { error: 'limit must be a positive number' } };
+  }
+
+  if (cursor !== undefined && cursor !== null && cursor !== '') {
+    if (offset !== undefined) {
+      return { error: { error: 'Pass either offset or cursor, not both' } };
+    }
+    const decoded = decodeCursor(cursor);
+    if (!decoded || decoded.signature !== querySignature(params)) {
+      return { error: { error: `Invalid cursor: ${cursor}`, hint: 'Cursors are only valid for the query that returned them' } };
+    }
+    return { page: { limit: limitVal, offset: decoded.offset } };
+  }
+
+  const offsetVal = parseInt(offset ?? 0, 10);
+  if (isNaN(offsetVal) || offsetVal < 0) {
+    return { error: { error: 'offset must be a non-negative number' } };
+  }
+  return { page: { limit: limitVal, offset: offsetVal } };
+}
+
+/**
+ * Paging fields of a list response: total matches, the page's offset and size,
+ * and the cursor for the next page (null on the last page)
+ */
+function pageInfo(params, page, total, count) {
+  const nextOffset = page.offset + count;
+  return {
+    total: total,
+    offset: page.offset,
+    count: count,
+    next_cursor: count > 0 && nextOffset < total ? encodeCursor(nextOffset, querySignature(params)) : null
+  };
+}
+
+/**
+ * Search drugs by ATC code at any level: every drug classified under it
+ * (prefix match, so "C09A" finds C09AA01, C09AA02, ...)
+ * Each result lists its matched_atc_codes
  */
 async function searchByAtcCode(params) {
-  const { code, limit = 20 } = params;
+  const { code } = params;
 
   if (!code) {
     return { error: 'Missing required parameter: code' };
   }
 
-  const drugs = await parser.searchDrugsByAtcCode(code, limit);
-  const results = drugs.map(drug => parser.extractDrugSummary(drug));
+  const atcCode = normalizeAtcCode(code);
+  if (!atcCode) {
+    return { error: `Invalid ATC code: ${code}`, expected_format: ATC_CODE_FORMAT };
+  }
+
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
 
+  const { total, results: drugs } = await parser.searchDrugsByAtcCode(atcCode, { ...page, filters: drugFilters });
+  const results = drugs.map(drug => ({
+    ...parser.extractDrugSummary(drug),
+    matched_atc_codes: matchAtcCodes(drug.atc_codes, atcCode)
+  }));
+
+  const { level, name: levelName } = getAtcLevel(atcCode);
   return {
     method: 'search_by_atc_code',
-    code: code,
-    count: results.length,
+    code: atcCode,
+    level: level,
+    level_name: levelName,
+    ...pageInfo(params, page, total, results.length),
     results: results
   };
 }
 
+/**
+ * Browse the ATC hierarchy: a code's name and level, its parents and its
+ * children, each with the number of drugs classified under it
+ * Without code, lists the anatomical main groups
+ */
+async function getAtcTree(params) {
+  const { code } = params;
+
+  const atcCode = code ? normalizeAtcCode(code) : null;
+  if (code && !atcCode) {
+    return { error: `Invalid ATC code: ${code}`, expected_format: ATC_CODE_FORMAT };
+  }
+
+  const tree = await parser.getAtcTree(atcCode);
+  if (!tree) {
+    return {
+      error: `ATC code not found: ${atcCode}`,
+      code: atcCode,
+      hint: 'Call get_atc_tree without code to browse from the anatomical main groups'
+    };
+  }
+
+  const withLevelName = node => ({ ...node, level_name: ATC_LEVELS[node.level - 1].name });
+
+  return {
+    method: 'get_atc_tree',
+    code: atcCode,
+    name: tree.node?.name ?? null,
+    level: tree.node?.level ?? null,
+    level_name: tree.node ? ATC_LEVELS[tree.node.level - 1].name : null,
+    drug_count: tree.drug_count,
+    parents: tree.parents.map(withLevelName),
+    children_count: tree.children.length,
+    children: tree.children.map(withLevelName)
+  };
+}
+
 /**
  * Get metabolic pathways for a drug
  */
@@ -285,15 +857,12 @@ async function getPathways(params) {
     };
   }
 
-  const pathways = drug.pathways?.pathway || [];
-  const pathwayList = Array.isArray(pathways) ? pathways : [pathways];
-
-  const results = pathwayList.map(pathway => ({
-    smpdb_id: pathway['smpdb-id'] || null,
+  const results = (drug.pathways || []).map(pathway => ({
+    smpdb_id: pathway.smpdb_id || null,
     name: pathway.name || null,
     category: pathway.category || null,
-    drugs: extractPathwayDrugs(pathway),
-    enzymes: extractPathwayEnzymes(pathway)
+    drugs: pathway.drugs || [],
+    enzymes: pathway.enzymes || []
   }));
 
   return {
@@ -306,59 +875,124 @@ async function getPathways(params) {
 }
 
 /**
- * Extract pathway drugs
+ * Search by chemical structure
+ * InChIKey/InChI find exact matches; SMILES ranks drugs by Tanimoto similarity
+ * of Morgan fingerprints (see fingerprint.js)
  */
-function extractPathwayDrugs(pathway) {
-  const drugs = pathway.drugs?.drug || [];
-  const drugList = Array.isArray(drugs) ? drugs : [drugs];
-  return drugList.map(d => ({
-    drugbank_id: d['drugbank-id'] || null,
-    name: d.name || null
-  }));
-}
+async function searchByStructure(params) {
+  const { smiles, inchi, inchikey, min_similarity = 0.7 } = params;
 
-/**
- * Extract pathway enzymes
- */
-function extractPathwayEnzymes(pathway) {
-  const enzymes = pathway.enzymes?.['uniprot-id'] || [];
-  return Array.isArray(enzymes) ? enzymes : [enzymes];
+  if (!smiles && !inchi && !inchikey) {
+    return { error: 'Missing required parameter: smiles, inchi or inchikey' };
+  }
+
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
+
+  if (inchikey || inchi) {
+    const key = inchikey?.trim().toUpperCase();
+    if (inchikey && !INCHIKEY_PATTERN.test(key)) {
+      return { error: `Invalid InChIKey: ${inchikey}`, expected_format: 'XXXXXXXXXXXXXX-XXXXXXXXXX-X' };
+    }
+
+    const { total, results } = await parser.searchDrugsByExactStructure(
+      { inchikey: key, inchi: inchikey ? null : inchi.trim() },
+      { ...page, filters: drugFilters }
+    );
+    return {
+      method: 'search_by_structure',
+      query: key || inchi,
+      match_type: 'exact',
+      ...pageInfo(params, page, total, results.length),
+      results: results
+    };
+  }
+
+  const minSimilarity = Number(min_similarity);
+  if (!Number.isFinite(minSimilarity) || minSimilarity < 0 || minSimilarity > 1) {
+    return { error: 'min_similarity must be a number between 0 and 1' };
+  }
+
+  let fingerprint;
+  try {
+    fingerprint = fingerprintFromSmiles(smiles.trim());
+  } catch (error) {
+    return { error: error.message, smiles: smiles };
+  }
+
+  const { total, results } = await parser.searchDrugsBySimilarity(fingerprint, { minSimilarity, ...page, filters: drugFilters });
+
+  return {
+    method: 'search_by_structure',
+    query: smiles,
+    match_type: 'similarity',
+    min_similarity: minSimilarity,
+    ...pageInfo(params, page, total, results.length),
+    results: results.map(result => ({ ...result, similarity: Math.round(result.similarity * 1000) / 1000 }))
+  };
 }
 
 /**
- * Search by chemical structure (SMILES/InChI)
- * Note: This is a simplified implementation
- * Real structure search would need chemical similarity algorithms
+ * Search drugs containing a substructure (SMILES or SMARTS fragment)
  */
-async function searchByStructure(params) {
-  const { smiles, inchi, limit = 20 } = params;
+async function searchBySubstructure(params) {
+  const { smiles, smarts } = params;
 
-  if (!smiles && !inchi) {
-    return { error: 'Missing required parameter: smiles or inchi' };
+  if (!smiles && !smarts) {
+    return { error: 'Missing required parameter: smiles or smarts' };
   }
 
-  const drugs = await parser.searchDrugsByStructure(smiles, inchi, limit);
-  const results = drugs.map(drug => parser.extractDrugSummary(drug));
+  let query;
+  try {
+    query = compileSubstructureQuery(smarts || smiles, { smarts: Boolean(smarts) });
+  } catch (error) {
+    return smarts ? { error: error.message, smarts: smarts } : { error: error.message, smiles: smiles };
+  }
+
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
+
+  const { total, results } = await parser.searchDrugsBySubstructure(query, { ...page, filters: drugFilters });
 
   return {
-    method: 'search_by_structure',
-    query: smiles || inchi,
-    count: results.length,
-    results: results,
-    note: 'This is an exact substring match. For true structure similarity search, consider using specialized chemical fingerprinting algorithms.'
+    method: 'search_by_substructure',
+    query: query.text,
+    query_type: query.type,
+    ...pageInfo(params, page, total, results.length),
+    results: results
   };
 }
 
 /**
  * Get market products for a drug
+ * Filters: country, route, dosage_form, generic, otc, marketing_status
+ * Paginated with limit (default 100) and offset or cursor
  */
 async function getProducts(params) {
-  const { drugbank_id, country } = params;
+  const { drugbank_id, country, route, dosage_form, generic, otc, marketing_status } = params;
 
   if (!drugbank_id) {
     return { error: 'Missing required parameter: drugbank_id' };
   }
 
+  for (const [name, value] of Object.entries({ generic, otc })) {
+    if (value !== undefined && ![true, false, 'true', 'false'].includes(value)) {
+      return { error: `${name} must be true or false` };
+    }
+  }
+  if (marketing_status && !MARKETING_STATUSES.includes(marketing_status)) {
+    return { error: `Invalid marketing_status: ${marketing_status}`, valid_values: MARKETING_STATUSES };
+  }
+
+  const { page, error: pageError } = parsePage(params, 100);
+  if (pageError) return pageError;
+
   const drug = await parser.getDrugById(drugbank_id);
 
   if (!drug) {
@@ -368,68 +1002,287 @@ async function getProducts(params) {
     };
   }
 
-  const products = drug.products?.product || [];
-  const productList = Array.isArray(products) ? products : [products];
+  const toBoolean = value => (value === undefined ? undefined : value === true || value === 'true');
+  const filters = {
+    country,
+    route,
+    dosageForm: dosage_form,
+    generic: toBoolean(generic),
+    otc: toBoolean(otc),
+    marketingStatus: marketing_status
+  };
 
-  // Filter by country if specified
-  let filteredProducts = productList;
-  if (country) {
-    const countryLower = country.toLowerCase();
-    filteredProducts = productList.filter(p =>
-      p.country?.toLowerCase() === countryLower
-    );
-  }
-
-  const results = filteredProducts.map(product => ({
-    name: product.name || null,
-    labeller: product.labeller || null,
-    ndc_id: product['ndc-id'] || null,
-    ndc_product_code: product['ndc-product-code'] || null,
-    dpd_id: product['dpd-id'] || null,
-    started_marketing_on: product['started-marketing-on'] || null,
-    ended_marketing_on: product['ended-marketing-on'] || null,
-    dosage_form: product['dosage-form'] || null,
-    strength: product.strength || null,
-    route: product.route || null,
-    fda_application_number: product['fda-application-number'] || null,
-    generic: product.generic || null,
-    otc: product['over-the-counter'] || null,
-    approved: product.approved || null,
-    country: product.country || null,
-    source: product.source || null
-  }));
+  const { total, results } = paginate(await parser.getDrugProducts(drugbank_id, filters), page);
 
   return {
     method: 'get_products',
     drugbank_id: drugbank_id,
     drug_name: drug.name || 'Unknown',
     country_filter: country || 'all',
+    filters: {
+      route: route || null,
+      dosage_form: dosage_form || null,
+      generic: filters.generic ?? null,
+      otc: filters.otc ?? null,
+      marketing_status: marketing_status || null
+    },
+    total: total,
+    offset: page.offset,
+    limit: page.limit,
     product_count: results.length,
+    next_cursor: pageInfo(params, page, total, results.length).next_cursor,
     products: results
   };
 }
 
 /**
- * Search drugs by category
+ * Resolve brand names, international brands, NDC codes and labellers to drugs
+ */
+async function searchByProduct(params) {
+  const { query, ndc, labeller } = params;
+
+  if (!query && !ndc && !labeller) {
+    return { error: 'Missing required parameter: query, ndc or labeller' };
+  }
+
+  const criteria = {
+    name: query?.trim() || null,
+    ndc: ndc ? String(ndc).trim() : null,
+    labeller: labeller?.trim() || null
+  };
+  if (criteria.ndc && !/^[0-9-]+$/.test(criteria.ndc)) {
+    return { error: `Invalid NDC code: ${ndc}`, expected_format: 'digits with optional hyphens, e.g. 0280-2000 or 0280-2000-10' };
+  }
+
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
+
+  const { total, results } = await parser.searchDrugsByProduct(criteria, { ...page, filters: drugFilters });
+
+  return {
+    method: 'search_by_product',
+    query: criteria,
+    ...pageInfo(params, page, total, results.length),
+    results: results
+  };
+}
+
+/**
+ * Search mechanism, pharmacodynamics, toxicity, metabolism and absorption text
+ * search_fields: which fields to search (default: those five); each result has highlighted snippets
+ */
+async function searchText(params) {
+  const { query, syntax = 'plain' } = params;
+
+  if (!query) {
+    return { error: 'Missing required parameter: query' };
+  }
+
+  const fields = toArray(params.search_fields);
+  const invalidField = fields.find(field => !(field in TEXT_FIELDS));
+  if (invalidField) {
+    return { error: `Invalid search field: ${invalidField}`, valid_values: Object.keys(TEXT_FIELDS) };
+  }
+  const searchFields = fields.length > 0 ? [...new Set(fields)] : SEARCH_TEXT_FIELDS;
+
+  const { textQuery, error } = parseQueryParam(query, syntax);
+  if (error) return error;
+
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
+
+  const { total, results } = await parser.searchDrugsByText(textQuery, { fields: searchFields, ...page, filters: drugFilters });
+
+  return {
+    method: 'search_text',
+    query: query,
+    syntax: syntax,
+    search_fields: searchFields,
+    ...pageInfo(params, page, total, results.length),
+    results: results
+  };
+}
+
+/**
+ * Search drugs by category name and/or MeSH ID
+ * match: partial (default, name contains category) or exact (whole name), case-insensitive
+ * Each result lists its matched_categories with their MeSH IDs
  */
 async function searchByCategory(params) {
-  const { category, limit = 20 } = params;
+  const { category, mesh_id, match = 'partial' } = params;
+
+  if (!category && !mesh_id) {
+    return {
+      error: 'Missing required parameter: category or mesh_id',
+      hint: 'Use list_categories to find category names and MeSH IDs'
+    };
+  }
+  if (!CATEGORY_MATCH_MODES.includes(match)) {
+    return { error: `Invalid match: ${match}`, valid_values: CATEGORY_MATCH_MODES };
+  }
 
-  if (!category) {
-    return { error: 'Missing required parameter: category' };
+  const meshId = mesh_id ? normalizeMeshId(mesh_id) : null;
+  if (mesh_id && !meshId) {
+    return { error: `Invalid MeSH ID: ${mesh_id}`, expected_format: 'MeSH unique ID, e.g. D000925' };
   }
 
-  const drugs = await parser.searchDrugsByCategory(category, limit);
-  const results = drugs.map(drug => parser.extractDrugSummary(drug));
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
+
+  const { total, results } = await parser.searchDrugsByCategory(
+    { category: category || null, meshId, match },
+    { ...page, filters: drugFilters }
+  );
 
   return {
     method: 'search_by_category',
-    category: category,
-    count: results.length,
+    category: category || null,
+    mesh_id: meshId,
+    match: match,
+    ...pageInfo(params, page, total, results.length),
     results: results
   };
 }
 
+/**
+ * List drug categories with their MeSH IDs and drug counts
+ * query (optional) keeps names containing it, those starting with it first (autocomplete);
+ * otherwise categories come by drug count, then name
+ */
+async function listCategories(params) {
+  const { query } = params;
+
+  const { page, error: pageError } = parsePage(params, 50);
+  if (pageError) return pageError;
+
+  const { total, results } = await parser.listCategories(query || null, page);
+
+  return {
+    method: 'list_categories',
+    query: query || null,
+    ...pageInfo(params, page, total, results.length),
+    categories: results
+  };
+}
+
+/**
+ * Search drugs by ClassyFire chemical taxonomy: kingdom, superclass, class,
+ * subclass, direct parent, alternative parents or substituents
+ * class_level (optional) restricts the search to one level; match: partial (default) or exact
+ * Each result lists its matched_classes
+ */
+async function searchByChemicalClass(params) {
+  const { chemical_class, class_level, match = 'partial' } = params;
+
+  if (!chemical_class) {
+    return { error: 'Missing required parameter: chemical_class' };
+  }
+  if (class_level && !CHEMICAL_CLASS_LEVELS.includes(class_level)) {
+    return { error: `Invalid class_level: ${class_level}`, valid_values: CHEMICAL_CLASS_LEVELS };
+  }
+  if (!CHEMICAL_CLASS_MATCH_MODES.includes(match)) {
+    return { error: `Invalid match: ${match}`, valid_values: CHEMICAL_CLASS_MATCH_MODES };
+  }
+
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
+
+  const { total, results } = await parser.searchDrugsByChemicalClass(
+    { name: chemical_class, level: class_level || null, match },
+    { ...page, filters: drugFilters }
+  );
+
+  return {
+    method: 'search_by_chemical_class',
+    chemical_class: chemical_class,
+    class_level: class_level || 'any',
+    match: match,
+    ...pageInfo(params, page, total, results.length),
+    results: results
+  };
+}
+
+/**
+ * Search drugs by food interaction notes: text they contain (e.g. "grapefruit",
+ * "take with food") and/or their counselling category (see FOOD_INTERACTION_CATEGORIES)
+ */
+async function searchByFoodInteraction(params) {
+  const { food, food_category } = params;
+
+  if (!food && !food_category) {
+    return {
+      error: 'Missing required parameter: food or food_category',
+      hint: 'food matches note text, e.g. "grapefruit"; food_category a counselling category, e.g. "avoid_alcohol"'
+    };
+  }
+  if (food_category && !FOOD_INTERACTION_CATEGORIES.includes(food_category)) {
+    return { error: `Invalid food_category: ${food_category}`, valid_values: FOOD_INTERACTION_CATEGORIES };
+  }
+
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
+
+  const { total, results } = await parser.searchDrugsByFoodInteraction(
+    { query: food || null, category: food_category || null },
+    { ...page, filters: drugFilters }
+  );
+
+  return {
+    method: 'search_by_food_interaction',
+    food: food || null,
+    food_category: food_category || null,
+    ...pageInfo(params, page, total, results.length),
+    results: results
+  };
+}
+
+/**
+ * Get a drug's food interactions classified for patient counselling
+ * Each note lists its categories; guidance groups the notes by category with one line of advice
+ */
+async function getFoodInteractions(params) {
+  const { drugbank_id } = params;
+
+  if (!drugbank_id) {
+    return { error: 'Missing required parameter: drugbank_id' };
+  }
+
+  const drug = await parser.getDrugById(drugbank_id);
+
+  if (!drug) {
+    return {
+      error: `Drug not found: ${drugbank_id}`,
+      drugbank_id: drugbank_id
+    };
+  }
+
+  const { food_interactions, guidance } = buildFoodGuidance(drug.food_interactions);
+
+  return {
+    method: 'get_food_interactions',
+    drugbank_id: drugbank_id,
+    drug_name: drug.name || 'Unknown',
+    food_interaction_count: food_interactions.length,
+    guidance: guidance,
+    food_interactions: food_interactions
+  };
+}
+
 /**
  * Get external identifiers for a drug (PubChem, ChEMBL, KEGG, UniProt, etc.)
  * Enables cross-database lookups and integration with other resources
@@ -450,11 +1303,10 @@ async function getExternalIdentifiers(params) {
     };
   }
 
-  // Extract external identifiers - already parsed as object from JSON
-  const externalIds = drug.external_identifiers || drug['external-identifiers'] || {};
+  const externalIds = drug.external_identifiers || {};
 
   // Also include calculated properties that contain structure identifiers
-  const calcProps = drug.calculated_properties || drug['calculated-properties'] || {};
+  const calcProps = drug.calculated_properties || {};
 
   // Extract structure identifiers from calculated properties
   const structureIds = {};
@@ -477,7 +1329,7 @@ async function getExternalIdentifiers(params) {
  * Uses Jaccard similarity on targets, categories, and ATC codes
  */
 async function getSimilarDrugs(params) {
-  const { drugbank_id, limit = 20 } = params;
+  const { drugbank_id } = params;
 
   if (!drugbank_id) {
     return { error: 'Missing required parameter: drugbank_id' };
@@ -491,7 +1343,13 @@ async function getSimilarDrugs(params) {
     };
   }
 
-  const similarDrugs = await parser.findSimilarDrugs(drugbank_id, limit);
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
+
+  const { total, results: similarDrugs } = await parser.findSimilarDrugs(drugbank_id, { ...page, filters: drugFilters });
 
   const results = similarDrugs.map(item => ({
     drugbank_id: item.drug.drugbank_id,
@@ -509,50 +1367,120 @@ async function getSimilarDrugs(params) {
     method: 'get_similar_drugs',
     drugbank_id: drugbank_id,
     reference_drug: refDrug.name,
-    count: results.length,
+    ...pageInfo(params, page, total, results.length),
     note: 'Similarity based on shared targets (50%), categories (30%), and ATC codes (20%)',
     results: results
   };
 }
 
 /**
- * Search drugs by half-life range (in hours)
- * Allows finding drugs with specific elimination characteristics
+ * Search drugs by physicochemical properties
+ * Numeric properties take min_<property>/max_<property>, drug-likeness rules true/false
+ */
+async function searchByProperties(params) {
+  const filters = {};
+
+  for (const name of NUMERIC_PROPERTIES) {
+    const range = {};
+    for (const bound of ['min', 'max']) {
+      const value = params[`${bound}_${name}`];
+      if (value === undefined || value === null) continue;
+      const number = parseFloat(value);
+      if (isNaN(number)) {
+        return { error: `${bound}_${name} must be a valid number` };
+      }
+      range[bound] = number;
+    }
+    if (range.min !== undefined && range.max !== undefined && range.min > range.max) {
+      return { error: `min_${name} must not be greater than max_${name}` };
+    }
+    if (Object.keys(range).length > 0) filters[name] = range;
+  }
+
+  for (const name of BOOLEAN_PROPERTIES) {
+    const value = params[name];
+    if (value === undefined || value === null) continue;
+    if (![true, false, 'true', 'false'].includes(value)) {
+      return { error: `${name} must be true or false` };
+    }
+    filters[name] = value === true || value === 'true';
+  }
+
+  if (Object.keys(filters).length === 0) {
+    return {
+      error: 'At least one property filter is required',
+      available_filters: [
+        ...NUMERIC_PROPERTIES.flatMap(name => [`min_${name}`, `max_${name}`]),
+        ...BOOLEAN_PROPERTIES
+      ]
+    };
+  }
+
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
+
+  const { total, results } = await parser.searchDrugsByProperties(filters, { ...page, filters: drugFilters });
+
+  return {
+    method: 'search_by_properties',
+    filters: filters,
+    ...pageInfo(params, page, total, results.length),
+    results: results
+  };
+}
+
+/**
+ * Search drugs by the typical value of a pharmacokinetic parameter (see PK_RANGE_SEARCHES)
+ * Each result carries the source text, the typical value and the parsed range
  */
-async function searchByHalfLife(params) {
-  const { min_hours, max_hours, limit = 20 } = params;
+async function searchByPkRange(params, method) {
+  const { parameter, minParam, maxParam, search } = PK_RANGE_SEARCHES[method];
+  const { column, unit } = PK_PARAMETERS[parameter];
 
-  if (min_hours === undefined && max_hours === undefined) {
-    return { error: 'At least one of min_hours or max_hours is required' };
+  if (params[minParam] === undefined && params[maxParam] === undefined) {
+    return { error: `At least one of ${minParam} or ${maxParam} is required` };
   }
 
-  const minVal = min_hours !== undefined ? parseFloat(min_hours) : null;
-  const maxVal = max_hours !== undefined ? parseFloat(max_hours) : null;
+  const minVal = params[minParam] !== undefined ? parseFloat(params[minParam]) : null;
+  const maxVal = params[maxParam] !== undefined ? parseFloat(params[maxParam]) : null;
 
   if (minVal !== null && isNaN(minVal)) {
-    return { error: 'min_hours must be a valid number' };
+    return { error: `${minParam} must be a valid number` };
   }
   if (maxVal !== null && isNaN(maxVal)) {
-    return { error: 'max_hours must be a valid number' };
+    return { error: `${maxParam} must be a valid number` };
   }
-
-  const drugs = await parser.searchDrugsByHalfLife(minVal, maxVal, limit);
-
-  // Extract summary with half-life info
-  const results = drugs.map(drug => {
-    const summary = parser.extractDrugSummary(drug);
+  if (minVal !== null && maxVal !== null && minVal > maxVal) {
     return {
-      ...summary,
-      half_life: drug.half_life || null,
-      half_life_hours: drug.half_life_hours || null
+      error: `${minParam} must not be greater than ${maxParam}`,
+      hint: `Got ${minParam} ${minVal} and ${maxParam} ${maxVal}; swap them, or give only one for an open-ended range`
     };
-  });
+  }
+
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
+
+  const { total, results: drugs } = await parser[search](minVal, maxVal, { ...page, filters: drugFilters });
+
+  const results = drugs.map(drug => ({
+    ...parser.extractDrugSummary(drug),
+    [parameter]: drug[parameter] || null,
+    [column]: drug[column] ?? null,
+    parsed: drug.pharmacokinetics?.[parameter] ?? null
+  }));
 
   return {
-    method: 'search_by_halflife',
-    min_hours: minVal,
-    max_hours: maxVal,
-    count: results.length,
+    method,
+    [minParam]: minVal,
+    [maxParam]: maxVal,
+    unit,
+    ...pageInfo(params, page, total, results.length),
     results: results
   };
 }
@@ -562,39 +1490,110 @@ async function searchByHalfLife(params) {
  * Carriers are proteins that transport drugs within the body
  */
 async function searchByCarrier(params) {
-  const { carrier, limit = 20 } = params;
+  const { carrier } = params;
 
   if (!carrier) {
     return { error: 'Missing required parameter: carrier' };
   }
 
-  const results = await parser.searchDrugsByCarrier(carrier, limit);
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
+
+  const { total, results } = await parser.searchDrugsByCarrier(carrier, { ...page, filters: drugFilters });
 
   return {
     method: 'search_by_carrier',
     carrier: carrier,
-    count: results.length,
+    ...pageInfo(params, page, total, results.length),
     results: results
   };
 }
 
+/**
+ * Search drugs by metabolising enzyme
+ * role (optional): substrate, inhibitor or inducer
+ */
+async function searchByEnzyme(params) {
+  const { enzyme, role } = params;
+
+  if (!enzyme) {
+    return { error: 'Missing required parameter: enzyme' };
+  }
+  if (role && !ENZYME_ROLES.includes(role)) {
+    return { error: `Invalid role: ${role}`, valid_values: ENZYME_ROLES };
+  }
+
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
+
+  const { total, results } = await parser.searchDrugsByEnzyme(enzyme, { role: role || null, ...page, filters: drugFilters });
+
+  return {
+    method: 'search_by_enzyme',
+    enzyme: enzyme,
+    role: role || 'any',
+    ...pageInfo(params, page, total, results.length),
+    results: results
+  };
+}
+
+/**
+ * Which cytochrome P450s metabolise, inhibit or induce a drug
+ */
+async function getMetabolismProfile(params) {
+  const { drugbank_id } = params;
+
+  if (!drugbank_id) {
+    return { error: 'Missing required parameter: drugbank_id' };
+  }
+
+  const drug = await parser.getDrugById(drugbank_id);
+
+  if (!drug) {
+    return {
+      error: `Drug not found: ${drugbank_id}`,
+      drugbank_id: drugbank_id
+    };
+  }
+
+  return {
+    method: 'get_metabolism_profile',
+    drugbank_id: drugbank_id,
+    drug_name: drug.name || 'Unknown',
+    ...buildMetabolismProfile(drug.enzymes || []),
+    metabolism: drug.metabolism || null
+  };
+}
+
 /**
  * Search drugs by transporter protein
  * Transporters are membrane proteins that move drugs across cell membranes
  */
 async function searchByTransporter(params) {
-  const { transporter, limit = 20 } = params;
+  const { transporter } = params;
 
   if (!transporter) {
     return { error: 'Missing required parameter: transporter' };
   }
 
-  const results = await parser.searchDrugsByTransporter(transporter, limit);
+  const { drugFilters, error: filterError } = parseDrugFilters(params);
+  if (filterError) return filterError;
+
+  const { page, error: pageError } = parsePage(params);
+  if (pageError) return pageError;
+
+  const { total, results } = await parser.searchDrugsByTransporter(transporter, { ...page, filters: drugFilters });
 
   return {
     method: 'search_by_transporter',
     transporter: transporter,
-    count: results.length,
+    ...pageInfo(params, page, total, results.length),
     results: results
   };
 }
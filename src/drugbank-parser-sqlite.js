@@ -5,11 +5,33 @@
  *
  * Fast, memory-efficient parser using SQLite database
  * Queries are <10ms vs 30-60s initial load with XML
+ * Searches take { limit, offset } and return { total, results } (see pagination.js)
  */
 
 import Database from 'better-sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { extractDrugSummary, extractDrugDetails, getSimilarityFeatures, scoreDrugSimilarity } from './drug-record.js';
+import { bitCount, bitCountBounds, tanimoto, containsBits } from './fingerprint.js';
+import { parseSmiles } from './smiles.js';
+import { findSubstructureMatch } from './substructure.js';
+import { PROPERTY_COLUMNS, BOOLEAN_PROPERTIES } from './drug-properties.js';
+import { ENZYME_ROLES } from './drug-enzymes.js';
+import { TARGET_IDENTIFIERS, toTargetEntity } from './drug-targets.js';
+import { hasDrugFilters } from './drug-filters.js';
+import { PK_PARAMETERS } from './pharmacokinetics.js';
+import { classifyFoodInteractions, matchesFoodInteraction } from './food-interactions.js';
+import { toProductRow, getMarketingStatus, matchesProductFilters, summarizeProductMatches, matchedBrandName } from './drug-products.js';
+import { paginate } from './pagination.js';
+import {
+  FUZZY_CANDIDATE_LIMIT, toPrefixQuery, toTrigramQuery, classifyNameMatch, fuzzyScore, rankNameMatches, roundScore
+} from './name-search.js';
+import {
+  TEXT_FIELDS, SEARCH_TEXT_FIELDS, FTS_COLUMNS, SNIPPET_OPEN, SNIPPET_CLOSE, SNIPPET_ELLIPSIS, SNIPPET_WORDS,
+  parseTextQuery, toFtsMatch
+} from './text-query.js';
+
+export { extractDrugSummary, extractDrugDetails };
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,11 +48,65 @@ function getDb() {
   if (!db) {
     db = new Database(DB_FILE, { readonly: true });
     db.pragma('journal_mode = WAL');
+    db.function('tanimoto', { deterministic: true }, (a, b) => (a && b ? tanimoto(a, b) : 0));
+    db.function('contains_bits', { deterministic: true }, (target, query) => (target && containsBits(target, query) ? 1 : 0));
     console.error('[DrugBank Parser] Connected to SQLite database');
   }
   return db;
 }
 
+/**
+ * LIKE pattern for text containing term (starting with it when prefix), with
+ * the term's % and _ matched literally; use with LIKE ? ESCAPE '\'
+ */
+function likePattern(term, { prefix = false } = {}) {
+  const escaped = term.replace(/[\\%_]/g, '\\$&');
+  return prefix ? `${escaped}%` : `%${escaped}%`;
+}
+
+/**
+ * SQL condition on a drug ID column applying common drug filters (see matchesDrugFilters),
+ * with its parameters; '1' when no filter is set
+ */
+function drugFilterSql(filters = {}, idColumn = 'drugs.drugbank_id') {
+  if (!hasDrugFilters(filters)) return { sql: '1', params: [] };
+
+  const { groups, excludeGroups, state, type, organism } = filters;
+  const conditions = [];
+  const params = [];
+  const placeholders = values => values.map(() => '?').join(',');
+
+  if (groups?.length) {
+    conditions.push(`EXISTS (SELECT 1 FROM drug_groups fg WHERE fg.drug_id = ${idColumn} AND fg.group_name IN (${placeholders(groups)}))`);
+    params.push(...groups);
+  }
+  if (excludeGroups?.length) {
+    conditions.push(`NOT EXISTS (SELECT 1 FROM drug_groups fg WHERE fg.drug_id = ${idColumn} AND fg.group_name IN (${placeholders(excludeGroups)}))`);
+    params.push(...excludeGroups);
+  }
+  if (state || type) {
+    conditions.push(`EXISTS (SELECT 1 FROM drugs fd WHERE fd.drugbank_id = ${idColumn}${state ? ' AND fd.state = ?' : ''}${type ? ' AND fd.type = ?' : ''})`);
+    params.push(...[state, type].filter(Boolean));
+  }
+  if (organism) {
+    conditions.push(`EXISTS (SELECT 1 FROM drug_targets ft WHERE ft.drug_id = ${idColumn} AND ft.organism = ? COLLATE NOCASE)`);
+    params.push(organism);
+  }
+
+  return { sql: conditions.join(' AND '), params };
+}
+
+/**
+ * Run a query for one page of its rows ({ limit, offset }), with the number of
+ * rows it matches in all; the query must order its rows deterministically
+ */
+function queryPage(database, sql, params, { limit = 20, offset = 0 } = {}) {
+  return {
+    total: database.prepare(`SELECT COUNT(*) AS total FROM (${sql})`).get(...params).total,
+    rows: database.prepare(`${sql} LIMIT ? OFFSET ?`).all(...params, limit, offset)
+  };
+}
+
 /**
  * Get drug by DrugBank ID
  */
@@ -43,134 +119,523 @@ export async function getDrugById(drugbankId) {
 }
 
 /**
- * Search drugs by name (case-insensitive, using FTS5)
+ * Get drug by exact name (case-insensitive)
  */
-export async function searchDrugsByName(query, limit = 20) {
+export async function getDrugByName(name) {
   const database = getDb();
+  const stmt = database.prepare('SELECT * FROM drugs WHERE name = ? COLLATE NOCASE LIMIT 1');
+  const drug = stmt.get(name);
 
-  // Use FTS5 for fast full-text search
-  const stmt = database.prepare(`
-    SELECT drugs.* FROM drugs_fts
-    JOIN drugs ON drugs_fts.drugbank_id = drugs.drugbank_id
-    WHERE drugs_fts.name MATCH ?
-    LIMIT ?
-  `);
+  return drug ? parseDrugRow(drug) : null;
+}
+
+/**
+ * Search drugs by name, synonym or IUPAC name
+ * Word-prefix matches ranked by BM25 (FTS5), then drugs with a product or
+ * international brand carrying the name, then typo-tolerant matches from the trigram index
+ * Each hit carries match_type (see NAME_MATCH_TYPES), matched_name (matched_brand
+ * for brand hits) and score
+ * Returns { total, results } for the page ({ limit, offset })
+ */
+export async function searchDrugsByName(query, { limit = 20, offset = 0, filters = {} } = {}) {
+  const database = getDb();
+  const filter = drugFilterSql(filters, 'drug_names.drug_id');
+  const hits = [];
+
+  const prefixQuery = toPrefixQuery(query);
+  if (prefixQuery) {
+    const rows = database.prepare(`
+      SELECT drug_names.drug_id, drug_names.name, drug_names.name_type, drug_names_fts.rank
+      FROM drug_names_fts
+      JOIN drug_names ON drug_names.rowid = drug_names_fts.rowid
+      WHERE drug_names_fts MATCH ? AND ${filter.sql}
+    `).all(prefixQuery, ...filter.params);
+
+    for (const row of rows) {
+      hits.push({
+        drugbank_id: row.drug_id,
+        match_type: classifyNameMatch(query, row),
+        matched_name: row.name,
+        score: roundScore(-row.rank)
+      });
+    }
+  }
+
+  const ranked = rankNameMatches(hits);
+  const found = new Set(ranked.map(hit => hit.drugbank_id));
+
+  const brands = productHitsQuery({ name: query }, filters);
+  for (const { drug_id } of database.prepare(brands.sql).all(...brands.params)) {
+    if (found.has(drug_id)) continue;
+    found.add(drug_id);
+    ranked.push({ drugbank_id: drug_id, match_type: 'brand', score: null });
+  }
+
+  const trigramQuery = toTrigramQuery(query);
+  if (trigramQuery) {
+    const rows = database.prepare(`
+      SELECT drug_names.drug_id, drug_names.name
+      FROM drug_names_trigram
+      JOIN drug_names ON drug_names.rowid = drug_names_trigram.rowid
+      WHERE drug_names_trigram MATCH ? AND ${filter.sql}
+      ORDER BY drug_names_trigram.rank
+      LIMIT ?
+    `).all(trigramQuery, ...filter.params, FUZZY_CANDIDATE_LIMIT);
+
+    const fuzzy = rows
+      .filter(row => !found.has(row.drug_id))
+      .map(row => ({ drugbank_id: row.drug_id, match_type: 'fuzzy', matched_name: row.name, score: fuzzyScore(query, row.name) }))
+      .filter(hit => hit.score !== null)
+      .map(hit => ({ ...hit, score: roundScore(hit.score) }));
+    ranked.push(...rankNameMatches(fuzzy));
+  }
+
+  const getDrug = database.prepare('SELECT * FROM drugs WHERE drugbank_id = ?');
+  const { total, results } = paginate(ranked, { limit, offset });
 
-  const drugs = stmt.all(query, limit);
-  return drugs.map(drug => extractDrugSummary(parseDrugRow(drug)));
+  return {
+    total,
+    results: results.map(({ drugbank_id, match_type, matched_name, score }) => ({
+      ...extractDrugSummary(parseDrugRow(getDrug.get(drugbank_id))),
+      match_type,
+      ...(match_type === 'brand'
+        ? { matched_brand: matchedBrandName(getProductMatches(database, drugbank_id, { name: query }), query) }
+        : { matched_name }),
+      score
+    }))
+  };
 }
 
 /**
  * Search drugs by indication
+ * Takes query text (plain syntax) or a query from parseTextQuery
  */
-export async function searchDrugsByIndication(query, limit = 20) {
+export async function searchDrugsByIndication(query, { limit = 20, offset = 0, filters = {} } = {}) {
   const database = getDb();
+  const textQuery = typeof query === 'string' ? parseTextQuery(query) : query;
+  const filter = drugFilterSql(filters);
 
   // Use FTS5 for fast search
-  const stmt = database.prepare(`
+  const { total, rows } = queryPage(database, `
     SELECT drugs.* FROM drugs_fts
     JOIN drugs ON drugs_fts.drugbank_id = drugs.drugbank_id
-    WHERE drugs_fts.indication MATCH ?
-    LIMIT ?
+    WHERE drugs_fts MATCH ? AND ${filter.sql}
+    ORDER BY drugs.drugbank_id
+  `, [toFtsMatch(textQuery, 'indication'), ...filter.params], { limit, offset });
+
+  return { total, results: rows.map(drug => extractDrugSummary(parseDrugRow(drug))) };
+}
+
+/**
+ * Search the text of drug record fields (TEXT_FIELDS keys, default SEARCH_TEXT_FIELDS)
+ * Takes query text (plain syntax) or a query from parseTextQuery
+ * Each drug lists snippets for the fields that matched, highlighted by FTS5 snippet()
+ */
+export async function searchDrugsByText(query, { fields = SEARCH_TEXT_FIELDS, limit = 20, offset = 0, filters = {} } = {}) {
+  const database = getDb();
+  const textQuery = typeof query === 'string' ? parseTextQuery(query) : query;
+  const filter = drugFilterSql(filters);
+  const match = toFtsMatch(textQuery, fields);
+
+  const total = database.prepare(`
+    SELECT COUNT(*) AS total FROM drugs_fts
+    JOIN drugs ON drugs_fts.drugbank_id = drugs.drugbank_id
+    WHERE drugs_fts MATCH ? AND ${filter.sql}
+  `).get(match, ...filter.params).total;
+
+  const snippetColumns = fields.map((field, i) => {
+    const column = FTS_COLUMNS.indexOf(TEXT_FIELDS[field]);
+    return `snippet(drugs_fts, ${column}, ?, ?, ?, ${SNIPPET_WORDS}) AS snippet_${i}`;
+  });
+  const stmt = database.prepare(`
+    SELECT drugs.*, ${snippetColumns.join(', ')} FROM drugs_fts
+    JOIN drugs ON drugs_fts.drugbank_id = drugs.drugbank_id
+    WHERE drugs_fts MATCH ? AND ${filter.sql}
+    ORDER BY drugs.drugbank_id
+    LIMIT ? OFFSET ?
   `);
 
-  const drugs = stmt.all(query, limit);
-  return drugs.map(drug => extractDrugSummary(parseDrugRow(drug)));
+  const markers = fields.flatMap(() => [SNIPPET_OPEN, SNIPPET_CLOSE, SNIPPET_ELLIPSIS]);
+  const drugs = stmt.all(...markers, match, ...filter.params, limit, offset);
+
+  return {
+    total,
+    results: drugs.map(drug => ({
+      ...extractDrugSummary(parseDrugRow(drug)),
+      // snippet() returns a column's opening words when nothing in it matched
+      snippets: fields
+        .map((field, i) => ({ field, text: drug[`snippet_${i}`] }))
+        .filter(({ text }) => text?.includes(SNIPPET_OPEN))
+    }))
+  };
 }
 
 /**
  * Search drugs by target
  */
-export async function searchDrugsByTarget(target, limit = 20) {
+export async function searchDrugsByTarget(target, { limit = 20, offset = 0, filters = {} } = {}) {
   const database = getDb();
+  const filter = drugFilterSql(filters);
 
   // Normalize the search term: lowercase and replace hyphens with spaces
   // This matches Open Targets format ("glucagon like peptide 1 receptor")
-  // with DrugBank format ("Glucagon-like peptide 1 receptor")
+  // with DrugBank format ("Glucagon-like peptide 1 receptor");
+  // searchDrugsByGene matches by gene symbol or HGNC ID instead
   const normalizedTarget = target.toLowerCase().replace(/-/g, ' ');
 
-  const stmt = database.prepare(`
-    SELECT DISTINCT drugs.* FROM drug_targets
-    JOIN drugs ON drug_targets.drug_id = drugs.drugbank_id
-    WHERE LOWER(REPLACE(drug_targets.target_name, '-', ' ')) LIKE ?
-    LIMIT ?
+  const { total, rows } = queryPage(database, `
+    SELECT * FROM drugs
+    WHERE drugbank_id IN (
+      SELECT drug_id FROM drug_targets WHERE LOWER(REPLACE(target_name, '-', ' ')) LIKE ? ESCAPE '\\'
+    ) AND ${filter.sql}
+    ORDER BY drugbank_id
+  `, [likePattern(normalizedTarget), ...filter.params], { limit, offset });
+
+  return { total, results: rows.map(drug => extractDrugSummary(parseDrugRow(drug))) };
+}
+
+// drug_targets rows with their target entity's polypeptide identifiers
+const TARGET_SELECT = `
+  SELECT dt.*, t.gene_name, t.uniprot_id, t.hgnc_id, t.chromosome_location, t.cellular_location
+  FROM drug_targets dt
+  LEFT JOIN targets t ON t.target_id = dt.target_id
+`;
+
+function toTargetResult(row) {
+  return {
+    target_id: row.target_id,
+    name: row.target_name,
+    organism: row.organism,
+    gene_name: row.gene_name ?? null,
+    uniprot_id: row.uniprot_id ?? null,
+    hgnc_id: row.hgnc_id ?? null,
+    chromosome_location: row.chromosome_location ?? null,
+    cellular_location: row.cellular_location ?? null,
+    known_action: row.known_action,
+    actions: JSON.parse(row.actions)
+  };
+}
+
+/**
+ * Get a drug's targets with their UniProt, gene and HGNC identifiers and actions
+ */
+export async function getDrugTargets(drugbankId) {
+  const database = getDb();
+
+  const rows = database.prepare(`${TARGET_SELECT} WHERE dt.drug_id = ? ORDER BY dt.position`).all(drugbankId);
+  return rows.map(toTargetResult);
+}
+
+/**
+ * Search drugs by the gene encoding one of their targets (symbol or HGNC ID, exact)
+ */
+export async function searchDrugsByGene(gene, { limit = 20, offset = 0, filters = {} } = {}) {
+  const database = getDb();
+
+  const term = gene.trim();
+  const where = '(t.gene_name = ? COLLATE NOCASE OR t.hgnc_id = ? COLLATE NOCASE)';
+  const filter = drugFilterSql(filters, 'dt.drug_id');
+
+  const { total, rows } = queryPage(database, `
+    SELECT DISTINCT dt.drug_id FROM drug_targets dt
+    JOIN targets t ON t.target_id = dt.target_id
+    WHERE ${where} AND ${filter.sql}
+    ORDER BY dt.drug_id
+  `, [term, term, ...filter.params], { limit, offset });
+
+  const getDrug = database.prepare('SELECT * FROM drugs WHERE drugbank_id = ?');
+  const getTargets = database.prepare(`${TARGET_SELECT} WHERE dt.drug_id = ? AND ${where} ORDER BY dt.position`);
+
+  return {
+    total,
+    results: rows.map(({ drug_id }) => ({
+      ...extractDrugSummary(parseDrugRow(getDrug.get(drug_id))),
+      matched_targets: getTargets.all(drug_id, term, term).map(toTargetResult)
+    }))
+  };
+}
+
+/**
+ * Resolve a target by DrugBank target ID, UniProt accession, gene symbol or
+ * HGNC ID (see TARGET_IDENTIFIERS) and list every drug acting on it
+ * Returns { matched_by, targets: [{ ...entity, drugs }] }; matched_by is null when nothing matched
+ */
+export async function getTarget(identifier) {
+  const database = getDb();
+
+  const term = identifier.trim();
+  const getDrugs = database.prepare(`
+    SELECT dt.drug_id, dt.known_action, dt.actions, drugs.name, drugs.groups
+    FROM drug_targets dt
+    JOIN drugs ON drugs.drugbank_id = dt.drug_id
+    WHERE dt.target_id = ?
+    ORDER BY dt.drug_id, dt.position
+  `);
+
+  for (const column of TARGET_IDENTIFIERS) {
+    const rows = database.prepare(`SELECT * FROM targets WHERE ${column} = ? COLLATE NOCASE ORDER BY target_id`).all(term);
+    if (rows.length === 0) continue;
+
+    return {
+      matched_by: column,
+      targets: rows.map(row => ({
+        ...toTargetEntity(row),
+        drugs: getDrugs.all(row.target_id).map(drug => ({
+          drugbank_id: drug.drug_id,
+          name: drug.name,
+          groups: safeJsonParse(drug.groups),
+          known_action: drug.known_action,
+          actions: JSON.parse(drug.actions)
+        }))
+      }))
+    };
+  }
+
+  return { matched_by: null, targets: [] };
+}
+
+/**
+ * SQL condition on drug_categories rows for search_by_category criteria (see matchesCategory)
+ */
+function categoryConditionSql({ category = null, meshId = null, match = 'partial' }) {
+  const conditions = [];
+  const params = [];
+
+  if (category) {
+    conditions.push(match === 'exact' ? 'category = ? COLLATE NOCASE' : "category LIKE ? ESCAPE '\\'");
+    params.push(match === 'exact' ? category : likePattern(category));
+  }
+  if (meshId) {
+    conditions.push('mesh_id = ?');
+    params.push(meshId);
+  }
+
+  return { sql: conditions.join(' AND ') || '1', params };
+}
+
+/**
+ * Search drugs by category name (partial or exact, see CATEGORY_MATCH_MODES) and/or MeSH ID
+ * Each drug lists its matched_categories { category, mesh_id }
+ */
+export async function searchDrugsByCategory(criteria, { limit = 20, offset = 0, filters = {} } = {}) {
+  const database = getDb();
+  const filter = drugFilterSql(filters);
+  const condition = categoryConditionSql(criteria);
+
+  const { total, rows } = queryPage(database, `
+    SELECT * FROM drugs
+    WHERE drugbank_id IN (SELECT drug_id FROM drug_categories WHERE ${condition.sql}) AND ${filter.sql}
+    ORDER BY drugbank_id
+  `, [...condition.params, ...filter.params], { limit, offset });
+
+  const getCategories = database.prepare(`
+    SELECT category, mesh_id FROM drug_categories
+    WHERE drug_id = ? AND ${condition.sql}
+    ORDER BY rowid
   `);
 
-  const drugs = stmt.all(`%${normalizedTarget}%`, limit);
-  return drugs.map(drug => extractDrugSummary(parseDrugRow(drug)));
+  return {
+    total,
+    results: rows.map(drug => ({
+      ...extractDrugSummary(parseDrugRow(drug)),
+      matched_categories: getCategories.all(drug.drugbank_id, ...condition.params)
+    }))
+  };
 }
 
 /**
- * Search drugs by category
+ * Search drugs by ClassyFire chemical taxonomy name (see matchesChemicalClass)
+ * Each drug lists its matched_classes { level, name } in taxonomy order
  */
-export async function searchDrugsByCategory(category, limit = 20) {
+export async function searchDrugsByChemicalClass({ name, level = null, match = 'partial' }, { limit = 20, offset = 0, filters = {} } = {}) {
   const database = getDb();
+  const filter = drugFilterSql(filters);
 
-  const stmt = database.prepare(`
-    SELECT DISTINCT drugs.* FROM drug_categories
-    JOIN drugs ON drug_categories.drug_id = drugs.drugbank_id
-    WHERE drug_categories.category LIKE ?
-    LIMIT ?
+  const conditions = [match === 'exact' ? 'name = ? COLLATE NOCASE' : "name LIKE ? ESCAPE '\\'"];
+  const params = [match === 'exact' ? name : likePattern(name)];
+  if (level) {
+    conditions.push('level = ?');
+    params.push(level);
+  }
+  const condition = conditions.join(' AND ');
+
+  const { total, rows } = queryPage(database, `
+    SELECT * FROM drugs
+    WHERE drugbank_id IN (SELECT drug_id FROM drug_chemical_classes WHERE ${condition}) AND ${filter.sql}
+    ORDER BY drugbank_id
+  `, [...params, ...filter.params], { limit, offset });
+
+  const getClasses = database.prepare(`
+    SELECT level, name FROM drug_chemical_classes
+    WHERE drug_id = ? AND ${condition}
+    ORDER BY position
   `);
 
-  const drugs = stmt.all(`%${category}%`, limit);
-  return drugs.map(drug => extractDrugSummary(parseDrugRow(drug)));
+  return {
+    total,
+    results: rows.map(drug => ({
+      ...extractDrugSummary(parseDrugRow(drug)),
+      matched_classes: getClasses.all(drug.drugbank_id, ...params)
+    }))
+  };
+}
+
+/**
+ * Search drugs by food interaction note text and/or category (see matchesFoodInteraction)
+ * Each drug lists its matched_food_interactions { description, categories } in record order
+ */
+export async function searchDrugsByFoodInteraction(criteria, { limit = 20, offset = 0, filters = {} } = {}) {
+  const database = getDb();
+  const filter = drugFilterSql(filters);
+  const { query = null, category = null } = criteria;
+
+  const conditions = [];
+  const params = [];
+  if (query) {
+    conditions.push("description LIKE ? ESCAPE '\\'");
+    params.push(likePattern(query));
+  }
+  if (category) {
+    conditions.push('category = ?');
+    params.push(category);
+  }
+
+  const { total, rows } = queryPage(database, `
+    SELECT * FROM drugs
+    WHERE drugbank_id IN (SELECT drug_id FROM drug_food_interactions WHERE ${conditions.join(' AND ') || '1'}) AND ${filter.sql}
+    ORDER BY drugbank_id
+  `, [...params, ...filter.params], { limit, offset });
+
+  return {
+    total,
+    results: rows.map(row => {
+      const drug = parseDrugRow(row);
+      return {
+        ...extractDrugSummary(drug),
+        matched_food_interactions: classifyFoodInteractions(drug.food_interactions).filter(note => matchesFoodInteraction(note, criteria))
+      };
+    })
+  };
+}
+
+/**
+ * List categories whose name contains the query (every category without one)
+ * as { category, mesh_id, drug_count }, ordered by compareCategoryListings
+ */
+export async function listCategories(query = null, { limit = 50, offset = 0 } = {}) {
+  const database = getDb();
+
+  const { total, rows } = queryPage(database, `
+    SELECT category, MAX(mesh_id) AS mesh_id, COUNT(DISTINCT drug_id) AS drug_count
+    FROM drug_categories
+    WHERE category LIKE ? ESCAPE '\\'
+    GROUP BY category
+    ORDER BY category LIKE ? ESCAPE '\\' DESC, drug_count DESC, category
+  `, [likePattern(query || ''), likePattern(query || '', { prefix: true })], { limit, offset });
+
+  return { total, results: rows };
 }
 
 /**
  * Search drugs by carrier protein
+ * One result per matched carrier, by drug then in record order
  */
-export async function searchDrugsByCarrier(carrier, limit = 20) {
+export async function searchDrugsByCarrier(carrier, { limit = 20, offset = 0, filters = {} } = {}) {
   const database = getDb();
+  const filter = drugFilterSql(filters, 'dc.drug_id');
 
-  const stmt = database.prepare(`
-    SELECT DISTINCT drugs.*, dc.carrier_name, dc.organism, dc.known_action
+  const { total, rows } = queryPage(database, `
+    SELECT dc.drug_id, dc.carrier_name, dc.organism, dc.known_action
     FROM drug_carriers dc
-    JOIN drugs ON dc.drug_id = drugs.drugbank_id
-    WHERE dc.carrier_name LIKE ?
-    LIMIT ?
-  `);
+    WHERE dc.carrier_name LIKE ? ESCAPE '\\' AND ${filter.sql}
+    GROUP BY dc.drug_id, dc.carrier_name, dc.organism, dc.known_action
+    ORDER BY dc.drug_id, MIN(dc.rowid)
+  `, [likePattern(carrier), ...filter.params], { limit, offset });
 
-  const results = stmt.all(`%${carrier}%`, limit);
-  return results.map(row => {
-    const drug = parseDrugRow(row);
-    return {
-      ...extractDrugSummary(drug),
+  const getDrug = database.prepare('SELECT * FROM drugs WHERE drugbank_id = ?');
+  return {
+    total,
+    results: rows.map(row => ({
+      ...extractDrugSummary(parseDrugRow(getDrug.get(row.drug_id))),
       matched_carrier: {
         name: row.carrier_name,
         organism: row.organism,
         known_action: row.known_action
       }
-    };
-  });
+    }))
+  };
+}
+
+/**
+ * Search drugs by enzyme name or gene ("Cytochrome P450 3A4", "CYP3A4"; partial match)
+ * role restricts to drugs that are a substrate, inhibitor or inducer of the enzyme
+ * Each drug lists its matched enzymes with their actions and roles
+ */
+export async function searchDrugsByEnzyme(enzyme, { role = null, limit = 20, offset = 0, filters = {} } = {}) {
+  const database = getDb();
+  if (role && !ENZYME_ROLES.includes(role)) throw new Error(`Unknown enzyme role: ${role}`);
+
+  const term = likePattern(enzyme.toLowerCase());
+  const where = `(LOWER(enzyme_name) LIKE ? ESCAPE '\\' OR LOWER(gene_name) LIKE ? ESCAPE '\\')${role ? ` AND ${role} = 1` : ''}`;
+  const filter = drugFilterSql(filters, 'drug_enzymes.drug_id');
+
+  const { total, rows } = queryPage(database, `
+    SELECT DISTINCT drug_id FROM drug_enzymes
+    WHERE ${where} AND ${filter.sql}
+    ORDER BY drug_id
+  `, [term, term, ...filter.params], { limit, offset });
+
+  const getDrug = database.prepare('SELECT * FROM drugs WHERE drugbank_id = ?');
+  const getEnzymes = database.prepare(`SELECT * FROM drug_enzymes WHERE drug_id = ? AND ${where} ORDER BY position`);
+
+  return {
+    total,
+    results: rows.map(({ drug_id }) => ({
+      ...extractDrugSummary(parseDrugRow(getDrug.get(drug_id))),
+      matched_enzymes: getEnzymes.all(drug_id, term, term).map(row => ({
+        enzyme_id: row.enzyme_id,
+        name: row.enzyme_name,
+        gene_name: row.gene_name,
+        uniprot_id: row.uniprot_id,
+        organism: row.organism,
+        known_action: row.known_action,
+        actions: JSON.parse(row.actions),
+        roles: ENZYME_ROLES.filter(enzymeRole => row[enzymeRole] === 1),
+        inhibition_strength: row.inhibition_strength,
+        induction_strength: row.induction_strength
+      }))
+    }))
+  };
 }
 
 /**
  * Search drugs by transporter protein
+ * One result per matched transporter, by drug then in record order
  */
-export async function searchDrugsByTransporter(transporter, limit = 20) {
+export async function searchDrugsByTransporter(transporter, { limit = 20, offset = 0, filters = {} } = {}) {
   const database = getDb();
+  const filter = drugFilterSql(filters, 'dt.drug_id');
 
-  const stmt = database.prepare(`
-    SELECT DISTINCT drugs.*, dt.transporter_name, dt.organism, dt.known_action
+  const { total, rows } = queryPage(database, `
+    SELECT dt.drug_id, dt.transporter_name, dt.organism, dt.known_action
     FROM drug_transporters dt
-    JOIN drugs ON dt.drug_id = drugs.drugbank_id
-    WHERE dt.transporter_name LIKE ?
-    LIMIT ?
-  `);
+    WHERE dt.transporter_name LIKE ? ESCAPE '\\' AND ${filter.sql}
+    GROUP BY dt.drug_id, dt.transporter_name, dt.organism, dt.known_action
+    ORDER BY dt.drug_id, MIN(dt.rowid)
+  `, [likePattern(transporter), ...filter.params], { limit, offset });
 
-  const results = stmt.all(`%${transporter}%`, limit);
-  return results.map(row => {
-    const drug = parseDrugRow(row);
-    return {
-      ...extractDrugSummary(drug),
+  const getDrug = database.prepare('SELECT * FROM drugs WHERE drugbank_id = ?');
+  return {
+    total,
+    results: rows.map(row => ({
+      ...extractDrugSummary(parseDrugRow(getDrug.get(row.drug_id))),
       matched_transporter: {
         name: row.transporter_name,
         organism: row.organism,
         known_action: row.known_action
       }
-    };
-  });
+    }))
+  };
 }
 
 /**
@@ -196,88 +661,417 @@ export async function getDrugSalts(drugbankId) {
 }
 
 /**
- * Search drugs by ATC code
+ * Get a drug's products (typed rows with marketing_status), optionally filtered
+ * (see matchesProductFilters)
+ */
+export async function getDrugProducts(drugbankId, filters = {}) {
+  const database = getDb();
+
+  const rows = database.prepare('SELECT * FROM drug_products WHERE drug_id = ? ORDER BY position').all(drugbankId);
+  return rows
+    .map(row => {
+      const product = toProductRow(row);
+      return { ...product, marketing_status: getMarketingStatus(product) };
+    })
+    .filter(product => matchesProductFilters(product, filters));
+}
+
+/**
+ * Query for the drugs matching search_by_product criteria (see matchesProductCriteria)
+ * and the drug filters: { drug_id, exact } rows, drugs with a product or brand
+ * named exactly like the query first, then by ID
+ * International brands match by name and company
+ */
+function productHitsQuery({ name = null, ndc = null, labeller = null }, filters = {}) {
+  const filter = drugFilterSql(filters, 'matches.drug_id');
+
+  const productConditions = [];
+  const productParams = [];
+  if (name) {
+    productConditions.push("name LIKE ? ESCAPE '\\'");
+    productParams.push(likePattern(name));
+  }
+  if (ndc) {
+    productConditions.push(ndc.includes('-')
+      ? '(ndc_product_code = ? OR ndc_id = ?)'
+      : "(REPLACE(ndc_product_code, '-', '') = ? OR REPLACE(ndc_id, '-', '') = ?)");
+    productParams.push(ndc, ndc);
+  }
+  if (labeller) {
+    productConditions.push("labeller LIKE ? ESCAPE '\\'");
+    productParams.push(likePattern(labeller));
+  }
+
+  const queries = [`
+    SELECT drug_id, LOWER(name) = LOWER(?) AS exact FROM drug_products
+    WHERE ${productConditions.join(' AND ')}
+  `];
+  const params = [name, ...productParams];
+
+  // International brands have no NDC codes
+  if (!ndc) {
+    queries.push(`
+      SELECT drug_id, LOWER(name) = LOWER(?) AS exact FROM drug_international_brands
+      WHERE ${name ? "name LIKE ? ESCAPE '\\'" : '1'} AND ${labeller ? "company LIKE ? ESCAPE '\\'" : '1'}
+    `);
+    params.push(name, ...[name, labeller].filter(Boolean).map(term => likePattern(term)));
+  }
+
+  return {
+    sql: `
+      SELECT drug_id, MAX(exact) AS exact FROM (${queries.join(' UNION ALL ')}) AS matches
+      WHERE ${filter.sql}
+      GROUP BY drug_id
+      ORDER BY exact DESC, drug_id
+    `,
+    params: [...params, ...filter.params]
+  };
+}
+
+/**
+ * Which of a drug's products and international brands match search_by_product
+ * criteria (see summarizeProductMatches)
+ */
+function getProductMatches(database, drugbankId, { name = null, ndc = null, labeller = null }) {
+  const products = database.prepare('SELECT * FROM drug_products WHERE drug_id = ? ORDER BY position').all(drugbankId);
+  const brands = database.prepare('SELECT name, company FROM drug_international_brands WHERE drug_id = ? ORDER BY rowid').all(drugbankId);
+  return summarizeProductMatches(products.map(toProductRow), brands, { name, ndc, labeller });
+}
+
+/**
+ * Search drugs by product: brand/product name, NDC code and/or labeller
+ * (see matchesProductCriteria); international brands match by name and company
+ * Drugs with a product or brand named exactly like the query come first
+ */
+export async function searchDrugsByProduct(criteria, { limit = 20, offset = 0, filters = {} } = {}) {
+  const database = getDb();
+  const hits = productHitsQuery(criteria, filters);
+  const { total, rows } = queryPage(database, hits.sql, hits.params, { limit, offset });
+
+  const getDrug = database.prepare('SELECT * FROM drugs WHERE drugbank_id = ?');
+  return {
+    total,
+    results: rows.map(({ drug_id }) => {
+      const { exact_match, ...matches } = getProductMatches(database, drug_id, criteria);
+      return { ...extractDrugSummary(parseDrugRow(getDrug.get(drug_id))), ...matches };
+    })
+  };
+}
+
+/**
+ * Get drug-drug interactions for a drug with pagination
+ * direction 'forward' lists the interactions on the drug's own record,
+ * 'reverse' finds drugs whose records list this drug as an interactor
+ * severity/effectType optionally restrict to the given classifications
+ */
+export async function getDrugInteractions(drugbankId, { limit = 100, offset = 0, direction = 'forward', severity = null, effectType = null } = {}) {
+  const database = getDb();
+
+  const conditions = [direction === 'reverse' ? 'di.interacting_id = ?' : 'di.drug_id = ?'];
+  const params = [drugbankId];
+
+  if (severity?.length) {
+    conditions.push(`di.severity IN (${severity.map(() => '?').join(',')})`);
+    params.push(...severity);
+  }
+  if (effectType?.length) {
+    conditions.push(`di.effect_type IN (${effectType.map(() => '?').join(',')})`);
+    params.push(...effectType);
+  }
+
+  const where = conditions.join(' AND ');
+
+  const countStmt = database.prepare(`SELECT COUNT(*) AS total FROM drug_interactions di WHERE ${where}`);
+
+  // Reverse lookups take the partner's name from the drugs table, since
+  // the stored name is the interacting (i.e. requested) drug's
+  const stmt = direction === 'reverse'
+    ? database.prepare(`
+      SELECT di.drug_id AS drugbank_id, drugs.name, di.description,
+             di.effect_type, di.mechanism, di.effect_direction, di.severity
+      FROM drug_interactions di
+      JOIN drugs ON di.drug_id = drugs.drugbank_id
+      WHERE ${where}
+      ORDER BY di.drug_id
+      LIMIT ? OFFSET ?
+    `)
+    : database.prepare(`
+      SELECT di.interacting_id AS drugbank_id, di.name, di.description,
+             di.effect_type, di.mechanism, di.effect_direction, di.severity
+      FROM drug_interactions di
+      WHERE ${where}
+      ORDER BY di.rowid
+      LIMIT ? OFFSET ?
+    `);
+
+  return {
+    total: countStmt.get(...params).total,
+    interactions: stmt.all(...params, limit, offset)
+  };
+}
+
+/**
+ * Get all interactions listed between the given drugs (both directions)
  */
-export async function searchDrugsByAtcCode(code, limit = 20) {
+export async function getInteractionsBetween(drugbankIds) {
   const database = getDb();
+  const placeholders = drugbankIds.map(() => '?').join(',');
 
   const stmt = database.prepare(`
-    SELECT * FROM drugs
-    WHERE atc_codes LIKE ?
-    LIMIT ?
+    SELECT drug_id, interacting_id, name, description,
+           effect_type, mechanism, effect_direction, severity
+    FROM drug_interactions
+    WHERE drug_id IN (${placeholders})
+      AND interacting_id IN (${placeholders})
+    ORDER BY rowid
   `);
 
-  const drugs = stmt.all(`%${code}%`, limit);
-  return drugs.map(drug => parseDrugRow(drug));
+  return stmt.all(...drugbankIds, ...drugbankIds);
 }
 
 /**
- * Search drugs by chemical structure (SMILES/InChI)
- * Note: This is a simplified substring search
+ * Search drugs with an ATC code under a (normalized) code at any level
  */
-export async function searchDrugsByStructure(smiles, inchi, limit = 20) {
+export async function searchDrugsByAtcCode(code, { limit = 20, offset = 0, filters = {} } = {}) {
   const database = getDb();
-  const searchQuery = smiles || inchi;
+  const filter = drugFilterSql(filters);
 
-  const stmt = database.prepare(`
+  const { total, rows } = queryPage(database, `
     SELECT * FROM drugs
-    WHERE calculated_properties LIKE ?
-    LIMIT ?
+    WHERE drugbank_id IN (SELECT drug_id FROM drug_atc_codes WHERE code GLOB ?) AND ${filter.sql}
+    ORDER BY drugbank_id
+  `, [`${code}*`, ...filter.params], { limit, offset });
+
+  return { total, results: rows.map(drug => parseDrugRow(drug)) };
+}
+
+/**
+ * Browse the ATC hierarchy from a (normalized) code, or from the top when code is null
+ * Returns { node, drug_count, parents, children } (null when the code is unknown): nodes
+ * are { code, name, level }, parents anatomical main group first, children with drug_count
+ */
+export async function getAtcTree(code = null) {
+  const database = getDb();
+
+  const getNode = database.prepare('SELECT code, name, level, parent_code FROM atc_codes WHERE code = ?');
+  const countDrugs = database.prepare('SELECT COUNT(DISTINCT drug_id) AS count FROM drug_atc_codes WHERE code GLOB ?');
+  const drugCount = prefix => countDrugs.get(`${prefix}*`).count;
+
+  const node = code ? getNode.get(code) : null;
+  if (code && !node) return null;
+
+  const parents = [];
+  for (let parent = node && getNode.get(node.parent_code); parent; parent = getNode.get(parent.parent_code)) {
+    parents.unshift({ code: parent.code, name: parent.name, level: parent.level });
+  }
+
+  const children = database.prepare('SELECT code, name, level FROM atc_codes WHERE parent_code IS ? ORDER BY code')
+    .all(node?.code ?? null)
+    .map(child => ({ ...child, drug_count: drugCount(child.code) }));
+
+  return {
+    node: node && { code: node.code, name: node.name, level: node.level },
+    drug_count: drugCount(node?.code ?? ''),
+    parents,
+    children
+  };
+}
+
+/**
+ * Search drugs by fingerprint similarity (Tanimoto), most similar first
+ * bit_count bounds skip fingerprints that cannot reach minSimilarity
+ */
+export async function searchDrugsBySimilarity(fingerprint, { minSimilarity = 0.7, limit = 20, offset = 0, filters = {} } = {}) {
+  const database = getDb();
+  const { min, max } = bitCountBounds(bitCount(fingerprint), minSimilarity);
+  const filter = drugFilterSql(filters);
+
+  const { total, rows } = queryPage(database, `
+    SELECT * FROM (
+      SELECT drugs.*, s.smiles, s.inchikey, tanimoto(s.fingerprint, ?) AS similarity
+      FROM drug_structures s
+      JOIN drugs ON s.drug_id = drugs.drugbank_id
+      WHERE s.bit_count BETWEEN ? AND ? AND ${filter.sql}
+    )
+    WHERE similarity >= ?
+    ORDER BY similarity DESC, drugbank_id
+  `, [Buffer.from(fingerprint), min, max, ...filter.params, minSimilarity], { limit, offset });
+
+  return {
+    total,
+    results: rows.map(row => ({
+      ...extractDrugSummary(parseDrugRow(row)),
+      smiles: row.smiles,
+      inchikey: row.inchikey,
+      similarity: row.similarity
+    }))
+  };
+}
+
+/**
+ * Search drugs by exact structure identifier (InChIKey or InChI)
+ */
+export async function searchDrugsByExactStructure({ inchikey = null, inchi = null }, { limit = 20, offset = 0, filters = {} } = {}) {
+  const database = getDb();
+  const filter = drugFilterSql(filters);
+
+  const { total, rows } = queryPage(database, `
+    SELECT drugs.*, s.smiles, s.inchikey
+    FROM drug_structures s
+    JOIN drugs ON s.drug_id = drugs.drugbank_id
+    WHERE ${inchikey ? 's.inchikey = ?' : 's.inchi = ?'} AND ${filter.sql}
+    ORDER BY drugs.drugbank_id
+  `, [inchikey || inchi, ...filter.params], { limit, offset });
+
+  return {
+    total,
+    results: rows.map(row => ({
+      ...extractDrugSummary(parseDrugRow(row)),
+      smiles: row.smiles,
+      inchikey: row.inchikey,
+      similarity: 1
+    }))
+  };
+}
+
+/**
+ * Search drugs containing a substructure (query from compileSubstructureQuery)
+ * The stored screens rule out most drugs in SQL; the rest are matched atom by atom
+ */
+export async function searchDrugsBySubstructure(query, { limit = 20, offset = 0, filters = {} } = {}) {
+  const database = getDb();
+  const filter = drugFilterSql(filters, 's.drug_id');
+
+  const stmt = database.prepare(`
+    SELECT s.drug_id, s.smiles, s.inchikey
+    FROM drug_structures s
+    WHERE contains_bits(s.screen, ?) AND ${filter.sql}
+    ORDER BY s.drug_id
   `);
 
-  const drugs = stmt.all(`%${searchQuery}%`, limit);
-  return drugs.map(drug => parseDrugRow(drug));
+  const matches = stmt.all(Buffer.from(query.screen), ...filter.params)
+    .filter(row => findSubstructureMatch(query, parseSmiles(row.smiles)));
+
+  const getDrug = database.prepare('SELECT * FROM drugs WHERE drugbank_id = ?');
+  const { total, results } = paginate(matches, { limit, offset });
+  return {
+    total,
+    results: results.map(row => ({
+      ...extractDrugSummary(parseDrugRow(getDrug.get(row.drug_id))),
+      smiles: row.smiles,
+      inchikey: row.inchikey
+    }))
+  };
 }
 
 /**
- * Search drugs by half-life range (in hours)
+ * Search drugs by physicochemical properties
+ * propertyFilters: { property: { min, max } } for numeric properties and
+ * { property: true|false } for drug-likeness rules (see PROPERTY_COLUMNS)
  */
-export async function searchDrugsByHalfLife(minHours, maxHours, limit = 20) {
+export async function searchDrugsByProperties(propertyFilters, { limit = 20, offset = 0, filters = {} } = {}) {
   const database = getDb();
+  const filter = drugFilterSql(filters);
+  const conditions = [filter.sql];
+  const params = [...filter.params];
 
-  let stmt;
-  let drugs;
+  for (const [name, range] of Object.entries(propertyFilters)) {
+    if (!(name in PROPERTY_COLUMNS)) throw new Error(`Unknown property: ${name}`);
 
-  if (minHours !== null && maxHours !== null) {
-    stmt = database.prepare(`
-      SELECT * FROM drugs
-      WHERE half_life_hours IS NOT NULL
-        AND half_life_hours >= ?
-        AND half_life_hours <= ?
-      ORDER BY half_life_hours ASC
-      LIMIT ?
-    `);
-    drugs = stmt.all(minHours, maxHours, limit);
-  } else if (minHours !== null) {
-    stmt = database.prepare(`
-      SELECT * FROM drugs
-      WHERE half_life_hours IS NOT NULL
-        AND half_life_hours >= ?
-      ORDER BY half_life_hours ASC
-      LIMIT ?
-    `);
-    drugs = stmt.all(minHours, limit);
-  } else if (maxHours !== null) {
-    stmt = database.prepare(`
-      SELECT * FROM drugs
-      WHERE half_life_hours IS NOT NULL
-        AND half_life_hours <= ?
-      ORDER BY half_life_hours ASC
-      LIMIT ?
-    `);
-    drugs = stmt.all(maxHours, limit);
-  } else {
-    // No range specified, return drugs with known half-life
-    stmt = database.prepare(`
-      SELECT * FROM drugs
-      WHERE half_life_hours IS NOT NULL
-      ORDER BY half_life_hours ASC
-      LIMIT ?
-    `);
-    drugs = stmt.all(limit);
+    if (typeof range === 'boolean') {
+      conditions.push(`p.${name} = ?`);
+      params.push(Number(range));
+      continue;
+    }
+    conditions.push(`p.${name} IS NOT NULL`);
+    if (range.min !== undefined) {
+      conditions.push(`p.${name} >= ?`);
+      params.push(range.min);
+    }
+    if (range.max !== undefined) {
+      conditions.push(`p.${name} <= ?`);
+      params.push(range.max);
+    }
+  }
+
+  const { total, rows } = queryPage(database, `
+    SELECT drugs.*, ${Object.keys(PROPERTY_COLUMNS).map(name => `p.${name} AS property_${name}`).join(', ')}
+    FROM drug_properties p
+    JOIN drugs ON p.drug_id = drugs.drugbank_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY drugs.drugbank_id
+  `, params, { limit, offset });
+
+  return {
+    total,
+    results: rows.map(row => {
+      const properties = {};
+      for (const name of Object.keys(PROPERTY_COLUMNS)) {
+        const value = row[`property_${name}`];
+        properties[name] = value !== null && BOOLEAN_PROPERTIES.includes(name) ? value === 1 : value;
+      }
+      return { ...extractDrugSummary(parseDrugRow(row)), properties };
+    })
+  };
+}
+
+/**
+ * Search drugs by the typical value of a PK_PARAMETERS entry, lowest first
+ * Without a range, returns drugs with a known value
+ */
+function searchDrugsByPkValue(parameter, min, max, { limit = 20, offset = 0, filters = {} }) {
+  const database = getDb();
+  const filter = drugFilterSql(filters);
+  const { column } = PK_PARAMETERS[parameter];
+
+  const conditions = [`${column} IS NOT NULL`, filter.sql];
+  const params = [...filter.params];
+
+  if (min !== null) {
+    conditions.push(`${column} >= ?`);
+    params.push(min);
+  }
+  if (max !== null) {
+    conditions.push(`${column} <= ?`);
+    params.push(max);
   }
 
-  return drugs.map(drug => parseDrugRow(drug));
+  const { total, rows } = queryPage(database, `
+    SELECT * FROM drugs
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ${column} ASC, drugbank_id
+  `, params, { limit, offset });
+
+  return { total, results: rows.map(drug => parseDrugRow(drug)) };
+}
+
+/**
+ * Search drugs by half-life range (in hours), shortest first
+ * Without a range, returns drugs with a known half-life
+ */
+export async function searchDrugsByHalfLife(minHours, maxHours, options = {}) {
+  return searchDrugsByPkValue('half_life', minHours, maxHours, options);
+}
+
+/**
+ * Search drugs by plasma protein binding range (percent bound), least bound first
+ */
+export async function searchDrugsByProteinBinding(minPercent, maxPercent, options = {}) {
+  return searchDrugsByPkValue('protein_binding', minPercent, maxPercent, options);
+}
+
+/**
+ * Search drugs by volume of distribution range (L/kg), smallest first
+ */
+export async function searchDrugsByVolumeOfDistribution(minLitersPerKg, maxLitersPerKg, options = {}) {
+  return searchDrugsByPkValue('volume_of_distribution', minLitersPerKg, maxLitersPerKg, options);
+}
+
+/**
+ * Search drugs by clearance range (mL/min/kg), slowest first
+ */
+export async function searchDrugsByClearance(minMlPerMinPerKg, maxMlPerMinPerKg, options = {}) {
+  return searchDrugsByPkValue('clearance', minMlPerMinPerKg, maxMlPerMinPerKg, options);
 }
 
 /**
@@ -289,6 +1083,7 @@ function parseDrugRow(row) {
     all_ids: safeJsonParse(row.all_ids),
     groups: safeJsonParse(row.groups),
     categories: safeJsonParse(row.categories),
+    category_mesh_ids: safeJsonParse(row.category_mesh_ids),
     synonyms: safeJsonParse(row.synonyms),
     calculated_properties: safeJsonParse(row.calculated_properties),
     external_identifiers: safeJsonParse(row.external_identifiers),
@@ -300,7 +1095,11 @@ function parseDrugRow(row) {
     transporters: safeJsonParse(row.transporters),
     pathways: safeJsonParse(row.pathways),
     products: safeJsonParse(row.products),
-    atc_codes: safeJsonParse(row.atc_codes)
+    international_brands: safeJsonParse(row.international_brands),
+    atc_codes: safeJsonParse(row.atc_codes),
+    atc_hierarchy: safeJsonParse(row.atc_hierarchy),
+    classification: safeJsonParse(row.classification),
+    pharmacokinetics: safeJsonParse(row.pharmacokinetics)
   };
 }
 
@@ -316,70 +1115,6 @@ function safeJsonParse(jsonString) {
   }
 }
 
-/**
- * Extract simplified drug info for response
- */
-export function extractDrugSummary(drug) {
-  if (!drug) return null;
-
-  return {
-    drugbank_id: drug.drugbank_id,
-    name: drug.name || 'Unknown',
-    description: drug.description || 'No description available',
-    groups: drug.groups || [],
-    cas_number: drug.cas_number || null,
-    state: drug.state || null
-  };
-}
-
-/**
- * Extract complete drug details
- */
-export function extractDrugDetails(drug) {
-  if (!drug) return null;
-
-  return {
-    drugbank_id: drug.drugbank_id,
-    all_ids: drug.all_ids || [],
-    name: drug.name || 'Unknown',
-    description: drug.description || null,
-    cas_number: drug.cas_number || null,
-    unii: drug.unii || null,
-    state: drug.state || null,
-    groups: drug.groups || [],
-    categories: drug.categories || [],
-
-    // Clinical information
-    indication: drug.indication || null,
-    pharmacodynamics: drug.pharmacodynamics || null,
-    mechanism_of_action: drug.mechanism_of_action || null,
-    toxicity: drug.toxicity || null,
-
-    // Pharmacokinetics
-    absorption: drug.absorption || null,
-    metabolism: drug.metabolism || null,
-    half_life: drug.half_life || null,
-    protein_binding: drug.protein_binding || null,
-    route_of_elimination: drug.route_of_elimination || null,
-
-    // Chemical properties
-    average_mass: drug.average_mass || null,
-    monoisotopic_mass: drug.monoisotopic_mass || null,
-    calculated_properties: drug.calculated_properties || {},
-
-    // External identifiers
-    external_identifiers: drug.external_identifiers || {},
-
-    // Interactions
-    drug_interactions: drug.drug_interactions || [],
-    food_interactions: drug.food_interactions || [],
-
-    // Targets
-    targets: drug.targets || [],
-    enzymes: drug.enzymes || []
-  };
-}
-
 // Dummy load function for compatibility
 export async function loadDatabase() {
   getDb();
@@ -388,22 +1123,21 @@ export async function loadDatabase() {
 
 /**
  * Find drugs similar to a given drug based on shared targets, categories, and ATC codes
- * Returns drugs with similarity scores
+ * Returns { total, results }: drugs with similarity scores, most similar first
  */
-export async function findSimilarDrugs(drugbankId, limit = 20) {
+export async function findSimilarDrugs(drugbankId, { limit = 20, offset = 0, filters = {} } = {}) {
   const database = getDb();
+  const none = { total: 0, results: [] };
 
   // Get the reference drug
   const refDrug = await getDrugById(drugbankId);
-  if (!refDrug) return [];
+  if (!refDrug) return none;
 
   // Get targets, categories, and ATC codes for the reference drug
-  const refTargets = new Set((refDrug.targets || []).map(t => t.name?.toLowerCase()).filter(Boolean));
-  const refCategories = new Set((refDrug.categories || []).map(c => (typeof c === 'string' ? c : c.category)?.toLowerCase()).filter(Boolean));
-  const refAtcCodes = new Set((refDrug.atc_codes || []).map(c => c?.substring(0, 5))); // Use first 5 chars (therapeutic level)
+  const { targets: refTargets, categories: refCategories, atcCodes: refAtcCodes } = getSimilarityFeatures(refDrug);
 
   if (refTargets.size === 0 && refCategories.size === 0 && refAtcCodes.size === 0) {
-    return []; // No data to compare
+    return none; // No data to compare
   }
 
   // Find candidate drugs (those sharing at least one target or category)
@@ -411,92 +1145,90 @@ export async function findSimilarDrugs(drugbankId, limit = 20) {
 
   // Find drugs with shared targets
   if (refTargets.size > 0) {
+    const filter = drugFilterSql(filters, 'drug_targets.drug_id');
     const targetStmt = database.prepare(`
       SELECT DISTINCT drug_id FROM drug_targets
       WHERE LOWER(target_name) IN (${[...refTargets].map(() => '?').join(',')})
-      AND drug_id != ?
+      AND drug_id != ? AND ${filter.sql}
     `);
-    const targetDrugs = targetStmt.all(...refTargets, drugbankId);
+    const targetDrugs = targetStmt.all(...refTargets, drugbankId, ...filter.params);
     targetDrugs.forEach(d => candidateIds.add(d.drug_id));
   }
 
   // Find drugs with shared categories
   if (refCategories.size > 0) {
+    const filter = drugFilterSql(filters, 'drug_categories.drug_id');
     const catStmt = database.prepare(`
       SELECT DISTINCT drug_id FROM drug_categories
       WHERE LOWER(category) IN (${[...refCategories].map(() => '?').join(',')})
-      AND drug_id != ?
+      AND drug_id != ? AND ${filter.sql}
     `);
-    const catDrugs = catStmt.all(...refCategories, drugbankId);
+    const catDrugs = catStmt.all(...refCategories, drugbankId, ...filter.params);
     catDrugs.forEach(d => candidateIds.add(d.drug_id));
   }
 
-  if (candidateIds.size === 0) return [];
-
-  // Score each candidate
-  const scoredDrugs = [];
-  const candidateArray = [...candidateIds].slice(0, 500); // Limit candidates
-
-  for (const candId of candidateArray) {
-    const candDrug = await getDrugById(candId);
-    if (!candDrug) continue;
-
-    const candTargets = new Set((candDrug.targets || []).map(t => t.name?.toLowerCase()).filter(Boolean));
-    const candCategories = new Set((candDrug.categories || []).map(c => (typeof c === 'string' ? c : c.category)?.toLowerCase()).filter(Boolean));
-    const candAtcCodes = new Set((candDrug.atc_codes || []).map(c => c?.substring(0, 5)));
-
-    // Calculate Jaccard similarity for each dimension
-    const targetSim = jaccardSimilarity(refTargets, candTargets);
-    const categorySim = jaccardSimilarity(refCategories, candCategories);
-    const atcSim = jaccardSimilarity(refAtcCodes, candAtcCodes);
-
-    // Weighted composite score (targets matter most for mechanism)
-    const score = (targetSim * 0.5) + (categorySim * 0.3) + (atcSim * 0.2);
-
-    if (score > 0) {
-      scoredDrugs.push({
-        drug: candDrug,
-        similarity_score: Math.round(score * 1000) / 1000,
-        target_similarity: Math.round(targetSim * 1000) / 1000,
-        category_similarity: Math.round(categorySim * 1000) / 1000,
-        atc_similarity: Math.round(atcSim * 1000) / 1000,
-        shared_targets: [...refTargets].filter(t => candTargets.has(t)),
-        shared_categories: [...refCategories].filter(c => candCategories.has(c))
-      });
-    }
-  }
-
-  // Sort by score descending
-  scoredDrugs.sort((a, b) => b.similarity_score - a.similarity_score);
-
-  return scoredDrugs.slice(0, limit);
-}
-
-/**
- * Jaccard similarity coefficient: |A ∩ B| / |A ∪ B|
- */
-function jaccardSimilarity(setA, setB) {
-  if (setA.size === 0 && setB.size === 0) return 0;
-
-  const intersection = new Set([...setA].filter(x => setB.has(x)));
-  const union = new Set([...setA, ...setB]);
-
-  return intersection.size / union.size;
+  if (candidateIds.size === 0) return none;
+
+  // Every candidate is scored on its link-table features; only the page's results are read in full
+  const candidates = JSON.stringify([...candidateIds]);
+  const features = new Map([...candidateIds].map(id => [id, { targets: [], categories: [], atc_codes: [] }]));
+  const linkedTo = table => `FROM ${table} WHERE drug_id IN (SELECT value FROM json_each(?))`;
+
+  database.prepare(`SELECT drug_id, target_name ${linkedTo('drug_targets')}`).all(candidates)
+    .forEach(row => features.get(row.drug_id).targets.push({ name: row.target_name }));
+  database.prepare(`SELECT drug_id, category ${linkedTo('drug_categories')}`).all(candidates)
+    .forEach(row => features.get(row.drug_id).categories.push(row.category));
+  database.prepare(`SELECT drug_id, code ${linkedTo('drug_atc_codes')}`).all(candidates)
+    .forEach(row => features.get(row.drug_id).atc_codes.push(row.code));
+
+  const scoredDrugs = [...features]
+    .map(([candId, candFeatures]) => {
+      const scored = scoreDrugSimilarity(refDrug, candFeatures);
+      return scored && { ...scored, drug: candId };
+    })
+    .filter(Boolean);
+
+  // Sort by score descending, then by ID
+  scoredDrugs.sort((a, b) => b.similarity_score - a.similarity_score ||
+    (a.drug < b.drug ? -1 : a.drug > b.drug ? 1 : 0));
+
+  const { total, results } = paginate(scoredDrugs, { limit, offset });
+  return { total, results: await Promise.all(results.map(async scored => ({ ...scored, drug: await getDrugById(scored.drug) }))) };
 }
 
 export default {
   loadDatabase,
   getDrugById,
+  getDrugByName,
   searchDrugsByName,
   searchDrugsByIndication,
+  searchDrugsByText,
   searchDrugsByTarget,
+  getDrugTargets,
+  searchDrugsByGene,
+  getTarget,
   searchDrugsByCategory,
+  listCategories,
+  searchDrugsByChemicalClass,
+  searchDrugsByFoodInteraction,
   searchDrugsByCarrier,
   searchDrugsByTransporter,
+  searchDrugsByEnzyme,
   getDrugSalts,
+  getDrugProducts,
+  searchDrugsByProduct,
+  getDrugInteractions,
+  getInteractionsBetween,
   searchDrugsByAtcCode,
-  searchDrugsByStructure,
+  getAtcTree,
+  searchDrugsBySimilarity,
+  searchDrugsByExactStructure,
+  searchDrugsBySubstructure,
+  searchDrugsByProperties,
   searchDrugsByHalfLife,
+  searchDrugsByProteinBinding,
+  searchDrugsByVolumeOfDistribution,
+  searchDrugsByClearance,
   findSimilarDrugs,
   extractDrugSummary,
   extractDrugDetails
@@ -3,360 +3,1158 @@
 /**
  * DrugBank XML Parser
  *
- * Utilities for parsing the DrugBank XML database (1.5GB file)
- * Uses streaming parser for memory efficiency
+ * Fallback backend used when the SQLite database has not been built
+ * Streams data/full database.xml once to build compact in-memory indexes,
+ * then re-reads individual drugs by byte offset to return the same drug
+ * records the SQLite backend does, in the same order
+ * Searches take { limit, offset } and return { total, results } (see pagination.js)
+ *
+ * Set DRUGBANK_XML_CACHE to also spill records to an on-the-fly SQLite
+ * cache (see xml-cache.js), making lookups and restarts fast
  */
 
-import { XMLParser } from 'fast-xml-parser';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { classifyInteraction, EFFECT_TYPES, SEVERITY_LEVELS } from './interaction-classifier.js';
+import {
+  extractDrugRecord,
+  extractSalts,
+  extractDrugSummary,
+  extractDrugDetails,
+  extractStructure,
+  getSimilarityFeatures,
+  scoreDrugSimilarity
+} from './drug-record.js';
+import { bitCount, bitCountBounds, tanimoto, containsBits } from './fingerprint.js';
+import { parseSmiles } from './smiles.js';
+import { findSubstructureMatch } from './substructure.js';
+import { extractProperties, matchesPropertyFilters } from './drug-properties.js';
+import { ENZYME_ROLES, toEnzymeRow, matchesEnzyme } from './drug-enzymes.js';
+import { TARGET_IDENTIFIERS, toTargetRow, toTargetEntity, matchesGene, matchesTargetIdentifier } from './drug-targets.js';
+import { matchesDrugFilters } from './drug-filters.js';
+import { toAtcRows } from './atc-codes.js';
+import { toCategoryRows, matchesCategory, compareCategoryListings } from './drug-categories.js';
+import { toChemicalClassRows, matchesChemicalClass } from './chemical-taxonomy.js';
+import { PK_PARAMETERS } from './pharmacokinetics.js';
+import { classifyFoodInteractions, matchesFoodInteraction } from './food-interactions.js';
+import {
+  toProductRow, getMarketingStatus, matchesProductFilters, matchesNdc, summarizeProductMatches, matchedBrandName
+} from './drug-products.js';
+import { paginate } from './pagination.js';
+import {
+  tokenizeName, extractSearchNames, prefixTermFrequencies, bm25Score, classifyNameMatch, fuzzyScore, rankNameMatches, roundScore
+} from './name-search.js';
+import {
+  TEXT_FIELDS, SEARCH_TEXT_FIELDS, parseTextQuery, matchesTextQuery, selectCandidates, highlightSnippet
+} from './text-query.js';
+import { scanDrugs, readDrugAt } from './xml-scanner.js';
+import xmlCache from './xml-cache.js';
+
+export { extractDrugSummary, extractDrugDetails };
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Path to the DrugBank XML file
-const DB_FILE = path.join(__dirname, '..', 'full database.xml');
+// Path to the DrugBank XML file (same location build-db.js reads)
+const DB_FILE = path.join(__dirname, '..', 'data', 'full database.xml');
+
+// Number of recently read drug records kept in memory
+const RECORD_CACHE_SIZE = 100;
 
 /**
- * XML Parser configuration
+ * Compact index (built by the scan, or loaded from the cache)
+ * - drugs: one entry per drug in file order with its byte offsets and the
+ *   fields searches match on; full records are re-read only for the results
+ *   a page returns
+ * - interactors: interacting drugbank_id -> packed interaction codes
+ *   (see packInteraction) for reverse lookups
  */
-const parserOptions = {
-  ignoreAttributes: false,
-  attributeNamePrefix: "@_",
-  textNodeName: "#text",
-  parseAttributeValue: true,
-  parseTagValue: true,
-  trimValues: true,
-  arrayMode: false
-};
+let index = null;
 
 /**
- * Cache for parsed drugs (drugbank_id -> drug object)
+ * Lookup maps derived from index.drugs
+ * - ids: drugbank_id -> position
+ * - names: lowercased name -> position
+ * - targets/categories: lowercased name -> [position]
+ * - categoryListings: category -> { category, mesh_id, positions } (mesh_id: the greatest seen)
+ * - atcCodes: ATC code -> { code, name, level, parent_code } (first drug naming it wins)
+ * - atcDrugs: level-5 ATC code -> [position]
+ * - targetIdentifiers: lowercased target ID, gene, UniProt or HGNC ID -> [position]
+ * - carriers/transporters: lowercased name -> [{ position, entry }]
+ * - fingerprints/screens: position -> decoded structure fingerprint / substructure screen
  */
-let drugsCache = null;
-let drugsList = null;
+let lookups = null;
+
+let loading = null;
+let useCache = false;
+const recordCache = new Map();
 
 /**
- * Parse the entire DrugBank XML file
- * Warning: This loads the entire 1.5GB file into memory
- * Only called once and cached
+ * Index the DrugBank XML file (streamed, only called once)
  */
 export async function loadDatabase() {
-  if (drugsCache !== null) {
-    return drugsCache;
+  if (!loading) {
+    loading = buildIndex().catch(error => {
+      loading = null;
+      console.error('[DrugBank Parser] Error loading database:', error);
+      throw error;
+    });
   }
+  await loading;
+  return true;
+}
 
-  console.error('[DrugBank Parser] Loading database... this may take a minute');
+async function buildIndex() {
   const startTime = Date.now();
+  const cacheFile = xmlCache.getCacheFile();
+  const signature = xmlCache.getSourceSignature(DB_FILE);
 
-  try {
-    const xmlData = fs.readFileSync(DB_FILE, 'utf8');
-    const parser = new XMLParser(parserOptions);
-    const result = parser.parse(xmlData);
-
-    // Extract drugs array from XML structure
-    let drugs = result.drugbank?.drug || [];
+  if (cacheFile) {
+    xmlCache.openCache(cacheFile);
+    useCache = true;
 
-    // Ensure drugs is an array
-    if (!Array.isArray(drugs)) {
-      drugs = [drugs];
+    const cached = xmlCache.loadCachedIndex(signature);
+    if (cached) {
+      setIndex(cached);
+      console.error(`[DrugBank Parser] Loaded index of ${index.drugs.length} drugs from cache in ${Date.now() - startTime}ms`);
+      return;
     }
+    xmlCache.beginCacheWrite();
+  }
+
+  console.error('[DrugBank Parser] Indexing XML database... this may take a few minutes');
+
+  const scanned = { drugs: [], interactors: {} };
+  const seenIds = new Set();
+
+  try {
+    await scanDrugs(DB_FILE, ({ start, end, element }) => {
+      const record = element && extractDrugRecord(element);
+      if (!record || seenIds.has(record.drugbank_id)) return;
+      seenIds.add(record.drugbank_id);
 
-    console.error(`[DrugBank Parser] Loaded ${drugs.length} drugs in ${Date.now() - startTime}ms`);
+      const position = scanned.drugs.length;
+      scanned.drugs.push(createIndexEntry(record, extractSalts(element), start, end));
 
-    // Build cache: drugbank_id -> drug object
-    drugsCache = new Map();
-    drugs.forEach(drug => {
-      const primaryId = getPrimaryDrugBankId(drug);
-      if (primaryId) {
-        drugsCache.set(primaryId, drug);
+      for (const interaction of record.drug_interactions) {
+        if (!interaction.drugbank_id) continue;
+        (scanned.interactors[interaction.drugbank_id] ||= []).push(packInteraction(position, interaction.description));
       }
-    });
 
-    // Also store as list for searching
-    drugsList = drugs;
+      if (useCache) xmlCache.cacheRecord(position, record);
 
-    return drugsCache;
+      if (scanned.drugs.length % 1000 === 0) {
+        console.error(`[DrugBank Parser] Indexed ${scanned.drugs.length} drugs...`);
+      }
+    });
   } catch (error) {
-    console.error('[DrugBank Parser] Error loading database:', error);
+    if (useCache) xmlCache.rollbackCache();
     throw error;
   }
+
+  if (useCache) xmlCache.commitCache(signature, scanned);
+  setIndex(scanned);
+
+  console.error(`[DrugBank Parser] Indexed ${index.drugs.length} drugs in ${Date.now() - startTime}ms`);
+}
+
+/**
+ * Keep only what searches need from a drug record
+ */
+function createIndexEntry(record, salts, start, end) {
+  const structure = extractStructure(record);
+
+  return {
+    drugbank_id: record.drugbank_id,
+    start,
+    end,
+    name: record.name,
+    groups: record.groups,
+    state: record.state,
+    type: record.type,
+    target_organisms: distinctLower(record.targets.filter(t => t.name).map(t => t.organism)),
+    search_names: extractSearchNames(record),
+    text_tokens: Object.fromEntries(Object.entries(TEXT_FIELDS).map(([field, column]) => [field, tokenizeName(record[column] || '').join(' ')])),
+    ...Object.fromEntries(Object.values(PK_PARAMETERS).map(({ column }) => [column, record[column]])),
+    atc_codes: record.atc_codes,
+    atc_nodes: toAtcRows(record.atc_hierarchy, record.name),
+    structure: structure && {
+      ...structure,
+      fingerprint: structure.fingerprint && Buffer.from(structure.fingerprint).toString('base64'),
+      screen: structure.screen && Buffer.from(structure.screen).toString('base64')
+    },
+    properties: extractProperties(record),
+    product_names: distinctLower([...record.products, ...record.international_brands].map(p => p.name)),
+    product_keys: distinctProductKeys(record),
+    ndc_codes: [...new Set(record.products.flatMap(p => [p.ndc_product_code, p.ndc_id]).filter(Boolean))],
+    targets: record.targets.filter(t => t.name).map(toTargetRow),
+    categories: record.categories,
+    category_mesh_ids: record.category_mesh_ids,
+    chemical_classes: toChemicalClassRows(record.classification),
+    food_interactions: classifyFoodInteractions(record.food_interactions),
+    carriers: record.carriers.filter(c => c.name).map(({ name, organism, known_action }) => ({ name, organism, known_action })),
+    transporters: record.transporters.filter(t => t.name).map(({ name, organism, known_action }) => ({ name, organism, known_action })),
+    enzymes: record.enzymes.filter(e => e.name).map(toEnzymeRow).map(({ name, gene_name, roles }) => ({ name, gene_name, roles })),
+    salts: salts.filter(s => s.name).map(s => ({
+      salt_id: s.id,
+      name: s.name,
+      unii: s.unii,
+      cas_number: s.cas_number,
+      inchikey: s.inchikey,
+      average_mass: s.average_mass
+    }))
+  };
+}
+
+function distinctLower(values) {
+  return [...new Set(values.filter(Boolean).map(value => value.toLowerCase()))];
+}
+
+/**
+ * Distinct lowercased [name, labeller] pairs of a record's products and
+ * international brands (company as labeller): what name and labeller searches match
+ */
+function distinctProductKeys(record) {
+  const pairs = [
+    ...record.products.map(p => [p.name, p.labeller]),
+    ...record.international_brands.map(b => [b.name, b.company])
+  ].map(pair => pair.map(value => value?.toLowerCase() ?? null));
+  return [...new Map(pairs.map(pair => [JSON.stringify(pair), pair])).values()];
+}
+
+/**
+ * Install an index and derive its lookup maps
+ * Mirrors the rows build-db.js writes to the SQLite side tables
+ */
+function setIndex(newIndex) {
+  index = { drugs: newIndex.drugs, interactors: new Map(Object.entries(newIndex.interactors)) };
+  lookups = {
+    ids: new Map(),
+    names: new Map(),
+    targets: new Map(),
+    targetIdentifiers: new Map(),
+    categories: new Map(),
+    categoryListings: new Map(),
+    atcCodes: new Map(),
+    atcDrugs: new Map(),
+    carriers: new Map(),
+    transporters: new Map(),
+    fingerprints: new Map(),
+    screens: new Map(),
+    searchNames: [],
+    nameStats: null,
+    textWords: new Map()
+  };
+
+  index.drugs.forEach((entry, position) => {
+    lookups.ids.set(entry.drugbank_id, position);
+
+    const nameKey = entry.name?.toLowerCase();
+    if (nameKey && !lookups.names.has(nameKey)) lookups.names.set(nameKey, position);
+
+    for (const { name, name_type } of entry.search_names) {
+      lookups.searchNames.push({ position, drugbank_id: entry.drugbank_id, name, name_type, tokens: tokenizeName(name) });
+    }
+
+    for (const word of new Set(Object.values(entry.text_tokens).join(' ').split(' '))) {
+      if (!word) continue;
+      if (!lookups.textWords.has(word)) lookups.textWords.set(word, []);
+      lookups.textWords.get(word).push(position);
+    }
+
+    entry.targets.forEach(row => addToLookup(lookups.targets, row.name, position));
+    distinctLower(entry.targets.flatMap(row => [row.target_id, row.gene_name, row.uniprot_id, row.hgnc_id]))
+      .forEach(identifier => addToLookup(lookups.targetIdentifiers, identifier, position));
+    entry.categories.forEach(category => addToLookup(lookups.categories, category, position));
+    for (const { category, mesh_id } of toCategoryRows(entry)) {
+      if (!lookups.categoryListings.has(category)) lookups.categoryListings.set(category, { category, mesh_id: null, positions: new Set() });
+      const listing = lookups.categoryListings.get(category);
+      if (mesh_id && (!listing.mesh_id || mesh_id > listing.mesh_id)) listing.mesh_id = mesh_id;
+      listing.positions.add(position);
+    }
+    for (const row of entry.atc_nodes) {
+      if (!lookups.atcCodes.has(row.code)) lookups.atcCodes.set(row.code, row);
+      if (row.level !== 5) continue;
+      if (!lookups.atcDrugs.has(row.code)) lookups.atcDrugs.set(row.code, []);
+      lookups.atcDrugs.get(row.code).push(position);
+    }
+    entry.carriers.forEach(carrier => addToLookup(lookups.carriers, carrier.name, { position, entry: carrier }));
+    entry.transporters.forEach(transporter => addToLookup(lookups.transporters, transporter.name, { position, entry: transporter }));
+
+    if (entry.structure?.fingerprint) {
+      lookups.fingerprints.set(position, new Uint8Array(Buffer.from(entry.structure.fingerprint, 'base64')));
+    }
+    if (entry.structure?.screen) {
+      lookups.screens.set(position, new Uint8Array(Buffer.from(entry.structure.screen, 'base64')));
+    }
+  });
+
+  // Corpus statistics for BM25, as FTS5 keeps them for drug_names_fts
+  const totalTokens = lookups.searchNames.reduce((sum, searchName) => sum + searchName.tokens.length, 0);
+  lookups.nameStats = {
+    rows: lookups.searchNames.length,
+    averageLength: lookups.searchNames.length > 0 ? totalTokens / lookups.searchNames.length : 0
+  };
+}
+
+function addToLookup(lookup, key, value) {
+  const lookupKey = key.toLowerCase();
+  if (!lookup.has(lookupKey)) lookup.set(lookupKey, []);
+  lookup.get(lookupKey).push(value);
+}
+
+/**
+ * Pack an interaction into one integer: source position, effect type and severity
+ * Keeps the reverse index to a number per interaction (millions in a full release)
+ */
+function packInteraction(position, description) {
+  const { effect_type, severity } = classifyInteraction(description);
+  return (position * 32 + EFFECT_TYPES.indexOf(effect_type)) * 4 + SEVERITY_LEVELS.indexOf(severity);
+}
+
+function unpackInteraction(code) {
+  return {
+    position: Math.floor(code / 128),
+    effect_type: EFFECT_TYPES[Math.floor(code / 4) % 32],
+    severity: SEVERITY_LEVELS[code % 4]
+  };
 }
 
 /**
- * Get primary DrugBank ID from drug object
+ * Get the full drug record at a scan position
+ * Read from the recent-record cache, the SQLite cache, or the XML file
  */
-function getPrimaryDrugBankId(drug) {
-  if (!drug['drugbank-id']) return null;
+function getRecord(position) {
+  if (recordCache.has(position)) {
+    const record = recordCache.get(position);
+    recordCache.delete(position);
+    recordCache.set(position, record);
+    return record;
+  }
 
-  let ids = drug['drugbank-id'];
-  if (!Array.isArray(ids)) {
-    ids = [ids];
+  let record;
+  if (useCache) {
+    record = xmlCache.getCachedRecord(position);
+  } else {
+    const { start, end } = index.drugs[position];
+    record = extractDrugRecord(readDrugAt(DB_FILE, start, end));
   }
 
-  // Find primary ID (has @_primary="true" attribute)
-  const primaryId = ids.find(id => id['@_primary'] === 'true' || id['@_primary'] === true);
-  if (primaryId) {
-    return typeof primaryId === 'string' ? primaryId : primaryId['#text'];
+  recordCache.set(position, record);
+  if (recordCache.size > RECORD_CACHE_SIZE) {
+    recordCache.delete(recordCache.keys().next().value);
   }
+  return record;
+}
 
-  // Fallback to first ID
-  return typeof ids[0] === 'string' ? ids[0] : ids[0]['#text'];
+/**
+ * Collect lookup hits whose (normalized) key contains the search term, in DrugBank ID order
+ */
+function findInLookup(lookup, term, normalizeKey = key => key) {
+  const hits = [];
+  for (const [key, keyHits] of lookup) {
+    if (normalizeKey(key).includes(term)) hits.push(...keyHits);
+  }
+
+  const position = hit => typeof hit === 'number' ? hit : hit.position;
+  return hits.sort((a, b) => compareIds(index.drugs[position(a)], index.drugs[position(b)]));
 }
 
 /**
- * Get all DrugBank IDs for a drug (including secondary IDs)
+ * Whether the drug at a position satisfies common drug filters (see matchesDrugFilters)
  */
-function getAllDrugBankIds(drug) {
-  if (!drug['drugbank-id']) return [];
+function passesDrugFilters(position, filters) {
+  return matchesDrugFilters(index.drugs[position], filters);
+}
 
-  let ids = drug['drugbank-id'];
-  if (!Array.isArray(ids)) {
-    ids = [ids];
-  }
+/**
+ * Unique positions from lookup hits that pass the drug filters
+ */
+function distinctPositions(hits, filters = {}) {
+  return [...new Set(hits)].filter(position => passesDrugFilters(position, filters));
+}
+
+/**
+ * Positions of index entries matching a predicate and the drug filters, in DrugBank ID order
+ */
+function filterEntries(predicate, filters = {}) {
+  const positions = [];
+  index.drugs.forEach((entry, position) => {
+    if (predicate(entry) && passesDrugFilters(position, filters)) positions.push(position);
+  });
+  return positions.sort((a, b) => compareIds(index.drugs[a], index.drugs[b]));
+}
 
-  return ids.map(id => typeof id === 'string' ? id : id['#text']).filter(Boolean);
+/**
+ * One page ({ limit, offset }) of positions as { total, results }, reading
+ * only the page's records (see paginate)
+ */
+function pagePositions(positions, page, toResult) {
+  const { total, results } = paginate(positions, page);
+  return { total, results: results.map(toResult) };
 }
 
 /**
  * Get drug by DrugBank ID
  */
 export async function getDrugById(drugbankId) {
-  const cache = await loadDatabase();
-  return cache.get(drugbankId) || null;
+  await loadDatabase();
+  const position = lookups.ids.get(drugbankId);
+  return position === undefined ? null : getRecord(position);
 }
 
 /**
- * Search drugs by name (case-insensitive, partial match)
+ * Get drug by exact name (case-insensitive)
  */
-export async function searchDrugsByName(query, limit = 20) {
+export async function getDrugByName(name) {
   await loadDatabase();
+  const position = lookups.names.get(name.toLowerCase());
+  return position === undefined ? null : getRecord(position);
+}
 
-  const queryLower = query.toLowerCase();
-  const results = [];
+/**
+ * Search drugs by name, synonym or IUPAC name
+ * Word-prefix matches ranked by BM25 (scored as FTS5 does in SQLite mode), then
+ * drugs with a product or international brand carrying the name, then typo-tolerant matches
+ * Each hit carries match_type (see NAME_MATCH_TYPES), matched_name (matched_brand
+ * for brand hits) and score
+ * Returns { total, results } for the page ({ limit, offset })
+ */
+export async function searchDrugsByName(query, { limit = 20, offset = 0, filters = {} } = {}) {
+  await loadDatabase();
 
-  for (const drug of drugsList) {
-    const name = drug.name?.toLowerCase() || '';
-    const synonyms = drug.synonyms?.synonym || [];
-    const synonymList = Array.isArray(synonyms) ? synonyms : [synonyms];
+  const queryTokens = tokenizeName(query);
+  const matches = [];
+  const hits = queryTokens.map(() => 0);
 
-    // Check name match
-    if (name.includes(queryLower)) {
-      results.push(drug);
-      if (results.length >= limit) break;
-      continue;
+  if (queryTokens.length > 0) {
+    for (const searchName of lookups.searchNames) {
+      const frequencies = prefixTermFrequencies(queryTokens, searchName.tokens);
+      frequencies.forEach((tf, i) => { if (tf > 0) hits[i]++; });
+      // Filtered names still count towards the corpus statistics, as in FTS5
+      if (frequencies.every(tf => tf > 0) && passesDrugFilters(searchName.position, filters)) matches.push({ searchName, frequencies });
     }
+  }
+
+  const stats = { ...lookups.nameStats, hits };
+  const ranked = rankNameMatches(matches.map(({ searchName, frequencies }) => ({
+    position: searchName.position,
+    drugbank_id: searchName.drugbank_id,
+    match_type: classifyNameMatch(query, searchName),
+    matched_name: searchName.name,
+    score: roundScore(bm25Score(frequencies, searchName.tokens.length, stats))
+  })));
+  const found = new Set(ranked.map(hit => hit.drugbank_id));
+
+  // Product and brand names are indexed in full, so the index decides brand hits
+  const nameLower = query.toLowerCase();
+  const brands = filterEntries(entry => entry.product_names.some(n => n.includes(nameLower)), filters);
+  const exactBrands = new Set(brands.filter(position => index.drugs[position].product_names.includes(nameLower)));
+  for (const position of [...exactBrands, ...brands.filter(position => !exactBrands.has(position))]) {
+    const { drugbank_id } = index.drugs[position];
+    if (found.has(drugbank_id)) continue;
+    found.add(drugbank_id);
+    ranked.push({ position, drugbank_id, match_type: 'brand', score: null });
+  }
 
-    // Check synonyms
-    const synonymMatch = synonymList.some(syn => {
-      const synText = typeof syn === 'string' ? syn : syn['#text'];
-      return synText?.toLowerCase().includes(queryLower);
+  const fuzzy = [];
+  for (const searchName of lookups.searchNames) {
+    if (found.has(searchName.drugbank_id) || !passesDrugFilters(searchName.position, filters)) continue;
+    const score = fuzzyScore(query, searchName.name);
+    if (score === null) continue;
+    fuzzy.push({
+      position: searchName.position,
+      drugbank_id: searchName.drugbank_id,
+      match_type: 'fuzzy',
+      matched_name: searchName.name,
+      score: roundScore(score)
     });
+  }
+  ranked.push(...rankNameMatches(fuzzy));
+
+  const { total, results } = paginate(ranked, { limit, offset });
+  return {
+    total,
+    results: results.map(({ position, match_type, matched_name, score }) => {
+      const record = getRecord(position);
+      return {
+        ...extractDrugSummary(record),
+        match_type,
+        ...(match_type === 'brand'
+          ? { matched_brand: matchedBrandName(getProductMatches(record, { name: query }), query) }
+          : { matched_name }),
+        score
+      };
+    })
+  };
+}
+
+/**
+ * Search drugs by indication
+ * Takes query text (plain syntax) or a query from parseTextQuery
+ */
+export async function searchDrugsByIndication(query, { limit = 20, offset = 0, filters = {} } = {}) {
+  await loadDatabase();
 
-    if (synonymMatch) {
-      results.push(drug);
-      if (results.length >= limit) break;
+  const textQuery = typeof query === 'string' ? parseTextQuery(query) : query;
+  return pagePositions(findTextMatches(textQuery, 'indication', filters), { limit, offset },
+    position => extractDrugSummary(getRecord(position)));
+}
+
+/**
+ * Search the text of drug record fields (TEXT_FIELDS keys, default SEARCH_TEXT_FIELDS)
+ * Takes query text (plain syntax) or a query from parseTextQuery
+ * Each drug lists snippets for the fields that matched, highlighted like FTS5 snippet()
+ */
+export async function searchDrugsByText(query, { fields = SEARCH_TEXT_FIELDS, limit = 20, offset = 0, filters = {} } = {}) {
+  await loadDatabase();
+
+  const textQuery = typeof query === 'string' ? parseTextQuery(query) : query;
+  return pagePositions(findTextMatches(textQuery, fields, filters), { limit, offset }, position => {
+    const record = getRecord(position);
+    return {
+      ...extractDrugSummary(record),
+      snippets: fields
+        .map(field => ({ field, text: highlightSnippet(record[TEXT_FIELDS[field]], textQuery, field, fields) }))
+        .filter(({ text }) => text !== null)
+    };
+  });
+}
+
+/**
+ * Positions of records matching a text query and the drug filters, in DrugBank ID order
+ * Candidates come from the text word index; their indexed field tokens confirm the match
+ */
+function findTextMatches(textQuery, defaultFields, filters = {}) {
+  const getWordPositions = (word, prefix) => {
+    if (!prefix) return new Set(lookups.textWords.get(word));
+    const positions = new Set();
+    for (const [key, keyPositions] of lookups.textWords) {
+      if (key.startsWith(word)) keyPositions.forEach(position => positions.add(position));
     }
-  }
+    return positions;
+  };
 
-  return results;
+  return [...selectCandidates(textQuery, getWordPositions)]
+    .filter(position => passesDrugFilters(position, filters))
+    .sort((a, b) => compareIds(index.drugs[a], index.drugs[b]))
+    .filter(position => matchesTextQuery(textQuery, field => index.drugs[position].text_tokens[field], defaultFields));
 }
 
 /**
- * Search drugs by indication (case-insensitive, partial match)
+ * Search drugs by target
  */
-export async function searchDrugsByIndication(query, limit = 20) {
+export async function searchDrugsByTarget(target, { limit = 20, offset = 0, filters = {} } = {}) {
   await loadDatabase();
 
-  const queryLower = query.toLowerCase();
-  const results = [];
+  // Same hyphen/space normalization as the SQLite backend
+  const normalizedTarget = target.toLowerCase().replace(/-/g, ' ');
+  const hits = findInLookup(lookups.targets, normalizedTarget, key => key.replace(/-/g, ' '));
+
+  return pagePositions(distinctPositions(hits, filters), { limit, offset },
+    position => extractDrugSummary(getRecord(position)));
+}
+
+/**
+ * Get a drug's targets with their UniProt, gene and HGNC identifiers and actions
+ */
+export async function getDrugTargets(drugbankId) {
+  await loadDatabase();
+  const position = lookups.ids.get(drugbankId);
+  if (position === undefined) return [];
+  return index.drugs[position].targets;
+}
+
+/**
+ * Search drugs by the gene encoding one of their targets (symbol or HGNC ID, exact)
+ */
+export async function searchDrugsByGene(gene, { limit = 20, offset = 0, filters = {} } = {}) {
+  await loadDatabase();
+
+  // Identifier lookups cover gene symbols and HGNC IDs of named targets only
+  const positions = [...new Set(lookups.targetIdentifiers.get(gene.trim().toLowerCase()) || [])]
+    .filter(position => passesDrugFilters(position, filters))
+    .sort((a, b) => compareIds(index.drugs[a], index.drugs[b]))
+    .map(position => ({ position, matched: index.drugs[position].targets.filter(row => matchesGene(row, gene)) }))
+    .filter(({ matched }) => matched.length > 0);
+
+  return pagePositions(positions, { limit, offset }, ({ position, matched }) => ({
+    ...extractDrugSummary(getRecord(position)),
+    matched_targets: matched
+  }));
+}
+
+/**
+ * Resolve a target by DrugBank target ID, UniProt accession, gene symbol or
+ * HGNC ID (see TARGET_IDENTIFIERS) and list every drug acting on it
+ * Returns { matched_by, targets: [{ ...entity, drugs }] }; matched_by is null when nothing matched
+ */
+export async function getTarget(identifier) {
+  await loadDatabase();
+
+  const positions = [...new Set(lookups.targetIdentifiers.get(identifier.trim().toLowerCase()) || [])]
+    .sort((a, b) => compareIds(index.drugs[a], index.drugs[b]));
+  const candidates = positions.flatMap(position => {
+    const entry = index.drugs[position];
+    return entry.targets.filter(row => row.target_id).map(row => ({ entry, row }));
+  });
 
-  for (const drug of drugsList) {
-    const indication = drug.indication?.toLowerCase() || '';
+  for (const column of TARGET_IDENTIFIERS) {
+    const matches = candidates.filter(({ row }) => matchesTargetIdentifier(row, column, identifier));
+    if (matches.length === 0) continue;
 
-    if (indication.includes(queryLower)) {
-      results.push(drug);
-      if (results.length >= limit) break;
+    const targets = new Map();
+    for (const { entry, row } of matches) {
+      if (!targets.has(row.target_id)) targets.set(row.target_id, { ...toTargetEntity(row), drugs: [] });
+      targets.get(row.target_id).drugs.push({
+        drugbank_id: entry.drugbank_id,
+        name: entry.name,
+        groups: entry.groups,
+        known_action: row.known_action,
+        actions: row.actions
+      });
     }
+
+    return {
+      matched_by: column,
+      targets: [...targets.values()].sort((a, b) => (a.target_id < b.target_id ? -1 : a.target_id > b.target_id ? 1 : 0))
+    };
   }
 
-  return results;
+  return { matched_by: null, targets: [] };
 }
 
 /**
- * Extract simplified drug info for response
+ * Search drugs by category name (partial or exact, see CATEGORY_MATCH_MODES) and/or MeSH ID
+ * Each drug lists its matched_categories { category, mesh_id }
  */
-export function extractDrugSummary(drug) {
-  if (!drug) return null;
+export async function searchDrugsByCategory(criteria, { limit = 20, offset = 0, filters = {} } = {}) {
+  await loadDatabase();
 
-  const primaryId = getPrimaryDrugBankId(drug);
-  const groups = drug.groups?.group || [];
-  const groupList = Array.isArray(groups) ? groups : [groups];
+  const matchedCategories = entry => toCategoryRows(entry).filter(row => matchesCategory(row, criteria));
+  const positions = filterEntries(entry => matchedCategories(entry).length > 0, filters);
+  return pagePositions(positions, { limit, offset }, position => ({
+    ...extractDrugSummary(getRecord(position)),
+    matched_categories: matchedCategories(index.drugs[position])
+  }));
+}
+
+/**
+ * Search drugs by ClassyFire chemical taxonomy name (see matchesChemicalClass)
+ * Each drug lists its matched_classes { level, name } in taxonomy order
+ */
+export async function searchDrugsByChemicalClass(criteria, { limit = 20, offset = 0, filters = {} } = {}) {
+  await loadDatabase();
+
+  const matchedClasses = entry => entry.chemical_classes.filter(row => matchesChemicalClass(row, criteria));
+  const positions = filterEntries(entry => matchedClasses(entry).length > 0, filters);
+  return pagePositions(positions, { limit, offset }, position => ({
+    ...extractDrugSummary(getRecord(position)),
+    matched_classes: matchedClasses(index.drugs[position])
+  }));
+}
+
+/**
+ * Search drugs by food interaction note text and/or category (see matchesFoodInteraction)
+ * Each drug lists its matched_food_interactions { description, categories } in record order
+ */
+export async function searchDrugsByFoodInteraction(criteria, { limit = 20, offset = 0, filters = {} } = {}) {
+  await loadDatabase();
+
+  const matchedNotes = entry => entry.food_interactions.filter(note => matchesFoodInteraction(note, criteria));
+  const positions = filterEntries(entry => matchedNotes(entry).length > 0, filters);
+  return pagePositions(positions, { limit, offset }, position => ({
+    ...extractDrugSummary(getRecord(position)),
+    matched_food_interactions: matchedNotes(index.drugs[position])
+  }));
+}
+
+/**
+ * List categories whose name contains the query (every category without one)
+ * as { category, mesh_id, drug_count }, ordered by compareCategoryListings
+ */
+export async function listCategories(query = null, { limit = 50, offset = 0 } = {}) {
+  await loadDatabase();
+
+  const term = (query || '').toLowerCase();
+  const listings = [...lookups.categoryListings.values()]
+    .filter(listing => listing.category.toLowerCase().includes(term))
+    .map(({ category, mesh_id, positions }) => ({ category, mesh_id, drug_count: positions.size }))
+    .sort(compareCategoryListings(query));
+
+  return paginate(listings, { limit, offset });
+}
+
+/**
+ * Search drugs by carrier protein
+ * One result per matched carrier, by drug then in record order
+ */
+export async function searchDrugsByCarrier(carrier, { limit = 20, offset = 0, filters = {} } = {}) {
+  await loadDatabase();
+
+  const hits = findProteinHits(lookups.carriers, 'carriers', carrier, filters);
+  return pagePositions(hits, { limit, offset }, ({ position, entry }) => ({
+    ...extractDrugSummary(getRecord(position)),
+    matched_carrier: entry
+  }));
+}
+
+/**
+ * Carrier or transporter lookup hits for a partial name that pass the drug filters,
+ * by drug then in record order, one per distinct name, organism and known_action
+ * (as the SQLite backend groups them)
+ */
+function findProteinHits(lookup, field, name, filters) {
+  const seen = new Set();
+  const recordOrder = ({ position, entry }) => index.drugs[position][field].indexOf(entry);
+
+  return findInLookup(lookup, name.toLowerCase())
+    .filter(({ position }) => passesDrugFilters(position, filters))
+    .sort((a, b) => compareIds(index.drugs[a.position], index.drugs[b.position]) || recordOrder(a) - recordOrder(b))
+    .filter(({ position, entry }) => {
+      const key = JSON.stringify([position, entry.name, entry.organism, entry.known_action]);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Search drugs by enzyme name or gene ("Cytochrome P450 3A4", "CYP3A4"; partial match)
+ * role restricts to drugs that are a substrate, inhibitor or inducer of the enzyme
+ * Each drug lists its matched enzymes with their actions and roles
+ */
+export async function searchDrugsByEnzyme(enzyme, { role = null, limit = 20, offset = 0, filters = {} } = {}) {
+  await loadDatabase();
+  if (role && !ENZYME_ROLES.includes(role)) throw new Error(`Unknown enzyme role: ${role}`);
+
+  const criteria = { enzyme, role };
+  const positions = filterEntries(entry => entry.enzymes.some(row => matchesEnzyme(row, criteria)), filters);
+
+  return pagePositions(positions, { limit, offset }, position => {
+    const record = getRecord(position);
+    return {
+      ...extractDrugSummary(record),
+      matched_enzymes: record.enzymes
+        .filter(e => e.name)
+        .map(toEnzymeRow)
+        .filter(row => matchesEnzyme(row, criteria))
+    };
+  });
+}
+
+/**
+ * Search drugs by transporter protein
+ * One result per matched transporter, by drug then in record order
+ */
+export async function searchDrugsByTransporter(transporter, { limit = 20, offset = 0, filters = {} } = {}) {
+  await loadDatabase();
+
+  const hits = findProteinHits(lookups.transporters, 'transporters', transporter, filters);
+  return pagePositions(hits, { limit, offset }, ({ position, entry }) => ({
+    ...extractDrugSummary(getRecord(position)),
+    matched_transporter: entry
+  }));
+}
+
+/**
+ * Get salts for a drug
+ */
+export async function getDrugSalts(drugbankId) {
+  await loadDatabase();
+  const position = lookups.ids.get(drugbankId);
+  return position === undefined ? [] : index.drugs[position].salts;
+}
+
+/**
+ * Get a drug's products (typed rows with marketing_status), optionally filtered
+ * (see matchesProductFilters)
+ */
+export async function getDrugProducts(drugbankId, filters = {}) {
+  await loadDatabase();
+
+  const position = lookups.ids.get(drugbankId);
+  if (position === undefined) return [];
+
+  return getRecord(position).products
+    .map(record => {
+      const product = toProductRow(record);
+      return { ...product, marketing_status: getMarketingStatus(product) };
+    })
+    .filter(product => matchesProductFilters(product, filters));
+}
+
+/**
+ * Which of a record's products and international brands match search_by_product
+ * criteria (see summarizeProductMatches)
+ */
+function getProductMatches(record, { name = null, ndc = null, labeller = null }) {
+  return summarizeProductMatches(record.products.map(toProductRow), record.international_brands, { name, ndc, labeller });
+}
+
+/**
+ * Search drugs by product: brand/product name, NDC code and/or labeller
+ * (see matchesProductCriteria); international brands match by name and company
+ * Drugs with a product or brand named exactly like the query come first
+ */
+export async function searchDrugsByProduct(criteria, { limit = 20, offset = 0, filters = {} } = {}) {
+  await loadDatabase();
+  const { name = null, ndc = null, labeller = null } = criteria;
+  const nameLower = name?.toLowerCase();
+  const labellerLower = labeller?.toLowerCase();
+
+  // The index's name and labeller pairs decide name and labeller matches; NDC
+  // matches (a code names a handful of products) are confirmed against the full record
+  const keyMatches = ([keyName, keyLabeller]) =>
+    (!nameLower || Boolean(keyName?.includes(nameLower))) && (!labellerLower || Boolean(keyLabeller?.includes(labellerLower)));
+  const candidates = filterEntries(entry => entry.product_keys.some(keyMatches) &&
+    (!ndc || entry.ndc_codes.some(code => matchesNdc(code, ndc))), filters);
+
+  const confirmed = ndc
+    ? candidates
+      .map(position => ({ position, matches: getProductMatches(getRecord(position), criteria) }))
+      .filter(({ matches }) => matches.matched_product_count > 0 || matches.matched_brands.length > 0)
+      .map(({ position, matches }) => ({ position, exact: matches.exact_match }))
+    : candidates.map(position => ({
+      position,
+      exact: Boolean(nameLower) && index.drugs[position].product_keys.some(key => keyMatches(key) && key[0] === nameLower)
+    }));
+
+  // Exact name matches first, then by ID
+  const ordered = [...confirmed.filter(({ exact }) => exact), ...confirmed.filter(({ exact }) => !exact)];
+
+  return pagePositions(ordered, { limit, offset }, ({ position }) => {
+    const record = getRecord(position);
+    const { exact_match, ...matches } = getProductMatches(record, criteria);
+    return { ...extractDrugSummary(record), ...matches };
+  });
+}
+
+/**
+ * Get drug-drug interactions for a drug with pagination
+ * direction 'forward' lists the interactions on the drug's own record,
+ * 'reverse' finds drugs whose records list this drug as an interactor
+ * severity/effectType optionally restrict to the given classifications
+ */
+export async function getDrugInteractions(drugbankId, { limit = 100, offset = 0, direction = 'forward', severity = null, effectType = null } = {}) {
+  await loadDatabase();
+
+  const matchesFilters = i => (!severity?.length || severity.includes(i.severity)) &&
+    (!effectType?.length || effectType.includes(i.effect_type));
+
+  if (direction === 'reverse') {
+    // Filter and page on the packed codes, then read only the page's source drugs
+    const matches = (index.interactors.get(drugbankId) || [])
+      .map(unpackInteraction)
+      .filter(matchesFilters)
+      .sort((a, b) => index.drugs[a.position].drugbank_id.localeCompare(index.drugs[b.position].drugbank_id));
+
+    const interactions = matches.slice(offset, offset + limit).map(({ position }) => {
+      const source = getRecord(position);
+      const listed = source.drug_interactions.find(i => i.drugbank_id === drugbankId);
+      return {
+        drugbank_id: source.drugbank_id,
+        name: source.name,
+        description: listed.description,
+        ...classifyInteraction(listed.description)
+      };
+    });
+
+    return { total: matches.length, interactions };
+  }
+
+  const position = lookups.ids.get(drugbankId);
+  const interactions = position === undefined ? [] : getRecord(position).drug_interactions
+    .filter(i => i.drugbank_id)
+    .map(i => ({ ...i, ...classifyInteraction(i.description) }))
+    .filter(matchesFilters);
 
   return {
-    drugbank_id: primaryId,
-    name: drug.name || 'Unknown',
-    description: drug.description || 'No description available',
-    groups: groupList,
-    cas_number: drug['cas-number'] || null,
-    state: drug.state || null
+    total: interactions.length,
+    interactions: interactions.slice(offset, offset + limit)
   };
 }
 
 /**
- * Extract complete drug details
+ * Get all interactions listed between the given drugs (both directions)
  */
-export function extractDrugDetails(drug) {
-  if (!drug) return null;
+export async function getInteractionsBetween(drugbankIds) {
+  await loadDatabase();
 
-  const primaryId = getPrimaryDrugBankId(drug);
-  const groups = drug.groups?.group || [];
-  const groupList = Array.isArray(groups) ? groups : [groups];
+  const idSet = new Set(drugbankIds);
+  const results = [];
 
-  // Extract categories
-  const categories = drug.categories?.category || [];
-  const categoryList = Array.isArray(categories) ? categories : [categories];
-  const categoryNames = categoryList.map(cat =>
-    typeof cat === 'string' ? cat : cat.category || cat['#text']
-  ).filter(Boolean);
+  for (const drugbankId of idSet) {
+    const position = lookups.ids.get(drugbankId);
+    if (position === undefined) continue;
 
-  // Extract calculated properties
-  const calcProps = drug['calculated-properties']?.property || [];
-  const calcPropList = Array.isArray(calcProps) ? calcProps : [calcProps];
-  const properties = {};
-  calcPropList.forEach(prop => {
-    if (prop.kind && prop.value) {
-      properties[prop.kind] = prop.value;
+    for (const interaction of getRecord(position).drug_interactions) {
+      if (idSet.has(interaction.drugbank_id)) {
+        results.push({
+          drug_id: drugbankId,
+          interacting_id: interaction.drugbank_id,
+          name: interaction.name,
+          description: interaction.description,
+          ...classifyInteraction(interaction.description)
+        });
+      }
     }
-  });
+  }
+
+  return results;
+}
+
+/**
+ * Search drugs with an ATC code under a (normalized) code at any level
+ */
+export async function searchDrugsByAtcCode(code, { limit = 20, offset = 0, filters = {} } = {}) {
+  await loadDatabase();
+
+  const positions = distinctPositions(findAtcDrugs(code), filters).sort((a, b) => compareIds(index.drugs[a], index.drugs[b]));
+  return pagePositions(positions, { limit, offset }, getRecord);
+}
+
+/**
+ * Positions of drugs with a level-5 code under an ATC code (repeated per code)
+ */
+function findAtcDrugs(code) {
+  return [...lookups.atcDrugs].filter(([atc]) => atc.startsWith(code)).flatMap(([, positions]) => positions);
+}
+
+/**
+ * Browse the ATC hierarchy from a (normalized) code, or from the top when code is null
+ * Returns { node, drug_count, parents, children } (null when the code is unknown): nodes
+ * are { code, name, level }, parents anatomical main group first, children with drug_count
+ */
+export async function getAtcTree(code = null) {
+  await loadDatabase();
+
+  const toNode = ({ code, name, level }) => ({ code, name, level });
+  const drugCount = prefix => new Set(findAtcDrugs(prefix)).size;
+
+  const node = code ? lookups.atcCodes.get(code) : null;
+  if (code && !node) return null;
+
+  const parents = [];
+  for (let parent = node && lookups.atcCodes.get(node.parent_code); parent; parent = lookups.atcCodes.get(parent.parent_code)) {
+    parents.unshift(toNode(parent));
+  }
+
+  const children = [...lookups.atcCodes.values()]
+    .filter(row => row.parent_code === (node?.code ?? null))
+    .sort((a, b) => (a.code < b.code ? -1 : 1))
+    .map(child => ({ ...toNode(child), drug_count: drugCount(child.code) }));
 
   return {
-    drugbank_id: primaryId,
-    all_ids: getAllDrugBankIds(drug),
-    name: drug.name || 'Unknown',
-    description: drug.description || null,
-    cas_number: drug['cas-number'] || null,
-    unii: drug.unii || null,
-    state: drug.state || null,
-    groups: groupList,
-    categories: categoryNames,
-
-    // Clinical information
-    indication: drug.indication || null,
-    pharmacodynamics: drug.pharmacodynamics || null,
-    mechanism_of_action: drug['mechanism-of-action'] || null,
-    toxicity: drug.toxicity || null,
-
-    // Pharmacokinetics
-    absorption: drug.absorption || null,
-    metabolism: drug.metabolism || null,
-    half_life: drug['half-life'] || null,
-    protein_binding: drug['protein-binding'] || null,
-    route_of_elimination: drug['route-of-elimination'] || null,
-
-    // Chemical properties
-    average_mass: drug['average-mass'] || null,
-    monoisotopic_mass: drug['monoisotopic-mass'] || null,
-    calculated_properties: properties,
-
-    // External identifiers
-    external_identifiers: extractExternalIdentifiers(drug),
-
-    // Interactions
-    drug_interactions: extractDrugInteractions(drug),
-    food_interactions: extractFoodInteractions(drug),
-
-    // Targets
-    targets: extractTargets(drug),
-    enzymes: extractEnzymes(drug)
+    node: node && toNode(node),
+    drug_count: drugCount(node?.code ?? ''),
+    parents,
+    children
   };
 }
 
 /**
- * Extract external identifiers
+ * Search drugs by fingerprint similarity (Tanimoto), most similar first
  */
-function extractExternalIdentifiers(drug) {
-  const identifiers = drug['external-identifiers']?.['external-identifier'] || [];
-  const identifierList = Array.isArray(identifiers) ? identifiers : [identifiers];
+export async function searchDrugsBySimilarity(fingerprint, { minSimilarity = 0.7, limit = 20, offset = 0, filters = {} } = {}) {
+  await loadDatabase();
+  const { min, max } = bitCountBounds(bitCount(fingerprint), minSimilarity);
 
-  const result = {};
-  identifierList.forEach(id => {
-    if (id.resource && id.identifier) {
-      result[id.resource] = id.identifier;
-    }
-  });
+  const hits = [];
+  for (const [position, candidate] of lookups.fingerprints) {
+    const { bit_count } = index.drugs[position].structure;
+    if (bit_count < min || bit_count > max || !passesDrugFilters(position, filters)) continue;
 
-  return result;
+    const similarity = tanimoto(candidate, fingerprint);
+    if (similarity >= minSimilarity) hits.push({ position, similarity });
+  }
+
+  hits.sort((a, b) => b.similarity - a.similarity || compareIds(index.drugs[a.position], index.drugs[b.position]));
+  return pagePositions(hits, { limit, offset }, ({ position, similarity }) => ({ ...structureResult(position), similarity }));
 }
 
 /**
- * Extract drug interactions
+ * Search drugs by exact structure identifier (InChIKey or InChI)
  */
-function extractDrugInteractions(drug) {
-  const interactions = drug['drug-interactions']?.['drug-interaction'] || [];
-  const interactionList = Array.isArray(interactions) ? interactions : [interactions];
+export async function searchDrugsByExactStructure({ inchikey = null, inchi = null }, { limit = 20, offset = 0, filters = {} } = {}) {
+  await loadDatabase();
 
-  return interactionList.map(interaction => ({
-    drugbank_id: interaction['drugbank-id'] || null,
-    name: interaction.name || null,
-    description: interaction.description || null
-  })).slice(0, 50); // Limit to 50 interactions
+  const matches = inchikey
+    ? entry => entry.structure?.inchikey === inchikey
+    : entry => entry.structure?.inchi === inchi;
+
+  return pagePositions(filterEntries(matches, filters), { limit, offset },
+    position => ({ ...structureResult(position), similarity: 1 }));
 }
 
 /**
- * Extract food interactions
+ * Search drugs containing a substructure (query from compileSubstructureQuery)
+ * Drugs whose screen lacks the query's bits are skipped without parsing
  */
-function extractFoodInteractions(drug) {
-  const interactions = drug['food-interactions']?.['food-interaction'] || [];
-  return Array.isArray(interactions) ? interactions : [interactions];
+export async function searchDrugsBySubstructure(query, { limit = 20, offset = 0, filters = {} } = {}) {
+  await loadDatabase();
+
+  const positions = [...lookups.screens.keys()]
+    .filter(position => passesDrugFilters(position, filters) && containsBits(lookups.screens.get(position), query.screen))
+    .filter(position => findSubstructureMatch(query, parseSmiles(index.drugs[position].structure.smiles)))
+    .sort((a, b) => compareIds(index.drugs[a], index.drugs[b]));
+
+  return pagePositions(positions, { limit, offset }, structureResult);
 }
 
 /**
- * Extract drug targets
+ * Search drugs by physicochemical properties
+ * propertyFilters: { property: { min, max } } for numeric properties and
+ * { property: true|false } for drug-likeness rules (see PROPERTY_COLUMNS)
  */
-function extractTargets(drug) {
-  const targets = drug.targets?.target || [];
-  const targetList = Array.isArray(targets) ? targets : [targets];
+export async function searchDrugsByProperties(propertyFilters, { limit = 20, offset = 0, filters = {} } = {}) {
+  await loadDatabase();
 
-  return targetList.slice(0, 20).map(target => ({
-    id: target.id || null,
-    name: target.name || null,
-    organism: target.organism || null,
-    known_action: target['known-action'] || null,
-    actions: extractActions(target)
-  }));
+  const positions = filterEntries(entry =>
+    Object.values(entry.properties).some(value => value !== null) && matchesPropertyFilters(entry.properties, propertyFilters),
+  filters);
+
+  return pagePositions(positions, { limit, offset },
+    position => ({ ...extractDrugSummary(getRecord(position)), properties: index.drugs[position].properties }));
+}
+
+// Same tie-break as the SQLite backend's ORDER BY drugbank_id
+function compareIds(a, b) {
+  return a.drugbank_id < b.drugbank_id ? -1 : a.drugbank_id > b.drugbank_id ? 1 : 0;
+}
+
+function structureResult(position) {
+  const { smiles, inchikey } = index.drugs[position].structure;
+  return { ...extractDrugSummary(getRecord(position)), smiles, inchikey };
 }
 
 /**
- * Extract enzymes
+ * Search drugs by the typical value of a PK_PARAMETERS entry, lowest first
  */
-function extractEnzymes(drug) {
-  const enzymes = drug.enzymes?.enzyme || [];
-  const enzymeList = Array.isArray(enzymes) ? enzymes : [enzymes];
+async function searchDrugsByPkValue(parameter, min, max, { limit = 20, offset = 0, filters = {} }) {
+  await loadDatabase();
+  const { column } = PK_PARAMETERS[parameter];
 
-  return enzymeList.slice(0, 20).map(enzyme => ({
-    id: enzyme.id || null,
-    name: enzyme.name || null,
-    organism: enzyme.organism || null,
-    known_action: enzyme['known-action'] || null,
-    actions: extractActions(enzyme)
-  }));
+  const positions = filterEntries(({ [column]: value }) =>
+    value !== null && (min === null || value >= min) && (max === null || value <= max),
+  filters);
+
+  // filterEntries orders by ID, so the sort keeps it as the tie-break
+  positions.sort((a, b) => index.drugs[a][column] - index.drugs[b][column]);
+  return pagePositions(positions, { limit, offset }, getRecord);
 }
 
 /**
- * Extract actions from target/enzyme
+ * Search drugs by half-life range (in hours), shortest first
  */
-function extractActions(entity) {
-  const actions = entity.actions?.action || [];
-  return Array.isArray(actions) ? actions : [actions];
+export async function searchDrugsByHalfLife(minHours, maxHours, options = {}) {
+  return searchDrugsByPkValue('half_life', minHours, maxHours, options);
+}
+
+/**
+ * Search drugs by plasma protein binding range (percent bound), least bound first
+ */
+export async function searchDrugsByProteinBinding(minPercent, maxPercent, options = {}) {
+  return searchDrugsByPkValue('protein_binding', minPercent, maxPercent, options);
+}
+
+/**
+ * Search drugs by volume of distribution range (L/kg), smallest first
+ */
+export async function searchDrugsByVolumeOfDistribution(minLitersPerKg, maxLitersPerKg, options = {}) {
+  return searchDrugsByPkValue('volume_of_distribution', minLitersPerKg, maxLitersPerKg, options);
+}
+
+/**
+ * Search drugs by clearance range (mL/min/kg), slowest first
+ */
+export async function searchDrugsByClearance(minMlPerMinPerKg, maxMlPerMinPerKg, options = {}) {
+  return searchDrugsByPkValue('clearance', minMlPerMinPerKg, maxMlPerMinPerKg, options);
+}
+
+/**
+ * Find drugs similar to a given drug based on shared targets, categories, and ATC codes
+ * Returns { total, results }: drugs with similarity scores, most similar first
+ */
+export async function findSimilarDrugs(drugbankId, { limit = 20, offset = 0, filters = {} } = {}) {
+  await loadDatabase();
+  const none = { total: 0, results: [] };
+
+  const refPosition = lookups.ids.get(drugbankId);
+  if (refPosition === undefined) return none;
+
+  // Candidates are scored on their index entries; only the page's results are read in full
+  const similarityView = entry => ({
+    targets: entry.targets,
+    categories: entry.categories,
+    atc_codes: entry.atc_codes
+  });
+
+  const refDrug = similarityView(index.drugs[refPosition]);
+  const { targets: refTargets, categories: refCategories, atcCodes: refAtcCodes } = getSimilarityFeatures(refDrug);
+
+  if (refTargets.size === 0 && refCategories.size === 0 && refAtcCodes.size === 0) {
+    return none; // No data to compare
+  }
+
+  // Find candidate drugs (those sharing at least one target or category)
+  const candidates = new Set();
+  for (const [lookup, keys] of [[lookups.targets, refTargets], [lookups.categories, refCategories]]) {
+    for (const key of keys) {
+      (lookup.get(key) || []).forEach(position => {
+        if (position !== refPosition && passesDrugFilters(position, filters)) candidates.add(position);
+      });
+    }
+  }
+
+  const scoredDrugs = [...candidates]
+    .sort((a, b) => compareIds(index.drugs[a], index.drugs[b]))
+    .map(position => {
+      const scored = scoreDrugSimilarity(refDrug, similarityView(index.drugs[position]));
+      return scored && { ...scored, drug: position };
+    })
+    .filter(Boolean);
+
+  // Sort by score descending (candidates are in ID order, so ties stay by ID)
+  scoredDrugs.sort((a, b) => b.similarity_score - a.similarity_score);
+
+  return pagePositions(scoredDrugs, { limit, offset }, scored => ({ ...scored, drug: getRecord(scored.drug) }));
 }
 
 export default {
   loadDatabase,
   getDrugById,
+  getDrugByName,
   searchDrugsByName,
   searchDrugsByIndication,
+  searchDrugsByText,
+  searchDrugsByTarget,
+  getDrugTargets,
+  searchDrugsByGene,
+  getTarget,
+  searchDrugsByCategory,
+  listCategories,
+  searchDrugsByChemicalClass,
+  searchDrugsByFoodInteraction,
+  searchDrugsByCarrier,
+  searchDrugsByTransporter,
+  searchDrugsByEnzyme,
+  getDrugSalts,
+  getDrugProducts,
+  searchDrugsByProduct,
+  getDrugInteractions,
+  getInteractionsBetween,
+  searchDrugsByAtcCode,
+  getAtcTree,
+  searchDrugsBySimilarity,
+  searchDrugsByExactStructure,
+  searchDrugsBySubstructure,
+  searchDrugsByProperties,
+  searchDrugsByHalfLife,
+  searchDrugsByProteinBinding,
+  searchDrugsByVolumeOfDistribution,
+  searchDrugsByClearance,
+  findSimilarDrugs,
   extractDrugSummary,
   extractDrugDetails
 };
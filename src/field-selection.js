@@ -0,0 +1,83 @@
+/**
+ * Field Selection
+ *
+ * Response shaping for methods returning drugs (get_drug_details and every
+ * method with results) and for interaction and product lists: projection to
+ * requested fields or presets, and truncation of long text and arrays,
+ * reporting what was cut
+ */
+
+/**
+ * Named field sets, usable alongside plain field names
+ * (fields a method's drugs don't carry are skipped)
+ */
+export const FIELD_PRESETS = {
+  summary: ['drugbank_id', 'name', 'description', 'groups', 'state', 'type', 'categories', 'indication'],
+  clinical: [
+    'drugbank_id', 'name', 'groups', 'indication', 'pharmacodynamics', 'mechanism_of_action', 'toxicity',
+    'drug_interactions', 'food_interactions', 'targets'
+  ],
+  pk: [
+    'drugbank_id', 'name', 'absorption', 'metabolism', 'half_life', 'protein_binding', 'volume_of_distribution', 'clearance',
+    'route_of_elimination', 'pharmacokinetics', 'enzymes'
+  ],
+  chemistry: [
+    'drugbank_id', 'name', 'cas_number', 'unii', 'average_mass', 'monoisotopic_mass', 'calculated_properties', 'classification'
+  ]
+};
+
+// Fields every projected drug keeps, so results stay identifiable
+const IDENTITY_FIELDS = ['drugbank_id', 'name'];
+
+/**
+ * Split a fields parameter (array, or comma-separated string) into field names and presets
+ */
+export function parseFieldList(fields) {
+  const list = Array.isArray(fields) ? fields : String(fields).split(',');
+  return [...new Set(list.map(field => String(field).trim()).filter(Boolean))];
+}
+
+/**
+ * Expand presets in a field list, keeping the identity fields first
+ */
+export function expandFields(fields) {
+  return [...new Set([...IDENTITY_FIELDS, ...fields.flatMap(field => FIELD_PRESETS[field] || [field])])];
+}
+
+/**
+ * Keep only the given fields of an object, in the object's own order
+ */
+export function projectFields(object, fields) {
+  return Object.fromEntries(Object.entries(object).filter(([key]) => fields.includes(key)));
+}
+
+/**
+ * Cut an object's strings longer than maxTextLength characters and arrays longer
+ * than maxItems (either limit may be null)
+ * Returns { value, truncated }: truncated lists { field, length, returned } per
+ * cut field, field prefixed with path
+ */
+export function truncateFields(object, { maxTextLength = null, maxItems = null }, path) {
+  const value = { ...object };
+  const truncated = [];
+
+  for (const [key, field] of Object.entries(object)) {
+    if (typeof field === 'string' && maxTextLength !== null && field.length > maxTextLength) {
+      value[key] = `${field.slice(0, maxTextLength)}…`;
+      truncated.push({ field: `${path}.${key}`, length: field.length, returned: maxTextLength });
+    } else if (Array.isArray(field) && maxItems !== null && field.length > maxItems) {
+      value[key] = field.slice(0, maxItems);
+      truncated.push({ field: `${path}.${key}`, length: field.length, returned: maxItems });
+    }
+  }
+
+  return { value, truncated };
+}
+
+export default {
+  FIELD_PRESETS,
+  parseFieldList,
+  expandFields,
+  projectFields,
+  truncateFields
+};
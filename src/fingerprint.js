@@ -0,0 +1,213 @@
+/**
+ * Molecular Fingerprints
+ *
+ * Morgan (ECFP4-style) circular fingerprints computed from parsed SMILES,
+ * folded into a fixed-size bit vector, and Tanimoto similarity between them.
+ * Path fingerprints serve as the substructure search pre-screen
+ */
+
+import { parseSmiles } from './smiles.js';
+
+export const FINGERPRINT_BITS = 2048;
+export const FINGERPRINT_RADIUS = 2;
+
+// Substructure screen: every linear path of up to SCREEN_PATH_BONDS bonds
+export const SCREEN_BITS = 2048;
+export const SCREEN_PATH_BONDS = 5;
+
+const BOND_TYPE_AROMATIC = 4;
+
+/**
+ * 32-bit FNV-1a hash over a list of integers
+ */
+function hashInts(values) {
+  let hash = 2166136261;
+  for (const value of values) {
+    for (let shift = 0; shift < 32; shift += 8) {
+      hash ^= (value >>> shift) & 0xff;
+      hash = Math.imul(hash, 16777619) >>> 0;
+    }
+  }
+  return hash;
+}
+
+/**
+ * Initial atom identifier: element, heavy-atom degree, hydrogens, charge,
+ * isotope, ring membership and aromaticity
+ */
+function atomInvariant(molecule, index) {
+  const atom = molecule.atoms[index];
+  return hashInts([
+    atom.atomicNumber,
+    molecule.neighbors[index].length,
+    atom.hydrogens,
+    atom.charge,
+    atom.isotope || 0,
+    atom.inRing ? 1 : 0,
+    atom.aromatic ? 1 : 0
+  ]);
+}
+
+function bondType(bond) {
+  return bond.aromatic ? BOND_TYPE_AROMATIC : bond.order;
+}
+
+/**
+ * Compute a Morgan fingerprint for a molecule (from parseSmiles)
+ * Each atom environment up to `radius` bonds is hashed and folded into `bits` bits
+ */
+export function morganFingerprint(molecule, { radius = FINGERPRINT_RADIUS, bits = FINGERPRINT_BITS } = {}) {
+  const fingerprint = new Uint8Array(bits / 8);
+  const setBit = id => {
+    const bit = id % bits;
+    fingerprint[bit >> 3] |= 1 << (bit & 7);
+  };
+
+  let ids = molecule.atoms.map((_, index) => atomInvariant(molecule, index));
+  ids.forEach(setBit);
+
+  for (let iteration = 1; iteration <= radius; iteration++) {
+    ids = ids.map((id, index) => {
+      const environment = molecule.neighbors[index]
+        .map(({ atom, bond }) => [bondType(molecule.bonds[bond]), ids[atom]])
+        .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+      return hashInts([iteration, id, ...environment.flat()]);
+    });
+    ids.forEach(setBit);
+  }
+
+  return fingerprint;
+}
+
+/**
+ * Screen labels for molecule atoms and bonds (element + aromaticity, bond type)
+ */
+export function atomLabel(atom) {
+  return atom.atomicNumber * 2 + (atom.aromatic ? 1 : 0);
+}
+
+export function bondLabel(bond) {
+  return bondType(bond);
+}
+
+/**
+ * Compute a path fingerprint: each linear path of atoms and bonds is hashed
+ * and folded into `bits` bits
+ * Paths through atoms or bonds whose label is null are skipped, so a query
+ * with wildcards only sets bits for its fully specified paths. Any path in a
+ * substructure is also a path in the molecule containing it, so the query's
+ * bits are always a subset of a matching molecule's (see containsBits)
+ */
+export function pathFingerprint(molecule, {
+  getAtomLabel = atomLabel,
+  getBondLabel = bondLabel,
+  maxBonds = SCREEN_PATH_BONDS,
+  bits = SCREEN_BITS
+} = {}) {
+  const fingerprint = new Uint8Array(bits / 8);
+  const atomLabels = molecule.atoms.map(getAtomLabel);
+  const bondLabels = molecule.bonds.map(getBondLabel);
+  const visited = new Uint8Array(molecule.atoms.length);
+
+  const addPath = path => {
+    // Same bit whichever end the path was walked from
+    const reversed = [...path].reverse();
+    const forward = path.findIndex((value, i) => value !== reversed[i]);
+    const canonical = forward === -1 || path[forward] < reversed[forward] ? path : reversed;
+    const bit = hashInts(canonical) % bits;
+    fingerprint[bit >> 3] |= 1 << (bit & 7);
+  };
+
+  const walk = (atom, path, length) => {
+    addPath(path);
+    if (length === maxBonds) return;
+    for (const { atom: next, bond } of molecule.neighbors[atom]) {
+      if (visited[next] || atomLabels[next] === null || bondLabels[bond] === null) continue;
+      visited[next] = 1;
+      walk(next, [...path, bondLabels[bond], atomLabels[next]], length + 1);
+      visited[next] = 0;
+    }
+  };
+
+  atomLabels.forEach((label, atom) => {
+    if (label === null) return;
+    visited[atom] = 1;
+    walk(atom, [label], 0);
+    visited[atom] = 0;
+  });
+
+  return fingerprint;
+}
+
+/**
+ * Parse SMILES and compute its fingerprint (throws on invalid SMILES)
+ */
+export function fingerprintFromSmiles(smiles) {
+  return morganFingerprint(parseSmiles(smiles));
+}
+
+const POPCOUNT = new Uint8Array(256).map((_, byte) => {
+  let count = 0;
+  for (let b = byte; b; b >>= 1) count += b & 1;
+  return count;
+});
+
+/**
+ * Number of set bits
+ */
+export function bitCount(fingerprint) {
+  let count = 0;
+  for (const byte of fingerprint) count += POPCOUNT[byte];
+  return count;
+}
+
+/**
+ * Tanimoto similarity: |A ∩ B| / |A ∪ B| over set bits
+ */
+export function tanimoto(a, b) {
+  let common = 0;
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    common += POPCOUNT[a[i] & b[i]];
+    total += POPCOUNT[a[i] | b[i]];
+  }
+  return total === 0 ? 0 : common / total;
+}
+
+/**
+ * Whether every bit set in `query` is also set in `target`
+ * (a necessary condition for substructure matches)
+ */
+export function containsBits(target, query) {
+  for (let i = 0; i < query.length; i++) {
+    if ((target[i] & query[i]) !== query[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Tanimoto bounds on the bit count of fingerprints that can reach `minSimilarity`
+ * against a query with `queryBits` set bits
+ */
+export function bitCountBounds(queryBits, minSimilarity) {
+  return {
+    min: Math.ceil(queryBits * minSimilarity),
+    max: minSimilarity > 0 ? Math.floor(queryBits / minSimilarity) : FINGERPRINT_BITS
+  };
+}
+
+export default {
+  FINGERPRINT_BITS,
+  FINGERPRINT_RADIUS,
+  SCREEN_BITS,
+  SCREEN_PATH_BONDS,
+  morganFingerprint,
+  atomLabel,
+  bondLabel,
+  pathFingerprint,
+  fingerprintFromSmiles,
+  bitCount,
+  tanimoto,
+  containsBits,
+  bitCountBounds
+};
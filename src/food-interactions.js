@@ -0,0 +1,125 @@
+/**
+ * Food Interactions
+ *
+ * Classifies DrugBank's food interaction notes ("Avoid alcohol.", "Take with
+ * food.") into counselling categories, builds the drug_food_interactions rows
+ * (SQLite mode) and matches notes for search_by_food_interaction; shared by
+ * both backends
+ */
+
+// Minerals and dairy that bind drugs in the gut when taken together
+const MINERALS = '(?:calcium|iron|magnesium|zinc|alumin(?:um|ium)|antacids?|dairy|milk|multivitamins?|minerals?)';
+
+/**
+ * Category rules, in FOOD_INTERACTION_CATEGORIES order; a note gets every category
+ * it matches (e.g. "Avoid St. John's Wort and other herbal supplements")
+ */
+const FOOD_RULES = [
+  { category: 'avoid_alcohol', advice: 'Avoid alcohol', pattern: /\b(?:alcohol|ethanol)\b/ },
+  { category: 'avoid_grapefruit', advice: 'Avoid grapefruit products', pattern: /\bgrapefruit/ },
+  {
+    category: 'take_with_food', advice: 'Take with food',
+    pattern: /\b(?:take|taken|taking|administer|administered|give|given) (?:it |this (?:drug|medication|medicine) )?with (?:food|a meal|meals)\b/
+  },
+  {
+    category: 'take_without_food', advice: 'Take on an empty stomach',
+    pattern: /\bempty stomach\b|\bwithout food\b|\bbefore (?:a )?meals?\b|\bhours? (?:before|after) (?:a )?(?:meal|meals|food|eating)\b/
+  },
+  { category: 'take_with_or_without_food', advice: 'Take with or without food', pattern: /\bwith or without (?:food|a meal|meals)\b/ },
+  { category: 'avoid_st_johns_wort', advice: "Avoid St. John's Wort", pattern: /\bst\.? ?john'?s[ -]wort\b/ },
+  {
+    // Calcium, iron or vitamin supplements are minerals, not herbs
+    category: 'avoid_herbal_supplements', advice: 'Avoid interacting herbs and supplements',
+    pattern: new RegExp(`\\bherbs?\\b|\\bherbal\\b|(?<!${MINERALS} |vitamin (?:[a-z]\\d* )?)\\bsupplements?\\b|\\bginkgo\\b|\\bginseng\\b|\\bgarlic\\b|\\bechinacea\\b`)
+  },
+  { category: 'limit_vitamin_k', advice: 'Keep vitamin K intake steady', pattern: /\bvitamin k\b/ },
+  { category: 'limit_caffeine', advice: 'Limit caffeine', pattern: /\bcaffeine\b|\bcoffee\b/ },
+  {
+    // Only with separation or avoidance wording: "take with food or milk" uses milk as the vehicle
+    category: 'separate_from_minerals', advice: 'Separate from calcium, iron, antacids and dairy',
+    pattern: new RegExp(
+      `\\b(?:separate(?:d|ly)?|avoid(?:ing)?|without|apart from|hours? (?:before|after))\\b[^.;]{0,60}?\\b${MINERALS}\\b|` +
+      `\\b${MINERALS}\\b[^.;]{0,60}?\\b(?:separate(?:d|ly)?|apart|hours? (?:before|after|apart)|should be avoided)\\b`
+    )
+  }
+];
+
+// "With or without food" says nothing about taking it with food, or without
+const WITH_OR_WITHOUT_FOOD = /\bwith or without (?:food|a meal|meals)\b/g;
+
+// "Do not take with food", "avoid taking it with meals": the note means without food
+const NOT_WITH_FOOD = /\b(?:do not|don't|does not|should not|must not|never|avoid|not to)\s+(?:be\s+)?(?:take|taken|taking|administer(?:ed|ing)?|give|given|giving)\s+(?:it\s+|this (?:drug|medication|medicine)\s+)?with (?:food|a meal|meals)\b/g;
+
+/**
+ * Counselling categories; 'other' for notes no rule covers ("Take at the same time every day.")
+ */
+export const FOOD_INTERACTION_CATEGORIES = [...FOOD_RULES.map(rule => rule.category), 'other'];
+
+/**
+ * Categories of a food interaction note, in FOOD_INTERACTION_CATEGORIES order
+ */
+export function classifyFoodInteraction(description) {
+  const text = (description || '').toLowerCase();
+  const timing = text.replace(WITH_OR_WITHOUT_FOOD, ' ').replace(NOT_WITH_FOOD, 'without food');
+
+  const categories = FOOD_RULES
+    .filter(rule => rule.pattern.test(rule.category === 'take_with_or_without_food' ? text : timing))
+    .map(rule => rule.category);
+  return categories.length > 0 ? categories : ['other'];
+}
+
+/**
+ * Classified notes { description, categories } of a record's food_interactions, in record order
+ */
+export function classifyFoodInteractions(foodInteractions) {
+  return (foodInteractions || []).filter(Boolean).map(description => ({
+    description,
+    categories: classifyFoodInteraction(description)
+  }));
+}
+
+/**
+ * drug_food_interactions rows { position, description, category }: one per note and category
+ */
+export function toFoodInteractionRows(foodInteractions) {
+  return classifyFoodInteractions(foodInteractions).flatMap(({ description, categories }, position) =>
+    categories.map(category => ({ position, description, category })));
+}
+
+/**
+ * Whether a classified note matches search_by_food_interaction criteria
+ * - query: text the note contains (case-insensitive)
+ * - category: one of FOOD_INTERACTION_CATEGORIES
+ */
+export function matchesFoodInteraction(note, { query = null, category = null } = {}) {
+  return (!query || note.description.toLowerCase().includes(query.toLowerCase())) &&
+    (!category || note.categories.includes(category));
+}
+
+/**
+ * Counselling view of a drug's food interactions: every classified note, and
+ * guidance grouping the notes by category with one line of advice each
+ */
+export function buildFoodGuidance(foodInteractions) {
+  const notes = classifyFoodInteractions(foodInteractions);
+  const advice = Object.fromEntries(FOOD_RULES.map(rule => [rule.category, rule.advice]));
+
+  const guidance = FOOD_INTERACTION_CATEGORIES
+    .map(category => ({
+      category,
+      advice: advice[category] || null,
+      descriptions: notes.filter(note => note.categories.includes(category)).map(note => note.description)
+    }))
+    .filter(entry => entry.descriptions.length > 0);
+
+  return { food_interactions: notes, guidance };
+}
+
+export default {
+  FOOD_INTERACTION_CATEGORIES,
+  classifyFoodInteraction,
+  classifyFoodInteractions,
+  toFoodInteractionRows,
+  matchesFoodInteraction,
+  buildFoodGuidance
+};
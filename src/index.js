@@ -17,6 +17,16 @@ import {
 } from '@modelcontextprotocol/sdk/types.js';
 
 import { handleDrugBankInfo } from './drugbank-api.js';
+import { EFFECT_TYPES, SEVERITY_LEVELS } from './interaction-classifier.js';
+import { PROPERTY_COLUMNS, NUMERIC_PROPERTIES, BOOLEAN_PROPERTIES } from './drug-properties.js';
+import { MARKETING_STATUSES } from './drug-products.js';
+import { QUERY_SYNTAXES, TEXT_FIELDS } from './text-query.js';
+import { ENZYME_ROLES } from './drug-enzymes.js';
+import { DRUG_GROUPS, DRUG_STATES, DRUG_TYPES } from './drug-filters.js';
+import { FIELD_PRESETS } from './field-selection.js';
+import { CATEGORY_MATCH_MODES } from './drug-categories.js';
+import { CHEMICAL_CLASS_LEVELS } from './chemical-taxonomy.js';
+import { FOOD_INTERACTION_CATEGORIES } from './food-interactions.js';
 
 /**
  * MCP Server instance
@@ -43,7 +53,7 @@ const DRUGBANK_INFO_TOOL = {
 
 Available methods:
 
-1. search_by_name - Search drugs by name (fuzzy matching)
+1. search_by_name - Search drugs by name, synonym or IUPAC name with typo tolerance, falling back to brand/product names (match_type: exact, synonym, prefix, brand or fuzzy; ranked with a score)
    Parameters: query (required), limit (optional, default: 20)
    Example: { "method": "search_by_name", "query": "aspirin" }
 
@@ -52,36 +62,47 @@ Available methods:
    Example: { "method": "get_drug_details", "drugbank_id": "DB00945" }
 
 3. search_by_indication - Find drugs by medical indication
-   Parameters: query (required), limit (optional, default: 20)
+   Parameters: query (required), syntax (optional: plain (default) or advanced), limit (optional, default: 20)
+   Plain queries match every word as typed; advanced queries support "phrases", AND/OR/NOT, (groups), prefix* and field:term (fields: indication, mechanism, pharmacodynamics, toxicity, metabolism, absorption, name)
    Example: { "method": "search_by_indication", "query": "pain" }
+   Example: { "method": "search_by_indication", "query": "pain NOT arthritis mechanism:COX", "syntax": "advanced" }
 
 4. search_by_target - Find drugs by target protein/enzyme
    Parameters: target (required), limit (optional, default: 20)
    Example: { "method": "search_by_target", "target": "COX-2" }
 
-5. get_drug_interactions - Get drug-drug interactions
-   Parameters: drugbank_id (required)
-   Example: { "method": "get_drug_interactions", "drugbank_id": "DB00945" }
+5. get_drug_interactions - Get drug-drug interactions (paginated)
+   Parameters: drugbank_id (required), limit (optional, default: 100), offset (optional, default: 0),
+               direction (optional: "forward" = interactions on this drug's record, "reverse" = drugs listing this drug),
+               severity (optional: major/moderate/minor), effect_type (optional, e.g. bleeding, qtc_prolongation, metabolism)
+   Each interaction is classified with effect_type, mechanism (pharmacokinetic/pharmacodynamic), effect_direction and severity
+   Example: { "method": "get_drug_interactions", "drugbank_id": "DB00682", "severity": ["major"] }
 
-6. search_by_atc_code - Search by ATC classification code
-   Parameters: code (required), limit (optional, default: 20)
-   Example: { "method": "search_by_atc_code", "code": "N02BA" }
+6. search_by_atc_code - Find every drug classified under an ATC code at any level (prefix match: "C09A" finds C09AA01, ...)
+   Parameters: code (required, e.g. C, C09, C09A, C09AA, C09AA01), limit (optional, default: 20)
+   Each result lists its matched_atc_codes
+   Example: { "method": "search_by_atc_code", "code": "C09A" }
 
 7. get_pathways - Get metabolic pathways for a drug
    Parameters: drugbank_id (required)
    Example: { "method": "get_pathways", "drugbank_id": "DB00945" }
 
-8. search_by_structure - Search by chemical structure (SMILES/InChI)
-   Parameters: smiles or inchi (required), limit (optional, default: 20)
-   Example: { "method": "search_by_structure", "smiles": "CC(=O)Oc1ccccc1C(=O)O" }
+8. search_by_structure - Search by chemical structure
+   SMILES ranks drugs by fingerprint (Tanimoto) similarity; InChIKey/InChI find exact matches
+   Parameters: smiles, inchikey or inchi (one required), min_similarity (optional, 0-1, default: 0.7), limit (optional, default: 20)
+   Example: { "method": "search_by_structure", "smiles": "CC(=O)Oc1ccccc1C(=O)O", "min_similarity": 0.5 }
 
-9. get_products - Get market products for a drug
-   Parameters: drugbank_id (required), country (optional)
-   Example: { "method": "get_products", "drugbank_id": "DB00945", "country": "US" }
+9. get_products - Get market products for a drug (NDC codes, dosage form, strength, route, marketing dates)
+   Parameters: drugbank_id (required), country, route, dosage_form, generic, otc, marketing_status (all optional),
+   limit (optional, default: 100)
+   Example: { "method": "get_products", "drugbank_id": "DB00945", "country": "US", "route": "oral", "marketing_status": "marketed" }
 
-10. search_by_category - Search drugs by category
-    Parameters: category (required), limit (optional, default: 20)
-    Example: { "method": "search_by_category", "category": "Anti-inflammatory" }
+10. search_by_category - Search drugs by category name or MeSH ID (list_categories shows both)
+    Parameters: category and/or mesh_id (at least one required), match (optional: partial (default) or exact,
+    case-insensitive), limit (optional, default: 20)
+    Each result lists its matched_categories with their MeSH IDs
+    Example: { "method": "search_by_category", "category": "Anticoagulants", "match": "exact" }
+    Example: { "method": "search_by_category", "mesh_id": "D000925" }
 
 11. get_external_identifiers - Get cross-database identifiers (PubChem, ChEMBL, KEGG, etc.)
     Parameters: drugbank_id (required)
@@ -89,6 +110,8 @@ Available methods:
 
 12. search_by_halflife - Find drugs by elimination half-life range (in hours)
     Parameters: min_hours (optional), max_hours (optional), limit (optional, default: 20)
+    Each result has the half_life text, half_life_hours (typical value) and parsed { min, max, typical, unit,
+    source_unit, population, confidence (high, medium, low), matched_text, multiple_values }
     Example: { "method": "search_by_halflife", "min_hours": 12, "max_hours": 48 }
 
 13. get_similar_drugs - Find drugs similar to a given drug (by shared targets, categories, ATC codes)
@@ -105,7 +128,117 @@ Available methods:
 
 16. get_salts - Get salt forms for a drug (e.g., hydrochloride, sulfate)
     Parameters: drugbank_id (required)
-    Example: { "method": "get_salts", "drugbank_id": "DB00945" }`,
+    Example: { "method": "get_salts", "drugbank_id": "DB00945" }
+
+17. check_interactions - Check all pairwise interactions within a medication list
+    Parameters: drugs (required, array of DrugBank IDs or exact drug names)
+    Example: { "method": "check_interactions", "drugs": ["DB00945", "Warfarin", "DB01026"] }
+
+18. search_by_substructure - Find drugs containing a chemical fragment
+    Parameters: smiles or smarts (one required), limit (optional, default: 20)
+    Example: { "method": "search_by_substructure", "smarts": "O=C1CCN1" }
+
+19. search_by_properties - Filter drugs by physicochemical properties
+    Parameters: min_/max_ of molecular_weight, logp, logs, h_bond_donors, h_bond_acceptors,
+    polar_surface_area, rotatable_bonds, ring_count, physiological_charge;
+    rule_of_five, veber_rule, ghose_filter (true/false); at least one required; limit (optional, default: 20)
+    Example: { "method": "search_by_properties", "max_molecular_weight": 350, "min_logp": 1, "max_logp": 3, "rule_of_five": true }
+
+20. search_by_product - Resolve brand names, international brands, NDC codes and labellers to drugs
+    Parameters: query (brand/product name), ndc, labeller (at least one required), limit (optional, default: 20)
+    Example: { "method": "search_by_product", "query": "Coumadin" }
+
+21. search_text - Search mechanism of action, pharmacodynamics, toxicity, metabolism and absorption text
+    Parameters: query (required), search_fields (optional: any of mechanism, pharmacodynamics, toxicity, metabolism,
+    absorption, indication, name; default: the first five), syntax (optional: plain or advanced), limit (optional, default: 20)
+    Each result has snippets [{ field, text }] with the matched words in **bold**
+    Example: { "method": "search_text", "query": "hepatotoxicity", "search_fields": ["toxicity"] }
+
+22. search_by_enzyme - Find drugs metabolised by, inhibiting or inducing an enzyme
+    Parameters: enzyme (required, name or gene, e.g. "CYP3A4"), role (optional: substrate, inhibitor, inducer),
+    limit (optional, default: 20)
+    Example: { "method": "search_by_enzyme", "enzyme": "CYP3A4", "role": "inhibitor" }
+
+23. get_metabolism_profile - Summarize which cytochrome P450s metabolise, inhibit and induce a drug
+    Parameters: drugbank_id (required)
+    Example: { "method": "get_metabolism_profile", "drugbank_id": "DB01026" }
+
+24. get_targets - Get a drug's targets with UniProt ID, gene name, HGNC ID, chromosome/cellular location and actions
+    Parameters: drugbank_id (required)
+    Example: { "method": "get_targets", "drugbank_id": "DB00945" }
+
+25. search_by_gene - Find drugs whose targets are encoded by a gene
+    Parameters: gene (required, exact gene symbol or HGNC ID), limit (optional, default: 20)
+    Example: { "method": "search_by_gene", "gene": "PTGS2" }
+
+26. get_target - Get a target and every drug acting on it, with each drug's actions, known_action and groups
+    Parameters: target (required, DrugBank target ID, UniProt accession, gene symbol or HGNC ID)
+    Example: { "method": "get_target", "target": "P35354" }
+
+27. get_atc_tree - Browse the ATC hierarchy: a code's name and level, its parents and its children, with drug counts
+    Parameters: code (optional, ATC code at any level; default: the anatomical main groups)
+    Example: { "method": "get_atc_tree", "code": "C09" }
+
+28. list_categories - List drug categories with their MeSH IDs and drug counts
+    Parameters: query (optional, names containing it, those starting with it first), limit (optional, default: 50)
+    Without query, categories come by drug count
+    Example: { "method": "list_categories", "query": "anticoag" }
+
+29. search_by_chemical_class - Find drugs by ClassyFire chemical taxonomy (no structure needed)
+    Parameters: chemical_class (required, taxonomy name), class_level (optional: kingdom, superclass, class, subclass,
+    direct_parent, alternative_parent, substituent; default: any), match (optional: partial (default) or exact),
+    limit (optional, default: 20)
+    Each result lists its matched_classes { level, name }; get_drug_details includes the full classification
+    Example: { "method": "search_by_chemical_class", "chemical_class": "Benzodiazepines", "class_level": "class", "groups": ["approved"] }
+    Example: { "method": "search_by_chemical_class", "chemical_class": "sulfonamide", "class_level": "substituent" }
+
+30. search_by_protein_binding - Find drugs by plasma protein binding (percent bound)
+    Parameters: min_percent (optional), max_percent (optional), limit (optional, default: 20)
+    Each result has the protein_binding text, protein_binding_percent (typical value) and parsed { min, max, typical, unit }
+    Example: { "method": "search_by_protein_binding", "min_percent": 95 }
+
+31. search_by_volume_of_distribution - Find drugs by volume of distribution (L/kg)
+    Parameters: min_l_per_kg (optional), max_l_per_kg (optional), limit (optional, default: 20)
+    Absolute volumes (L) are scaled to a 70 kg adult; parsed.per_kg is false for those
+    Example: { "method": "search_by_volume_of_distribution", "min_l_per_kg": 5 }
+
+32. search_by_clearance - Find drugs by clearance (mL/min/kg)
+    Parameters: min_ml_min_kg (optional), max_ml_min_kg (optional), limit (optional, default: 20)
+    Absolute clearances (mL/min, L/h) are scaled to a 70 kg adult; parsed.per_kg is false for those
+    Example: { "method": "search_by_clearance", "max_ml_min_kg": 1 }
+
+33. search_by_food_interaction - Find drugs by their food interaction notes
+    Parameters: food and/or food_category (at least one required; food matches note text, case-insensitive),
+    limit (optional, default: 20)
+    Categories: avoid_alcohol, avoid_grapefruit, take_with_food, take_without_food, take_with_or_without_food,
+    avoid_st_johns_wort, avoid_herbal_supplements, limit_vitamin_k, limit_caffeine, separate_from_minerals, other
+    Each result lists its matched_food_interactions { description, categories }
+    Example: { "method": "search_by_food_interaction", "food": "grapefruit" }
+    Example: { "method": "search_by_food_interaction", "food_category": "take_without_food", "groups": ["approved"] }
+
+34. get_food_interactions - Get a drug's food interactions classified for patient counselling
+    Parameters: drugbank_id (required)
+    Returns guidance (one entry per category with its advice and notes) and every note with its categories
+    Example: { "method": "get_food_interactions", "drugbank_id": "DB00682" }
+
+Filters (every search_* method and get_similar_drugs; applied before limit):
+    groups (drugs in any of: approved, experimental, investigational, withdrawn, illicit, nutraceutical, vet_approved),
+    exclude_groups (drugs in none of them), state (solid, liquid, gas), type (small molecule, biotech),
+    organism (drugs with at least one target in this organism, e.g. "Humans")
+    Example: { "method": "search_by_target", "target": "prothrombin", "groups": ["approved"], "exclude_groups": ["withdrawn"] }
+
+Paging (every search_* method, get_similar_drugs, get_drug_interactions, get_products and list_categories):
+    limit, and offset or cursor (the next_cursor of the previous page). Responses report total (all matches),
+    offset, the page size (count; interaction_count / product_count) and next_cursor (null on the last page).
+    Results come in a fixed order, so pages never overlap
+    Example: { "method": "search_by_category", "category": "Anti-Bacterial Agents", "limit": 50, "offset": 50 }
+
+Response fields (get_drug_details and every method returning results; get_drug_interactions and get_products
+    apply them to each interaction or product):
+    fields (field names and presets: summary, clinical, pk, chemistry; drugbank_id and name are always kept),
+    max_text_length (cut longer text, appending …), max_items (cut longer arrays). Cut fields are listed in
+    truncated [{ field, length, returned }]
+    Example: { "method": "get_drug_details", "drugbank_id": "DB00682", "fields": ["summary", "half_life"], "max_items": 5 }`,
   inputSchema: {
     type: 'object',
     properties: {
@@ -127,42 +260,137 @@ Available methods:
           'get_similar_drugs',
           'search_by_carrier',
           'search_by_transporter',
-          'get_salts'
+          'get_salts',
+          'check_interactions',
+          'search_by_substructure',
+          'search_by_properties',
+          'search_by_product',
+          'search_text',
+          'search_by_enzyme',
+          'get_metabolism_profile',
+          'get_targets',
+          'search_by_gene',
+          'get_target',
+          'get_atc_tree',
+          'list_categories',
+          'search_by_chemical_class',
+          'search_by_protein_binding',
+          'search_by_volume_of_distribution',
+          'search_by_clearance',
+          'search_by_food_interaction',
+          'get_food_interactions'
         ],
         description: 'Method to execute'
       },
       query: {
         type: 'string',
-        description: 'Search query (for search_by_name, search_by_indication)'
+        description: 'Search query (for search_by_name, search_by_indication, search_text; brand/product name for search_by_product; category name prefix or part for list_categories)'
+      },
+      syntax: {
+        type: 'string',
+        enum: QUERY_SYNTAXES,
+        description: 'Query syntax for search_by_indication and search_text: plain (default) or advanced ("phrases", AND/OR/NOT, (groups), prefix*, field:term)'
+      },
+      search_fields: {
+        type: 'array',
+        items: { type: 'string', enum: Object.keys(TEXT_FIELDS) },
+        description: 'Text fields to search (for search_text, default: mechanism, pharmacodynamics, toxicity, metabolism, absorption)'
       },
       drugbank_id: {
         type: 'string',
-        description: 'DrugBank ID (e.g., DB00945) - for get_drug_details, get_drug_interactions, get_pathways, get_products'
+        description: 'DrugBank ID (e.g., DB00945) - for get_drug_details, get_drug_interactions, get_pathways, get_products, get_metabolism_profile, get_targets, get_food_interactions'
       },
       target: {
         type: 'string',
-        description: 'Target protein/enzyme name (for search_by_target)'
+        description: 'Target protein/enzyme name (for search_by_target); DrugBank target ID, UniProt accession, gene symbol or HGNC ID (for get_target)'
       },
       code: {
         type: 'string',
-        description: 'ATC classification code (for search_by_atc_code)'
+        description: 'ATC classification code at any level, e.g. C09A (for search_by_atc_code, get_atc_tree)'
       },
       smiles: {
         type: 'string',
-        description: 'SMILES notation (for search_by_structure)'
+        description: 'SMILES notation (for search_by_structure similarity search, or a search_by_substructure fragment)'
+      },
+      smarts: {
+        type: 'string',
+        description: 'SMARTS pattern (for search_by_substructure)'
       },
       inchi: {
         type: 'string',
-        description: 'InChI notation (for search_by_structure)'
+        description: 'InChI notation (for search_by_structure, exact match)'
+      },
+      inchikey: {
+        type: 'string',
+        description: 'InChIKey (for search_by_structure, exact match)'
+      },
+      min_similarity: {
+        type: 'number',
+        description: 'Minimum Tanimoto similarity 0-1 (for search_by_structure with smiles, default: 0.7)'
       },
+      ...Object.fromEntries(NUMERIC_PROPERTIES.flatMap(name => [
+        [`min_${name}`, { type: 'number', description: `${PROPERTY_COLUMNS[name].description}, minimum (for search_by_properties)` }],
+        [`max_${name}`, { type: 'number', description: `${PROPERTY_COLUMNS[name].description}, maximum (for search_by_properties)` }]
+      ])),
+      ...Object.fromEntries(BOOLEAN_PROPERTIES.map(name => [
+        name,
+        { type: 'boolean', description: `${PROPERTY_COLUMNS[name].description} (for search_by_properties)` }
+      ])),
       category: {
         type: 'string',
         description: 'Drug category name (for search_by_category)'
       },
+      mesh_id: {
+        type: 'string',
+        description: 'MeSH unique ID of a category, e.g. D000925 (for search_by_category)'
+      },
+      match: {
+        type: 'string',
+        enum: CATEGORY_MATCH_MODES,
+        description: 'How names match (for search_by_category, search_by_chemical_class): partial (default) or exact, case-insensitive'
+      },
+      chemical_class: {
+        type: 'string',
+        description: 'ClassyFire taxonomy name, e.g. Benzodiazepines or Sulfonamide (for search_by_chemical_class)'
+      },
+      class_level: {
+        type: 'string',
+        enum: CHEMICAL_CLASS_LEVELS,
+        description: 'Taxonomy level to search (optional, for search_by_chemical_class; default: any)'
+      },
       country: {
         type: 'string',
         description: 'Country code (optional, for get_products)'
       },
+      ndc: {
+        type: 'string',
+        description: 'NDC product or package code, e.g. 0280-2000 (for search_by_product)'
+      },
+      labeller: {
+        type: 'string',
+        description: 'Product labeller/manufacturer (for search_by_product)'
+      },
+      route: {
+        type: 'string',
+        description: 'Route of administration, e.g. oral (optional, for get_products)'
+      },
+      dosage_form: {
+        type: 'string',
+        description: 'Dosage form, e.g. tablet (optional, for get_products)'
+      },
+      generic: {
+        type: 'boolean',
+        description: 'Only generic (true) or branded (false) products (optional, for get_products)'
+      },
+      otc: {
+        type: 'boolean',
+        description: 'Only over-the-counter (true) or prescription (false) products (optional, for get_products)'
+      },
+      marketing_status: {
+        type: 'string',
+        enum: MARKETING_STATUSES,
+        description: 'Marketing status (optional, for get_products)'
+      },
       min_hours: {
         type: 'number',
         description: 'Minimum half-life in hours (for search_by_halflife)'
@@ -171,6 +399,52 @@ Available methods:
         type: 'number',
         description: 'Maximum half-life in hours (for search_by_halflife)'
       },
+      food: {
+        type: 'string',
+        description: 'Text a food interaction note contains, e.g. grapefruit, alcohol, "take with food" (for search_by_food_interaction)'
+      },
+      food_category: {
+        type: 'string',
+        enum: FOOD_INTERACTION_CATEGORIES,
+        description: 'Food interaction counselling category (for search_by_food_interaction)'
+      },
+      min_percent: {
+        type: 'number',
+        description: 'Minimum plasma protein binding in percent (for search_by_protein_binding)'
+      },
+      max_percent: {
+        type: 'number',
+        description: 'Maximum plasma protein binding in percent (for search_by_protein_binding)'
+      },
+      min_l_per_kg: {
+        type: 'number',
+        description: 'Minimum volume of distribution in L/kg (for search_by_volume_of_distribution)'
+      },
+      max_l_per_kg: {
+        type: 'number',
+        description: 'Maximum volume of distribution in L/kg (for search_by_volume_of_distribution)'
+      },
+      min_ml_min_kg: {
+        type: 'number',
+        description: 'Minimum clearance in mL/min/kg (for search_by_clearance)'
+      },
+      max_ml_min_kg: {
+        type: 'number',
+        description: 'Maximum clearance in mL/min/kg (for search_by_clearance)'
+      },
+      gene: {
+        type: 'string',
+        description: 'Target gene symbol or HGNC ID, e.g. PTGS2 or HGNC:9605 (for search_by_gene)'
+      },
+      enzyme: {
+        type: 'string',
+        description: 'Enzyme name or gene, e.g. CYP3A4 (for search_by_enzyme)'
+      },
+      role: {
+        type: 'string',
+        enum: ENZYME_ROLES,
+        description: 'Drug role for the enzyme (optional, for search_by_enzyme)'
+      },
       carrier: {
         type: 'string',
         description: 'Carrier protein name (for search_by_carrier)'
@@ -179,10 +453,75 @@ Available methods:
         type: 'string',
         description: 'Transporter protein name (for search_by_transporter)'
       },
+      drugs: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'DrugBank IDs or exact drug names (for check_interactions)'
+      },
+      direction: {
+        type: 'string',
+        enum: ['forward', 'reverse'],
+        description: 'Interaction lookup direction (for get_drug_interactions, default: forward)'
+      },
+      severity: {
+        type: 'array',
+        items: { type: 'string', enum: SEVERITY_LEVELS },
+        description: 'Interaction severity filter (for get_drug_interactions)'
+      },
+      effect_type: {
+        type: 'array',
+        items: { type: 'string', enum: EFFECT_TYPES },
+        description: 'Interaction effect type filter (for get_drug_interactions)'
+      },
+      groups: {
+        type: 'array',
+        items: { type: 'string', enum: DRUG_GROUPS },
+        description: 'Only drugs in at least one of these groups (optional, for search methods and get_similar_drugs)'
+      },
+      exclude_groups: {
+        type: 'array',
+        items: { type: 'string', enum: DRUG_GROUPS },
+        description: 'Drop drugs in any of these groups (optional, for search methods and get_similar_drugs)'
+      },
+      state: {
+        type: 'string',
+        enum: DRUG_STATES,
+        description: 'Physical state (optional, for search methods and get_similar_drugs)'
+      },
+      type: {
+        type: 'string',
+        enum: DRUG_TYPES,
+        description: 'Drug type (optional, for search methods and get_similar_drugs)'
+      },
+      organism: {
+        type: 'string',
+        description: 'Only drugs with a target in this organism, e.g. Humans (optional, for search methods and get_similar_drugs)'
+      },
       limit: {
         type: 'number',
         description: 'Maximum number of results (default: 20)',
         default: 20
+      },
+      offset: {
+        type: 'number',
+        description: 'Number of results to skip (default: 0; for list methods, see Paging)'
+      },
+      cursor: {
+        type: 'string',
+        description: 'next_cursor from the previous page of the same query, instead of offset (optional, for list methods)'
+      },
+      fields: {
+        type: 'array',
+        items: { type: 'string' },
+        description: `Drug fields to return, by name or preset (${Object.keys(FIELD_PRESETS).join(', ')}); for get_drug_details, methods returning results, get_drug_interactions and get_products`
+      },
+      max_text_length: {
+        type: 'number',
+        description: 'Cut text fields longer than this many characters (optional, see Response fields)'
+      },
+      max_items: {
+        type: 'number',
+        description: 'Cut array fields longer than this many items (optional, see Response fields)'
       }
     },
     required: ['method'],
@@ -222,7 +561,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       content: [
         {
           type: 'text',
-          text: JSON.stringify(result, null, 2)
+          text: JSON.stringify(result)
         }
       ]
     };
@@ -236,7 +575,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             error: error.message,
             tool: name,
             arguments: args
-          }, null, 2)
+          })
         }
       ],
       isError: true
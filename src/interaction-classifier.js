@@ -0,0 +1,121 @@
+/**
+ * Drug Interaction Classifier
+ *
+ * Classifies DrugBank interaction descriptions into an effect type,
+ * mechanism and direction using the templates DrugBank writes them in
+ * (e.g., "The metabolism of X can be decreased when combined with Y.")
+ *
+ * Severity is derived from the effect type - DrugBank's open data does not
+ * ship its own severity rating, so treat it as a triage aid, not a clinical grade
+ */
+
+/**
+ * Effect type rules, checked in order (first match wins)
+ * Pharmacokinetic templates come first because their wording is the most specific;
+ * absorption/excretion precede serum concentration, which they often mention as a consequence
+ */
+const EFFECT_RULES = [
+  { effectType: 'metabolism', mechanism: 'pharmacokinetic', pattern: /\bmetabolism of\b/ },
+  { effectType: 'absorption', mechanism: 'pharmacokinetic', pattern: /\babsorption of\b/ },
+  { effectType: 'excretion', mechanism: 'pharmacokinetic', pattern: /\bexcretion (?:rate )?of\b/ },
+  { effectType: 'serum_concentration', mechanism: 'pharmacokinetic', pattern: /\bserum concentration\b/ },
+  { effectType: 'bioavailability', mechanism: 'pharmacokinetic', pattern: /\bbioavailability of\b/ },
+  { effectType: 'protein_binding', mechanism: 'pharmacokinetic', pattern: /\bprotein binding of\b/ },
+  { effectType: 'therapeutic_efficacy', mechanism: 'pharmacodynamic', pattern: /\btherapeutic efficacy\b/ },
+  { effectType: 'qtc_prolongation', mechanism: 'pharmacodynamic', pattern: /\bqtc[ -]prolong/ },
+  { effectType: 'bleeding', mechanism: 'pharmacodynamic', pattern: /\bbleeding\b|\bhemorrhage\b|\banticoagulant activit|\bantiplatelet activit/ },
+  { effectType: 'serotonin_syndrome', mechanism: 'pharmacodynamic', pattern: /\bserotonin syndrome\b|\bserotonergic activit/ },
+  { effectType: 'cns_depression', mechanism: 'pharmacodynamic', pattern: /\bcns depress|\bcentral nervous system depress|\brespiratory depress|\bsedative activit/ },
+  { effectType: 'hypotension', mechanism: 'pharmacodynamic', pattern: /\bhypotensi/ },
+  { effectType: 'hypertension', mechanism: 'pharmacodynamic', pattern: /\bhypertensi/ },
+  { effectType: 'hyperkalemia', mechanism: 'pharmacodynamic', pattern: /\bhyperkalemi/ },
+  { effectType: 'hypoglycemia', mechanism: 'pharmacodynamic', pattern: /\bhypoglycemi/ },
+  { effectType: 'myopathy', mechanism: 'pharmacodynamic', pattern: /\bmyopath|\brhabdomyolysis\b/ },
+  { effectType: 'nephrotoxicity', mechanism: 'pharmacodynamic', pattern: /\bnephrotoxic/ },
+  { effectType: 'hepatotoxicity', mechanism: 'pharmacodynamic', pattern: /\bhepatotoxic/ },
+  { effectType: 'neurotoxicity', mechanism: 'pharmacodynamic', pattern: /\bneurotoxic/ },
+  { effectType: 'seizures', mechanism: 'pharmacodynamic', pattern: /\bseizure/ },
+  { effectType: 'bradycardia', mechanism: 'pharmacodynamic', pattern: /\bbradycardi/ },
+  { effectType: 'methemoglobinemia', mechanism: 'pharmacodynamic', pattern: /\bmethemoglobinemia\b/ },
+  { effectType: 'immunosuppression', mechanism: 'pharmacodynamic', pattern: /\bimmunosuppressive activit|\binfection\b/ },
+  { effectType: 'hypersensitivity', mechanism: 'pharmacodynamic', pattern: /\bhypersensitivity\b/ },
+  { effectType: 'adverse_effects', mechanism: 'pharmacodynamic', pattern: /\badverse effects\b/ },
+  { effectType: 'activity', mechanism: 'pharmacodynamic', pattern: /\b(?:increase|decrease)s? the .+ activit/ }
+];
+
+/**
+ * Effect types that warrant the highest triage priority when the risk increases
+ */
+const MAJOR_EFFECT_TYPES = new Set([
+  'qtc_prolongation',
+  'bleeding',
+  'serotonin_syndrome',
+  'cns_depression',
+  'hyperkalemia',
+  'myopathy',
+  'nephrotoxicity',
+  'hepatotoxicity',
+  'neurotoxicity',
+  'seizures',
+  'methemoglobinemia'
+]);
+
+/**
+ * Effect types that rarely change management on their own
+ */
+const MINOR_EFFECT_TYPES = new Set(['protein_binding', 'other']);
+
+export const EFFECT_TYPES = [...EFFECT_RULES.map(rule => rule.effectType), 'other'];
+
+export const SEVERITY_LEVELS = ['major', 'moderate', 'minor'];
+
+/**
+ * Classify an interaction description
+ * Returns { effect_type, mechanism, effect_direction, severity }
+ */
+export function classifyInteraction(description) {
+  const text = (description || '').toLowerCase();
+
+  const rule = EFFECT_RULES.find(r => r.pattern.test(text));
+  const effectType = rule ? rule.effectType : 'other';
+  const direction = detectDirection(text);
+
+  return {
+    effect_type: effectType,
+    mechanism: rule ? rule.mechanism : null,
+    effect_direction: direction,
+    severity: rateSeverity(effectType, direction)
+  };
+}
+
+/**
+ * Detect whether the described effect increases or decreases
+ * Uses the first directional verb, which is the one attached to the effect
+ * ("may decrease the excretion rate ... which could result in a higher serum level")
+ */
+function detectDirection(text) {
+  const match = text.match(/\b(increas\w*|decreas\w*|reduc\w*|higher|lower)\b/);
+  if (!match) return null;
+
+  return /^(increas|higher)/.test(match[1]) ? 'increase' : 'decrease';
+}
+
+/**
+ * Derive a triage severity from the effect type and direction
+ */
+function rateSeverity(effectType, direction) {
+  if (MINOR_EFFECT_TYPES.has(effectType)) return 'minor';
+
+  if (MAJOR_EFFECT_TYPES.has(effectType)) {
+    // "The risk or severity of bleeding can be decreased" is not a safety concern
+    return direction === 'decrease' ? 'minor' : 'major';
+  }
+
+  return 'moderate';
+}
+
+export default {
+  EFFECT_TYPES,
+  SEVERITY_LEVELS,
+  classifyInteraction
+};
@@ -0,0 +1,208 @@
+/**
+ * Name Search
+ *
+ * The names a drug can be found by (its name, synonyms and IUPAC names), the
+ * tokenizer and BM25 scoring used to rank them, and the edit-distance matching
+ * behind typo-tolerant search, shared by both backends
+ */
+
+/**
+ * How a search_by_name hit matched, best first
+ * - exact: the query is the drug's name
+ * - synonym: the query is one of its synonyms or IUPAC names
+ * - prefix: every query word starts a word of a name
+ * - brand: one of its products or international brands carries the name
+ * - fuzzy: a name (or one of its words) is within a few typos of the query
+ */
+export const NAME_MATCH_TYPES = ['exact', 'synonym', 'prefix', 'brand', 'fuzzy'];
+
+export const NAME_TYPES = ['name', 'synonym', 'iupac'];
+
+// Calculated properties holding IUPAC names
+const IUPAC_KINDS = ['IUPAC Name', 'Traditional IUPAC Name'];
+
+// BM25 parameters (SQLite FTS5 defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Candidate rows fetched from the trigram index for fuzzy matching
+export const FUZZY_CANDIDATE_LIMIT = 1000;
+
+/**
+ * Lowercase, strip diacritics and collapse whitespace
+ */
+export function normalizeName(text) {
+  return text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a name into words the way the FTS5 unicode61 tokenizer does
+ */
+export function tokenizeName(text) {
+  return normalizeName(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Searchable names of a drug record: [{ name, name_type }], the drug name first
+ * Names that normalize to one already listed are dropped
+ */
+export function extractSearchNames(record) {
+  const calculated = record.calculated_properties || {};
+  const candidates = [
+    { name: record.name, name_type: 'name' },
+    ...(record.synonyms || []).map(name => ({ name, name_type: 'synonym' })),
+    ...IUPAC_KINDS.map(kind => ({ name: calculated[kind], name_type: 'iupac' }))
+  ];
+
+  const seen = new Set();
+  return candidates.filter(({ name }) => {
+    if (!name) return false;
+    const key = normalizeName(name);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * FTS5 query matching names where every query word starts a word (null if the query has no words)
+ */
+export function toPrefixQuery(query) {
+  const tokens = tokenizeName(query);
+  return tokens.length > 0 ? tokens.map(token => `"${token}"*`).join(' ') : null;
+}
+
+/**
+ * FTS5 query over the trigram index matching names sharing any trigram with the query
+ */
+export function toTrigramQuery(query) {
+  const text = normalizeName(query);
+  const grams = new Set();
+  for (let i = 0; i + 3 <= text.length; i++) grams.add(text.slice(i, i + 3));
+  return grams.size > 0 ? [...grams].map(gram => `"${gram.replace(/"/g, '""')}"`).join(' OR ') : null;
+}
+
+/**
+ * Number of words in `tokens` starting with each query word
+ */
+export function prefixTermFrequencies(queryTokens, tokens) {
+  return queryTokens.map(term => tokens.filter(token => token.startsWith(term)).length);
+}
+
+/**
+ * BM25 relevance of one name, computed as FTS5's bm25() does (higher is better)
+ * `hits[i]` is the number of names matching query word i; `rows` and
+ * `averageLength` describe all indexed names
+ */
+export function bm25Score(termFrequencies, length, { hits, rows, averageLength }) {
+  let score = 0;
+  termFrequencies.forEach((tf, i) => {
+    let idf = Math.log((rows - hits[i] + 0.5) / (hits[i] + 0.5));
+    if (idf <= 0) idf = 1e-6;
+    score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength));
+  });
+  return score;
+}
+
+/**
+ * Classify a name matched by the prefix query: exact, synonym or prefix
+ */
+export function classifyNameMatch(query, { name, name_type }) {
+  if (normalizeName(name) !== normalizeName(query)) return 'prefix';
+  return name_type === 'name' ? 'exact' : 'synonym';
+}
+
+/**
+ * Typos tolerated for a query: none below 4 characters, one up to 7, then two
+ */
+function maxEdits(length) {
+  return length < 4 ? 0 : length < 8 ? 1 : 2;
+}
+
+/**
+ * Levenshtein distance, or max + 1 once it is known to exceed max
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Fuzzy similarity (0-1) of a name to the query, comparing the whole name and
+ * each of its words; null when neither is within the tolerated typos
+ */
+export function fuzzyScore(query, name) {
+  const text = normalizeName(query);
+  const max = maxEdits(text.length);
+  if (max === 0) return null;
+
+  const normalized = normalizeName(name);
+  let best = null;
+  for (const candidate of new Set([normalized, ...tokenizeName(normalized)])) {
+    const distance = editDistance(text, candidate, max);
+    if (distance > max) continue;
+    const similarity = 1 - distance / Math.max(text.length, candidate.length);
+    if (best === null || similarity > best) best = similarity;
+  }
+  return best;
+}
+
+/**
+ * Rank name hits: best match type first, then score, then DrugBank ID
+ * Keeps each drug's best hit
+ */
+export function rankNameMatches(hits) {
+  const best = new Map();
+  for (const hit of hits) {
+    const current = best.get(hit.drugbank_id);
+    if (!current || compareNameMatches(hit, current) < 0) best.set(hit.drugbank_id, hit);
+  }
+  return [...best.values()].sort(compareNameMatches);
+}
+
+function compareNameMatches(a, b) {
+  return NAME_MATCH_TYPES.indexOf(a.match_type) - NAME_MATCH_TYPES.indexOf(b.match_type) ||
+    b.score - a.score ||
+    (a.drugbank_id < b.drugbank_id ? -1 : a.drugbank_id > b.drugbank_id ? 1 : 0);
+}
+
+/**
+ * Round a score for output (keeps both backends' floating point noise out of results)
+ */
+export function roundScore(score) {
+  return Math.round(score * 10000) / 10000;
+}
+
+export default {
+  NAME_MATCH_TYPES,
+  NAME_TYPES,
+  FUZZY_CANDIDATE_LIMIT,
+  normalizeName,
+  tokenizeName,
+  extractSearchNames,
+  toPrefixQuery,
+  toTrigramQuery,
+  prefixTermFrequencies,
+  bm25Score,
+  classifyNameMatch,
+  editDistance,
+  fuzzyScore,
+  rankNameMatches,
+  roundScore
+};
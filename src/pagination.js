@@ -0,0 +1,57 @@
+/**
+ * Pagination
+ *
+ * Every list-returning method returns one page ({ limit, offset }) of a
+ * deterministically ordered list with the total number of matches, so pages
+ * never overlap. Cursors are opaque strings for the next page's offset, bound
+ * to the query that produced them
+ */
+
+import crypto from 'crypto';
+
+// Request parameters that select a page or shape it rather than the query
+const PAGE_PARAMS = ['limit', 'offset', 'cursor', 'fields', 'max_text_length', 'max_items'];
+
+/**
+ * One page of an ordered list: { total, results }
+ */
+export function paginate(items, { limit = 20, offset = 0 } = {}) {
+  return { total: items.length, results: items.slice(offset, offset + limit) };
+}
+
+/**
+ * Short hash identifying a request's query (every parameter except paging and shaping ones)
+ */
+export function querySignature(params) {
+  const query = Object.keys(params)
+    .filter(key => !PAGE_PARAMS.includes(key) && params[key] !== undefined)
+    .sort()
+    .map(key => [key, params[key]]);
+  return crypto.createHash('sha256').update(JSON.stringify(query)).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Cursor for the page starting at offset of the query with the given signature
+ */
+export function encodeCursor(offset, signature) {
+  return Buffer.from(JSON.stringify({ o: offset, q: signature })).toString('base64url');
+}
+
+/**
+ * Decode a cursor into { offset, signature }; null when it is not a valid cursor
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { o, q } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(o) && o >= 0 && typeof q === 'string' ? { offset: o, signature: q } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export default {
+  paginate,
+  querySignature,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,304 @@
+/**
+ * Pharmacokinetics
+ *
+ * Normalizes DrugBank's free-text pharmacokinetic fields into ranges
+ * { min, max, typical } in one unit per parameter: half-life in hours, protein
+ * binding in percent, volume of distribution in L/kg and clearance in mL/min/kg.
+ * The typical values are the numeric columns searches use; shared by the
+ * database build, the XML backend and the migration script
+ */
+
+/**
+ * Numeric PK parameters: the record text field, the record column holding
+ * the typical value and its unit
+ */
+export const PK_PARAMETERS = {
+  half_life: { column: 'half_life_hours', unit: 'hours' },
+  protein_binding: { column: 'protein_binding_percent', unit: '%' },
+  volume_of_distribution: { column: 'volume_of_distribution_l_kg', unit: 'L/kg' },
+  clearance: { column: 'clearance_ml_min_kg', unit: 'mL/min/kg' }
+};
+
+// Adult body weight used to turn absolute volumes and clearances into per-kg values
+export const REFERENCE_WEIGHT_KG = 70;
+
+// A number, with thousands separators (1,200) or decimals
+const NUMBER_PATTERN = '(?:\\d{1,3}(?:,\\d{3})+|\\d*\\.?\\d+)';
+
+// A value, range ("4-5", "20 to 60", "between 5 and 7") or mean and spread ("25 ± 10"),
+// optionally bounded ("less than 5"); the number may not continue a word or number
+// (CYP3A4, 2,3). With lowUnit, a range may also give a unit on its low end
+// ("30 minutes to 2 hours", "10% to 25%")
+function valuePattern(lowUnit = null) {
+  const low = lowUnit ? `(?:\\s*(?<low_unit>${lowUnit})(?![a-z]))?` : '';
+  return '(?:(?<bound>less than|more than|greater than|up to|under|over|<|>|≤|≥)\\s*|between\\s+)?' +
+    `(?<![\\w.]|\\d,)(?<value>${NUMBER_PATTERN})${low}` +
+    `(?:\\s*(?:-|–|—|to|(?<=\\bbetween\\s+\\S+(?:\\s+\\S+)?\\s*)and)\\s*(?<high>${NUMBER_PATTERN})|` +
+    `\\s*(?:±|\\+\\/-|\\+-)\\s*(?<spread>${NUMBER_PATTERN}))?\\s*`;
+}
+
+const UPPER_BOUNDS = ['less than', 'up to', 'under', '<', '≤'];
+
+const HALF_LIFE_UNITS = {
+  seconds: { pattern: 'seconds?|secs?', hours: 1 / 3600 },
+  minutes: { pattern: 'minutes?|mins?', hours: 1 / 60 },
+  hours: { pattern: 'hours?|hrs?|h', hours: 1 },
+  days: { pattern: 'days?|d', hours: 24 },
+  weeks: { pattern: 'weeks?|wks?|w', hours: 24 * 7 }
+};
+
+const HALF_LIFE_UNIT_PATTERN = Object.values(HALF_LIFE_UNITS).map(unit => unit.pattern).join('|');
+
+const HALF_LIFE_PATTERN = new RegExp(`${valuePattern(HALF_LIFE_UNIT_PATTERN)}(?<unit>${HALF_LIFE_UNIT_PATTERN})(?![a-z])`, 'g');
+
+const PERCENT_PATTERN = new RegExp(`${valuePattern('%|percent')}(?<unit>%|percent(?![a-z]))`, 'g');
+
+// Volume, then any of per kg, per time unit or per 1.73 m² body surface ("mL/min/1.73 m2")
+const VOLUME_RATE_PATTERN = new RegExp(
+  `${valuePattern()}(?<unit>(?<volume>ml|l|lit(?:er|re)s?)` +
+  '(?<per>(?:\\s*(?:\\/|per)\\s*(?:kg|min(?:ute)?s?|h(?:ou)?r?s?|days?|1\\.73\\s*m(?:2|²)?))*))(?![a-z])', 'g'
+);
+
+// Protein binding stated as absent ("does not bind to plasma proteins")
+const NO_BINDING_PATTERN = /\b(?:does not|do not|not|no|negligibl[ey])\s+(?:significantly\s+|appreciably\s+)?(?:bind|bound|binding|protein binding)\b/;
+
+// Who a half-life was measured in ("in patients with normal renal function")
+const POPULATION_PATTERN = /\b(?:in|among)\s+((?:(?:healthy|adult|elderly|young|pediatric|paediatric|geriatric)\s+)*(?:patients|adults|children|neonates|newborns|infants|volunteers|subjects|elderly|women|men|individuals)\b[^.;,]*)/;
+
+// Mention ends a sentence: semicolon, or a period that is not a decimal point
+const SENTENCE_END = /;|\.(?!\d)/;
+
+function parseNumber(number) {
+  return parseFloat(number.replace(/,/g, ''));
+}
+
+/**
+ * Every value with a unit matching pattern, in text order, as
+ * { min, max, typical, groups, start, end }, in the unit toBase converts to
+ * (toBase gives the factor for a unit as written; a range's low end may have its own)
+ * Ranges average their ends, spreads keep the mean and bounds ("under 5")
+ * give the bound as typical value with the other end open (null)
+ */
+function scanValues(text, pattern, toBase = () => 1) {
+  return [...text.matchAll(pattern)].map(match => {
+    const { bound, value, low_unit: lowUnit, high, spread, unit } = match.groups;
+    const factor = toBase(unit);
+    const number = parseNumber(value) * (lowUnit ? toBase(lowUnit) : factor);
+    const range = { min: number, max: number, typical: number };
+
+    if (high !== undefined) {
+      const [min, max] = [number, parseNumber(high) * factor].sort((a, b) => a - b);
+      Object.assign(range, { min, max, typical: (min + max) / 2 });
+    } else if (spread !== undefined) {
+      const deviation = parseNumber(spread) * factor;
+      Object.assign(range, { min: Math.max(number - deviation, 0), max: number + deviation });
+    } else if (bound) {
+      if (UPPER_BOUNDS.includes(bound)) range.min = null;
+      else range.max = null;
+    }
+
+    return { ...range, groups: match.groups, start: match.index, end: match.index + match[0].length };
+  });
+}
+
+// Apply a unit conversion to a range, rounding away float noise
+function scaleRange({ min, max, typical }, factor) {
+  const scale = value => value === null ? null : Number((value * factor).toPrecision(6));
+  return { min: scale(min), max: scale(max), typical: scale(typical) };
+}
+
+// The rest of the sentence after a mention
+function sentenceAfter(text, position) {
+  const rest = text.slice(position);
+  const end = rest.search(SENTENCE_END);
+  return end === -1 ? rest : rest.slice(0, end);
+}
+
+function collapseText(text) {
+  return text && typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '';
+}
+
+function lowerText(text) {
+  return collapseText(text).toLowerCase();
+}
+
+/**
+ * How far a parsed half-life can be trusted
+ * - high: the text states one value (a mean within its range aside)
+ * - medium: other values all fall within it, it is an open bound ("under 2 hours"),
+ *   or the text is about metabolites
+ * - low: the text states other values outside it (parent and metabolite,
+ *   phases, populations), so which one is the drug's half-life is a guess, or
+ *   it is the high end of a range whose low end could not be read
+ */
+export const HALF_LIFE_CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+// Hours per half-life unit as written ("min", "hrs")
+function halfLifeUnit(written) {
+  const [name, { hours }] = Object.entries(HALF_LIFE_UNITS)
+    .find(([, unit]) => new RegExp(`^(?:${unit.pattern})$`).test(written));
+  return { name, hours };
+}
+
+/**
+ * Parse half-life text ("4-5 hours", "25 ± 10 min", "approximately 2 days",
+ * "30 minutes to 2 hours")
+ * Returns { min, max, typical, unit: 'hours', source_unit, population, confidence,
+ * matched_text, multiple_values }, or null
+ * - the first value stated is the drug's; a mean, average or median stated
+ *   later within its range becomes the typical value
+ * - population: who it was measured in, when the sentence says
+ * - confidence: one of HALF_LIFE_CONFIDENCE_LEVELS
+ * - matched_text: the part of the text the value was read from
+ * - multiple_values: whether the text states more than one value
+ */
+export function parseHalfLife(halfLifeText) {
+  const original = collapseText(halfLifeText);
+  const text = original.toLowerCase();
+  const values = scanValues(text, HALF_LIFE_PATTERN, unit => halfLifeUnit(unit).hours);
+  const [first, ...others] = values;
+  if (!first) return null;
+
+  const range = { min: first.min, max: first.max, typical: first.typical };
+
+  const mean = others.find(other => other.groups.unit === first.groups.unit && other.min === other.max &&
+    /\b(?:mean|average|median)\b[^.;\d]{0,20}$/.test(text.slice(0, other.start)) &&
+    other.typical >= first.min && other.typical <= first.max);
+  if (mean) range.typical = mean.typical;
+
+  // Other values against the first value's range (open ends bound nothing)
+  const within = other => other.typical >= (first.min ?? 0) && other.typical <= (first.max ?? Infinity);
+  const rest = others.filter(other => other !== mean);
+
+  // A number and a range word right before the value: a range whose low end was not read
+  const halfParsed = first.min === first.max &&
+    /(?<![\w.])\d[\d.,]*\s*(?:-|–|—|to\b|and\b)[^\d;]{0,10}$/.test(text.slice(0, first.start));
+
+  let confidence = 'high';
+  if (halfParsed || rest.some(other => !within(other))) {
+    confidence = 'low';
+  } else if (rest.length > 0 || first.min === null || first.max === null || /\bmetabolites?\b/.test(text)) {
+    confidence = 'medium';
+  }
+
+  const population = sentenceAfter(text, first.end).match(POPULATION_PATTERN);
+
+  // Lowercasing keeps offsets unless the text has characters that change length
+  const source = original.length === text.length ? original : text;
+
+  return {
+    ...scaleRange(range, 1),
+    unit: PK_PARAMETERS.half_life.unit,
+    source_unit: halfLifeUnit(first.groups.unit).name,
+    population: population ? population[1].trim() : null,
+    confidence,
+    matched_text: source.slice(first.start, first.end).trim(),
+    multiple_values: values.length > 1
+  };
+}
+
+/**
+ * Parse protein binding text ("Approximately 99% bound", "84 to 99%") into percent bound
+ * Returns { min, max, typical, unit: '%' }, or null
+ * - unbound or free fractions ("10% unbound") are turned into percent bound
+ * - binding stated as absent gives 0
+ */
+export function parseProteinBinding(proteinBindingText) {
+  const text = lowerText(proteinBindingText);
+  const value = scanValues(text, PERCENT_PATTERN).find(({ min, max }) => (min ?? 0) <= 100 && (max ?? 0) <= 100);
+
+  if (!value) {
+    return NO_BINDING_PATTERN.test(text) ? { min: 0, max: 0, typical: 0, unit: PK_PARAMETERS.protein_binding.unit } : null;
+  }
+
+  const after = text.slice(value.end);
+  const unbound = /^\s*(?:is\s+|was\s+)?(?:unbound|free)\b/.test(after) ||
+    (/\b(?:unbound|free)\b[^%\d.;]{0,40}$/.test(text.slice(0, value.start)) && !/^\s*(?:is\s+|was\s+)?bound\b/.test(after));
+  const range = unbound
+    ? { min: value.max === null ? null : 100 - value.max, max: value.min === null ? null : 100 - value.min, typical: 100 - value.typical }
+    : value;
+
+  return { ...scaleRange(range, 1), unit: PK_PARAMETERS.protein_binding.unit };
+}
+
+/**
+ * Volume and rate unit of a VOLUME_RATE_PATTERN match: { sourceUnit, milliliters,
+ * minutes (null without a time unit), perKg }
+ */
+function parseVolumeUnit({ volume, per }) {
+  const segments = per.split(/\/|\bper\b/).map(segment => segment.trim()).filter(Boolean);
+  const unit = { sourceUnit: volume === 'ml' ? 'mL' : 'L', milliliters: volume === 'ml' ? 1 : 1000, minutes: null, perKg: false };
+
+  for (const segment of segments) {
+    if (segment === 'kg') {
+      unit.perKg = true;
+      unit.sourceUnit += '/kg';
+    } else if (segment.startsWith('1.73')) {
+      unit.sourceUnit += '/1.73 m2';
+    } else {
+      const [name, minutes] = segment.startsWith('min') ? ['min', 1] : segment.startsWith('d') ? ['day', 24 * 60] : ['h', 60];
+      unit.minutes = minutes;
+      unit.sourceUnit += `/${name}`;
+    }
+  }
+
+  return unit;
+}
+
+/**
+ * The first volume or rate in text whose unit fits (absolute values scaled to
+ * REFERENCE_WEIGHT_KG; per 1.73 m² counts as a reference adult)
+ */
+function parseVolumeValue(text, { rate, unit: targetUnit, perMilliliter }) {
+  for (const value of scanValues(lowerText(text), VOLUME_RATE_PATTERN)) {
+    const unit = parseVolumeUnit(value.groups);
+    if ((unit.minutes !== null) !== rate) continue;
+
+    const factor = unit.milliliters * perMilliliter / (unit.minutes ?? 1) / (unit.perKg ? 1 : REFERENCE_WEIGHT_KG);
+    return { ...scaleRange(value, factor), unit: targetUnit, source_unit: unit.sourceUnit, per_kg: unit.perKg };
+  }
+
+  return null;
+}
+
+/**
+ * Parse volume of distribution text ("0.14 L/kg", "Approximately 170 mL/kg", "12.2 L")
+ * Returns { min, max, typical, unit: 'L/kg', source_unit, per_kg }, or null
+ * (per_kg is false when an absolute volume was scaled to REFERENCE_WEIGHT_KG)
+ */
+export function parseVolumeOfDistribution(volumeText) {
+  return parseVolumeValue(volumeText, { rate: false, unit: PK_PARAMETERS.volume_of_distribution.unit, perMilliliter: 1 / 1000 });
+}
+
+/**
+ * Parse clearance text ("0.5 L/h/kg", "164 ml/min", "3.4 mL/min/kg")
+ * Returns { min, max, typical, unit: 'mL/min/kg', source_unit, per_kg }, or null
+ * (per_kg is false when an absolute clearance was scaled to REFERENCE_WEIGHT_KG)
+ */
+export function parseClearance(clearanceText) {
+  return parseVolumeValue(clearanceText, { rate: true, unit: PK_PARAMETERS.clearance.unit, perMilliliter: 1 });
+}
+
+/**
+ * Parsed PK parameters of a drug record's text fields, keyed as PK_PARAMETERS
+ * (null for fields that are missing or hold no value)
+ */
+export function extractPharmacokinetics(record) {
+  return {
+    half_life: parseHalfLife(record.half_life),
+    protein_binding: parseProteinBinding(record.protein_binding),
+    volume_of_distribution: parseVolumeOfDistribution(record.volume_of_distribution),
+    clearance: parseClearance(record.clearance)
+  };
+}
+
+export default {
+  PK_PARAMETERS,
+  REFERENCE_WEIGHT_KG,
+  HALF_LIFE_CONFIDENCE_LEVELS,
+  parseHalfLife,
+  parseProteinBinding,
+  parseVolumeOfDistribution,
+  parseClearance,
+  extractPharmacokinetics
+};
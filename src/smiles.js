@@ -0,0 +1,415 @@
+/**
+ * SMILES Parsing
+ *
+ * Minimal pure-JS SMILES reader producing a molecular graph for fingerprints
+ * and structure matching. Handles the organic subset, bracket atoms, branches,
+ * ring closures and bond symbols; stereochemistry is read but ignored
+ *
+ * Aromaticity is normalized so Kekulé input (as DrugBank stores SMILES) and
+ * aromatic input ("c1ccccc1") describe the same graph
+ */
+
+const ELEMENTS = (
+  'H He Li Be B C N O F Ne Na Mg Al Si P S Cl Ar K Ca Sc Ti V Cr Mn Fe Co Ni Cu Zn ' +
+  'Ga Ge As Se Br Kr Rb Sr Y Zr Nb Mo Tc Ru Rh Pd Ag Cd In Sn Sb Te I Xe Cs Ba ' +
+  'La Ce Pr Nd Pm Sm Eu Gd Tb Dy Ho Er Tm Yb Lu Hf Ta W Re Os Ir Pt Au Hg Tl Pb Bi ' +
+  'Po At Rn Fr Ra Ac Th Pa U Np Pu Am Cm Bk Cf Es Fm Md No Lr'
+).split(' ');
+
+export const ATOMIC_NUMBERS = new Map(ELEMENTS.map((symbol, i) => [symbol, i + 1]));
+
+// Organic subset atoms may omit brackets; their hydrogens are implicit
+const ORGANIC_SUBSET = new Set(['B', 'C', 'N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I']);
+const AROMATIC_ORGANIC = new Set(['b', 'c', 'n', 'o', 'p', 's']);
+const AROMATIC_BRACKET = new Set(['b', 'c', 'n', 'o', 'p', 's', 'se', 'as', 'te']);
+
+const DEFAULT_VALENCES = {
+  B: [3], C: [4], N: [3, 5], O: [2], P: [3, 5], S: [2, 4, 6], F: [1], Cl: [1], Br: [1], I: [1]
+};
+
+const BOND_SYMBOLS = {
+  '-': { order: 1, aromatic: false },
+  '=': { order: 2, aromatic: false },
+  '#': { order: 3, aromatic: false },
+  '$': { order: 4, aromatic: false },
+  ':': { order: 1, aromatic: true },
+  '/': { order: 1, aromatic: false },
+  '\\': { order: 1, aromatic: false }
+};
+
+const BRACKET_ATOM = /^\[(\d+)?(\*|[A-Z][a-z]?|[a-z][a-z]?)(@(?:@|TH[12]|AL[12]|SP[123]|TB\d{1,2}|OH\d{1,2})?)?(H\d*)?([+-]+\d*)?(?::\d+)?\]/;
+
+/**
+ * Parse a SMILES string into a molecule
+ * Returns { atoms, bonds, neighbors }:
+ * - atoms: { element, atomicNumber, aromatic, charge, isotope, hydrogens, inRing }
+ * - bonds: { from, to, order, aromatic, inRing }
+ * - neighbors: per atom, [{ atom, bond }]
+ * Throws an Error describing the first problem for invalid input
+ */
+export function parseSmiles(smiles) {
+  if (typeof smiles !== 'string' || !smiles.trim()) {
+    throw new Error('Invalid SMILES: empty string');
+  }
+
+  const text = smiles.trim();
+  const atoms = [];
+  const bonds = [];
+  const branches = [];
+  const openRings = new Map();
+  let previous = null;
+  let pendingBond = null;
+  let i = 0;
+
+  const fail = message => {
+    throw new Error(`Invalid SMILES at position ${i + 1}: ${message}`);
+  };
+
+  const addBond = (from, to, symbol) => {
+    if (from === to || bonds.some(b => (b.from === from && b.to === to) || (b.from === to && b.to === from))) {
+      fail('duplicate bond');
+    }
+    const type = symbol
+      ? BOND_SYMBOLS[symbol]
+      : { order: 1, aromatic: atoms[from].aromatic && atoms[to].aromatic };
+    bonds.push({ from, to, order: type.order, aromatic: type.aromatic, explicit: Boolean(symbol) });
+  };
+
+  const addAtom = atom => {
+    atoms.push(atom);
+    const index = atoms.length - 1;
+    if (previous !== null) addBond(previous, index, pendingBond);
+    pendingBond = null;
+    previous = index;
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '(') {
+      if (previous === null) fail('branch without a preceding atom');
+      branches.push(previous);
+      i++;
+    } else if (ch === ')') {
+      if (branches.length === 0) fail('unbalanced ")"');
+      if (pendingBond) fail('bond without a following atom');
+      previous = branches.pop();
+      i++;
+    } else if (ch in BOND_SYMBOLS) {
+      if (previous === null || pendingBond) fail(`unexpected bond "${ch}"`);
+      pendingBond = ch;
+      i++;
+    } else if (ch === '.') {
+      if (pendingBond) fail('bond without a following atom');
+      previous = null;
+      i++;
+    } else if (/[0-9%]/.test(ch)) {
+      if (previous === null) fail('ring closure without a preceding atom');
+      let ring;
+      if (ch === '%') {
+        if (!/^\d{2}$/.test(text.slice(i + 1, i + 3))) fail('"%" must be followed by two digits');
+        ring = text.slice(i + 1, i + 3);
+        i += 3;
+      } else {
+        ring = ch;
+        i++;
+      }
+
+      if (openRings.has(ring)) {
+        const open = openRings.get(ring);
+        const directional = symbol => symbol === '/' || symbol === '\\';
+        if (open.bond && pendingBond && open.bond !== pendingBond && !(directional(open.bond) && directional(pendingBond))) {
+          fail(`conflicting bonds for ring closure ${ring}`);
+        }
+        addBond(open.atom, previous, pendingBond || open.bond);
+        openRings.delete(ring);
+      } else {
+        openRings.set(ring, { atom: previous, bond: pendingBond });
+      }
+      pendingBond = null;
+    } else if (ch === '[') {
+      const match = text.slice(i).match(BRACKET_ATOM);
+      if (!match) fail('malformed bracket atom');
+      addAtom(readBracketAtom(match, fail));
+      i += match[0].length;
+    } else if (ch === '*') {
+      addAtom(createAtom('*', false));
+      i++;
+    } else {
+      const two = text.slice(i, i + 2);
+      const symbol = ORGANIC_SUBSET.has(two) ? two : ch;
+      if (ORGANIC_SUBSET.has(symbol)) {
+        addAtom({ ...createAtom(symbol, false), implicitHydrogens: true });
+      } else if (AROMATIC_ORGANIC.has(symbol)) {
+        addAtom({ ...createAtom(symbol.toUpperCase(), true), implicitHydrogens: true });
+      } else {
+        fail(`unexpected character "${ch}"`);
+      }
+      i += symbol.length;
+    }
+  }
+
+  if (pendingBond) fail('bond without a following atom');
+  if (branches.length > 0) fail('unbalanced "("');
+  if (openRings.size > 0) fail(`unclosed ring ${[...openRings.keys()].join(', ')}`);
+  if (atoms.length === 0) fail('no atoms');
+
+  return normalizeMolecule(atoms, bonds);
+}
+
+function createAtom(element, aromatic) {
+  return {
+    element,
+    atomicNumber: element === '*' ? 0 : ATOMIC_NUMBERS.get(element),
+    aromatic,
+    charge: 0,
+    isotope: null,
+    hydrogens: 0,
+    inRing: false
+  };
+}
+
+function readBracketAtom(match, fail) {
+  const [, isotope, symbol, , hydrogens, charge] = match;
+
+  const aromatic = symbol !== '*' && symbol[0] === symbol[0].toLowerCase();
+  if (aromatic && !AROMATIC_BRACKET.has(symbol)) fail(`unknown aromatic atom "${symbol}"`);
+
+  const element = aromatic ? symbol[0].toUpperCase() + symbol.slice(1) : symbol;
+  if (element !== '*' && !ATOMIC_NUMBERS.has(element)) fail(`unknown element "${symbol}"`);
+
+  const atom = createAtom(element, aromatic);
+  atom.isotope = isotope ? parseInt(isotope, 10) : null;
+  atom.hydrogens = hydrogens ? (hydrogens.length > 1 ? parseInt(hydrogens.slice(1), 10) : 1) : 0;
+  if (charge) {
+    const digits = charge.replace(/[+-]/g, '');
+    const magnitude = digits ? parseInt(digits, 10) : charge.length;
+    atom.charge = charge[0] === '+' ? magnitude : -magnitude;
+  }
+  return atom;
+}
+
+/**
+ * Fill in implicit hydrogens, fold explicit [H] atoms into their neighbours,
+ * mark ring membership and normalize aromaticity
+ */
+function normalizeMolecule(parsedAtoms, parsedBonds) {
+  // Implicit hydrogens of organic subset atoms (aromatic atoms use one valence for the pi system)
+  parsedAtoms.forEach((atom, index) => {
+    if (!atom.implicitHydrogens) return;
+    const bondSum = parsedBonds
+      .filter(b => b.from === index || b.to === index)
+      .reduce((sum, b) => sum + b.order, 0) + (atom.aromatic ? 1 : 0);
+    const valences = atom.aromatic ? DEFAULT_VALENCES[atom.element].slice(0, 1) : DEFAULT_VALENCES[atom.element];
+    const valence = valences.find(v => v >= bondSum);
+    atom.hydrogens = valence ? valence - bondSum : 0;
+  });
+
+  // Explicit hydrogen atoms ([H]) become hydrogen counts on their heavy neighbour
+  const foldable = new Set();
+  parsedAtoms.forEach((atom, index) => {
+    if (atom.element !== 'H' || atom.charge !== 0 || atom.isotope !== null) return;
+    const attached = parsedBonds.filter(b => b.from === index || b.to === index);
+    if (attached.length !== 1 || attached[0].order !== 1) return;
+    const other = attached[0].from === index ? attached[0].to : attached[0].from;
+    if (parsedAtoms[other].element === 'H') return;
+    parsedAtoms[other].hydrogens += 1 + atom.hydrogens;
+    foldable.add(index);
+  });
+
+  const newIndex = [];
+  const atoms = [];
+  parsedAtoms.forEach((atom, index) => {
+    if (foldable.has(index)) return;
+    newIndex[index] = atoms.length;
+    const { implicitHydrogens, ...rest } = atom;
+    atoms.push(rest);
+  });
+
+  const bonds = parsedBonds
+    .filter(b => !foldable.has(b.from) && !foldable.has(b.to))
+    .map(b => ({ from: newIndex[b.from], to: newIndex[b.to], order: b.order, aromatic: b.aromatic, inRing: false }));
+
+  const molecule = { atoms, bonds, neighbors: buildNeighbors(atoms, bonds) };
+  markRingBonds(molecule);
+  perceiveAromaticity(molecule);
+  return molecule;
+}
+
+function buildNeighbors(atoms, bonds) {
+  const neighbors = atoms.map(() => []);
+  bonds.forEach((bond, index) => {
+    neighbors[bond.from].push({ atom: bond.to, bond: index });
+    neighbors[bond.to].push({ atom: bond.from, bond: index });
+  });
+  return neighbors;
+}
+
+/**
+ * Mark ring bonds and atoms (a bond is in a ring unless it is a bridge)
+ */
+function markRingBonds({ atoms, bonds, neighbors }) {
+  const discovered = new Array(atoms.length).fill(-1);
+  const low = new Array(atoms.length).fill(0);
+  let time = 0;
+
+  for (let root = 0; root < atoms.length; root++) {
+    if (discovered[root] !== -1) continue;
+
+    // Iterative DFS (Tarjan's bridge finding) to cope with long chains
+    const stack = [{ atom: root, parentBond: -1, next: 0 }];
+    discovered[root] = low[root] = time++;
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      if (frame.next < neighbors[frame.atom].length) {
+        const { atom, bond } = neighbors[frame.atom][frame.next++];
+        if (bond === frame.parentBond) continue;
+        if (discovered[atom] === -1) {
+          discovered[atom] = low[atom] = time++;
+          stack.push({ atom, parentBond: bond, next: 0 });
+        } else {
+          // Non-tree edges always close a cycle
+          low[frame.atom] = Math.min(low[frame.atom], discovered[atom]);
+          bonds[bond].inRing = true;
+        }
+      } else {
+        stack.pop();
+        if (stack.length === 0) continue;
+        const parent = stack[stack.length - 1].atom;
+        low[parent] = Math.min(low[parent], low[frame.atom]);
+        if (low[frame.atom] <= discovered[parent]) bonds[frame.parentBond].inRing = true;
+      }
+    }
+  }
+
+  bonds.forEach(bond => {
+    if (bond.inRing) atoms[bond.from].inRing = atoms[bond.to].inRing = true;
+  });
+}
+
+/**
+ * Find the smallest ring through each ring bond (as lists of atom indexes)
+ */
+export function findRings({ bonds, neighbors }) {
+  const rings = new Map();
+
+  bonds.forEach((bond, bondIndex) => {
+    if (!bond.inRing) return;
+
+    // Shortest path between the bond's atoms that avoids the bond itself
+    const previous = new Map([[bond.from, null]]);
+    const queue = [bond.from];
+    while (queue.length > 0 && !previous.has(bond.to)) {
+      const current = queue.shift();
+      for (const { atom, bond: via } of neighbors[current]) {
+        if (via === bondIndex || previous.has(atom) || !bonds[via].inRing) continue;
+        previous.set(atom, current);
+        queue.push(atom);
+      }
+    }
+
+    const ring = [];
+    for (let atom = bond.to; atom !== null; atom = previous.get(atom)) ring.push(atom);
+    const key = [...ring].sort((a, b) => a - b).join(',');
+    if (!rings.has(key)) rings.set(key, ring);
+  });
+
+  return [...rings.values()];
+}
+
+/**
+ * Normalize aromaticity
+ * Aromatic flags from the input are kept only on ring bonds; Kekulé rings of
+ * 5-7 atoms are marked aromatic when their pi electron count is 4n+2
+ * (repeated so fused rings can build on rings already found aromatic)
+ */
+function perceiveAromaticity(molecule) {
+  const { atoms, bonds } = molecule;
+
+  bonds.forEach(bond => {
+    if (bond.aromatic && !bond.inRing) bond.aromatic = false;
+  });
+
+  const rings = findRings(molecule).filter(ring => ring.length >= 5 && ring.length <= 7);
+  const ringBonds = ring => ring.map((atom, i) => findBond(molecule, atom, ring[(i + 1) % ring.length]));
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const ring of rings) {
+      const members = ringBonds(ring);
+      if (members.every(b => bonds[b].aromatic)) continue;
+
+      const electrons = countPiElectrons(molecule, ring);
+      if (electrons !== null && electrons >= 2 && (electrons - 2) % 4 === 0) {
+        members.forEach(b => { bonds[b].aromatic = true; });
+        changed = true;
+      }
+    }
+  }
+
+  atoms.forEach((atom, index) => {
+    atom.aromatic = molecule.neighbors[index].some(({ bond }) => bonds[bond].aromatic);
+  });
+  bonds.forEach(bond => {
+    if (bond.aromatic) bond.order = 1;
+  });
+}
+
+function findBond({ neighbors }, from, to) {
+  return neighbors[from].find(n => n.atom === to).bond;
+}
+
+/**
+ * Count the pi electrons a ring's atoms contribute (null if the ring cannot be aromatic)
+ */
+function countPiElectrons(molecule, ring) {
+  const { atoms, bonds, neighbors } = molecule;
+  const ringAtoms = new Set(ring);
+  let total = 0;
+
+  for (const index of ring) {
+    const atom = atoms[index];
+    const attached = neighbors[index].map(n => ({ ...n, bond: bonds[n.bond] }));
+
+    if (attached.some(n => n.bond.order >= 3 && !n.bond.aromatic)) return null;
+
+    const doubleBonds = attached.filter(n => n.bond.order === 2 && !n.bond.aromatic);
+    if (doubleBonds.length > 1) return null;
+
+    if (attached.some(n => n.bond.aromatic)) {
+      total += 1;
+    } else if (doubleBonds.length === 1) {
+      const { atom: partner, bond } = doubleBonds[0];
+      if (ringAtoms.has(partner) || bond.inRing) {
+        total += 1;
+      } else if (['O', 'N', 'S'].includes(atoms[partner].element)) {
+        total += 0; // Exocyclic C=O etc. (e.g. pyridones)
+      } else {
+        return null;
+      }
+    } else {
+      const connections = attached.length + atom.hydrogens;
+      if (['N', 'P'].includes(atom.element) && atom.charge === 0 && connections === 3) {
+        total += 2;
+      } else if (['O', 'S', 'Se', 'Te'].includes(atom.element) && atom.charge === 0 && connections === 2) {
+        total += 2;
+      } else if (atom.element === 'C' && atom.charge === -1) {
+        total += 2;
+      } else if ((atom.element === 'C' && atom.charge === 1) || (atom.element === 'B' && connections === 3)) {
+        total += 0;
+      } else {
+        return null;
+      }
+    }
+  }
+
+  return total;
+}
+
+export default {
+  ATOMIC_NUMBERS,
+  parseSmiles,
+  findRings
+};
@@ -0,0 +1,435 @@
+/**
+ * Substructure Search
+ *
+ * Compiles SMILES or SMARTS fragments into query graphs and finds them in
+ * molecules from parseSmiles by backtracking subgraph matching
+ *
+ * SMILES fragments match on element, aromaticity, bond type and (when given)
+ * charge and isotope. SMARTS supports the common primitives: *, a, A, #n,
+ * element symbols, D, X, H, R/R0, charge and isotope, combined with !, &, ","
+ * and ";", plus the bonds - = # : ~ @. Recursive SMARTS ($(...)) and ring
+ * sizes (r, Rn) are not supported
+ */
+
+import { parseSmiles, ATOMIC_NUMBERS } from './smiles.js';
+import { atomLabel, bondLabel, pathFingerprint } from './fingerprint.js';
+
+const AROMATIC_SYMBOLS = new Set(['b', 'c', 'n', 'o', 'p', 's', 'se', 'as', 'te']);
+const ORGANIC_SUBSET = new Set(['B', 'C', 'N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I']);
+const AROMATIC_ORGANIC = new Set(['b', 'c', 'n', 'o', 'p', 's']);
+const BOND_CHARS = '-=#$:~@!/\\,;&';
+
+const ANY = { test: () => true, info: {} };
+
+// Unspecified SMARTS bonds match single or aromatic bonds
+const DEFAULT_BOND = { test: bond => bond.aromatic || bond.order === 1, info: {} };
+
+/**
+ * Compile a fragment into a query
+ * Returns { type, text, atoms, bonds, neighbors, order, screen } where screen
+ * is the path fingerprint every matching molecule's screen must contain
+ * Throws an Error describing the first problem for invalid input
+ */
+export function compileSubstructureQuery(text, { smarts = false } = {}) {
+  const graph = smarts ? parseSmarts(text) : queryFromSmiles(text);
+
+  return {
+    type: smarts ? 'smarts' : 'smiles',
+    text: text.trim(),
+    ...graph,
+    order: matchOrder(graph),
+    screen: pathFingerprint(graph, { getAtomLabel: atom => atom.label, getBondLabel: bond => bond.label })
+  };
+}
+
+/**
+ * Find one mapping of the query into the molecule
+ * Returns the matched molecule atom index for each query atom, or null
+ */
+export function findSubstructureMatch(query, molecule) {
+  if (query.atoms.length > molecule.atoms.length) return null;
+
+  const mapping = new Array(query.atoms.length).fill(-1);
+  const used = new Uint8Array(molecule.atoms.length);
+
+  const bondsMatch = (queryAtom, target) => query.neighbors[queryAtom].every(({ atom, bond }) => {
+    if (mapping[atom] === -1) return true;
+    const link = molecule.neighbors[target].find(n => n.atom === mapping[atom]);
+    return Boolean(link) && query.bonds[bond].test(molecule.bonds[link.bond]);
+  });
+
+  const extend = depth => {
+    if (depth === query.order.length) return true;
+
+    const { atom, parent } = query.order[depth];
+    const candidates = parent === -1
+      ? molecule.atoms.keys()
+      : molecule.neighbors[mapping[parent]].map(n => n.atom);
+
+    for (const target of candidates) {
+      if (used[target] || !query.atoms[atom].test(molecule, target) || !bondsMatch(atom, target)) continue;
+      mapping[atom] = target;
+      used[target] = 1;
+      if (extend(depth + 1)) return true;
+      mapping[atom] = -1;
+      used[target] = 0;
+    }
+    return false;
+  };
+
+  return extend(0) ? mapping : null;
+}
+
+/**
+ * Query from a SMILES fragment (aromaticity normalized like the molecules)
+ */
+function queryFromSmiles(text) {
+  const molecule = parseSmiles(text);
+
+  const atoms = molecule.atoms.map(atom => ({
+    test: atom.element === '*'
+      ? () => true
+      : (target, index) => {
+          const candidate = target.atoms[index];
+          return candidate.atomicNumber === atom.atomicNumber &&
+            candidate.aromatic === atom.aromatic &&
+            (atom.charge === 0 || candidate.charge === atom.charge) &&
+            (atom.isotope === null || candidate.isotope === atom.isotope);
+        },
+    label: atom.element === '*' ? null : atomLabel(atom)
+  }));
+
+  const bonds = molecule.bonds.map(bond => ({
+    from: bond.from,
+    to: bond.to,
+    test: candidate => candidate.aromatic === bond.aromatic && candidate.order === bond.order,
+    label: bondLabel(bond)
+  }));
+
+  return { atoms, bonds, neighbors: molecule.neighbors };
+}
+
+/**
+ * Parse a SMARTS pattern into a query graph
+ */
+function parseSmarts(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Invalid SMARTS: empty string');
+  }
+
+  const source = text.trim();
+  const atoms = [];
+  const bonds = [];
+  const branches = [];
+  const openRings = new Map();
+  let previous = null;
+  let pendingBond = null;
+  let i = 0;
+
+  const fail = (message, position = i) => {
+    throw new Error(`Invalid SMARTS at position ${position + 1}: ${message}`);
+  };
+
+  const addBond = (from, to, bond) => {
+    const { test, info } = bond || DEFAULT_BOND;
+    bonds.push({ from, to, test, label: info.label ?? null });
+  };
+
+  const addAtom = ({ test, info }) => {
+    const known = info.atomicNumber !== undefined && info.aromatic !== undefined;
+    atoms.push({ test, label: known ? atomLabel(info) : null });
+    const index = atoms.length - 1;
+    if (previous !== null) addBond(previous, index, pendingBond);
+    pendingBond = null;
+    previous = index;
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === '(') {
+      if (previous === null) fail('branch without a preceding atom');
+      branches.push(previous);
+      i++;
+    } else if (ch === ')') {
+      if (branches.length === 0) fail('unbalanced ")"');
+      if (pendingBond) fail('bond without a following atom');
+      previous = branches.pop();
+      i++;
+    } else if (ch === '.') {
+      if (pendingBond) fail('bond without a following atom');
+      previous = null;
+      i++;
+    } else if (BOND_CHARS.includes(ch)) {
+      if (previous === null || pendingBond) fail(`unexpected bond "${ch}"`);
+      let end = i;
+      while (end < source.length && BOND_CHARS.includes(source[end])) end++;
+      pendingBond = parseExpression(source.slice(i, end), i, readBondPrimitive, fail);
+      i = end;
+    } else if (/[0-9%]/.test(ch)) {
+      if (previous === null) fail('ring closure without a preceding atom');
+      let ring;
+      if (ch === '%') {
+        if (!/^\d{2}$/.test(source.slice(i + 1, i + 3))) fail('"%" must be followed by two digits');
+        ring = source.slice(i + 1, i + 3);
+        i += 3;
+      } else {
+        ring = ch;
+        i++;
+      }
+
+      if (openRings.has(ring)) {
+        const open = openRings.get(ring);
+        if (open.atom === previous) fail(`ring closure ${ring} bonds an atom to itself`);
+        addBond(open.atom, previous, pendingBond || open.bond);
+        openRings.delete(ring);
+      } else {
+        openRings.set(ring, { atom: previous, bond: pendingBond });
+      }
+      pendingBond = null;
+    } else if (ch === '[') {
+      const end = source.indexOf(']', i);
+      if (end === -1) fail('unclosed "["');
+      if (end === i + 1) fail('empty bracket atom');
+      addAtom(parseExpression(source.slice(i + 1, end), i + 1, readAtomPrimitive, fail));
+      i = end + 1;
+    } else {
+      const two = source.slice(i, i + 2);
+      const symbol = ORGANIC_SUBSET.has(two) ? two : ch;
+      if (ORGANIC_SUBSET.has(symbol) || AROMATIC_ORGANIC.has(symbol) || ['*', 'a', 'A'].includes(symbol)) {
+        addAtom(readAtomPrimitive(symbol, 0).term);
+      } else {
+        fail(`unexpected character "${ch}"`);
+      }
+      i += symbol.length;
+    }
+  }
+
+  if (pendingBond) fail('bond without a following atom');
+  if (branches.length > 0) fail('unbalanced "("');
+  if (openRings.size > 0) fail(`unclosed ring ${[...openRings.keys()].join(', ')}`);
+  if (atoms.length === 0) fail('no atoms');
+
+  const neighbors = atoms.map(() => []);
+  bonds.forEach((bond, index) => {
+    neighbors[bond.from].push({ atom: bond.to, bond: index });
+    neighbors[bond.to].push({ atom: bond.from, bond: index });
+  });
+
+  return { atoms, bonds, neighbors };
+}
+
+/**
+ * Parse a SMARTS logical expression (inside a bracket atom or a bond)
+ * Precedence, highest first: ! (not), & or juxtaposition (and), "," (or), ";" (and)
+ * Terms are { test, info }; info keeps what an and-chain pins down for the screen
+ */
+function parseExpression(source, offset, readPrimitive, fail) {
+  let pos = 0;
+
+  const parseLowAnd = () => {
+    let term = parseOr();
+    while (source[pos] === ';') {
+      pos++;
+      term = and(term, parseOr());
+    }
+    return term;
+  };
+
+  const parseOr = () => {
+    let term = parseHighAnd();
+    while (source[pos] === ',') {
+      pos++;
+      term = or(term, parseHighAnd());
+    }
+    return term;
+  };
+
+  const parseHighAnd = () => {
+    let term = parseUnary();
+    while (pos < source.length && source[pos] !== ',' && source[pos] !== ';') {
+      if (source[pos] === '&') pos++;
+      term = and(term, parseUnary());
+    }
+    return term;
+  };
+
+  const parseUnary = () => {
+    if (source[pos] === '!') {
+      pos++;
+      return not(parseUnary());
+    }
+    if (pos >= source.length || '&,;'.includes(source[pos])) fail('expected a primitive', offset + pos);
+    if (source[pos] === '$') fail('recursive SMARTS ($(...)) is not supported', offset + pos);
+
+    const primitive = readPrimitive(source, pos);
+    if (!primitive) fail(`unsupported primitive "${source[pos]}"`, offset + pos);
+    pos += primitive.length;
+    return primitive.term;
+  };
+
+  return parseLowAnd();
+}
+
+function and(a, b) {
+  const info = { ...b.info };
+  for (const [key, value] of Object.entries(a.info)) info[key] = value;
+  return { test: (...args) => a.test(...args) && b.test(...args), info };
+}
+
+function or(a, b) {
+  return { test: (...args) => a.test(...args) || b.test(...args), info: {} };
+}
+
+function not(a) {
+  return { test: (...args) => !a.test(...args), info: {} };
+}
+
+/**
+ * Read one atom primitive at source[pos]
+ * Returns { term, length } or null when unsupported
+ */
+function readAtomPrimitive(source, pos) {
+  const rest = source.slice(pos);
+  const atomTerm = (test, info = {}) => ({ test: (molecule, index) => test(molecule.atoms[index], molecule, index), info });
+  let match;
+
+  if (rest[0] === '*') {
+    return { term: ANY, length: 1 };
+  }
+  if ((match = rest.match(/^#(\d+)/))) {
+    const atomicNumber = parseInt(match[1], 10);
+    return { term: atomTerm(atom => atom.atomicNumber === atomicNumber, { atomicNumber }), length: match[0].length };
+  }
+  if ((match = rest.match(/^@+/))) {
+    return { term: ANY, length: match[0].length }; // Chirality is ignored, as in SMILES
+  }
+  if ((match = rest.match(/^([+-])(\d+|\1*)/))) {
+    const magnitude = /^\d/.test(match[2]) ? parseInt(match[2], 10) : match[2].length + 1;
+    const charge = match[1] === '+' ? magnitude : -magnitude;
+    return { term: atomTerm(atom => atom.charge === charge), length: match[0].length };
+  }
+  if ((match = rest.match(/^\d+/)) && pos === 0) {
+    const isotope = parseInt(match[0], 10);
+    return { term: atomTerm(atom => atom.isotope === isotope), length: match[0].length };
+  }
+
+  const two = rest.slice(0, 2);
+  if (/^[A-Z][a-z]$/.test(two) && ATOMIC_NUMBERS.has(two)) {
+    return { term: elementTerm(two, false), length: 2 };
+  }
+  if (two.length === 2 && AROMATIC_SYMBOLS.has(two)) {
+    return { term: elementTerm(two[0].toUpperCase() + two[1], true), length: 2 };
+  }
+
+  if ((match = rest.match(/^([DXHR])(\d*)/))) {
+    const [, primitive, digits] = match;
+    const count = digits === '' ? null : parseInt(digits, 10);
+    const length = match[0].length;
+    switch (primitive) {
+      case 'D':
+        return { term: atomTerm((atom, molecule, index) => molecule.neighbors[index].length === (count ?? 1)), length };
+      case 'X':
+        return { term: atomTerm((atom, molecule, index) => molecule.neighbors[index].length + atom.hydrogens === (count ?? 1)), length };
+      case 'H':
+        return { term: atomTerm(atom => atom.hydrogens === (count ?? 1)), length };
+      case 'R':
+        if (count !== null && count !== 0) return null;
+        return { term: atomTerm(atom => atom.inRing === (count === null)), length };
+    }
+  }
+
+  if (rest[0] === 'a' || rest[0] === 'A') {
+    const aromatic = rest[0] === 'a';
+    return { term: atomTerm(atom => atom.atomicNumber > 0 && atom.aromatic === aromatic, { aromatic }), length: 1 };
+  }
+  if (/^[A-Z]/.test(rest) && ATOMIC_NUMBERS.has(rest[0])) {
+    return { term: elementTerm(rest[0], false), length: 1 };
+  }
+  if (AROMATIC_SYMBOLS.has(rest[0])) {
+    return { term: elementTerm(rest[0].toUpperCase(), true), length: 1 };
+  }
+
+  return null;
+}
+
+function elementTerm(element, aromatic) {
+  const atomicNumber = ATOMIC_NUMBERS.get(element);
+  return {
+    test: (molecule, index) => {
+      const atom = molecule.atoms[index];
+      return atom.atomicNumber === atomicNumber && atom.aromatic === aromatic;
+    },
+    info: { atomicNumber, aromatic }
+  };
+}
+
+/**
+ * Read one bond primitive at source[pos]
+ */
+function readBondPrimitive(source, pos) {
+  const typed = (order, aromatic) => ({
+    term: {
+      test: bond => bond.aromatic === aromatic && (aromatic || bond.order === order),
+      info: { label: bondLabel({ order, aromatic }) }
+    },
+    length: 1
+  });
+
+  switch (source[pos]) {
+    case '-':
+    case '/':
+    case '\\':
+      return typed(1, false);
+    case '=':
+      return typed(2, false);
+    case '#':
+      return typed(3, false);
+    case '$':
+      return typed(4, false);
+    case ':':
+      return typed(1, true);
+    case '~':
+      return { term: ANY, length: 1 };
+    case '@':
+      return { term: { test: bond => bond.inRing, info: {} }, length: 1 };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Order query atoms so each one (after the first of its fragment) is bonded
+ * to an atom matched earlier; fragments start from a fully specified atom
+ */
+function matchOrder({ atoms, neighbors }) {
+  const order = [];
+  const seen = new Uint8Array(atoms.length);
+  const starts = atoms
+    .map((_, index) => index)
+    .sort((a, b) => (atoms[a].label === null) - (atoms[b].label === null) || a - b);
+
+  for (const start of starts) {
+    if (seen[start]) continue;
+    seen[start] = 1;
+    order.push({ atom: start, parent: -1 });
+
+    const queue = [start];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const { atom } of neighbors[current]) {
+        if (seen[atom]) continue;
+        seen[atom] = 1;
+        order.push({ atom, parent: current });
+        queue.push(atom);
+      }
+    }
+  }
+
+  return order;
+}
+
+export default {
+  compileSubstructureQuery,
+  findSubstructureMatch
+};
@@ -0,0 +1,405 @@
+/**
+ * Text Queries
+ *
+ * Parses free-text search queries into a small query tree, renders it as a
+ * safe FTS5 MATCH expression (SQLite mode) and evaluates it against text (XML
+ * mode), and highlights why a field matched
+ *
+ * Plain syntax (the default) matches every whitespace-separated word, as typed:
+ * "COX-2 inhibitor" or "5-fluorouracil" never reach FTS5 as operators
+ * Advanced syntax adds:
+ * - "exact phrases"
+ * - AND, OR, NOT (uppercase) and (parentheses); words side by side are ANDed
+ * - prefix*: words starting with prefix
+ * - field:term, field:"phrase" or field:(...) to search another field
+ */
+
+import { tokenizeName } from './name-search.js';
+
+export const QUERY_SYNTAXES = ['plain', 'advanced'];
+
+/**
+ * Searchable text fields -> drugs_fts column (and drug record field)
+ */
+export const TEXT_FIELDS = {
+  indication: 'indication',
+  mechanism: 'mechanism_of_action',
+  pharmacodynamics: 'pharmacodynamics',
+  toxicity: 'toxicity',
+  metabolism: 'metabolism',
+  absorption: 'absorption',
+  name: 'name'
+};
+
+// Fields search_text covers unless told otherwise
+export const SEARCH_TEXT_FIELDS = ['mechanism', 'pharmacodynamics', 'toxicity', 'metabolism', 'absorption'];
+
+// drugs_fts columns, in table order (snippet() takes a column index)
+export const FTS_COLUMNS = [
+  'drugbank_id', 'name', 'description', 'indication',
+  'mechanism_of_action', 'pharmacodynamics', 'toxicity', 'metabolism', 'absorption'
+];
+
+// Snippet highlighting, as passed to FTS5 snippet()
+export const SNIPPET_OPEN = '**';
+export const SNIPPET_CLOSE = '**';
+export const SNIPPET_ELLIPSIS = '…';
+export const SNIPPET_WORDS = 16;
+
+export const ADVANCED_SYNTAX_HELP =
+  `words, "exact phrases", AND / OR / NOT, (groups), prefix*, field:term (fields: ${Object.keys(TEXT_FIELDS).join(', ')})`;
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Parse a query (throws "Invalid query ..." errors worded for the user)
+ * Returns { text, syntax, tree }; tree nodes are
+ * { type: 'phrase', tokens, prefix, field }, { type: 'and' | 'or', children }
+ * and { type: 'not', left, right }
+ */
+export function parseTextQuery(text, { syntax = 'plain' } = {}) {
+  if (!QUERY_SYNTAXES.includes(syntax)) {
+    throw new Error(`Invalid query syntax: ${syntax} (use ${QUERY_SYNTAXES.join(' or ')})`);
+  }
+
+  const tree = syntax === 'advanced' ? parseAdvanced(text) : parsePlain(text);
+  if (!tree) throw new Error('Invalid query: no searchable words');
+  return { text, syntax, tree };
+}
+
+function parsePlain(text) {
+  const phrases = text.split(/\s+/)
+    .map(word => tokenizeName(word))
+    .filter(tokens => tokens.length > 0)
+    .map(tokens => ({ type: 'phrase', tokens, prefix: false, field: null }));
+  return combine('and', phrases);
+}
+
+function combine(type, children) {
+  if (children.length === 0) return null;
+  return children.length === 1 ? children[0] : { type, children };
+}
+
+/**
+ * Split advanced syntax into ( ) : * "phrase" and word tokens, with positions
+ */
+function lexAdvanced(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if ('():*'.includes(char)) {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (char === '"') {
+      const close = text.indexOf('"', i + 1);
+      if (close === -1) throw queryError(i, 'unclosed quote, add a closing "');
+      tokens.push({ type: 'phrase', value: text.slice(i + 1, close), position: i });
+      i = close + 1;
+    } else {
+      const start = i;
+      while (i < text.length && !/[\s():*"]/.test(text[i])) i++;
+      const value = text.slice(start, i);
+      tokens.push({ type: OPERATORS.includes(value) ? value : 'word', value, position: start });
+    }
+  }
+
+  return tokens;
+}
+
+function queryError(position, message) {
+  return new Error(`Invalid query at position ${position + 1}: ${message}`);
+}
+
+/**
+ * Recursive descent over: or := and (OR and)*; and := not ([AND] not)*;
+ * not := term (NOT term)*; term := [field :] (phrase | word | ( or )) [*]
+ */
+function parseAdvanced(text) {
+  const tokens = lexAdvanced(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const endPosition = () => text.length;
+  const startsTerm = token => token && ['word', 'phrase', '('].includes(token.type);
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      const operator = tokens[index++];
+      if (!startsTerm(peek())) throw queryError(operator.position, 'OR needs a term on both sides');
+      children.push(parseAnd());
+    }
+    return combine('or', children);
+  };
+
+  const parseAnd = () => {
+    const children = [parseNot()];
+    while (peek() && (peek().type === 'AND' || startsTerm(peek()))) {
+      if (peek().type === 'AND') {
+        const operator = tokens[index++];
+        if (!startsTerm(peek())) throw queryError(operator.position, 'AND needs a term on both sides');
+      }
+      children.push(parseNot());
+    }
+    return combine('and', children);
+  };
+
+  const parseNot = () => {
+    let left = parseTerm();
+    while (peek()?.type === 'NOT') {
+      const operator = tokens[index++];
+      if (!startsTerm(peek())) throw queryError(operator.position, 'NOT needs a term after it, e.g. pain NOT cancer');
+      left = { type: 'not', left, right: parseTerm() };
+    }
+    return left;
+  };
+
+  const parseTerm = (field = null) => {
+    const token = tokens[index++];
+    if (!token) throw queryError(endPosition(), 'query ends where a term was expected');
+
+    if (token.type === 'NOT') throw queryError(token.position, 'NOT needs a term before it, e.g. pain NOT cancer');
+    if (token.type === 'AND' || token.type === 'OR') {
+      throw queryError(token.position, `${token.type} needs a term on both sides`);
+    }
+
+    if (token.type === 'word' && peek()?.type === ':') {
+      if (field) throw queryError(token.position, 'fields cannot be nested');
+      const name = token.value.toLowerCase();
+      if (!(name in TEXT_FIELDS)) {
+        throw queryError(token.position, `unknown field "${token.value}" (fields: ${Object.keys(TEXT_FIELDS).join(', ')})`);
+      }
+      index++;
+      return parseTerm(name);
+    }
+
+    if (token.type === '(') {
+      const inner = parseOr();
+      const close = tokens[index++];
+      if (close?.type !== ')') throw queryError(token.position, 'unbalanced parentheses, add a closing )');
+      return field ? scope(inner, field) : inner;
+    }
+
+    if (token.type === 'word' || token.type === 'phrase') {
+      const words = tokenizeName(token.value);
+      if (words.length === 0) {
+        throw queryError(token.position, token.type === 'phrase' ? 'empty phrase' : `"${token.value}" has no searchable characters`);
+      }
+      const prefix = peek()?.type === '*' && peek().position === token.position + rawLength(token);
+      if (prefix) index++;
+      return { type: 'phrase', tokens: words, prefix, field };
+    }
+
+    throw queryError(token.position, token.type === ')' ? 'unbalanced parentheses, remove the extra )' : `unexpected "${token.type}"`);
+  };
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    const token = tokens[index];
+    throw queryError(token.position, token.type === ')' ? 'unbalanced parentheses, remove the extra )' : `unexpected "${token.value || token.type}"`);
+  }
+  return tree;
+}
+
+function rawLength(token) {
+  return token.type === 'phrase' ? token.value.length + 2 : token.value.length;
+}
+
+/**
+ * Apply a field to every unscoped phrase of a subtree
+ */
+function scope(node, field) {
+  if (node.type === 'phrase') return { ...node, field: node.field || field };
+  if (node.type === 'not') return { ...node, left: scope(node.left, field), right: scope(node.right, field) };
+  return { ...node, children: node.children.map(child => scope(child, field)) };
+}
+
+/**
+ * Render a parsed query as an FTS5 MATCH expression over drugs_fts
+ * Unscoped phrases search `defaultFields` (one field or a list)
+ */
+export function toFtsMatch(query, defaultFields) {
+  const defaults = [defaultFields].flat();
+  const columns = node => {
+    const names = (node.field ? [node.field] : defaults).map(field => TEXT_FIELDS[field]);
+    return names.length === 1 ? names[0] : `{${names.join(' ')}}`;
+  };
+
+  const render = node => {
+    switch (node.type) {
+      case 'phrase':
+        return `${columns(node)} : "${node.tokens.join(' ')}"${node.prefix ? ' *' : ''}`;
+      case 'and':
+        return `(${node.children.map(render).join(' AND ')})`;
+      case 'or':
+        return `(${node.children.map(render).join(' OR ')})`;
+      case 'not':
+        return `(${render(node.left)} NOT ${render(node.right)})`;
+    }
+  };
+  return render(query.tree);
+}
+
+/**
+ * Whether text fields satisfy a parsed query, with FTS5 semantics
+ * getFieldText(field) returns a field's text (or null); unscoped phrases search
+ * `defaultFields` (one field or a list)
+ */
+export function matchesTextQuery(query, getFieldText, defaultFields) {
+  const defaults = [defaultFields].flat();
+  const fieldTokens = new Map();
+  const tokensOf = field => {
+    if (!fieldTokens.has(field)) fieldTokens.set(field, tokenizeName(getFieldText(field) || ''));
+    return fieldTokens.get(field);
+  };
+
+  const evaluate = node => {
+    switch (node.type) {
+      case 'phrase':
+        return (node.field ? [node.field] : defaults).some(field => findPhrase(tokensOf(field), node.tokens, node.prefix) !== -1);
+      case 'and':
+        return node.children.every(evaluate);
+      case 'or':
+        return node.children.some(evaluate);
+      case 'not':
+        return evaluate(node.left) && !evaluate(node.right);
+    }
+  };
+  return evaluate(query.tree);
+}
+
+/**
+ * Items that may satisfy a parsed query, from the items containing each phrase's words
+ * getWordItems(word, prefix) returns a Set; NOT terms are ignored, so the result is a
+ * superset of the matches, to be confirmed with matchesTextQuery
+ */
+export function selectCandidates(query, getWordItems) {
+  const intersect = sets => sets.reduce((a, b) => new Set([...a].filter(item => b.has(item))));
+
+  const evaluate = node => {
+    switch (node.type) {
+      case 'phrase':
+        return intersect(node.tokens.map((word, i) => getWordItems(word, node.prefix && i === node.tokens.length - 1)));
+      case 'and':
+        return intersect(node.children.map(evaluate));
+      case 'or':
+        return new Set(node.children.flatMap(child => [...evaluate(child)]));
+      case 'not':
+        return evaluate(node.left);
+    }
+  };
+  return evaluate(query.tree);
+}
+
+/**
+ * Position of the first run of phrase words in tokens (last word as a prefix if `prefix`), or -1
+ */
+function findPhrase(tokens, phrase, prefix, from = 0) {
+  const last = phrase.length - 1;
+  for (let start = from; start + phrase.length <= tokens.length; start++) {
+    const matches = phrase.every((word, i) =>
+      i === last && prefix ? tokens[start + i].startsWith(word) : tokens[start + i] === word
+    );
+    if (matches) return start;
+  }
+  return -1;
+}
+
+/**
+ * Phrases a field can match: those scoped to it, or unscoped if it is a default field
+ * (NOT terms excluded)
+ */
+function fieldPhrases(node, field, defaults) {
+  switch (node.type) {
+    case 'phrase':
+      return (node.field ? node.field === field : defaults.includes(field)) ? [node] : [];
+    case 'not':
+      return fieldPhrases(node.left, field, defaults);
+    default:
+      return node.children.flatMap(child => fieldPhrases(child, field, defaults));
+  }
+}
+
+/**
+ * Highlighted extract of a field's text around its query matches, like FTS5
+ * snippet(): up to SNIPPET_WORDS words, matches wrapped in SNIPPET_OPEN/CLOSE
+ * Returns null when nothing in the field matches
+ */
+export function highlightSnippet(text, query, field, defaultFields) {
+  if (!text) return null;
+
+  const words = [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    token: tokenizeName(match[0]).join('')
+  }));
+  const tokens = words.map(word => word.token);
+
+  // Phrase matches as word spans, overlapping ones merged
+  const found = [];
+  for (const phrase of fieldPhrases(query.tree, field, [defaultFields].flat())) {
+    for (let at = findPhrase(tokens, phrase.tokens, phrase.prefix); at !== -1; at = findPhrase(tokens, phrase.tokens, phrase.prefix, at + 1)) {
+      found.push([at, at + phrase.tokens.length - 1]);
+    }
+  }
+  if (found.length === 0) return null;
+
+  const spans = [];
+  for (const [first, last] of found.sort((a, b) => a[0] - b[0] || a[1] - b[1])) {
+    const previous = spans[spans.length - 1];
+    if (previous && first <= previous[1]) previous[1] = Math.max(previous[1], last);
+    else spans.push([first, last]);
+  }
+
+  // Window with the most matches: from the start of a match's sentence when
+  // the match fits, otherwise centred on the match
+  const sentenceStart = i => {
+    while (i > 0 && !/[.!?]\s/.test(text.slice(words[i - 1].end, words[i].start))) i--;
+    return i;
+  };
+  let best = { start: 0, count: -1 };
+  for (const [first, last] of spans) {
+    const fromSentence = sentenceStart(first);
+    const centred = first - Math.floor((SNIPPET_WORDS - (last - first + 1)) / 2);
+    const start = Math.max(0, Math.min(last - fromSentence < SNIPPET_WORDS ? fromSentence : centred, words.length - SNIPPET_WORDS));
+    const count = spans.filter(([spanFirst]) => spanFirst >= start && spanFirst < start + SNIPPET_WORDS).length;
+    if (count > best.count || (count === best.count && start < best.start)) best = { start, count };
+  }
+
+  const end = Math.min(words.length, best.start + SNIPPET_WORDS) - 1;
+  const opens = new Set(spans.map(([first]) => Math.max(first, best.start)));
+  const closes = new Set(spans.map(([, last]) => Math.min(last, end)));
+
+  let snippet = best.start > 0 ? SNIPPET_ELLIPSIS : '';
+  let cursor = words[best.start].start;
+  for (let i = best.start; i <= end; i++) {
+    snippet += text.slice(cursor, words[i].start);
+    if (opens.has(i)) snippet += SNIPPET_OPEN;
+    snippet += text.slice(words[i].start, words[i].end);
+    if (closes.has(i)) snippet += SNIPPET_CLOSE;
+    cursor = words[i].end;
+  }
+  snippet += end < words.length - 1 ? SNIPPET_ELLIPSIS : text.slice(cursor);
+  return snippet;
+}
+
+export default {
+  QUERY_SYNTAXES,
+  TEXT_FIELDS,
+  SEARCH_TEXT_FIELDS,
+  FTS_COLUMNS,
+  SNIPPET_OPEN,
+  SNIPPET_CLOSE,
+  SNIPPET_ELLIPSIS,
+  SNIPPET_WORDS,
+  ADVANCED_SYNTAX_HELP,
+  parseTextQuery,
+  toFtsMatch,
+  matchesTextQuery,
+  selectCandidates,
+  highlightSnippet
+};
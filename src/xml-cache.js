@@ -0,0 +1,125 @@
+/**
+ * DrugBank XML Cache
+ *
+ * Optional on-the-fly SQLite cache for the XML fallback, enabled with
+ * DRUGBANK_XML_CACHE=1 (default file) or DRUGBANK_XML_CACHE=/path/to/cache.db
+ *
+ * Stores each normalized drug record plus the scanner's compact index, so after
+ * the first scan lookups skip re-parsing XML and restarts skip the scan entirely.
+ * The cache is tied to the XML file's size and modification time and is rebuilt
+ * when the file changes
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CACHE_FILE = path.join(__dirname, '..', 'data', 'drugbank-xml-cache.db');
+
+// Bump when the shape of cached records or index entries changes
+const CACHE_FORMAT = 19;
+
+let db = null;
+let insertRecord = null;
+
+/**
+ * Resolve the cache file from DRUGBANK_XML_CACHE (null when disabled)
+ */
+export function getCacheFile() {
+  const setting = process.env.DRUGBANK_XML_CACHE;
+  if (!setting || setting === '0' || setting === 'false') return null;
+  return setting === '1' || setting === 'true' ? DEFAULT_CACHE_FILE : path.resolve(setting);
+}
+
+/**
+ * Open (or create) the cache database
+ */
+export function openCache(cacheFile) {
+  if (!db) {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    db = new Database(cacheFile);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+      CREATE TABLE IF NOT EXISTS records (position INTEGER PRIMARY KEY, record TEXT NOT NULL);
+    `);
+    console.error(`[DrugBank Cache] Using XML cache at ${cacheFile}`);
+  }
+  return db;
+}
+
+/**
+ * Identify a version of the XML file (and of the cache format)
+ */
+export function getSourceSignature(xmlFile) {
+  const stats = fs.statSync(xmlFile);
+  return `${CACHE_FORMAT}:${stats.size}:${stats.mtimeMs}`;
+}
+
+/**
+ * Load the compact index if the cache was built from this version of the XML file
+ */
+export function loadCachedIndex(signature) {
+  const row = db.prepare("SELECT value FROM meta WHERE key = 'signature'").get();
+  if (row?.value !== signature) return null;
+
+  const index = db.prepare("SELECT value FROM meta WHERE key = 'index'").get();
+  return index ? JSON.parse(index.value) : null;
+}
+
+/**
+ * Clear the cache and start writing records for a new scan
+ */
+export function beginCacheWrite() {
+  db.exec('DELETE FROM meta; DELETE FROM records; BEGIN');
+  insertRecord = db.prepare('INSERT INTO records (position, record) VALUES (?, ?)');
+}
+
+/**
+ * Store a normalized drug record
+ */
+export function cacheRecord(position, record) {
+  insertRecord.run(position, JSON.stringify(record));
+}
+
+/**
+ * Store the compact index and commit the scan
+ */
+export function commitCache(signature, index) {
+  const insert = db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)');
+  insert.run('index', JSON.stringify(index));
+  insert.run('signature', signature);
+  db.exec('COMMIT');
+}
+
+/**
+ * Abandon a scan that failed part way
+ */
+export function rollbackCache() {
+  if (db?.inTransaction) db.exec('ROLLBACK');
+}
+
+/**
+ * Get a cached drug record by scan position
+ */
+export function getCachedRecord(position) {
+  const row = db.prepare('SELECT record FROM records WHERE position = ?').get(position);
+  return row ? JSON.parse(row.record) : null;
+}
+
+export default {
+  getCacheFile,
+  openCache,
+  getSourceSignature,
+  loadCachedIndex,
+  beginCacheWrite,
+  cacheRecord,
+  commitCache,
+  rollbackCache,
+  getCachedRecord
+};
@@ -0,0 +1,100 @@
+/**
+ * DrugBank XML Scanner
+ *
+ * Streams the DrugBank XML file and splits it into top-level <drug> elements
+ * with their byte offsets, so the XML fallback can index the file without
+ * holding it in memory and re-read a single drug later
+ *
+ * Top-level drugs are the only <drug> elements with a type attribute
+ * (drugs nested in pathways have none), so each one runs from its
+ * '<drug type="' to the next one, or to '</drugbank>' for the last
+ */
+
+import fs from 'fs';
+import { XMLParser } from 'fast-xml-parser';
+
+const DRUG_START = Buffer.from('<drug type="');
+const DRUGBANK_END = Buffer.from('</drugbank>');
+
+/**
+ * XML Parser configuration
+ * Values are kept as strings so IDs, CAS numbers and codes match the SQLite build
+ */
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  textNodeName: "#text",
+  parseAttributeValue: false,
+  parseTagValue: false,
+  trimValues: true
+});
+
+/**
+ * Stream the file and call onDrug({ start, end, element }) for each top-level drug
+ * start/end are byte offsets for readDrugAt()
+ */
+export async function scanDrugs(file, onDrug) {
+  const stream = fs.createReadStream(file, { highWaterMark: 1024 * 1024 });
+
+  let buffer = Buffer.alloc(0);
+  let bufferOffset = 0; // File offset of buffer[0]
+  let scanFrom = 0;
+  let drugStart = -1;
+
+  const emit = (start, end) => onDrug({
+    start: bufferOffset + start,
+    end: bufferOffset + end,
+    element: parseDrugXml(buffer.subarray(start, end))
+  });
+
+  for await (const chunk of stream) {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    let next;
+    while ((next = buffer.indexOf(DRUG_START, scanFrom)) !== -1) {
+      if (drugStart !== -1) emit(drugStart, next);
+      drugStart = next;
+      scanFrom = next + DRUG_START.length;
+    }
+    // A start tag may be split across chunks, so rescan the tail next time
+    scanFrom = Math.max(scanFrom, buffer.length - DRUG_START.length + 1);
+
+    // Keep only the current drug's bytes
+    const keepFrom = drugStart === -1 ? scanFrom : drugStart;
+    buffer = buffer.subarray(keepFrom);
+    bufferOffset += keepFrom;
+    scanFrom -= keepFrom;
+    if (drugStart !== -1) drugStart = 0;
+  }
+
+  if (drugStart !== -1) {
+    const end = buffer.indexOf(DRUGBANK_END, drugStart);
+    emit(drugStart, end === -1 ? buffer.length : end);
+  }
+}
+
+/**
+ * Re-read and parse a single drug element by its byte offsets
+ */
+export function readDrugAt(file, start, end) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buffer = Buffer.alloc(end - start);
+    fs.readSync(fd, buffer, 0, buffer.length, start);
+    return parseDrugXml(buffer);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Parse the bytes of one <drug> element (fast-xml-parser shape)
+ */
+function parseDrugXml(bytes) {
+  return parser.parse(bytes.toString('utf8')).drug || null;
+}
+
+export default {
+  scanDrugs,
+  readDrugAt
+};